@@ -0,0 +1,80 @@
+// backend/config/aiProviders.js
+const path = require('path');
+const { openaiApiKey, anthropicApiKey } = require('./keys');
+
+const toNumber = (value, fallback) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+// API 키가 없으면 네트워크 없이 동작하는 stub 제공자를 기본으로 사용
+const defaultProvider = process.env.AI_PROVIDER || (openaiApiKey ? 'openai' : 'stub');
+
+module.exports = {
+  defaultProvider,
+
+  // 제공자별 접속 정보
+  providers: {
+    // OpenAI 및 호환 API (vLLM, Ollama 등은 OPENAI_BASE_URL만 바꿔서 사용)
+    openai: {
+      type: 'openai',
+      baseURL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+      apiKey: openaiApiKey,
+      model: process.env.OPENAI_MODEL || 'gpt-4'
+    },
+    anthropic: {
+      type: 'anthropic',
+      baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com/v1',
+      apiKey: anthropicApiKey,
+      model: process.env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest',
+      apiVersion: process.env.ANTHROPIC_API_VERSION || '2023-06-01',
+      // Messages API는 최대 토큰 수가 필수
+      maxTokens: toNumber(process.env.ANTHROPIC_MAX_TOKENS, 1024)
+    },
+    // 저장된 응답을 재생하는 오프라인 제공자 (개발/e2e 테스트용)
+    stub: {
+      type: 'stub',
+      scriptPath: process.env.AI_STUB_SCRIPT,
+      chunkSize: toNumber(process.env.AI_STUB_CHUNK_SIZE, 8),
+      chunkDelayMs: toNumber(process.env.AI_STUB_CHUNK_DELAY_MS, 30)
+    }
+  },
+
+  // AI 응답에 함께 보낼 대화 맥락
+  context: {
+    // 시스템 프롬프트와 현재 질문을 포함한 입력 토큰 예산
+    maxTokens: toNumber(process.env.AI_CONTEXT_MAX_TOKENS, 3000),
+    // 맥락으로 불러올 최근 메시지 수
+    historyLimit: toNumber(process.env.AI_CONTEXT_HISTORY_LIMIT, 50),
+    // 예산을 넘긴 이전 대화 요약의 최대 토큰 수
+    summaryMaxTokens: toNumber(process.env.AI_CONTEXT_SUMMARY_MAX_TOKENS, 400),
+    // AI 메시지에 답장할 때 따라갈 최대 대화 수
+    replyChainLimit: toNumber(process.env.AI_CONTEXT_REPLY_CHAIN_LIMIT, 20)
+  },
+
+  // 채팅방 공유 파일 검색 (RAG)
+  rag: {
+    // local: 네트워크 없이 동작하는 해시 기반 임베딩, openai: OpenAI 호환 임베딩 API
+    embedder: process.env.RAG_EMBEDDER || 'local',
+    embeddingModel: process.env.RAG_EMBEDDING_MODEL || 'text-embedding-3-small',
+    localDimensions: toNumber(process.env.RAG_LOCAL_DIMENSIONS, 512),
+    // 채팅방별 벡터 저장 위치
+    storeDir: process.env.RAG_STORE_DIR || path.join(__dirname, '../data/vectors'),
+    chunkSize: toNumber(process.env.RAG_CHUNK_SIZE, 800),
+    chunkOverlap: toNumber(process.env.RAG_CHUNK_OVERLAP, 100),
+    // 답변에 넣을 최대 문단 수와 최소 유사도 (유사도를 비워 두면 임베더별 기본값)
+    topK: toNumber(process.env.RAG_TOP_K, 4),
+    minScore: toNumber(process.env.RAG_MIN_SCORE, undefined)
+  },
+
+  // 페르소나별 제공자/모델 환경 변수 (AI_PROVIDER_<핸들>, AI_MODEL_<핸들>, AI_TEMPERATURE_<핸들>)
+  // 페르소나 문서에 값이 없을 때만 사용
+  getPersonaOverrides(handle = '') {
+    const key = handle.toUpperCase();
+    return {
+      provider: process.env[`AI_PROVIDER_${key}`],
+      model: process.env[`AI_MODEL_${key}`],
+      temperature: toNumber(process.env[`AI_TEMPERATURE_${key}`], undefined)
+    };
+  }
+};
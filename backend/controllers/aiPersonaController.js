@@ -0,0 +1,84 @@
+const aiPersonaService = require('../services/aiPersonaService');
+
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    success: false,
+    code: error.code,
+    message: error.status ? error.message : fallbackMessage
+  });
+};
+
+// 채팅방에서 멘션할 수 있는 페르소나 목록
+exports.getAvailablePersonas = async (req, res) => {
+  try {
+    const personas = await aiPersonaService.listAvailable(req.query.roomId, req.user.id);
+
+    res.json({
+      success: true,
+      data: personas
+    });
+  } catch (error) {
+    console.error('Get AI personas error:', error);
+    sendError(res, error, 'AI 페르소나 목록을 불러오는 중 오류가 발생했습니다.');
+  }
+};
+
+// 전체 페르소나 (관리자)
+exports.getAllPersonas = async (req, res) => {
+  try {
+    const personas = await aiPersonaService.listAll();
+
+    res.json({
+      success: true,
+      data: personas
+    });
+  } catch (error) {
+    console.error('Get all AI personas error:', error);
+    sendError(res, error, 'AI 페르소나 목록을 불러오는 중 오류가 발생했습니다.');
+  }
+};
+
+// 페르소나 생성 (관리자)
+exports.createPersona = async (req, res) => {
+  try {
+    const persona = await aiPersonaService.createPersona(req.body, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    console.error('Create AI persona error:', error);
+    sendError(res, error, 'AI 페르소나 생성 중 오류가 발생했습니다.');
+  }
+};
+
+// 페르소나 수정 (관리자)
+exports.updatePersona = async (req, res) => {
+  try {
+    const persona = await aiPersonaService.updatePersona(req.params.personaId, req.body);
+
+    res.json({
+      success: true,
+      data: persona
+    });
+  } catch (error) {
+    console.error('Update AI persona error:', error);
+    sendError(res, error, 'AI 페르소나 수정 중 오류가 발생했습니다.');
+  }
+};
+
+// 페르소나 삭제 (관리자)
+exports.deletePersona = async (req, res) => {
+  try {
+    const personaId = await aiPersonaService.deletePersona(req.params.personaId);
+
+    res.json({
+      success: true,
+      data: { _id: personaId }
+    });
+  } catch (error) {
+    console.error('Delete AI persona error:', error);
+    sendError(res, error, 'AI 페르소나 삭제 중 오류가 발생했습니다.');
+  }
+};
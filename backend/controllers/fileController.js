@@ -1,7 +1,7 @@
 const File = require('../models/File');
 const Message = require('../models/Message');
 const Room = require('../models/Room');
-const { processFileForRAG } = require('../services/fileService');
+const ragService = require('../services/ragService');
 const path = require('path');
 const fs = require('fs');
 const { promisify } = require('util');
@@ -107,6 +107,14 @@ exports.uploadFile = async (req, res) => {
     await file.save();
     await fsPromises.rename(currentPath, newPath);
 
+    // AI 답변에 인용할 수 있도록 PDF/텍스트 파일은 미리 나누고 임베딩 (응답은 기다리지 않음)
+    ragService.prepareFile(file).catch(error => {
+      console.error('File RAG preparation error:', {
+        fileId: file._id,
+        error: error.message
+      });
+    });
+
     res.status(200).json({
       success: true,
       message: '파일 업로드 성공',
@@ -283,6 +291,13 @@ exports.deleteFile = async (req, res) => {
       console.error('File deletion error:', unlinkError);
     }
 
+    const fileMessage = await Message.findOne({ file: file._id }).select('room').lean();
+    if (fileMessage) {
+      await ragService.removeMessage(fileMessage.room, fileMessage._id).catch(error => {
+        console.error('File RAG removal error:', error);
+      });
+    }
+
     await file.deleteOne();
 
     res.json({
@@ -0,0 +1,147 @@
+const messageService = require('../services/messageService');
+const roomService = require('../services/roomService');
+const moderationService = require('../services/moderationService');
+const searchService = require('../services/searchService');
+
+// 보관/공지 모드 및 채팅 금지 확인 (수정/삭제할 메시지의 채팅방 기준)
+const assertMessageWritable = async (messageId, userId, options) => {
+  const { message } = await messageService.getAccessibleMessage(messageId, userId);
+  await roomService.assertRoomWritable(message.room, userId, options);
+  await moderationService.assertNotMuted(message.room, userId);
+};
+
+// 채팅방 메시지 기록 조회
+exports.getRoomMessages = async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { before, after, limit } = req.query;
+
+    const result = await messageService.loadRoomMessages(roomId, req.user.id, {
+      before,
+      after,
+      limit
+    });
+
+    // after만 지정하면 최신 방향, 그 외에는 과거 방향으로 페이지를 넘김
+    const forward = !!after && !before;
+
+    res.json({
+      success: true,
+      data: result.messages,
+      pagination: {
+        hasMore: result.hasMore,
+        nextBefore: !forward && result.hasMore ? result.oldestCursor : null,
+        nextAfter: forward && result.hasMore ? result.newestCursor : null,
+        oldestTimestamp: result.oldestTimestamp,
+        newestTimestamp: result.newestTimestamp
+      }
+    });
+  } catch (error) {
+    console.error('Get room messages error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : '메시지를 불러오는 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 메시지 수정
+exports.editMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+    const { content } = req.body;
+
+    await assertMessageWritable(messageId, req.user.id);
+    const message = await messageService.editMessage(messageId, req.user.id, content);
+    const payload = messageService.toUpdatePayload(message);
+
+    // 채팅방 참여자에게 수정 내용 알림
+    const io = req.app.get('io');
+    if (io) {
+      io.to(message.room).emit('messageUpdated', payload);
+    }
+
+    res.json({
+      success: true,
+      message: '메시지가 수정되었습니다.',
+      data: payload
+    });
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : '메시지 수정 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 메시지 삭제
+exports.deleteMessage = async (req, res) => {
+  try {
+    const { messageId } = req.params;
+
+    // 공지 모드에서도 삭제는 허용
+    await assertMessageWritable(messageId, req.user.id, { allowInAnnouncementMode: true });
+    const { message, parent } = await messageService.deleteMessage(messageId, req.user.id);
+    const payload = messageService.toDeletePayload(message);
+
+    // 채팅방 참여자에게 삭제 사실 알림 (스레드 답글이면 답글 수도 갱신)
+    const io = req.app.get('io');
+    if (io) {
+      io.to(message.room).emit('messageDeleted', payload);
+      if (parent) {
+        io.to(message.room).emit('threadSummaryUpdate', messageService.toThreadSummaryPayload(parent));
+      }
+    }
+
+    res.json({
+      success: true,
+      message: '메시지가 삭제되었습니다.',
+      data: payload
+    });
+  } catch (error) {
+    console.error('Delete message error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : '메시지 삭제 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 메시지 검색
+exports.searchMessages = async (req, res) => {
+  try {
+    const { q, roomId, senderId, type, from, to, hasFile, cursor, limit } = req.query;
+
+    const result = await searchService.searchMessages(req.user.id, {
+      q,
+      roomId,
+      senderId,
+      type,
+      from,
+      to,
+      hasFile,
+      cursor,
+      limit
+    });
+
+    res.json({
+      success: true,
+      data: result.results,
+      pagination: {
+        nextCursor: result.nextCursor,
+        hasMore: result.hasMore
+      }
+    });
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : '메시지 검색 중 오류가 발생했습니다.'
+    });
+  }
+};
@@ -0,0 +1,79 @@
+const notificationService = require('../services/notificationService');
+
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    success: false,
+    code: error.code,
+    message: error.status ? error.message : fallbackMessage
+  });
+};
+
+// 받은 알림 목록
+exports.getNotifications = async (req, res) => {
+  try {
+    const { before, limit, unreadOnly } = req.query;
+
+    const result = await notificationService.getInbox(req.user.id, {
+      before,
+      limit,
+      unreadOnly: unreadOnly === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: result.notifications,
+      pagination: {
+        hasMore: result.hasMore,
+        nextBefore: result.nextBefore
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    sendError(res, error, '알림을 불러오는 중 오류가 발생했습니다.');
+  }
+};
+
+// 읽지 않은 알림 수
+exports.getUnreadCount = async (req, res) => {
+  try {
+    const count = await notificationService.getUnreadCount(req.user.id);
+
+    res.json({
+      success: true,
+      data: { count }
+    });
+  } catch (error) {
+    console.error('Get unread notification count error:', error);
+    sendError(res, error, '알림 수를 불러오는 중 오류가 발생했습니다.');
+  }
+};
+
+// 알림 읽음 처리
+exports.markRead = async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.params.notificationId, req.user.id);
+
+    res.json({
+      success: true,
+      data: { _id: notification._id, readAt: notification.readAt }
+    });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    sendError(res, error, '알림 읽음 처리 중 오류가 발생했습니다.');
+  }
+};
+
+// 모든 알림 읽음 처리
+exports.markAllRead = async (req, res) => {
+  try {
+    const updated = await notificationService.markAllRead(req.user.id);
+
+    res.json({
+      success: true,
+      data: { updated }
+    });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    sendError(res, error, '알림 읽음 처리 중 오류가 발생했습니다.');
+  }
+};
@@ -1,5 +1,7 @@
 const bcrypt = require('bcryptjs');
 const User = require('../models/User');
+const presenceService = require('../services/presenceService');
+const notificationService = require('../services/notificationService');
 const { upload } = require('../middleware/upload');
 const path = require('path');
 const fs = require('fs').promises;
@@ -126,6 +128,77 @@ exports.getProfile = async (req, res) => {
   }
 };
 
+// 접속 상태 일괄 조회 (ids=id1,id2,..., 같은 채팅방 참여자만)
+exports.getPresence = async (req, res) => {
+  try {
+    const userIds = String(req.query.ids || '')
+      .split(',')
+      .map(id => id.trim())
+      .filter(Boolean);
+
+    const presence = await presenceService.getPresence(req.user.id, userIds);
+
+    res.json({
+      success: true,
+      presence
+    });
+
+  } catch (error) {
+    console.error('Get presence error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : '접속 상태 조회 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 알림 설정 조회
+exports.getNotificationSettings = async (req, res) => {
+  try {
+    const settings = await notificationService.getSettings(req.user.id);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Get notification settings error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : '알림 설정 조회 중 오류가 발생했습니다.'
+    });
+  }
+};
+
+// 알림 설정 변경 (events, mutedRooms, doNotDisturb 중 전달된 항목만)
+exports.updateNotificationSettings = async (req, res) => {
+  try {
+    const { events, mutedRooms, doNotDisturb } = req.body || {};
+    const settings = await notificationService.updateSettings(req.user.id, {
+      events,
+      mutedRooms,
+      doNotDisturb
+    });
+
+    res.json({
+      success: true,
+      message: '알림 설정이 저장되었습니다.',
+      data: settings
+    });
+
+  } catch (error) {
+    console.error('Update notification settings error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : '알림 설정 저장 중 오류가 발생했습니다.'
+    });
+  }
+};
+
 // 프로필 업데이트
 exports.updateProfile = async (req, res) => {
   try {
@@ -0,0 +1,28 @@
+// backend/middleware/requireAdmin.js
+
+const User = require('../models/User');
+
+// auth 미들웨어 뒤에서 사용 (토큰에는 역할이 없으므로 DB에서 확인)
+const requireAdmin = async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user?.id).select('role').lean();
+
+    if (!user || user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        code: 'ADMIN_REQUIRED',
+        message: '관리자 권한이 필요합니다.'
+      });
+    }
+
+    next();
+  } catch (err) {
+    console.error('Admin middleware error:', err);
+    res.status(500).json({
+      success: false,
+      message: '서버 오류가 발생했습니다.'
+    });
+  }
+};
+
+module.exports = requireAdmin;
@@ -27,7 +27,9 @@ const ALLOWED_TYPES = {
   'audio/ogg': ['.ogg'],
   'application/pdf': ['.pdf'],
   'application/msword': ['.doc'],
-  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx']
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': ['.docx'],
+  'text/plain': ['.txt'],
+  'text/markdown': ['.md']
 };
 
 // 파일 타입별 크기 제한 설정
@@ -80,7 +82,8 @@ const getFileType = (mimetype) => {
     'image': '이미지',
     'video': '동영상',
     'audio': '오디오',
-    'application': '문서'
+    'application': '문서',
+    'text': '문서'
   };
   const type = mimetype.split('/')[0];
   return typeMap[type] || '파일';
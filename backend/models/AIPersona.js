@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// @handle로 호출하는 AI 페르소나 (관리자가 추가/수정)
+const AIPersonaSchema = new mongoose.Schema({
+  // 멘션에 쓰는 식별자 (Message.aiType에 저장)
+  handle: {
+    type: String,
+    required: [true, '페르소나 핸들은 필수입니다.'],
+    unique: true,
+    trim: true,
+    match: [/^[A-Za-z][A-Za-z0-9_]{1,31}$/, '핸들은 영문으로 시작하는 2~32자의 영문, 숫자, _만 사용할 수 있습니다.']
+  },
+  name: {
+    type: String,
+    required: [true, '페르소나 이름은 필수입니다.'],
+    trim: true,
+    maxlength: [50, '이름은 50자를 초과할 수 없습니다.']
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: '',
+    maxlength: [200, '설명은 200자를 초과할 수 없습니다.']
+  },
+  // 아바타 이미지 주소 (없으면 이름 첫 글자)
+  avatar: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  systemPrompt: {
+    type: String,
+    required: [true, '시스템 프롬프트는 필수입니다.'],
+    maxlength: [10000, '시스템 프롬프트는 10000자를 초과할 수 없습니다.']
+  },
+  // 비워 두면 config/aiProviders.js의 기본 제공자/모델 사용
+  provider: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  model: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // 비워 두면 AI_TEMPERATURE_<핸들> 환경 변수, 없으면 0.7
+  temperature: {
+    type: Number,
+    min: [0, 'temperature는 0 이상이어야 합니다.'],
+    max: [2, 'temperature는 2 이하여야 합니다.'],
+    default: null
+  },
+  // 비어 있으면 모든 채팅방에서 사용 가능
+  allowedRooms: [{
+    type: String
+  }],
+  isActive: {
+    type: Boolean,
+    default: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('AIPersona', AIPersonaSchema);
@@ -9,7 +9,7 @@ const MessageSchema = new mongoose.Schema({
   content: { 
     type: String,
     required: function() {
-      return this.type !== 'file';
+      return this.type !== 'file' && !this.isDeleted;
     },
     trim: true,
     maxlength: [10000, '메시지는 10000자를 초과할 수 없습니다.']
@@ -29,12 +29,12 @@ const MessageSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'File',
     required: function() {
-      return this.type === 'file';
+      return this.type === 'file' && !this.isDeleted;
     }
   },
+  // 응답한 AI 페르소나의 핸들 (AIPersona.handle)
   aiType: {
     type: String,
-    enum: ['wayneAI', 'consultingAI'],
     required: function() { 
       return this.type === 'ai'; 
     }
@@ -43,6 +43,32 @@ const MessageSchema = new mongoose.Schema({
     type: String,
     trim: true
   }],
+  parentMessage: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null,
+    index: true
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Message',
+    default: null
+  },
+  thread: {
+    replyCount: {
+      type: Number,
+      default: 0
+    },
+    lastReplyAt: {
+      type: Date,
+      default: null
+    },
+    lastReplier: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
   timestamp: { 
     type: Date, 
     default: Date.now,
@@ -73,10 +99,53 @@ const MessageSchema = new mongoose.Schema({
     of: mongoose.Schema.Types.Mixed,
     default: new Map()
   },
+  editHistory: [{
+    content: {
+      type: String,
+      required: true
+    },
+    editedAt: {
+      type: Date,
+      default: Date.now,
+      required: true
+    }
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  // 다시 생성한 AI 답변 목록 (content에는 마지막으로 생성한 답변이 들어감)
+  aiVersions: [{
+    content: {
+      type: String,
+      default: ''
+    },
+    sources: {
+      type: [mongoose.Schema.Types.Mixed],
+      default: []
+    },
+    cancelled: {
+      type: Boolean,
+      default: false
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   isDeleted: {
     type: Boolean,
     default: false,
     index: true
+  },
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
   }
 }, {
   timestamps: true,
@@ -93,11 +162,18 @@ const MessageSchema = new mongoose.Schema({
 // 복합 인덱스 설정
 MessageSchema.index({ room: 1, timestamp: -1 });
 MessageSchema.index({ room: 1, isDeleted: 1 });
+MessageSchema.index({ parentMessage: 1, timestamp: -1 });
 MessageSchema.index({ 'readers.userId': 1 });
 MessageSchema.index({ sender: 1 });
 MessageSchema.index({ type: 1 });
 MessageSchema.index({ timestamp: -1 });
 MessageSchema.index({ 'reactions.userId': 1 });
+// 메시지 검색용 텍스트 인덱스 (한국어는 형태소 분석이 지원되지 않아 언어 처리 없이 토큰화)
+// 띄어쓰기 단위 토큰 전체가 일치해야 하며 단어 일부로는 검색되지 않음
+MessageSchema.index(
+  { content: 'text' },
+  { name: 'message_content_text', default_language: 'none' }
+);
 
 // 읽음 처리 Static 메소드 개선
 MessageSchema.statics.markAsRead = async function(messageIds, userId) {
@@ -188,9 +264,61 @@ MessageSchema.methods.removeReaction = async function(emoji, userId) {
   }
 };
 
-// 메시지 소프트 삭제 메소드 추가
-MessageSchema.methods.softDelete = async function() {
+// 메시지 내용 수정 (이전 내용은 수정 이력으로 보관)
+MessageSchema.methods.editContent = async function(newContent) {
+  const content = newContent?.trim();
+  if (!content) {
+    throw new Error('메시지 내용을 입력해주세요.');
+  }
+
+  if (content === this.content) {
+    return this;
+  }
+
+  const editedAt = new Date();
+  this.editHistory.push({
+    content: this.content,
+    editedAt
+  });
+  this.content = content;
+  this.editedAt = editedAt;
+
+  await this.save();
+  return this;
+};
+
+// AI 답변의 새 버전 저장 (처음 다시 생성할 때 기존 답변을 첫 버전으로 보관)
+MessageSchema.methods.addAIVersion = async function({ content, sources = [], cancelled = false }) {
+  if (this.aiVersions.length === 0) {
+    this.aiVersions.push({
+      content: this.content,
+      sources: this.metadata?.get('sources') || [],
+      cancelled: !!this.metadata?.get('cancelled'),
+      createdAt: this.timestamp
+    });
+  }
+
+  this.aiVersions.push({ content, sources, cancelled, createdAt: new Date() });
+  this.content = content;
+  this.metadata.set('sources', sources);
+  this.metadata.set('cancelled', cancelled);
+
+  await this.save();
+  return this;
+};
+
+// 메시지 소프트 삭제 메소드 추가 (내용과 첨부 정보는 남기지 않음)
+MessageSchema.methods.softDelete = async function(deletedBy = null) {
   this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.deletedBy = deletedBy;
+  this.content = '';
+  this.file = undefined;
+  this.editHistory = [];
+  this.aiVersions = [];
+  this.mentions = [];
+  this.reactions = new Map();
+  this.metadata = new Map();
   await this.save();
 };
 
@@ -241,7 +369,9 @@ MessageSchema.methods.toJSON = function() {
     // 불필요한 필드 제거
     delete obj.__v;
     delete obj.updatedAt;
-    delete obj.isDeleted;
+    if (!obj.isDeleted) {
+      delete obj.isDeleted;
+    }
     
     // reactions Map을 일반 객체로 변환
     if (obj.reactions) {
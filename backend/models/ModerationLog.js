@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// 채팅방 관리 기록 (강퇴, 차단, 채팅 금지)
+const ModerationLogSchema = new mongoose.Schema({
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ['kick', 'ban', 'unban', 'mute', 'unmute'],
+    required: true
+  },
+  target: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  moderator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  // 채팅 금지 종료 시각 (mute인 경우만)
+  expiresAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ModerationLogSchema.index({ room: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ModerationLog', ModerationLogSchema);
@@ -5,9 +5,65 @@ const bcrypt = require('bcryptjs');
 const RoomSchema = new mongoose.Schema({
   name: {
     type: String,
-    required: true,
+    required: function() {
+      return this.type !== 'direct';
+    },
     trim: true
   },
+  type: {
+    type: String,
+    enum: ['group', 'direct'],
+    default: 'group',
+    index: true
+  },
+  // 1:1 대화 중복 생성 방지용 키 (두 사용자 ID를 정렬해 연결)
+  directKey: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
+  // 채팅방 소개 (주제)
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  // 공개 범위 (비공개 방은 목록에 노출되지 않고 초대 링크로만 입장)
+  visibility: {
+    type: String,
+    enum: ['public', 'private'],
+    default: 'public'
+  },
+  // 최대 참여 인원 (없으면 제한 없음)
+  maxParticipants: {
+    type: Number,
+    min: 2,
+    default: null
+  },
+  // 공지 모드 (방장과 모더레이터만 메시지 작성 가능)
+  announcementOnly: {
+    type: Boolean,
+    default: false
+  },
+  // 슬로우 모드 (일반 멤버의 메시지 전송 간격, 초 단위. 0이면 사용 안 함)
+  slowModeSeconds: {
+    type: Number,
+    min: 0,
+    max: 3600,
+    default: 0
+  },
+  // 보관 상태 (목록에서 숨기고 읽기 전용으로 유지, 방장이 복원 가능)
+  archivedAt: {
+    type: Date,
+    default: null,
+    index: true
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
   creator: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -25,9 +81,83 @@ const RoomSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // 마지막 메시지 시각 (목록의 최근 활동순 정렬용)
+  lastActivityAt: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  // 목록 미리보기용 마지막 메시지 요약
+  lastMessage: {
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    messageType: { type: String },
+    content: { type: String },
+    senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    senderName: { type: String },
+    timestamp: { type: Date }
+  },
   participants: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
+  }],
+  // 방장(creator)이 지정한 모더레이터
+  moderators: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // 차단된 사용자 (재입장 불가)
+  bans: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    bannedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    reason: {
+      type: String,
+      default: ''
+    },
+    bannedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  // 채팅 금지 (until 이후 자동 해제)
+  mutes: [{
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    mutedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    until: {
+      type: Date,
+      required: true
+    }
+  }],
+  pinnedMessages: [{
+    message: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Message',
+      required: true
+    },
+    pinnedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    pinnedAt: {
+      type: Date,
+      default: Date.now
+    }
   }]
 });
 
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// 채팅방 초대 링크 (비밀번호 없이 입장 가능한 토큰)
+const RoomInviteSchema = new mongoose.Schema({
+  token: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true,
+    index: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // 만료 시각 (없으면 만료되지 않음)
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // 최대 사용 횟수 (없으면 무제한)
+  maxUses: {
+    type: Number,
+    min: 1,
+    default: null
+  },
+  uses: {
+    type: Number,
+    default: 0
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// 사용 가능 여부 (폐기, 만료, 사용 횟수 초과가 아닌 경우)
+RoomInviteSchema.methods.isUsable = function(now = new Date()) {
+  if (this.revokedAt) return false;
+  if (this.expiresAt && this.expiresAt <= now) return false;
+  if (this.maxUses && this.uses >= this.maxUses) return false;
+  return true;
+};
+
+module.exports = mongoose.model('RoomInvite', RoomInviteSchema);
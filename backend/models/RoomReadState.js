@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// 사용자별 채팅방 읽음 위치 (lastReadAt 이후 메시지를 안 읽은 메시지로 계산)
+const RoomReadStateSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  room: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Room',
+    required: true
+  },
+  lastReadAt: {
+    type: Date,
+    required: true
+  }
+});
+
+RoomReadStateSchema.index({ user: 1, room: 1 }, { unique: true });
+
+module.exports = mongoose.model('RoomReadState', RoomReadStateSchema);
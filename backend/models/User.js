@@ -42,6 +42,52 @@ const UserSchema = new mongoose.Schema({
   lastActive: {
     type: Date,
     default: Date.now
+  },
+  // 서비스 관리자 (AI 페르소나 관리 등)
+  role: {
+    type: String,
+    enum: ['user', 'admin'],
+    default: 'user'
+  },
+  notificationSettings: {
+    // 알림 종류별 수신 채널 (inApp: 앱 내 알림/받은 알림함, desktop: 브라우저 알림, email: 메일)
+    events: {
+      mention: {
+        inApp: { type: Boolean, default: true },
+        desktop: { type: Boolean, default: true },
+        email: { type: Boolean, default: false }
+      },
+      directMessage: {
+        desktop: { type: Boolean, default: true },
+        email: { type: Boolean, default: false }
+      },
+      roomMessage: {
+        desktop: { type: Boolean, default: false }
+      },
+      roomInvite: {
+        email: { type: Boolean, default: true }
+      }
+    },
+    // 알림을 끈 채팅방 (until이 없으면 직접 해제할 때까지)
+    mutedRooms: [{
+      _id: false,
+      room: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Room',
+        required: true
+      },
+      until: {
+        type: Date,
+        default: null
+      }
+    }],
+    // 방해 금지 시간 (사용자 시간대 기준 HH:mm, 자정을 넘기는 구간 허용)
+    doNotDisturb: {
+      enabled: { type: Boolean, default: false },
+      start: { type: String, default: '22:00' },
+      end: { type: String, default: '08:00' },
+      timezone: { type: String, default: 'Asia/Seoul' }
+    }
   }
 });
 
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const aiPersonaController = require('../../controllers/aiPersonaController');
+const auth = require('../../middleware/auth');
+const requireAdmin = require('../../middleware/requireAdmin');
+
+// 멘션할 수 있는 페르소나 목록 (roomId가 있으면 해당 채팅방 기준)
+router.get('/', auth, aiPersonaController.getAvailablePersonas);
+
+// 전체 페르소나 (관리자)
+router.get('/all', auth, requireAdmin, aiPersonaController.getAllPersonas);
+
+// 페르소나 생성 (관리자)
+router.post('/', auth, requireAdmin, aiPersonaController.createPersona);
+
+// 페르소나 수정 (관리자)
+router.put('/:personaId', auth, requireAdmin, aiPersonaController.updatePersona);
+
+// 페르소나 삭제 (관리자)
+router.delete('/:personaId', auth, requireAdmin, aiPersonaController.deletePersona);
+
+module.exports = router;
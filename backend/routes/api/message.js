@@ -1,13 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const messageController = require('../controllers/messageController');
-const auth = require('../middleware/auth');
+const messageController = require('../../controllers/messageController');
+const auth = require('../../middleware/auth');
 // const AdvancedRateLimiter = require('../../middleware/rateLimiter'); // 부하테스트용 제거
 
 // Rate Limiter 초기화 (부하테스트용 제거)
 // const rateLimiter = new AdvancedRateLimiter();
 
-// 채팅방의 메시지 목록 조회 (부하테스트용 Rate Limiting 제거)
-router.get('/rooms/:roomId/messages', auth, messageController.loadMessages);
+// 메시지 검색
+router.get('/search', auth, messageController.searchMessages);
 
-module.exports = router;
\ No newline at end of file
+// 메시지 수정
+router.put('/:messageId', auth, messageController.editMessage);
+
+// 메시지 삭제
+router.delete('/:messageId', auth, messageController.deleteMessage);
+
+module.exports = router;
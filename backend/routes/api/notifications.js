@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../../controllers/notificationController');
+const auth = require('../../middleware/auth');
+
+// 받은 알림 목록
+router.get('/', auth, notificationController.getNotifications);
+
+// 읽지 않은 알림 수
+router.get('/unread-count', auth, notificationController.getUnreadCount);
+
+// 모든 알림 읽음 처리
+router.put('/read-all', auth, notificationController.markAllRead);
+
+// 알림 읽음 처리
+router.put('/:notificationId/read', auth, notificationController.markRead);
+
+module.exports = router;
@@ -3,10 +3,20 @@ const router = express.Router();
 const auth = require('../../middleware/auth');
 const Room = require('../../models/Room');
 const User = require('../../models/User');
+const Message = require('../../models/Message');
 const { rateLimit } = require('express-rate-limit');
 const cache = require('../../services/simpleCache');
 const memoryCache = require('../../services/memoryCache');
 const queryOptimizer = require('../../services/queryOptimizer');
+const roomService = require('../../services/roomService');
+const moderationService = require('../../services/moderationService');
+const inviteService = require('../../services/inviteService');
+const roomActivityService = require('../../services/roomActivityService');
+const ragService = require('../../services/ragService');
+const messageController = require('../../controllers/messageController');
+const { hasRoomPermission } = require('../../utils/roomPermissions');
+const { getUserRoom } = require('../../utils/socketRooms');
+const chatSocket = require('../../sockets/chat');
 let io;
 
 // 속도 제한 설정
@@ -84,7 +94,7 @@ router.get('/', [limiter, auth], async (req, res) => {
     const skip = page * pageSize;
 
     // 정렬 설정
-    const allowedSortFields = ['createdAt', 'name', 'participantsCount'];
+    const allowedSortFields = ['createdAt', 'name', 'participantsCount', 'lastActivityAt'];
     const sortField = allowedSortFields.includes(req.query.sortField) 
       ? req.query.sortField 
       : 'createdAt';
@@ -92,12 +102,18 @@ router.get('/', [limiter, auth], async (req, res) => {
       ? req.query.sortOrder
       : 'desc';
 
-    // 검색 필터 구성
-    const filter = {};
+    // 검색 필터 구성 (1:1 대화, 비공개 방, 보관된 방은 공개 목록에서 제외)
+    const filter = { type: { $ne: 'direct' }, visibility: { $ne: 'private' }, archivedAt: null };
     if (req.query.search) {
       filter.name = { $regex: req.query.search, $options: 'i' };
     }
 
+    // 안 읽은 메시지 수는 사용자별이므로 캐시된 목록에 매 요청마다 덧붙임
+    const sendRoomList = async (result) => res.json({
+      ...result,
+      data: await roomActivityService.withUnreadCounts(result.data, req.user.id)
+    });
+
     // 🚀 이중 캐싱: 메모리 → Redis 순서로 확인 (검색이 없는 경우만)
     if (!req.query.search) {
       const cacheKey = `rooms:${page}:${pageSize}:${sortField}:${sortOrder}`;
@@ -106,7 +122,7 @@ router.get('/', [limiter, auth], async (req, res) => {
       let cachedResult = memoryCache.get(cacheKey);
       if (cachedResult) {
         console.log('⚡ 메모리 캐시 히트');
-        return res.json(cachedResult);
+        return sendRoomList(cachedResult);
       }
       
       // 2차: Redis 캐시 확인
@@ -114,7 +130,7 @@ router.get('/', [limiter, auth], async (req, res) => {
       if (cachedResult) {
         // Redis에서 가져온 데이터를 메모리에도 저장 (60초)
         memoryCache.set(cacheKey, cachedResult, 60);
-        return res.json(cachedResult);
+        return sendRoomList(cachedResult);
       }
     }
 
@@ -142,7 +158,9 @@ router.get('/', [limiter, auth], async (req, res) => {
       return {
         _id: room._id?.toString() || 'unknown',
         name: room.name || '제목 없음',
+        description: room.description || '',
         hasPassword: !!room.hasPassword,
+        maxParticipants: room.maxParticipants || null,
         creator: {
           _id: creator._id?.toString() || 'unknown',
           name: creator.name || '알 수 없음',
@@ -155,6 +173,8 @@ router.get('/', [limiter, auth], async (req, res) => {
         })),
         participantsCount: participants.length,
         createdAt: room.createdAt || new Date(),
+        lastActivityAt: room.lastActivityAt || room.createdAt || null,
+        lastMessage: room.lastMessage?.messageId ? room.lastMessage : null,
         isCreator: creator._id?.toString() === req.user.id,
       };
     }).filter(room => room !== null);
@@ -199,7 +219,7 @@ router.get('/', [limiter, auth], async (req, res) => {
     });
 
     // 응답 전송
-    res.json(responseData);
+    await sendRoomList(responseData);
 
   } catch (error) {
     console.error('방 목록 조회 에러:', error);
@@ -269,6 +289,106 @@ router.post('/', auth, async (req, res) => {
   }
 });
 
+// 1:1 대화 목록 조회
+router.get('/direct', auth, async (req, res) => {
+  try {
+    const rooms = await roomService.getDirectRooms(req.user.id);
+
+    res.json({
+      success: true,
+      data: rooms
+    });
+  } catch (error) {
+    console.error('Direct rooms fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '1:1 대화 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 1:1 대화 열기 (이미 있으면 기존 대화 반환)
+router.post('/direct', auth, async (req, res) => {
+  try {
+    const { room, created } = await roomService.openDirectRoom(req.user.id, req.body.userId);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      data: room
+    });
+  } catch (error) {
+    console.error('Open direct room error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : '1:1 대화를 여는데 실패했습니다.'
+    });
+  }
+});
+
+// 보관된 채팅방 목록 (내가 참여한 방)
+router.get('/archived', auth, async (req, res) => {
+  try {
+    const rooms = await roomService.getArchivedRooms(req.user.id);
+
+    res.json({
+      success: true,
+      data: rooms
+    });
+  } catch (error) {
+    console.error('Archived rooms fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: '보관된 채팅방 목록을 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 초대 링크 미리보기
+router.get('/invites/:token', auth, async (req, res) => {
+  try {
+    const preview = await inviteService.getInvitePreview(req.params.token);
+
+    res.json({
+      success: true,
+      data: preview
+    });
+  } catch (error) {
+    console.error('Invite preview error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : '초대 링크 정보를 불러오는데 실패했습니다.'
+    });
+  }
+});
+
+// 초대 링크로 입장 (비밀번호 확인 생략)
+router.post('/join-by-invite/:token', auth, async (req, res) => {
+  try {
+    const { room, alreadyJoined } = await inviteService.joinByInvite(req.params.token, req.user.id);
+
+    if (io && !alreadyJoined) {
+      io.to(room._id.toString()).emit('participantsUpdate', room.participants);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...room,
+        password: undefined
+      }
+    });
+  } catch (error) {
+    console.error('Join by invite error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : '초대 링크로 입장하는데 실패했습니다.'
+    });
+  }
+});
+
 // 특정 채팅방 조회
 router.get('/:roomId', auth, async (req, res) => {
   try {
@@ -283,6 +403,15 @@ router.get('/:roomId', auth, async (req, res) => {
       });
     }
 
+    // 1:1 대화와 비공개 방은 참여자만 조회 가능
+    if ((room.type === 'direct' && !room.participants.some(p => p._id.toString() === req.user.id)) ||
+      roomService.isPrivateForUser(room, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
     res.json({
       success: true,
       data: {
@@ -299,6 +428,28 @@ router.get('/:roomId', auth, async (req, res) => {
   }
 });
 
+// 채팅방 메시지 기록 조회 (커서 기반 페이지네이션)
+router.get('/:roomId/messages', auth, messageController.getRoomMessages);
+
+// 고정 메시지 목록 조회
+router.get('/:roomId/pins', auth, async (req, res) => {
+  try {
+    const pins = await roomService.getPinnedMessages(req.params.roomId, req.user.id);
+
+    res.json({
+      success: true,
+      data: pins
+    });
+  } catch (error) {
+    console.error('Pinned messages fetch error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      code: error.code,
+      message: error.status ? error.message : '고정 메시지를 불러오는데 실패했습니다.'
+    });
+  }
+});
+
 // 채팅방 입장
 router.post('/:roomId/join', auth, async (req, res) => {
   try {
@@ -314,6 +465,50 @@ router.post('/:roomId/join', auth, async (req, res) => {
       });
     }
 
+    // 1:1 대화에는 다른 사용자가 참여할 수 없음
+    if (room.type === 'direct' && !room.participants.some(id => id.toString() === req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        message: '채팅방 접근 권한이 없습니다.'
+      });
+    }
+
+    // 차단된 사용자는 입장 불가
+    if (room.bans?.some(ban => ban.user.toString() === req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        code: 'USER_BANNED',
+        message: '채팅방에서 차단되어 입장할 수 없습니다.'
+      });
+    }
+
+    // 보관된 방에는 기존 참여자만 입장 (읽기 전용)
+    if (room.archivedAt && !room.participants.some(id => id.toString() === req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        code: 'ROOM_ARCHIVED',
+        message: '보관된 채팅방에는 새로 입장할 수 없습니다.'
+      });
+    }
+
+    // 비공개 방은 초대 링크로만 새로 입장 가능
+    if (roomService.isPrivateForUser(room, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        code: 'PRIVATE_ROOM',
+        message: '비공개 채팅방은 초대 링크로만 입장할 수 있습니다.'
+      });
+    }
+
+    // 정원 확인
+    if (roomService.isRoomFull(room, req.user.id)) {
+      return res.status(403).json({
+        success: false,
+        code: 'ROOM_FULL',
+        message: '채팅방 정원이 가득 찼습니다.'
+      });
+    }
+
     // 비밀번호 확인
     if (room.hasPassword) {
       console.log(`🔒 비밀번호 보호된 방: ${room.name}, 입력된 비밀번호: "${password}"`);
@@ -373,6 +568,448 @@ router.post('/:roomId/join', auth, async (req, res) => {
   }
 });
 
+// 역할 변경 알림 (역할 정보 갱신 + 시스템 메시지)
+const emitRoleChange = async (roomId, roles, content) => {
+  const systemMessage = content && await Message.create({
+    room: roomId,
+    content,
+    type: 'system',
+    timestamp: new Date()
+  });
+
+  if (!io) return;
+  io.to(roomId).emit('roomRolesUpdate', roles);
+  if (systemMessage) {
+    io.to(roomId).emit('message', systemMessage);
+  }
+};
+
+const getUserName = async (userId) => {
+  const user = await User.findById(userId).select('name').lean();
+  return user?.name || '알 수 없는 사용자';
+};
+
+const sendServiceError = (res, error, fallbackMessage) => {
+  console.error('Room service error:', error);
+  res.status(error.status || 500).json({
+    success: false,
+    code: error.code,
+    message: error.status ? error.message : fallbackMessage
+  });
+};
+
+// 채팅방 역할 조회
+router.get('/:roomId/roles', auth, async (req, res) => {
+  try {
+    await roomService.getParticipantRoom(req.params.roomId, req.user.id);
+    const roles = await roomService.getRoomRoles(req.params.roomId);
+
+    res.json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    sendServiceError(res, error, '역할 정보를 불러오는데 실패했습니다.');
+  }
+});
+
+// 모더레이터 지정
+router.put('/:roomId/moderators/:userId', auth, async (req, res) => {
+  try {
+    const { roomId, userId } = req.params;
+    const { changed, roles } = await roomService.setModerator(roomId, userId, req.user.id, true);
+
+    if (changed) {
+      await emitRoleChange(roomId, roles, `${await getUserName(userId)}님이 모더레이터로 지정되었습니다.`);
+    }
+
+    res.json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    sendServiceError(res, error, '모더레이터 지정에 실패했습니다.');
+  }
+});
+
+// 모더레이터 해제
+router.delete('/:roomId/moderators/:userId', auth, async (req, res) => {
+  try {
+    const { roomId, userId } = req.params;
+    const { changed, roles } = await roomService.setModerator(roomId, userId, req.user.id, false);
+
+    if (changed) {
+      await emitRoleChange(roomId, roles, `${await getUserName(userId)}님의 모더레이터 권한이 해제되었습니다.`);
+    }
+
+    res.json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    sendServiceError(res, error, '모더레이터 해제에 실패했습니다.');
+  }
+});
+
+// 방장 위임
+router.post('/:roomId/transfer-ownership', auth, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const roles = await roomService.transferOwnership(roomId, req.body.userId, req.user.id);
+
+    await emitRoleChange(roomId, roles, `${await getUserName(req.body.userId)}님이 새 방장이 되었습니다.`);
+
+    res.json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    sendServiceError(res, error, '방장 위임에 실패했습니다.');
+  }
+});
+
+// 관리 조치 알림 (시스템 메시지 + 채팅 금지 목록 갱신)
+const emitModeration = async (roomId, content) => {
+  const systemMessage = await Message.create({
+    room: roomId,
+    content,
+    type: 'system',
+    timestamp: new Date()
+  });
+
+  if (!io) return;
+  io.to(roomId).emit('message', systemMessage);
+  io.to(roomId).emit('roomModerationUpdate', {
+    roomId,
+    mutes: await moderationService.getActiveMutes(roomId)
+  });
+};
+
+// 대상 사용자의 모든 소켓을 채팅방에서 내보냄
+const forceLeaveRoom = async (roomId, userId, message) => {
+  if (!io) return;
+
+  const userRoom = getUserRoom(userId);
+  io.to(userRoom).emit('removedFromRoom', { roomId, message });
+  io.in(userRoom).socketsLeave(roomId);
+
+  // 입장 상태와 입력 중 표시 정리 (serverSideEmit은 보낸 워커에는 전달되지 않으므로 직접 호출)
+  chatSocket.removeRoomMember({ roomId, userId });
+  io.serverSideEmit('roomMemberRemoved', { roomId, userId });
+
+  const room = await Room.findById(roomId).populate('participants', 'name email profileImage');
+  if (room) {
+    io.to(roomId).emit('participantsUpdate', room.participants);
+    io.to(roomId).emit('roomRolesUpdate', {
+      roomId,
+      creator: room.creator?.toString() || null,
+      moderators: (room.moderators || []).map(id => id.toString())
+    });
+  }
+};
+
+// 강퇴
+router.post('/:roomId/members/:userId/kick', auth, async (req, res) => {
+  try {
+    const { roomId, userId } = req.params;
+    const log = await moderationService.kick(roomId, userId, req.user.id, req.body.reason);
+
+    await forceLeaveRoom(roomId, userId, '채팅방에서 강퇴되었습니다.');
+    await emitModeration(roomId, `${await getUserName(userId)}님이 강퇴되었습니다.`);
+
+    res.json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    sendServiceError(res, error, '강퇴에 실패했습니다.');
+  }
+});
+
+// 차단 목록 조회
+router.get('/:roomId/bans', auth, async (req, res) => {
+  try {
+    const bans = await moderationService.getBans(req.params.roomId, req.user.id);
+
+    res.json({
+      success: true,
+      data: bans
+    });
+  } catch (error) {
+    sendServiceError(res, error, '차단 목록을 불러오는데 실패했습니다.');
+  }
+});
+
+// 차단
+router.post('/:roomId/bans', auth, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { userId, reason } = req.body;
+    const log = await moderationService.ban(roomId, userId, req.user.id, reason);
+
+    await forceLeaveRoom(roomId, userId, '채팅방에서 차단되었습니다.');
+    await emitModeration(roomId, `${await getUserName(userId)}님이 차단되었습니다.`);
+
+    res.status(201).json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    sendServiceError(res, error, '차단에 실패했습니다.');
+  }
+});
+
+// 차단 해제
+router.delete('/:roomId/bans/:userId', auth, async (req, res) => {
+  try {
+    const { roomId, userId } = req.params;
+    const log = await moderationService.unban(roomId, userId, req.user.id);
+
+    await emitModeration(roomId, `${await getUserName(userId)}님의 차단이 해제되었습니다.`);
+
+    res.json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    sendServiceError(res, error, '차단 해제에 실패했습니다.');
+  }
+});
+
+// 채팅 금지
+router.post('/:roomId/mutes', auth, async (req, res) => {
+  try {
+    const { roomId } = req.params;
+    const { userId, duration, reason } = req.body;
+    const { log, until } = await moderationService.mute(roomId, userId, req.user.id, { duration, reason });
+
+    await emitModeration(roomId, `${await getUserName(userId)}님이 ${Number(duration)}분 동안 채팅이 금지되었습니다.`);
+
+    res.status(201).json({
+      success: true,
+      data: { ...log.toObject(), until }
+    });
+  } catch (error) {
+    sendServiceError(res, error, '채팅 금지에 실패했습니다.');
+  }
+});
+
+// 채팅 금지 해제
+router.delete('/:roomId/mutes/:userId', auth, async (req, res) => {
+  try {
+    const { roomId, userId } = req.params;
+    const log = await moderationService.unmute(roomId, userId, req.user.id);
+
+    await emitModeration(roomId, `${await getUserName(userId)}님의 채팅 금지가 해제되었습니다.`);
+
+    res.json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    sendServiceError(res, error, '채팅 금지 해제에 실패했습니다.');
+  }
+});
+
+// 초대 링크 목록
+router.get('/:roomId/invites', auth, async (req, res) => {
+  try {
+    const invites = await inviteService.getInvites(req.params.roomId, req.user.id);
+
+    res.json({
+      success: true,
+      data: invites
+    });
+  } catch (error) {
+    sendServiceError(res, error, '초대 링크 목록을 불러오는데 실패했습니다.');
+  }
+});
+
+// 초대 링크 생성
+router.post('/:roomId/invites', auth, async (req, res) => {
+  try {
+    const { expiresInHours, maxUses } = req.body;
+    const invite = await inviteService.createInvite(req.params.roomId, req.user.id, {
+      expiresInHours,
+      maxUses
+    });
+
+    res.status(201).json({
+      success: true,
+      data: invite
+    });
+  } catch (error) {
+    sendServiceError(res, error, '초대 링크 생성에 실패했습니다.');
+  }
+});
+
+// 초대 링크 폐기
+router.delete('/:roomId/invites/:inviteId', auth, async (req, res) => {
+  try {
+    const invite = await inviteService.revokeInvite(req.params.roomId, req.params.inviteId, req.user.id);
+
+    res.json({
+      success: true,
+      data: invite
+    });
+  } catch (error) {
+    sendServiceError(res, error, '초대 링크 폐기에 실패했습니다.');
+  }
+});
+
+// 관리 기록 조회
+router.get('/:roomId/moderation-log', auth, async (req, res) => {
+  try {
+    const { logs, hasMore, nextBefore } = await moderationService.getModerationLog(
+      req.params.roomId,
+      req.user.id,
+      { before: req.query.before, limit: req.query.limit }
+    );
+
+    res.json({
+      success: true,
+      data: logs,
+      pagination: { hasMore, nextBefore }
+    });
+  } catch (error) {
+    sendServiceError(res, error, '관리 기록을 불러오는데 실패했습니다.');
+  }
+});
+
+// 채팅방 목록 캐시 무효화 (메모리 + Redis)
+const invalidateRoomCaches = async (roomId) => {
+  memoryCache.deleteByPrefix('rooms:');
+  await Promise.all([
+    cache.invalidateRoomList(),
+    cache.invalidateRoomInfo(roomId)
+  ]);
+};
+
+const getRoomSettings = (room) => ({
+  roomId: room._id,
+  name: room.name,
+  description: room.description || '',
+  visibility: room.visibility,
+  maxParticipants: room.maxParticipants || null,
+  hasPassword: !!room.hasPassword,
+  announcementOnly: !!room.announcementOnly,
+  slowModeSeconds: room.slowModeSeconds || 0,
+  archivedAt: room.archivedAt || null
+});
+
+// 채팅방 설정 변경 (방장만 가능)
+router.patch('/:roomId', auth, async (req, res) => {
+  try {
+    const {
+      name,
+      description,
+      visibility,
+      maxParticipants,
+      announcementOnly,
+      slowModeSeconds,
+      password,
+      removePassword
+    } = req.body;
+    const { room, changes } = await roomService.updateSettings(req.params.roomId, req.user.id, {
+      name,
+      description,
+      visibility,
+      maxParticipants,
+      announcementOnly,
+      slowModeSeconds,
+      password,
+      removePassword
+    });
+
+    if (changes.length > 0) {
+      await invalidateRoomCaches(req.params.roomId);
+
+      if (io) {
+        const settings = getRoomSettings(room);
+        io.to(req.params.roomId).emit('roomSettingsUpdate', settings);
+
+        // 비공개로 전환된 방은 목록에서 제거할 수 있도록 최소 정보만 전달
+        io.to('room-list').emit('roomUpdated', room.visibility === 'private'
+          ? { _id: room._id, visibility: room.visibility }
+          : {
+            ...settings,
+            _id: room._id,
+            creator: room.creator,
+            participantsCount: room.participants?.length || 0,
+            createdAt: room.createdAt
+          });
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...room,
+        password: undefined
+      },
+      changes
+    });
+  } catch (error) {
+    sendServiceError(res, error, '채팅방 설정을 변경하는데 실패했습니다.');
+  }
+});
+
+// 보관/복원 알림 (시스템 메시지 + 설정 갱신 + 목록 반영)
+const emitArchiveChange = async (room, content) => {
+  const systemMessage = await Message.create({
+    room: room._id,
+    content,
+    type: 'system',
+    timestamp: new Date()
+  });
+
+  if (!io) return;
+  const roomId = room._id.toString();
+  io.to(roomId).emit('roomSettingsUpdate', getRoomSettings(room));
+  io.to(roomId).emit('message', systemMessage);
+
+  // 비공개 방은 목록에 없으므로 목록 구독자에게 알리지 않음
+  if (room.visibility === 'private') return;
+
+  if (room.archivedAt) {
+    io.to('room-list').emit('roomUpdated', { _id: roomId, archivedAt: room.archivedAt });
+  } else {
+    io.to('room-list').emit('roomCreated', room);
+  }
+};
+
+// 채팅방 보관 (방장만 가능, 기록은 유지)
+router.post('/:roomId/archive', auth, async (req, res) => {
+  try {
+    const room = await roomService.archiveRoom(req.params.roomId, req.user.id);
+    await invalidateRoomCaches(req.params.roomId);
+    await emitArchiveChange(room, '채팅방이 보관되었습니다. 이제 읽기만 가능합니다.');
+
+    res.json({
+      success: true,
+      data: room
+    });
+  } catch (error) {
+    sendServiceError(res, error, '채팅방을 보관하는데 실패했습니다.');
+  }
+});
+
+// 보관된 채팅방 복원
+router.post('/:roomId/restore', auth, async (req, res) => {
+  try {
+    const room = await roomService.restoreRoom(req.params.roomId, req.user.id);
+    await invalidateRoomCaches(req.params.roomId);
+    await emitArchiveChange(room, '채팅방이 복원되었습니다.');
+
+    res.json({
+      success: true,
+      data: room
+    });
+  } catch (error) {
+    sendServiceError(res, error, '채팅방을 복원하는데 실패했습니다.');
+  }
+});
+
 // 채팅방 삭제
 router.delete('/:roomId', auth, async (req, res) => {
   try {
@@ -385,16 +1022,15 @@ router.delete('/:roomId', auth, async (req, res) => {
       });
     }
 
-    // 방 생성자만 삭제할 수 있도록 권한 확인
-    if (room.creator.toString() !== req.user.id) {
+    // 방장만 삭제할 수 있도록 권한 확인
+    if (!hasRoomPermission(room, req.user.id, 'deleteRoom')) {
       return res.status(403).json({
         success: false,
-        message: '채팅방을 삭제할 권한이 없습니다. 방 생성자만 삭제할 수 있습니다.'
+        message: '채팅방을 삭제할 권한이 없습니다. 방장만 삭제할 수 있습니다.'
       });
     }
 
     // 채팅방의 모든 메시지 조회
-    const Message = require('../../models/Message');
     const messages = await Message.find({ room: room._id });
     
     // 파일 메시지에서 파일 ID 추출
@@ -410,13 +1046,19 @@ router.delete('/:roomId', auth, async (req, res) => {
 
     // 메시지 삭제
     await Message.deleteMany({ room: room._id });
+    await ragService.removeRoom(room._id).catch(error => {
+      console.error('Room RAG removal error:', error);
+    });
 
     // 채팅방 삭제
     await Room.findByIdAndDelete(room._id);
 
     // Socket.IO를 통해 채팅방 삭제 알림
     if (io) {
-      io.to('room-list').emit('roomDeleted', room._id);
+      // 1:1 대화는 공개 목록에 없으므로 목록 구독자에게 알리지 않음
+      if (room.type !== 'direct') {
+        io.to('room-list').emit('roomDeleted', room._id);
+      }
       io.to(room._id).emit('roomDeleted', {
         message: '채팅방이 삭제되었습니다.'
       });
@@ -15,6 +15,24 @@ router.get('/profile',
   userController.getProfile
 );
 
+// 접속 상태 일괄 조회
+router.get('/presence',
+  auth,
+  userController.getPresence
+);
+
+// 알림 설정 조회
+router.get('/notification-settings',
+  auth,
+  userController.getNotificationSettings
+);
+
+// 알림 설정 변경
+router.put('/notification-settings',
+  auth,
+  userController.updateNotificationSettings
+);
+
 // 프로필 업데이트
 router.put('/profile',
   auth,
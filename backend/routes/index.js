@@ -6,6 +6,9 @@ const authRoutes = require('./api/auth');
 const userRoutes = require('./api/users');
 const { router: roomsRouter } = require('./api/rooms');
 const fileRoutes = require('./api/files');
+const messageRoutes = require('./api/message');
+const notificationRoutes = require('./api/notifications');
+const aiPersonaRoutes = require('./api/aiPersonas');
 
 // API documentation route
 router.get('/', (req, res) => {
@@ -24,9 +27,84 @@ router.get('/', (req, res) => {
           refreshToken: { method: 'POST', path: '/refresh-token' }
         }
       },
-      users: '/users',
-      rooms: '/rooms',
+      users: {
+        base: '/users',
+        routes: {
+          presence: { method: 'GET', path: '/presence', query: ['ids'] },
+          notificationSettings: { method: 'GET', path: '/notification-settings' },
+          updateNotificationSettings: {
+            method: 'PUT',
+            path: '/notification-settings',
+            body: ['events', 'mutedRooms', 'doNotDisturb']
+          }
+        }
+      },
+      rooms: {
+        base: '/rooms',
+        routes: {
+          directList: { method: 'GET', path: '/direct' },
+          directOpen: { method: 'POST', path: '/direct', body: ['userId'] },
+          archived: { method: 'GET', path: '/archived' },
+          archive: { method: 'POST', path: '/:roomId/archive' },
+          restore: { method: 'POST', path: '/:roomId/restore' },
+          invitePreview: { method: 'GET', path: '/invites/:token' },
+          joinByInvite: { method: 'POST', path: '/join-by-invite/:token' },
+          updateSettings: {
+            method: 'PATCH',
+            path: '/:roomId',
+            body: ['name', 'description', 'visibility', 'maxParticipants', 'announcementOnly', 'slowModeSeconds', 'password', 'removePassword']
+          },
+          messages: { method: 'GET', path: '/:roomId/messages', query: ['before', 'after', 'limit'] },
+          pins: { method: 'GET', path: '/:roomId/pins' },
+          roles: { method: 'GET', path: '/:roomId/roles' },
+          promote: { method: 'PUT', path: '/:roomId/moderators/:userId' },
+          demote: { method: 'DELETE', path: '/:roomId/moderators/:userId' },
+          transferOwnership: { method: 'POST', path: '/:roomId/transfer-ownership', body: ['userId'] },
+          kick: { method: 'POST', path: '/:roomId/members/:userId/kick', body: ['reason'] },
+          bans: { method: 'GET', path: '/:roomId/bans' },
+          ban: { method: 'POST', path: '/:roomId/bans', body: ['userId', 'reason'] },
+          unban: { method: 'DELETE', path: '/:roomId/bans/:userId' },
+          mute: { method: 'POST', path: '/:roomId/mutes', body: ['userId', 'duration', 'reason'] },
+          unmute: { method: 'DELETE', path: '/:roomId/mutes/:userId' },
+          invites: { method: 'GET', path: '/:roomId/invites' },
+          createInvite: { method: 'POST', path: '/:roomId/invites', body: ['expiresInHours', 'maxUses'] },
+          revokeInvite: { method: 'DELETE', path: '/:roomId/invites/:inviteId' },
+          moderationLog: { method: 'GET', path: '/:roomId/moderation-log', query: ['before', 'limit'] }
+        }
+      },
       files: '/files',
+      messages: {
+        base: '/messages',
+        routes: {
+          search: { method: 'GET', path: '/search' },
+          edit: { method: 'PUT', path: '/:messageId' },
+          delete: { method: 'DELETE', path: '/:messageId' }
+        }
+      },
+      notifications: {
+        base: '/notifications',
+        routes: {
+          list: { method: 'GET', path: '/', query: ['before', 'limit', 'unreadOnly'] },
+          unreadCount: { method: 'GET', path: '/unread-count' },
+          markRead: { method: 'PUT', path: '/:notificationId/read' },
+          markAllRead: { method: 'PUT', path: '/read-all' }
+        }
+      },
+      aiPersonas: {
+        base: '/ai-personas',
+        routes: {
+          list: { method: 'GET', path: '/', query: ['roomId'] },
+          listAll: { method: 'GET', path: '/all', admin: true },
+          create: {
+            method: 'POST',
+            path: '/',
+            admin: true,
+            body: ['handle', 'name', 'description', 'avatar', 'systemPrompt', 'provider', 'model', 'temperature', 'allowedRooms', 'isActive']
+          },
+          update: { method: 'PUT', path: '/:personaId', admin: true },
+          delete: { method: 'DELETE', path: '/:personaId', admin: true }
+        }
+      },
       ai: '/ai'
     }
   });
@@ -37,5 +115,8 @@ router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
 router.use('/rooms', roomsRouter);  // roomsRouter로 변경
 router.use('/files', fileRoutes);
+router.use('/messages', messageRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/ai-personas', aiPersonaRoutes);
 
 module.exports = router;
\ No newline at end of file
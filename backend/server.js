@@ -42,7 +42,7 @@ const corsOptions = {
     'https://0.0.0.0:3000'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: [
     'Content-Type', 
     'Authorization', 
@@ -204,6 +204,9 @@ const pubClient = createClient({ host: 'localhost', port: 6379 });
 const subClient = pubClient.duplicate();
 io.adapter(createAdapter(pubClient, subClient));
 
+// REST 컨트롤러에서 소켓 브로드캐스트를 위해 io 공유
+app.set('io', io);
+
 require('./sockets/chat')(io);
 if (typeof initializeSocket === 'function') initializeSocket(io);
 
@@ -261,6 +264,14 @@ async function startServer() {
     } catch (error) {
       console.warn('⚠️  DB 최적화 건너뜀:', error.message);
     }
+
+    // 기본 AI 페르소나 준비 (이미 있으면 그대로 둠)
+    try {
+      const aiPersonaService = require('./services/aiPersonaService');
+      await aiPersonaService.ensureDefaultPersonas();
+    } catch (error) {
+      console.warn('⚠️  기본 AI 페르소나 생성 실패:', error.message);
+    }
     
     server.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 서버가 포트 ${PORT}에서 실행 중입니다.`);
@@ -0,0 +1,271 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const cache = require('./simpleCache');
+const llmProviders = require('./llm');
+const { context: contextConfig } = require('../config/aiProviders');
+
+const SUMMARY_CACHE_TTL = 24 * 60 * 60; // 1일
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const SUMMARY_LINE_LENGTH = 500;
+const FALLBACK_LINE_LENGTH = 80;
+
+const SUMMARY_PROMPT = `당신은 채팅 기록을 요약하는 도우미입니다.
+주어진 대화를 이후 답변에 필요한 사실, 결정, 질문 위주로 간결하게 요약하세요.
+누가 무엇을 말했는지 이름을 남기고, 기존 요약이 있으면 새 대화 내용과 합쳐 하나의 요약으로 작성하세요.
+요약만 출력하세요.`;
+
+// 대략적인 토큰 수 추정 (영문/숫자는 4자당 1토큰, 한글 등은 글자당 1토큰)
+const estimateTokens = (text = '') => {
+  let ascii = 0;
+  let other = 0;
+
+  for (const char of text) {
+    if (char.charCodeAt(0) < 128) {
+      ascii += 1;
+    } else {
+      other += 1;
+    }
+  }
+
+  return Math.ceil(ascii / 4) + other;
+};
+
+// 예산을 넘으면 자른다 (keepEnd면 뒤쪽, 즉 최근 내용을 남김)
+const truncateToTokens = (text = '', maxTokens, keepEnd = false) => {
+  if (estimateTokens(text) <= maxTokens) return text;
+
+  const chars = Array.from(text);
+  if (keepEnd) chars.reverse();
+
+  const kept = [];
+  let used = 0;
+  for (const char of chars) {
+    used += char.charCodeAt(0) < 128 ? 0.25 : 1;
+    if (used > maxTokens) break;
+    kept.push(char);
+  }
+
+  return keepEnd ? `…${kept.reverse().join('')}` : `${kept.join('')}…`;
+};
+
+const truncate = (text = '', length) => (
+  text.length > length ? `${text.slice(0, length)}…` : text
+);
+
+const getTurnTokens = (turn) => estimateTokens(turn.content) + MESSAGE_OVERHEAD_TOKENS;
+
+// 여러 사람이 참여하는 대화이므로 사용자 메시지에는 보낸 사람을 붙인다
+const formatUserContent = (name, content) => `[${name || '알 수 없음'}] ${content}`;
+
+const MESSAGE_POPULATE = [
+  { path: 'sender', select: 'name' },
+  { path: 'file', select: 'originalname' }
+];
+
+// AI 응답에 함께 보낼 이전 대화 구성
+class AIContextService {
+  // 저장된 메시지를 제공자 메시지(user/assistant)로 변환 (답변할 AI의 메시지만 assistant)
+  toTurn(message, aiType) {
+    if (message.type === 'ai') {
+      return {
+        role: message.aiType === aiType ? 'assistant' : 'user',
+        content: message.aiType === aiType
+          ? message.content
+          : formatUserContent(message.aiType, message.content),
+        timestamp: message.timestamp
+      };
+    }
+
+    const content = message.type === 'file'
+      ? `(파일 공유: ${message.file?.originalname || '파일'}) ${message.content || ''}`.trim()
+      : message.content;
+
+    return {
+      role: 'user',
+      content: formatUserContent(message.sender?.name, content),
+      timestamp: message.timestamp
+    };
+  }
+
+  // 메인 채팅의 최근 메시지 (스레드 답글과 시스템 메시지 제외)
+  // beforeMessage: 이 메시지를 제외하고 그 시점까지의 대화만 사용 (질문 메시지 또는 다시 생성할 답변)
+  async getRecentHistory(roomId, beforeMessage) {
+    const query = {
+      room: roomId,
+      parentMessage: null,
+      isDeleted: false,
+      type: { $ne: 'system' }
+    };
+
+    if (beforeMessage) {
+      query._id = { $ne: beforeMessage._id };
+      query.timestamp = { $lte: beforeMessage.timestamp };
+    }
+
+    const messages = await Message.find(query)
+      .sort({ timestamp: -1 })
+      .limit(contextConfig.historyLimit)
+      .populate(MESSAGE_POPULATE)
+      .lean();
+
+    return messages.reverse();
+  }
+
+  // 답장한 AI 메시지부터 질문 메시지(triggerMessage)와 인용(replyTo)을 거슬러 올라간 대화
+  async getReplyChain(roomId, aiMessageId) {
+    const chain = [];
+    const visited = new Set();
+    let currentId = aiMessageId;
+
+    while (currentId && chain.length < contextConfig.replyChainLimit) {
+      const key = currentId.toString();
+      if (visited.has(key) || !mongoose.Types.ObjectId.isValid(key)) break;
+      visited.add(key);
+
+      const message = await Message.findOne({
+        _id: key,
+        room: roomId,
+        isDeleted: false
+      })
+        .populate(MESSAGE_POPULATE)
+        .lean();
+
+      if (!message) break;
+      chain.unshift(message);
+
+      currentId = message.type === 'ai' ? message.metadata?.triggerMessage : message.replyTo;
+
+      // 질문 메시지가 기록되지 않은 이전 AI 응답은 저장된 질문으로 대신한다
+      if (message.type === 'ai' && !currentId && message.metadata?.query) {
+        chain.unshift({
+          type: 'text',
+          content: message.metadata.query,
+          timestamp: message.timestamp
+        });
+      }
+    }
+
+    return chain;
+  }
+
+  /**
+   * AI 응답 맥락 구성
+   * - AI 메시지에 답장하면 그 대화만, 아니면 채팅방 최근 대화를 사용
+   * - 토큰 예산을 넘는 이전 대화는 요약으로 대체
+   * - historyBefore: 최근 대화의 기준 메시지 (기본값은 질문 메시지)
+   * - signal: 응답이 중지되면 요약 요청도 함께 중단
+   */
+  async buildContext({
+    roomId,
+    persona,
+    triggerMessage,
+    query,
+    replyTarget = null,
+    historyBefore = triggerMessage,
+    signal
+  }) {
+    const aiType = persona.handle;
+    const history = replyTarget
+      ? await this.getReplyChain(roomId, replyTarget)
+      : await this.getRecentHistory(roomId, historyBefore);
+
+    const turns = history.map(message => this.toTurn(message, aiType));
+    const currentTurn = {
+      role: 'user',
+      content: formatUserContent(triggerMessage?.sender?.name, query)
+    };
+
+    const budget = contextConfig.maxTokens - getTurnTokens(currentTurn);
+    let splitIndex = this.findSplitIndex(turns, budget);
+    let summary = null;
+
+    if (splitIndex > 0) {
+      // 요약이 들어갈 자리를 남기고 최근 대화를 다시 고른다
+      splitIndex = this.findSplitIndex(turns, budget - contextConfig.summaryMaxTokens);
+      const scope = replyTarget
+        ? `reply:${history[0]?._id || replyTarget}`
+        : `room:${roomId}`;
+      summary = await this.summarize(scope, turns.slice(0, splitIndex), persona, { signal });
+    }
+
+    const messages = [...turns.slice(splitIndex), currentTurn]
+      .map(({ role, content }) => ({ role, content }));
+
+    return { messages, summary };
+  }
+
+  // 예산 안에 들어가는 가장 오래된 최근 대화의 위치 (그 이전은 요약 대상)
+  findSplitIndex(turns, budget) {
+    let used = 0;
+    let index = turns.length;
+
+    while (index > 0) {
+      const tokens = getTurnTokens(turns[index - 1]);
+      if (used + tokens > budget) break;
+      used += tokens;
+      index -= 1;
+    }
+
+    return index;
+  }
+
+  toTranscript(turns, aiType, lineLength) {
+    return turns
+      .map(turn => truncate(
+        turn.role === 'assistant' ? formatUserContent(aiType, turn.content) : turn.content,
+        lineLength
+      ))
+      .join('\n');
+  }
+
+  // 이전 요약에 새로 밀려난 대화만 더해 갱신 (요약 실패 시 발췌 요약)
+  // 페르소나마다 자기 답변을 기준으로 요약하므로 캐시도 페르소나별로 분리
+  async summarize(scope, turns, persona, { signal } = {}) {
+    if (turns.length === 0) return null;
+
+    const aiType = persona.handle;
+    const cacheKey = `ai:context-summary:${aiType}:${scope}`;
+    const cached = await cache.get(cacheKey);
+    const coveredUntil = turns[turns.length - 1].timestamp;
+
+    if (cached?.coveredUntil && new Date(cached.coveredUntil) >= new Date(coveredUntil)) {
+      return cached.summary;
+    }
+
+    const pending = cached?.coveredUntil
+      ? turns.filter(turn => new Date(turn.timestamp) > new Date(cached.coveredUntil))
+      : turns;
+
+    let summary = null;
+    try {
+      const previous = cached?.summary ? `기존 요약:\n${cached.summary}\n\n` : '';
+      summary = await llmProviders.complete(persona, {
+        system: SUMMARY_PROMPT,
+        messages: [{
+          role: 'user',
+          content: `${previous}새 대화:\n${this.toTranscript(pending, aiType, SUMMARY_LINE_LENGTH)}`
+        }],
+        maxTokens: contextConfig.summaryMaxTokens,
+        signal
+      });
+    } catch (error) {
+      // 응답이 중지된 경우 요약을 저장하지 않고 넘어감
+      if (signal?.aborted) return null;
+      console.error('AI context summary error:', error);
+    }
+
+    summary = summary
+      ? truncateToTokens(summary, contextConfig.summaryMaxTokens)
+      : truncateToTokens(
+        [cached?.summary, this.toTranscript(pending, aiType, FALLBACK_LINE_LENGTH)].filter(Boolean).join('\n'),
+        contextConfig.summaryMaxTokens,
+        true
+      );
+
+    await cache.set(cacheKey, { summary, coveredUntil }, SUMMARY_CACHE_TTL);
+
+    return summary;
+  }
+}
+
+module.exports = new AIContextService();
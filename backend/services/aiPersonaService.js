@@ -0,0 +1,198 @@
+const mongoose = require('mongoose');
+const AIPersona = require('../models/AIPersona');
+const roomService = require('./roomService');
+const aiProviders = require('../config/aiProviders');
+const { createError } = require('../utils/serviceError');
+
+const EDITABLE_FIELDS = [
+  'handle',
+  'name',
+  'description',
+  'avatar',
+  'systemPrompt',
+  'provider',
+  'model',
+  'temperature',
+  'allowedRooms',
+  'isActive'
+];
+const HANDLE_MENTION_PATTERN = /@([A-Za-z][A-Za-z0-9_]*)\b/g;
+
+// 처음 실행할 때 만들어 두는 기본 페르소나 (이후에는 관리자 API로 관리)
+const DEFAULT_PERSONAS = [
+  {
+    handle: 'wayneAI',
+    name: 'Wayne AI',
+    description: '친절하고 도움이 되는 어시스턴트',
+    systemPrompt: `당신은 Wayne AI입니다.
+역할: 친절하고 도움이 되는 어시스턴트
+특성: 전문적이고 통찰력 있는 답변을 제공하며, 사용자의 질문을 깊이 이해하고 명확한 설명을 제공합니다.
+톤: 전문적이면서도 친근한 톤`
+  },
+  {
+    handle: 'consultingAI',
+    name: 'Consulting AI',
+    description: '비즈니스 컨설팅 전문가',
+    systemPrompt: `당신은 Consulting AI입니다.
+역할: 비즈니스 컨설팅 전문가
+특성: 비즈니스 전략, 시장 분석, 조직 관리에 대한 전문적인 조언을 제공합니다.
+톤: 전문적이고 분석적인 톤`
+  }
+];
+
+class AIPersonaService {
+  async ensureDefaultPersonas() {
+    await Promise.all(DEFAULT_PERSONAS.map(persona =>
+      AIPersona.updateOne(
+        { handle: persona.handle },
+        { $setOnInsert: persona },
+        { upsert: true }
+      )
+    ));
+  }
+
+  // 채팅방에서 사용할 수 있는 페르소나 조건 (allowedRooms가 비어 있으면 전체 허용)
+  getAvailableQuery(roomId) {
+    const roomFilter = [{ allowedRooms: { $size: 0 } }];
+    if (roomId) {
+      roomFilter.push({ allowedRooms: roomId.toString() });
+    }
+
+    return { isActive: true, $or: roomFilter };
+  }
+
+  // 사용자에게 보여줄 정보 (프롬프트와 모델 설정 제외)
+  toPublic(persona) {
+    return {
+      _id: persona._id,
+      handle: persona.handle,
+      name: persona.name,
+      description: persona.description,
+      avatar: persona.avatar
+    };
+  }
+
+  async listAvailable(roomId, userId) {
+    if (roomId) {
+      await roomService.getParticipantRoom(roomId, userId, '_id');
+    }
+
+    const personas = await AIPersona.find(this.getAvailableQuery(roomId))
+      .sort({ createdAt: 1 })
+      .lean();
+
+    return personas.map(persona => this.toPublic(persona));
+  }
+
+  async getAvailable(handle, roomId) {
+    if (!handle) return null;
+    return AIPersona.findOne({ handle, ...this.getAvailableQuery(roomId) }).lean();
+  }
+
+  // 메시지에서 채팅방에 허용된 페르소나 멘션 추출 (처음 언급된 순서)
+  async extractMentions(content, roomId) {
+    if (!content) return [];
+
+    const handles = [];
+    for (const match of content.matchAll(HANDLE_MENTION_PATTERN)) {
+      if (!handles.includes(match[1])) {
+        handles.push(match[1]);
+      }
+    }
+    if (handles.length === 0) return [];
+
+    const personas = await AIPersona.find({
+      handle: { $in: handles },
+      ...this.getAvailableQuery(roomId)
+    }).lean();
+
+    return handles
+      .map(handle => personas.find(persona => persona.handle === handle))
+      .filter(Boolean);
+  }
+
+  async listAll() {
+    return AIPersona.find().sort({ createdAt: 1 }).lean();
+  }
+
+  // 입력값 중 수정 가능한 항목만 골라 확인
+  sanitize(data = {}) {
+    const updates = {};
+    EDITABLE_FIELDS.forEach(field => {
+      if (data[field] !== undefined) {
+        updates[field] = data[field];
+      }
+    });
+
+    if (updates.provider && !aiProviders.providers[updates.provider]) {
+      throw createError(400, 'INVALID_AI_PERSONA', `알 수 없는 AI 제공자입니다: ${updates.provider}`);
+    }
+
+    if (updates.allowedRooms !== undefined) {
+      if (!Array.isArray(updates.allowedRooms) ||
+        updates.allowedRooms.some(roomId => !mongoose.Types.ObjectId.isValid(roomId))) {
+        throw createError(400, 'INVALID_AI_PERSONA', '허용 채팅방 목록이 올바르지 않습니다.');
+      }
+      updates.allowedRooms = [...new Set(updates.allowedRooms.map(String))];
+    }
+
+    return updates;
+  }
+
+  // 스키마 검증 오류와 핸들 중복을 서비스 오류로 변환
+  toServiceError(error) {
+    if (error.name === 'ValidationError') {
+      const message = Object.values(error.errors)[0]?.message || '페르소나 정보가 올바르지 않습니다.';
+      return createError(400, 'INVALID_AI_PERSONA', message);
+    }
+    if (error.code === 11000) {
+      return createError(409, 'AI_PERSONA_HANDLE_TAKEN', '이미 사용 중인 핸들입니다.');
+    }
+    return error;
+  }
+
+  async getPersona(personaId) {
+    if (!mongoose.Types.ObjectId.isValid(personaId)) {
+      throw createError(400, 'INVALID_AI_PERSONA_ID', '올바른 페르소나 ID가 필요합니다.');
+    }
+
+    const persona = await AIPersona.findById(personaId);
+    if (!persona) {
+      throw createError(404, 'AI_PERSONA_NOT_FOUND', '페르소나를 찾을 수 없습니다.');
+    }
+    return persona;
+  }
+
+  async createPersona(data, userId) {
+    try {
+      const persona = await AIPersona.create({
+        ...this.sanitize(data),
+        createdBy: userId
+      });
+      return persona.toObject();
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+  }
+
+  async updatePersona(personaId, data) {
+    const persona = await this.getPersona(personaId);
+    persona.set(this.sanitize(data));
+
+    try {
+      await persona.save();
+      return persona.toObject();
+    } catch (error) {
+      throw this.toServiceError(error);
+    }
+  }
+
+  // 이미 저장된 AI 메시지는 핸들로 남아 있음
+  async deletePersona(personaId) {
+    const persona = await this.getPersona(personaId);
+    await persona.deleteOne();
+    return persona._id;
+  }
+}
+
+module.exports = new AIPersonaService();
@@ -1,129 +1,92 @@
-const axios = require('axios');
-const { openaiApiKey } = require('../config/keys');
+const llmProviders = require('./llm');
 
-class AIService {
-  constructor() {
-    this.openaiClient = axios.create({
-      baseURL: 'https://api.openai.com/v1',
-      headers: {
-        'Authorization': `Bearer ${openaiApiKey}`,
-        'Content-Type': 'application/json'
-      }
-    });
-  }
+// 모든 페르소나 공통 답변 지침
+const RESPONSE_GUIDELINES = `답변 시 주의사항:
+1. 명확하고 이해하기 쉬운 언어로 답변하세요.
+2. 정확하지 않은 정보는 제공하지 마세요.
+3. 필요한 경우 예시를 들어 설명하세요.
+4. 위에서 정한 역할과 톤을 유지하세요.
+5. 여러 사람이 참여하는 채팅방입니다. 사용자 메시지는 "[보낸 사람] 내용" 형식이니 누가 말했는지 구분해서 답하되, 답변에는 이 형식을 쓰지 마세요.`;
 
-  async generateResponse(message, persona = 'wayneAI', callbacks) {
-    try {
-      const aiPersona = {
-        wayneAI: {
-          name: 'Wayne AI',
-          role: '친절하고 도움이 되는 어시스턴트',
-          traits: '전문적이고 통찰력 있는 답변을 제공하며, 사용자의 질문을 깊이 이해하고 명확한 설명을 제공합니다.',
-          tone: '전문적이면서도 친근한 톤',
-        },
-        consultingAI: {
-          name: 'Consulting AI',
-          role: '비즈니스 컨설팅 전문가',
-          traits: '비즈니스 전략, 시장 분석, 조직 관리에 대한 전문적인 조언을 제공합니다.',
-          tone: '전문적이고 분석적인 톤',
-        }
-      }[persona];
+// 채팅방 공유 파일에서 찾은 참고 자료 (번호로 인용하도록 안내)
+const formatSources = (sources) => `참고 자료 (채팅방에 공유된 파일):
+${sources.map((source, index) => `[${index + 1}] ${source.fileName}\n${source.text}`).join('\n\n')}
+
+참고 자료의 내용을 사용했다면 해당 문장 끝에 [1]처럼 자료 번호를 붙이세요. 질문과 관련 없는 자료는 무시하세요.`;
 
-      if (!aiPersona) {
+class AIService {
+  // persona: AIPersona 문서, context: 이전 대화(messages, summary), 참고 자료(sources), 중지 신호(signal)
+  async generateResponse(message, persona, callbacks, context = {}) {
+    try {
+      if (!persona?.systemPrompt) {
         throw new Error('Unknown AI persona');
       }
 
-      const systemPrompt = `당신은 ${aiPersona.name}입니다.
-역할: ${aiPersona.role}
-특성: ${aiPersona.traits}
-톤: ${aiPersona.tone}
+      const systemPrompt = `${persona.systemPrompt}\n\n${RESPONSE_GUIDELINES}`;
 
-답변 시 주의사항:
-1. 명확하고 이해하기 쉬운 언어로 답변하세요.
-2. 정확하지 않은 정보는 제공하지 마세요.
-3. 필요한 경우 예시를 들어 설명하세요.
-4. ${aiPersona.tone}을 유지하세요.`;
+      const system = [
+        systemPrompt,
+        context.summary && `이전 대화 요약:\n${context.summary}`,
+        context.sources?.length && formatSources(context.sources)
+      ].filter(Boolean).join('\n\n');
 
-      callbacks.onStart();
+      const { provider, providerName, model, temperature } = llmProviders.resolve(persona);
 
-      const response = await this.openaiClient.post('/chat/completions', {
-        model: 'gpt-4',
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: message }
-        ],
-        temperature: 0.7,
-        stream: true
-      }, {
-        responseType: 'stream'
-      });
+      callbacks.onStart();
 
       let fullResponse = '';
       let isCodeBlock = false;
-      let buffer = '';
-
-      return new Promise((resolve, reject) => {
-        response.data.on('data', async chunk => {
-          try {
-            // 청크 데이터를 문자열로 변환하고 버퍼에 추가
-            buffer += chunk.toString();
-
-            // 완전한 JSON 객체를 찾아 처리
-            while (true) {
-              const newlineIndex = buffer.indexOf('\n');
-              if (newlineIndex === -1) break;
-
-              const line = buffer.slice(0, newlineIndex).trim();
-              buffer = buffer.slice(newlineIndex + 1);
-
-              if (line === '') continue;
-              if (line === 'data: [DONE]') {
-                callbacks.onComplete({
-                  content: fullResponse.trim()
-                });
-                resolve(fullResponse.trim());
-                return;
-              }
-
-              if (line.startsWith('data: ')) {
-                try {
-                  const data = JSON.parse(line.slice(6));
-                  const content = data.choices[0]?.delta?.content;
-                  
-                  if (content) {
-                    // 코드 블록 상태 업데이트
-                    if (content.includes('```')) {
-                      isCodeBlock = !isCodeBlock;
-                    }
-
-                    // 현재 청크만 전송
-                    await callbacks.onChunk({
-                      currentChunk: content,
-                      isCodeBlock
-                    });
-
-                    // 전체 응답은 서버에서만 관리
-                    fullResponse += content;
-                  }
-                } catch (err) {
-                  console.error('JSON parsing error:', err);
-                }
-              }
-            }
-          } catch (error) {
-            console.error('Stream processing error:', error);
-            callbacks.onError(error);
-            reject(error);
+      const usage = {};
+
+      try {
+        // 제공자와 관계없이 텍스트 조각/사용량 이벤트로 통일된 스트림
+        for await (const event of provider.streamChat({
+          model,
+          system,
+          messages: context.messages || [{ role: 'user', content: message }],
+          temperature,
+          signal: context.signal
+        })) {
+          if (context.signal?.aborted) break;
+
+          if (event.type === 'usage') {
+            usage.completionTokens = event.completionTokens;
+            usage.totalTokens = event.totalTokens;
+            continue;
+          }
+
+          if (!event.text) continue;
+
+          // 코드 블록 상태 업데이트
+          if (event.text.includes('```')) {
+            isCodeBlock = !isCodeBlock;
           }
-        });
 
-        response.data.on('error', error => {
-          console.error('Stream error:', error);
-          callbacks.onError(error);
-          reject(error);
-        });
+          // 현재 청크만 전송
+          await callbacks.onChunk({
+            currentChunk: event.text,
+            isCodeBlock
+          });
+
+          // 전체 응답은 서버에서만 관리
+          fullResponse += event.text;
+        }
+      } catch (error) {
+        // 중지 요청으로 끊긴 경우 지금까지 받은 내용으로 마무리
+        if (!context.signal?.aborted) throw error;
+      }
+
+      const cancelled = !!context.signal?.aborted;
+
+      await callbacks.onComplete({
+        content: fullResponse.trim(),
+        provider: providerName,
+        cancelled,
+        ...usage
       });
 
+      return fullResponse.trim();
+
     } catch (error) {
       console.error('AI response generation error:', error);
       callbacks.onError(error);
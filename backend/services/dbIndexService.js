@@ -104,6 +104,14 @@ class DBIndexService {
   // 메시지 인덱스
   async createMessageIndexes() {
     console.log('💬 Message 인덱스 생성 중...');
+
+    // 텍스트 인덱스는 컬렉션당 하나뿐이라 이전 텍스트 인덱스(기본 언어 처리)가 있으면 먼저 삭제
+    const existingIndexes = await Message.collection.listIndexes().toArray().catch(() => []);
+    for (const index of existingIndexes) {
+      if (index.key?._fts === 'text' && index.name !== 'message_content_text') {
+        await Message.collection.dropIndex(index.name);
+      }
+    }
     
     await Message.collection.createIndexes([
       // 방별 메시지 조회 (가장 중요!)
@@ -121,8 +129,8 @@ class DBIndexService {
       // 파일 메시지 조회
       { key: { type: 1, 'file.fileType': 1, createdAt: -1 }, name: 'file_messages' },
       
-      // 텍스트 검색용
-      { key: { content: 'text' }, name: 'message_text_search' },
+      // 텍스트 검색용 (언어 처리 없이 토큰 단위 일치, 부분 단어 검색은 지원하지 않음)
+      { key: { content: 'text' }, name: 'message_content_text', default_language: 'none' },
       
       // 읽음 상태 조회
       { key: { 'readBy.user': 1, room: 1 }, name: 'read_status' },
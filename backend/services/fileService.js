@@ -1,19 +1,21 @@
-const fs = require('fs');
+const fs = require('fs').promises;
 const pdfParse = require('pdf-parse');
 
-exports.processFileForRAG = async (filePath) => {
-  let textContent = '';
+// 텍스트를 추출할 수 있는 파일 형식
+const TEXT_EXTRACTABLE_TYPES = ['application/pdf', 'text/plain', 'text/markdown'];
+
+exports.isTextExtractable = (mimetype) => TEXT_EXTRACTABLE_TYPES.includes(mimetype);
+
+// 업로드된 PDF/텍스트 파일의 본문 추출
+exports.extractText = async (filePath, mimetype) => {
+  const dataBuffer = await fs.readFile(filePath);
 
   // PDF 파일 처리
-  if (filePath.endsWith('.pdf')) {
-    const dataBuffer = fs.readFileSync(filePath);
+  if (mimetype === 'application/pdf') {
     const pdfData = await pdfParse(dataBuffer);
-    textContent = pdfData.text;
-  } else {
-    // 텍스트 파일 처리
-    textContent = fs.readFileSync(filePath, 'utf-8');
+    return pdfData.text || '';
   }
 
-  // 텍스트를 벡터화하여 벡터 DB에 저장
-  await vectorDB.storeDocument(textContent);
-};
\ No newline at end of file
+  // 텍스트 파일 처리
+  return dataBuffer.toString('utf-8');
+};
@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const RoomInvite = require('../models/RoomInvite');
+const roomService = require('./roomService');
+const { createError } = require('../utils/serviceError');
+
+const INVITE_TOKEN_BYTES = 18;
+const MAX_INVITE_HOURS = 30 * 24; // 초대 링크 최대 유효 기간 (30일)
+const MAX_INVITE_USES = 1000;
+const MAX_ACTIVE_INVITES = 20; // 채팅방당 사용 가능한 초대 링크 수
+
+class InviteService {
+  // 초대 링크 관리 권한 확인 (방장만 가능)
+  async getManageableRoom(roomId, userId) {
+    const room = await roomService.getParticipantRoom(roomId, userId, '_id type creator moderators');
+
+    if (room.type === 'direct') {
+      throw createError(400, 'DIRECT_ROOM_INVITE', '1:1 대화에는 초대 링크를 만들 수 없습니다.');
+    }
+
+    roomService.assertPermission(room, userId, 'manageInvites', 'INVITE_NOT_ALLOWED', '방장만 초대 링크를 관리할 수 있습니다.');
+    return room;
+  }
+
+  parseLimit(value, max, code, message) {
+    if (value === undefined || value === null || value === '') return null;
+
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1 || number > max) {
+      throw createError(400, code, message);
+    }
+    return number;
+  }
+
+  // 초대 링크 생성 (expiresInHours, maxUses는 선택)
+  async createInvite(roomId, userId, { expiresInHours, maxUses } = {}) {
+    await this.getManageableRoom(roomId, userId);
+
+    const hours = this.parseLimit(expiresInHours, MAX_INVITE_HOURS, 'INVALID_INVITE_EXPIRY', `유효 기간은 1시간에서 ${MAX_INVITE_HOURS}시간 사이여야 합니다.`);
+    const uses = this.parseLimit(maxUses, MAX_INVITE_USES, 'INVALID_INVITE_MAX_USES', `사용 횟수는 1회에서 ${MAX_INVITE_USES}회 사이여야 합니다.`);
+
+    const activeCount = await RoomInvite.countDocuments({
+      room: roomId,
+      revokedAt: null,
+      $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    });
+    if (activeCount >= MAX_ACTIVE_INVITES) {
+      throw createError(400, 'TOO_MANY_INVITES', `초대 링크는 최대 ${MAX_ACTIVE_INVITES}개까지 만들 수 있습니다.`);
+    }
+
+    const invite = await RoomInvite.create({
+      token: crypto.randomBytes(INVITE_TOKEN_BYTES).toString('base64url'),
+      room: roomId,
+      createdBy: userId,
+      expiresAt: hours ? new Date(Date.now() + hours * 60 * 60 * 1000) : null,
+      maxUses: uses
+    });
+
+    return this.toPayload(invite);
+  }
+
+  // 초대 링크 목록 (사용 가능한 링크 우선, 최신순)
+  async getInvites(roomId, userId) {
+    await this.getManageableRoom(roomId, userId);
+
+    const invites = await RoomInvite.find({ room: roomId, revokedAt: null })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name');
+
+    return invites
+      .map(invite => this.toPayload(invite))
+      .sort((a, b) => Number(b.isUsable) - Number(a.isUsable));
+  }
+
+  // 초대 링크 폐기
+  async revokeInvite(roomId, inviteId, userId) {
+    await this.getManageableRoom(roomId, userId);
+
+    if (!inviteId || !mongoose.Types.ObjectId.isValid(inviteId)) {
+      throw createError(400, 'INVALID_INVITE_ID', '올바른 초대 링크 ID가 필요합니다.');
+    }
+
+    const invite = await RoomInvite.findOneAndUpdate(
+      { _id: inviteId, room: roomId, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!invite) {
+      throw createError(404, 'INVITE_NOT_FOUND', '초대 링크를 찾을 수 없습니다.');
+    }
+
+    return this.toPayload(invite);
+  }
+
+  async findUsableInvite(token) {
+    const invite = typeof token === 'string' && token
+      ? await RoomInvite.findOne({ token })
+      : null;
+
+    if (!invite || invite.revokedAt) {
+      throw createError(404, 'INVITE_NOT_FOUND', '유효하지 않은 초대 링크입니다.');
+    }
+    if (!invite.isUsable()) {
+      throw createError(410, 'INVITE_EXPIRED', '만료되었거나 사용 횟수를 초과한 초대 링크입니다.');
+    }
+
+    const room = await Room.findById(invite.room)
+      .select('name type hasPassword participants bans maxParticipants archivedAt')
+      .lean();
+
+    if (!room || room.type === 'direct') {
+      throw createError(404, 'ROOM_NOT_FOUND', '채팅방을 찾을 수 없습니다.');
+    }
+    if (room.archivedAt) {
+      throw createError(410, 'ROOM_ARCHIVED', '보관된 채팅방에는 새로 입장할 수 없습니다.');
+    }
+
+    return { invite, room };
+  }
+
+  // 초대 링크 미리보기 (입장 전 채팅방 정보)
+  async getInvitePreview(token) {
+    const { invite, room } = await this.findUsableInvite(token);
+
+    return {
+      roomId: room._id,
+      roomName: room.name,
+      hasPassword: room.hasPassword,
+      participantsCount: room.participants?.length || 0,
+      expiresAt: invite.expiresAt
+    };
+  }
+
+  // 초대 링크로 입장 (비밀번호 확인 생략)
+  async joinByInvite(token, userId) {
+    const { invite, room } = await this.findUsableInvite(token);
+
+    if (room.bans?.some(ban => ban.user.toString() === userId.toString())) {
+      throw createError(403, 'USER_BANNED', '채팅방에서 차단되어 입장할 수 없습니다.');
+    }
+
+    // 이미 참여 중이면 사용 횟수를 차감하지 않음
+    const alreadyJoined = room.participants?.some(id => id.toString() === userId.toString());
+
+    if (!alreadyJoined && roomService.isRoomFull(room, userId)) {
+      throw createError(403, 'ROOM_FULL', '채팅방 정원이 가득 찼습니다.');
+    }
+
+    if (!alreadyJoined) {
+      // 동시 사용으로 최대 횟수를 넘지 않도록 조건부 증가
+      const now = new Date();
+      const claimed = await RoomInvite.findOneAndUpdate(
+        {
+          _id: invite._id,
+          revokedAt: null,
+          $and: [
+            { $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }] },
+            { $or: [{ maxUses: null }, { $expr: { $lt: ['$uses', '$maxUses'] } }] }
+          ]
+        },
+        { $inc: { uses: 1 } },
+        { new: true }
+      );
+
+      if (!claimed) {
+        throw createError(410, 'INVITE_EXPIRED', '만료되었거나 사용 횟수를 초과한 초대 링크입니다.');
+      }
+
+      const result = await Room.updateOne(
+        { _id: room._id, ...roomService.getCapacityFilter(userId) },
+        { $addToSet: { participants: userId } }
+      );
+
+      if (result.matchedCount === 0) {
+        // 그 사이 정원이 찬 경우 사용 횟수 복구
+        await RoomInvite.updateOne({ _id: invite._id }, { $inc: { uses: -1 } });
+        throw createError(403, 'ROOM_FULL', '채팅방 정원이 가득 찼습니다.');
+      }
+    }
+
+    const joinedRoom = await Room.findById(room._id)
+      .populate('creator', 'name email')
+      .populate('participants', 'name email profileImage')
+      .lean();
+
+    return { room: joinedRoom, alreadyJoined };
+  }
+
+  toPayload(invite) {
+    return {
+      _id: invite._id,
+      token: invite.token,
+      room: invite.room?._id || invite.room,
+      createdBy: invite.createdBy?.name
+        ? { _id: invite.createdBy._id, name: invite.createdBy.name }
+        : invite.createdBy,
+      expiresAt: invite.expiresAt,
+      maxUses: invite.maxUses,
+      uses: invite.uses,
+      revokedAt: invite.revokedAt,
+      isUsable: invite.isUsable(),
+      createdAt: invite.createdAt
+    };
+  }
+}
+
+module.exports = new InviteService();
@@ -0,0 +1,88 @@
+const axios = require('axios');
+const { readServerSentEvents } = require('./sse');
+
+// Anthropic Messages API 형식 (user/assistant가 번갈아 나와야 하고 user로 시작해야 함)
+const toAlternatingMessages = (messages) => messages.reduce((result, message) => {
+  if (result.length === 0 && message.role !== 'user') return result;
+
+  const last = result[result.length - 1];
+  if (last?.role === message.role) {
+    last.content = `${last.content}\n\n${message.content}`;
+  } else {
+    result.push({ role: message.role, content: message.content });
+  }
+  return result;
+}, []);
+
+class AnthropicProvider {
+  constructor(config) {
+    this.config = config;
+    this.client = axios.create({
+      baseURL: config.baseURL,
+      headers: {
+        'x-api-key': config.apiKey,
+        'anthropic-version': config.apiVersion,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async *streamChat({ model, system, messages, temperature, maxTokens, signal }) {
+    const response = await this.client.post('/messages', {
+      model: model || this.config.model,
+      system,
+      messages: toAlternatingMessages(messages),
+      temperature,
+      max_tokens: maxTokens || this.config.maxTokens,
+      stream: true
+    }, {
+      responseType: 'stream',
+      signal
+    });
+
+    let inputTokens = 0;
+
+    for await (const { event, data } of readServerSentEvents(response.data)) {
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (error) {
+        console.error('Anthropic stream parsing error:', error);
+        continue;
+      }
+
+      switch (event || payload.type) {
+        case 'message_start':
+          inputTokens = payload.message?.usage?.input_tokens || 0;
+          break;
+
+        case 'content_block_delta':
+          if (payload.delta?.type === 'text_delta' && payload.delta.text) {
+            yield { type: 'text', text: payload.delta.text };
+          }
+          break;
+
+        case 'message_delta':
+          if (payload.usage?.output_tokens !== undefined) {
+            yield {
+              type: 'usage',
+              completionTokens: payload.usage.output_tokens,
+              totalTokens: inputTokens + payload.usage.output_tokens
+            };
+          }
+          break;
+
+        case 'message_stop':
+          return;
+
+        case 'error':
+          throw new Error(payload.error?.message || 'AI 제공자 스트림 오류');
+
+        default:
+          break;
+      }
+    }
+  }
+}
+
+module.exports = AnthropicProvider;
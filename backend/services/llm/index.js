@@ -0,0 +1,75 @@
+const aiProviders = require('../../config/aiProviders');
+const { createError } = require('../../utils/serviceError');
+const OpenAIProvider = require('./openaiProvider');
+const AnthropicProvider = require('./anthropicProvider');
+const StubProvider = require('./stubProvider');
+
+const PROVIDER_TYPES = {
+  openai: OpenAIProvider,
+  anthropic: AnthropicProvider,
+  stub: StubProvider
+};
+
+// 설정 이름으로 제공자 인스턴스를 만들어 재사용
+class LLMProviderRegistry {
+  constructor() {
+    this.instances = new Map();
+  }
+
+  getProvider(name) {
+    if (this.instances.has(name)) {
+      return this.instances.get(name);
+    }
+
+    const config = aiProviders.providers[name];
+    const Provider = PROVIDER_TYPES[config?.type];
+    if (!Provider) {
+      throw createError(500, 'AI_PROVIDER_NOT_FOUND', `알 수 없는 AI 제공자입니다: ${name}`);
+    }
+
+    if (config.type !== 'stub' && !config.apiKey) {
+      throw createError(503, 'AI_PROVIDER_NOT_CONFIGURED', `${name} AI 제공자의 API 키가 설정되지 않았습니다.`);
+    }
+
+    const provider = new Provider(config);
+    this.instances.set(name, provider);
+    return provider;
+  }
+
+  // 페르소나(AIPersona 문서 또는 핸들)에 지정된 제공자/모델 (지정이 없으면 환경 변수, 기본 제공자 순)
+  resolve(persona) {
+    const settings = typeof persona === 'string' ? { handle: persona } : (persona || {});
+    const overrides = aiProviders.getPersonaOverrides(settings.handle);
+    const providerName = settings.provider || overrides.provider || aiProviders.defaultProvider;
+
+    return {
+      providerName,
+      provider: this.getProvider(providerName),
+      model: settings.model || overrides.model,
+      temperature: settings.temperature ?? overrides.temperature ?? 0.7
+    };
+  }
+
+  // 스트림을 모두 받아 하나의 텍스트로 반환 (요약 등 내부 용도)
+  async complete(persona, { system, messages, maxTokens, signal }) {
+    const { provider, model } = this.resolve(persona);
+    let text = '';
+
+    for await (const event of provider.streamChat({
+      model,
+      system,
+      messages,
+      temperature: 0.3,
+      maxTokens,
+      signal
+    })) {
+      if (event.type === 'text') {
+        text += event.text;
+      }
+    }
+
+    return text.trim();
+  }
+}
+
+module.exports = new LLMProviderRegistry();
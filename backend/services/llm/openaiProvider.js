@@ -0,0 +1,61 @@
+const axios = require('axios');
+const { readServerSentEvents } = require('./sse');
+
+// OpenAI Chat Completions 및 호환 API
+class OpenAIProvider {
+  constructor(config) {
+    this.config = config;
+    this.client = axios.create({
+      baseURL: config.baseURL,
+      headers: {
+        'Authorization': `Bearer ${config.apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async *streamChat({ model, system, messages, temperature, maxTokens, signal }) {
+    const response = await this.client.post('/chat/completions', {
+      model: model || this.config.model,
+      messages: [
+        { role: 'system', content: system },
+        ...messages
+      ],
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      // 스트리밍 응답은 요청해야 마지막 청크에 사용량이 포함됨
+      stream_options: { include_usage: true }
+    }, {
+      responseType: 'stream',
+      signal
+    });
+
+    for await (const { data } of readServerSentEvents(response.data)) {
+      if (data === '[DONE]') return;
+
+      let payload;
+      try {
+        payload = JSON.parse(data);
+      } catch (error) {
+        console.error('OpenAI stream parsing error:', error);
+        continue;
+      }
+
+      const text = payload.choices?.[0]?.delta?.content;
+      if (text) {
+        yield { type: 'text', text };
+      }
+
+      if (payload.usage) {
+        yield {
+          type: 'usage',
+          completionTokens: payload.usage.completion_tokens,
+          totalTokens: payload.usage.total_tokens
+        };
+      }
+    }
+  }
+}
+
+module.exports = OpenAIProvider;
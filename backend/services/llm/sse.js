@@ -0,0 +1,54 @@
+// 서버 전송 이벤트(SSE) 스트림을 { event, data } 단위로 읽기
+// (청크 경계에서 한글 등 멀티바이트 문자가 잘려도 깨지지 않도록 TextDecoder 스트림 모드 사용)
+async function* readServerSentEvents(stream) {
+  const decoder = new TextDecoder('utf-8');
+  let buffer = '';
+  let event = null;
+  let dataLines = [];
+
+  const takeEvent = () => {
+    const message = dataLines.length > 0 ? { event, data: dataLines.join('\n') } : null;
+    event = null;
+    dataLines = [];
+    return message;
+  };
+
+  for await (const chunk of stream) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+
+      // 빈 줄은 이벤트 하나의 끝
+      if (line === '') {
+        const message = takeEvent();
+        if (message) yield message;
+        continue;
+      }
+
+      if (line.startsWith(':')) continue;
+
+      const separatorIndex = line.indexOf(':');
+      const field = separatorIndex === -1 ? line : line.slice(0, separatorIndex);
+      const value = separatorIndex === -1 ? '' : line.slice(separatorIndex + 1).replace(/^ /, '');
+
+      if (field === 'event') {
+        event = value;
+      } else if (field === 'data') {
+        dataLines.push(value);
+      }
+    }
+  }
+
+  buffer += decoder.decode();
+  if (buffer.trim().startsWith('data:')) {
+    dataLines.push(buffer.trim().slice(5).replace(/^ /, ''));
+  }
+
+  const message = takeEvent();
+  if (message) yield message;
+}
+
+module.exports = { readServerSentEvents };
@@ -0,0 +1,104 @@
+const fs = require('fs');
+
+// 스크립트 파일이 없을 때 사용하는 기본 응답 (match가 질문에 포함되면 해당 응답)
+const DEFAULT_SCRIPT = {
+  responses: [
+    { match: '안녕', response: '안녕하세요! 오프라인 모드로 응답하고 있습니다. 무엇을 도와드릴까요?' },
+    { match: 'hello', response: 'Hello! I am answering in offline mode. How can I help you?' },
+    {
+      match: '코드',
+      response: '오프라인 모드의 예시 코드입니다.\n\n```javascript\nconsole.log("Hello, BootcampChat!");\n```'
+    }
+  ],
+  default: '오프라인 모드 응답입니다. "{query}"에 대한 질문을 받았습니다.'
+};
+
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(createAbortError());
+    return;
+  }
+
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(createAbortError());
+  };
+
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+function createAbortError() {
+  const error = new Error('AI 응답 생성이 취소되었습니다.');
+  error.name = 'AbortError';
+  return error;
+}
+
+// 네트워크 없이 스크립트의 응답을 청크 단위로 재생하는 제공자 (개발/e2e 테스트용)
+class StubProvider {
+  constructor(config) {
+    this.config = config;
+    this.script = null;
+  }
+
+  // AI_STUB_SCRIPT: { responses: [{ match | pattern, response }], default } 형식의 JSON 파일
+  loadScript() {
+    if (this.script) return this.script;
+
+    this.script = DEFAULT_SCRIPT;
+    if (this.config.scriptPath) {
+      try {
+        const loaded = JSON.parse(fs.readFileSync(this.config.scriptPath, 'utf8'));
+        this.script = {
+          responses: Array.isArray(loaded) ? loaded : (loaded.responses || []),
+          default: loaded.default || DEFAULT_SCRIPT.default
+        };
+      } catch (error) {
+        console.error('AI stub script load error:', error);
+      }
+    }
+
+    return this.script;
+  }
+
+  pickResponse(query) {
+    const script = this.loadScript();
+    const normalized = query.toLowerCase();
+
+    const rule = script.responses.find(({ match, pattern }) => {
+      if (pattern) return new RegExp(pattern, 'i').test(query);
+      return match && normalized.includes(String(match).toLowerCase());
+    });
+
+    return (rule?.response || script.default).replace(/\{query\}/g, query);
+  }
+
+  async *streamChat({ system = '', messages, signal }) {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    let response = this.pickResponse(lastUserMessage?.content || '');
+
+    // 참고 자료가 주어지면 첫 번째 자료를 인용 (출처 표시 확인용)
+    if (/^\[1\] /m.test(system)) {
+      response = `${response} [1]`;
+    }
+
+    // 서로게이트 쌍이 잘리지 않도록 코드 포인트 단위로 분할
+    const characters = Array.from(response);
+    const chunkSize = Math.max(1, this.config.chunkSize);
+    let chunkCount = 0;
+
+    for (let index = 0; index < characters.length; index += chunkSize) {
+      await sleep(this.config.chunkDelayMs, signal);
+      chunkCount += 1;
+      yield { type: 'text', text: characters.slice(index, index + chunkSize).join('') };
+    }
+
+    yield { type: 'usage', completionTokens: chunkCount, totalTokens: chunkCount };
+  }
+}
+
+module.exports = StubProvider;
@@ -59,6 +59,13 @@ class MemoryCache {
     return this.cache.delete(key);
   }
 
+  // 접두사로 일괄 삭제
+  deleteByPrefix(prefix) {
+    const keys = [...this.cache.keys()].filter(key => key.startsWith(prefix));
+    keys.forEach(key => this.delete(key));
+    return keys.length;
+  }
+
   // 통계
   getStats() {
     return {
@@ -0,0 +1,462 @@
+const path = require('path');
+const fs = require('fs').promises;
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const File = require('../models/File');
+const { uploadDir } = require('../middleware/upload');
+const ragService = require('./ragService');
+const roomActivityService = require('./roomActivityService');
+const { createError } = require('../utils/serviceError');
+const { hasRoomPermission } = require('../utils/roomPermissions');
+const { encodeCursor, decodeCursor } = require('../utils/messageCursor');
+
+const HISTORY_BATCH_SIZE = 30; // 메시지 기록 기본 조회 개수
+const MAX_HISTORY_BATCH_SIZE = 100; // 메시지 기록 최대 조회 개수
+const THREAD_BATCH_SIZE = 30; // 스레드 답글 한 번에 로드할 개수
+const REPLY_SNIPPET_LENGTH = 100; // 인용 미리보기 최대 길이
+const MAX_AI_VERSIONS = 10; // AI 답변당 보관할 최대 버전 수
+
+// 인용 미리보기에 필요한 필드만 populate
+const REPLY_PREVIEW_POPULATE = {
+  path: 'replyTo',
+  select: 'content sender type aiType file timestamp isDeleted',
+  populate: [
+    { path: 'sender', select: 'name' },
+    { path: 'file', select: 'originalname mimetype' }
+  ]
+};
+
+class MessageService {
+  // 메시지 조회 및 채팅방 참여자 권한 확인
+  async getAccessibleMessage(messageId, userId, { includeDeleted = false } = {}) {
+    if (!messageId || !mongoose.Types.ObjectId.isValid(messageId)) {
+      throw createError(400, 'INVALID_MESSAGE_ID', '올바른 메시지 ID가 필요합니다.');
+    }
+
+    const message = await Message.findById(messageId);
+    if (!message || (message.isDeleted && !includeDeleted)) {
+      throw createError(404, 'MESSAGE_NOT_FOUND', '메시지를 찾을 수 없습니다.');
+    }
+
+    const room = await Room.findOne({
+      _id: message.room,
+      participants: userId
+    }).select('_id creator moderators').lean();
+
+    if (!room) {
+      throw createError(403, 'ROOM_ACCESS_DENIED', '채팅방 접근 권한이 없습니다.');
+    }
+
+    return { message, room };
+  }
+
+  // 다시 생성할 AI 답변과 처음 질문한 메시지 조회
+  async getAIRegenerationTarget(messageId, userId) {
+    const { message, room } = await this.getAccessibleMessage(messageId, userId);
+
+    if (message.type !== 'ai') {
+      throw createError(400, 'INVALID_MESSAGE_TYPE', 'AI 답변만 다시 생성할 수 있습니다.');
+    }
+
+    if (message.aiVersions.length >= MAX_AI_VERSIONS) {
+      throw createError(400, 'AI_VERSION_LIMIT', `답변은 최대 ${MAX_AI_VERSIONS}개까지 생성할 수 있습니다.`);
+    }
+
+    const triggerId = message.metadata?.get('triggerMessage');
+    const triggerMessage = triggerId && mongoose.Types.ObjectId.isValid(triggerId)
+      ? await Message.findById(triggerId)
+        .populate('sender', 'name')
+        .populate('replyTo', 'type aiType')
+      : null;
+
+    return { message, room, triggerMessage };
+  }
+
+  // 메시지 수정 (본인이 보낸 텍스트 메시지만 가능)
+  async editMessage(messageId, userId, content) {
+    const { message } = await this.getAccessibleMessage(messageId, userId);
+
+    if (message.sender?.toString() !== userId.toString()) {
+      throw createError(403, 'NOT_MESSAGE_OWNER', '본인이 보낸 메시지만 수정할 수 있습니다.');
+    }
+
+    if (message.type !== 'text') {
+      throw createError(400, 'INVALID_MESSAGE_TYPE', '텍스트 메시지만 수정할 수 있습니다.');
+    }
+
+    if (!content?.trim()) {
+      throw createError(400, 'EMPTY_CONTENT', '메시지 내용을 입력해주세요.');
+    }
+
+    await message.editContent(content);
+    await roomActivityService.refreshLastMessage(message.room, message._id);
+    return message;
+  }
+
+  // 메시지 삭제 (보낸 사람 또는 방장/모더레이터만 가능, 스레드 답글이면 갱신된 부모 메시지도 반환)
+  async deleteMessage(messageId, userId) {
+    const { message, room } = await this.getAccessibleMessage(messageId, userId);
+
+    const isSender = message.sender?.toString() === userId.toString();
+
+    if (!isSender && !hasRoomPermission(room, userId, 'deleteAnyMessage')) {
+      throw createError(403, 'DELETE_NOT_ALLOWED', '메시지를 삭제할 권한이 없습니다.');
+    }
+
+    if (message.type === 'system') {
+      throw createError(400, 'INVALID_MESSAGE_TYPE', '시스템 메시지는 삭제할 수 없습니다.');
+    }
+
+    const fileId = message.type === 'file' ? message.file : null;
+
+    await message.softDelete(userId);
+
+    // 고정된 메시지였다면 고정 목록에서도 제거
+    await Room.updateOne(
+      { _id: message.room },
+      { $pull: { pinnedMessages: { message: message._id } } }
+    );
+
+    await roomActivityService.refreshLastMessage(message.room, message._id);
+
+    if (fileId) {
+      await this.removeAttachedFile(fileId);
+      await ragService.removeMessage(message.room, message._id).catch(error => {
+        console.error('File RAG removal error:', error);
+      });
+    }
+
+    const parent = message.parentMessage
+      ? await this.removeThreadReply(message.parentMessage)
+      : null;
+
+    return { message, parent };
+  }
+
+  // 삭제된 답글을 스레드 요약에서 제외 (마지막 답글 정보는 남은 답글로 다시 계산)
+  async removeThreadReply(parentId) {
+    const lastReply = await Message.findOne({ parentMessage: parentId, isDeleted: { $ne: true } })
+      .sort({ timestamp: -1 })
+      .select('sender timestamp')
+      .lean();
+
+    return Message.findOneAndUpdate(
+      { _id: parentId, 'thread.replyCount': { $gt: 0 } },
+      {
+        $inc: { 'thread.replyCount': -1 },
+        $set: {
+          'thread.lastReplyAt': lastReply?.timestamp || null,
+          'thread.lastReplier': lastReply?.sender || null
+        }
+      },
+      { new: true }
+    ).populate('thread.lastReplier', 'name profileImage');
+  }
+
+  // 파일 메시지에 첨부된 파일 문서와 업로드 파일 삭제
+  async removeAttachedFile(fileId) {
+    try {
+      const file = await File.findById(fileId);
+      if (!file) return;
+
+      const filePath = path.join(uploadDir, file.filename);
+      if (path.resolve(filePath).startsWith(path.resolve(uploadDir))) {
+        await fs.unlink(filePath).catch(error => {
+          if (error.code !== 'ENOENT') {
+            console.error('Attached file unlink error:', error);
+          }
+        });
+      }
+
+      await file.deleteOne();
+    } catch (error) {
+      // 메시지는 이미 삭제되었으므로 파일 정리 실패는 기록만 남김
+      console.error('Attached file removal error:', {
+        error: error.message,
+        fileId
+      });
+    }
+  }
+
+  // 인용 대상 메시지 확인 (같은 채팅방의 삭제되지 않은 메시지만 가능)
+  async resolveReplyTarget(replyToId, roomId) {
+    if (!replyToId) return null;
+
+    if (!mongoose.Types.ObjectId.isValid(replyToId)) {
+      throw createError(400, 'INVALID_REPLY_TARGET', '인용할 메시지가 올바르지 않습니다.');
+    }
+
+    const target = await Message.findOne({
+      _id: replyToId,
+      room: roomId,
+      isDeleted: false
+    }).select('_id type').lean();
+
+    if (!target || target.type === 'system') {
+      throw createError(404, 'REPLY_TARGET_NOT_FOUND', '인용할 메시지를 찾을 수 없습니다.');
+    }
+
+    return target._id;
+  }
+
+  // 쿼리 또는 문서에 인용 대상 populate 적용
+  populateReplyPreview(target) {
+    return target.populate(REPLY_PREVIEW_POPULATE);
+  }
+
+  // populate된 replyTo를 인용 미리보기(보낸 사람, 요약, 파일 형식)로 변환
+  toReplyPreview(replyTo) {
+    if (!replyTo || !replyTo._id) return null;
+
+    if (replyTo.isDeleted) {
+      return {
+        _id: replyTo._id,
+        type: replyTo.type,
+        isDeleted: true
+      };
+    }
+
+    const content = replyTo.content || '';
+
+    return {
+      _id: replyTo._id,
+      type: replyTo.type,
+      sender: replyTo.type === 'ai'
+        ? { name: replyTo.aiType }
+        : replyTo.sender ? { _id: replyTo.sender._id, name: replyTo.sender.name } : null,
+      snippet: content.length > REPLY_SNIPPET_LENGTH
+        ? `${content.slice(0, REPLY_SNIPPET_LENGTH)}…`
+        : content,
+      fileType: replyTo.file?.mimetype || null,
+      fileName: replyTo.file?.originalname || null,
+      timestamp: replyTo.timestamp
+    };
+  }
+
+  // 스레드 답글 작성 (부모 메시지의 답글 요약도 함께 갱신)
+  async createThreadReply(parentMessageId, userId, content, mentions = []) {
+    const { message: parent } = await this.getAccessibleMessage(parentMessageId, userId);
+
+    if (parent.parentMessage) {
+      throw createError(400, 'NESTED_THREAD', '스레드 답글에는 다시 스레드를 만들 수 없습니다.');
+    }
+
+    if (parent.type === 'system') {
+      throw createError(400, 'INVALID_MESSAGE_TYPE', '시스템 메시지에는 답글을 달 수 없습니다.');
+    }
+
+    const replyContent = content?.trim();
+    if (!replyContent) {
+      throw createError(400, 'EMPTY_CONTENT', '메시지 내용을 입력해주세요.');
+    }
+
+    const reply = await Message.create({
+      room: parent.room,
+      sender: userId,
+      content: replyContent,
+      type: 'text',
+      parentMessage: parent._id,
+      mentions,
+      timestamp: new Date(),
+      reactions: {}
+    });
+    await reply.populate('sender', 'name email profileImage');
+
+    const updatedParent = await Message.findByIdAndUpdate(
+      parent._id,
+      {
+        $inc: { 'thread.replyCount': 1 },
+        $set: {
+          'thread.lastReplyAt': reply.timestamp,
+          'thread.lastReplier': userId
+        }
+      },
+      { new: true }
+    ).populate('thread.lastReplier', 'name profileImage');
+
+    return { reply, parent: updatedParent };
+  }
+
+  // 스레드 답글 페이지 조회 (before 이전의 답글을 오래된 순으로 반환)
+  async loadThreadMessages(parentMessageId, userId, before, limit = THREAD_BATCH_SIZE) {
+    const { message: parent } = await this.getAccessibleMessage(parentMessageId, userId, {
+      includeDeleted: true
+    });
+
+    const query = { parentMessage: parent._id };
+    if (before) {
+      query.timestamp = { $lt: new Date(before) };
+    }
+
+    const messages = await Message.find(query)
+      .populate('sender', 'name email profileImage')
+      .sort({ timestamp: -1 })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = messages.length > limit;
+    const sortedMessages = messages.slice(0, limit)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map(msg => msg.isDeleted ? this.toTombstone(msg) : msg);
+
+    await parent.populate([
+      { path: 'sender', select: 'name email profileImage' },
+      { path: 'file', select: 'filename originalname mimetype size' },
+      { path: 'thread.lastReplier', select: 'name profileImage' }
+    ]);
+
+    return {
+      parent: parent.isDeleted ? this.toTombstone(parent) : parent,
+      messages: sortedMessages,
+      hasMore
+    };
+  }
+
+  // 페이지 커서 또는 날짜를 비교 기준으로 변환 (날짜만 있으면 timestamp로만 비교)
+  parseHistoryCursor(value) {
+    const cursor = typeof value === 'string' ? decodeCursor(value) : null;
+    if (cursor) return cursor;
+
+    const timestamp = new Date(value);
+    return Number.isNaN(timestamp.getTime()) ? null : { timestamp, id: null };
+  }
+
+  // 커서 기준 이전($lt)/이후($gt) 조건 (같은 시각이면 _id로 구분)
+  buildCursorFilter(value, operator) {
+    const { timestamp, id } = this.parseHistoryCursor(value);
+    if (!id) {
+      return { timestamp: { [operator]: timestamp } };
+    }
+
+    return {
+      $or: [
+        { timestamp: { [operator]: timestamp } },
+        { timestamp, _id: { [operator]: id } }
+      ]
+    };
+  }
+
+  // 채팅방 메시지 기록 조회 (스레드 답글 제외)
+  // before만 있으면 그 이전 메시지를, after만 있으면 그 이후 메시지를 오래된 순으로 반환
+  async fetchRoomMessages(roomId, { before, after, limit = HISTORY_BATCH_SIZE } = {}) {
+    const query = { room: roomId, parentMessage: null };
+    const cursorFilters = [];
+    if (before) cursorFilters.push(this.buildCursorFilter(before, '$lt'));
+    if (after) cursorFilters.push(this.buildCursorFilter(after, '$gt'));
+    if (cursorFilters.length > 0) {
+      query.$and = cursorFilters;
+    }
+
+    // after만 지정된 경우 after 직후부터 순방향으로 조회
+    const forward = !!after && !before;
+    const direction = forward ? 1 : -1;
+
+    const messages = await this.populateReplyPreview(
+      Message.find(query)
+        .populate('sender', 'name email profileImage')
+        .populate({
+          path: 'file',
+          select: 'filename originalname mimetype size'
+        })
+        .populate('thread.lastReplier', 'name profileImage')
+    )
+      .sort({ timestamp: direction, _id: direction })
+      .limit(limit + 1)
+      .lean();
+
+    const hasMore = messages.length > limit;
+    const page = messages.slice(0, limit);
+    if (!forward) page.reverse();
+
+    const sortedMessages = page.map(msg => msg.isDeleted
+      ? this.toTombstone(msg)
+      : { ...msg, replyTo: this.toReplyPreview(msg.replyTo) });
+    const oldest = sortedMessages[0];
+    const newest = sortedMessages[sortedMessages.length - 1];
+
+    return {
+      messages: sortedMessages,
+      hasMore,
+      oldestTimestamp: oldest?.timestamp || null,
+      newestTimestamp: newest?.timestamp || null,
+      oldestCursor: oldest ? encodeCursor(oldest) : null,
+      newestCursor: newest ? encodeCursor(newest) : null
+    };
+  }
+
+  // 참여자 권한 확인 후 메시지 기록 조회 (REST API용)
+  async loadRoomMessages(roomId, userId, { before, after, limit } = {}) {
+    if (!roomId || !mongoose.Types.ObjectId.isValid(roomId)) {
+      throw createError(400, 'INVALID_ROOM_ID', '올바른 채팅방 ID가 필요합니다.');
+    }
+
+    for (const [field, value] of [['before', before], ['after', after]]) {
+      if (value && !this.parseHistoryCursor(value)) {
+        throw createError(400, 'INVALID_CURSOR', `${field} 값이 올바른 페이지 정보나 날짜 형식이 아닙니다.`);
+      }
+    }
+
+    const room = await Room.findOne({
+      _id: roomId,
+      participants: userId
+    }).select('_id').lean();
+
+    if (!room) {
+      throw createError(403, 'ROOM_ACCESS_DENIED', '채팅방 접근 권한이 없습니다.');
+    }
+
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || HISTORY_BATCH_SIZE, 1),
+      MAX_HISTORY_BATCH_SIZE
+    );
+
+    return this.fetchRoomMessages(roomId, { before, after, limit: pageSize });
+  }
+
+  // 삭제된 메시지를 내용 없는 표시용 객체로 변환
+  toTombstone(message) {
+    return {
+      _id: message._id,
+      room: message.room,
+      sender: message.sender,
+      type: message.type,
+      content: '',
+      timestamp: message.timestamp,
+      parentMessage: message.parentMessage || null,
+      replyTo: null,
+      thread: message.thread,
+      isDeleted: true,
+      deletedAt: message.deletedAt
+    };
+  }
+
+  // 클라이언트 브로드캐스트용 스레드 요약 정보
+  toThreadSummaryPayload(message) {
+    return {
+      messageId: message._id,
+      thread: message.thread
+    };
+  }
+
+  // 클라이언트 브로드캐스트용 삭제 정보
+  toDeletePayload(message) {
+    return {
+      messageId: message._id,
+      deletedAt: message.deletedAt,
+      deletedBy: message.deletedBy
+    };
+  }
+
+  // 클라이언트 브로드캐스트용 수정 정보
+  toUpdatePayload(message) {
+    return {
+      messageId: message._id,
+      content: message.content,
+      editedAt: message.editedAt,
+      editHistory: message.editHistory
+    };
+  }
+}
+
+module.exports = new MessageService();
@@ -0,0 +1,246 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const ModerationLog = require('../models/ModerationLog');
+const roomService = require('./roomService');
+const { createError } = require('../utils/serviceError');
+const { outranks } = require('../utils/roomPermissions');
+
+const MAX_MUTE_MINUTES = 7 * 24 * 60; // 채팅 금지 최대 기간 (7일)
+const MAX_REASON_LENGTH = 200;
+const DEFAULT_LOG_LIMIT = 30;
+const MAX_LOG_LIMIT = 100;
+
+class ModerationService {
+  // 관리 대상 확인 (그룹 채팅방에서 자신보다 하위 역할만 관리 가능)
+  async getModerationTarget(roomId, targetUserId, moderatorId, { requireParticipant = true } = {}) {
+    const room = await roomService.getParticipantRoom(roomId, moderatorId, '_id type creator moderators');
+
+    if (room.type === 'direct') {
+      throw createError(400, 'DIRECT_ROOM_MODERATION', '1:1 대화에서는 사용할 수 없는 기능입니다.');
+    }
+
+    roomService.assertPermission(room, moderatorId, 'moderateMembers', 'MODERATION_NOT_ALLOWED', '방장 또는 모더레이터만 사용할 수 있는 기능입니다.');
+
+    if (!targetUserId || !mongoose.Types.ObjectId.isValid(targetUserId)) {
+      throw createError(400, 'INVALID_USER_ID', '올바른 사용자 ID가 필요합니다.');
+    }
+
+    if (targetUserId.toString() === moderatorId.toString()) {
+      throw createError(400, 'INVALID_MODERATION_TARGET', '자기 자신은 관리할 수 없습니다.');
+    }
+
+    if (!outranks(room, moderatorId, targetUserId)) {
+      throw createError(403, 'MODERATION_TARGET_NOT_ALLOWED', '자신과 같거나 높은 역할의 사용자는 관리할 수 없습니다.');
+    }
+
+    const isParticipant = room.participants?.some(id => id.toString() === targetUserId.toString());
+    if (requireParticipant && !isParticipant) {
+      throw createError(404, 'TARGET_NOT_PARTICIPANT', '채팅방에 참여 중인 사용자가 아닙니다.');
+    }
+
+    if (!isParticipant && !(await User.exists({ _id: targetUserId }))) {
+      throw createError(404, 'USER_NOT_FOUND', '사용자를 찾을 수 없습니다.');
+    }
+
+    return room;
+  }
+
+  normalizeReason(reason) {
+    return typeof reason === 'string' ? reason.trim().slice(0, MAX_REASON_LENGTH) : '';
+  }
+
+  async recordAction(roomId, action, targetUserId, moderatorId, { reason = '', expiresAt } = {}) {
+    return ModerationLog.create({
+      room: roomId,
+      action,
+      target: targetUserId,
+      moderator: moderatorId,
+      reason,
+      expiresAt
+    });
+  }
+
+  // 강퇴 (참여자 목록에서 제거, 재입장은 가능)
+  async kick(roomId, targetUserId, moderatorId, reason) {
+    await this.getModerationTarget(roomId, targetUserId, moderatorId);
+
+    await Room.updateOne(
+      { _id: roomId },
+      { $pull: { participants: targetUserId, moderators: targetUserId } }
+    );
+
+    return this.recordAction(roomId, 'kick', targetUserId, moderatorId, {
+      reason: this.normalizeReason(reason)
+    });
+  }
+
+  // 차단 (참여자 목록에서 제거하고 재입장 금지)
+  async ban(roomId, targetUserId, moderatorId, reason) {
+    await this.getModerationTarget(roomId, targetUserId, moderatorId, { requireParticipant: false });
+
+    const normalizedReason = this.normalizeReason(reason);
+    const result = await Room.updateOne(
+      { _id: roomId, 'bans.user': { $ne: targetUserId } },
+      {
+        $push: {
+          bans: {
+            user: targetUserId,
+            bannedBy: moderatorId,
+            reason: normalizedReason,
+            bannedAt: new Date()
+          }
+        },
+        $pull: { participants: targetUserId, moderators: targetUserId }
+      }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw createError(409, 'ALREADY_BANNED', '이미 차단된 사용자입니다.');
+    }
+
+    return this.recordAction(roomId, 'ban', targetUserId, moderatorId, { reason: normalizedReason });
+  }
+
+  // 차단 해제
+  async unban(roomId, targetUserId, moderatorId) {
+    await this.getModerationTarget(roomId, targetUserId, moderatorId, { requireParticipant: false });
+
+    const result = await Room.updateOne(
+      { _id: roomId },
+      { $pull: { bans: { user: targetUserId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw createError(404, 'BAN_NOT_FOUND', '차단된 사용자가 아닙니다.');
+    }
+
+    return this.recordAction(roomId, 'unban', targetUserId, moderatorId);
+  }
+
+  // 채팅 금지 (duration: 분 단위)
+  async mute(roomId, targetUserId, moderatorId, { duration, reason } = {}) {
+    await this.getModerationTarget(roomId, targetUserId, moderatorId);
+
+    const minutes = Number(duration);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_MUTE_MINUTES) {
+      throw createError(400, 'INVALID_MUTE_DURATION', `채팅 금지 시간은 1분에서 ${MAX_MUTE_MINUTES}분 사이여야 합니다.`);
+    }
+
+    const until = new Date(Date.now() + minutes * 60 * 1000);
+
+    // 같은 사용자의 이전 채팅 금지는 새 기간으로 대체
+    await Room.updateOne({ _id: roomId }, { $pull: { mutes: { user: targetUserId } } });
+    await Room.updateOne(
+      { _id: roomId },
+      { $push: { mutes: { user: targetUserId, mutedBy: moderatorId, until } } }
+    );
+
+    const log = await this.recordAction(roomId, 'mute', targetUserId, moderatorId, {
+      reason: this.normalizeReason(reason),
+      expiresAt: until
+    });
+
+    return { log, until };
+  }
+
+  // 채팅 금지 해제
+  async unmute(roomId, targetUserId, moderatorId) {
+    await this.getModerationTarget(roomId, targetUserId, moderatorId, { requireParticipant: false });
+
+    const result = await Room.updateOne(
+      { _id: roomId, mutes: { $elemMatch: { user: targetUserId, until: { $gt: new Date() } } } },
+      { $pull: { mutes: { user: targetUserId } } }
+    );
+
+    if (result.modifiedCount === 0) {
+      throw createError(404, 'MUTE_NOT_FOUND', '채팅 금지 상태가 아닙니다.');
+    }
+
+    return this.recordAction(roomId, 'unmute', targetUserId, moderatorId);
+  }
+
+  async isBanned(roomId, userId) {
+    if (!mongoose.Types.ObjectId.isValid(roomId)) return false;
+    return !!(await Room.exists({ _id: roomId, 'bans.user': userId }));
+  }
+
+  // 채팅 금지 중이면 에러 (메시지 전송 전에 확인)
+  async assertNotMuted(roomId, userId) {
+    const room = await Room.findOne(
+      { _id: roomId, mutes: { $elemMatch: { user: userId, until: { $gt: new Date() } } } },
+      { 'mutes.$': 1 }
+    ).lean();
+
+    const mute = room?.mutes?.[0];
+    if (!mute) return;
+
+    const until = new Date(mute.until).toLocaleString('ko-KR', {
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    });
+    throw createError(403, 'USER_MUTED', `채팅이 금지된 상태입니다. (${until}까지)`);
+  }
+
+  // 진행 중인 채팅 금지 목록
+  async getActiveMutes(roomId) {
+    const room = await Room.findById(roomId).select('mutes').lean();
+    const now = Date.now();
+
+    return (room?.mutes || [])
+      .filter(mute => new Date(mute.until).getTime() > now)
+      .map(mute => ({ user: mute.user.toString(), until: mute.until }));
+  }
+
+  // 차단 목록
+  async getBans(roomId, userId) {
+    const room = await roomService.getParticipantRoom(roomId, userId, '_id creator moderators');
+    roomService.assertPermission(room, userId, 'moderateMembers', 'MODERATION_NOT_ALLOWED', '방장 또는 모더레이터만 사용할 수 있는 기능입니다.');
+
+    const { bans = [] } = await Room.findById(roomId)
+      .select('bans')
+      .populate('bans.user', 'name email profileImage')
+      .populate('bans.bannedBy', 'name')
+      .lean();
+
+    return bans.sort((a, b) => new Date(b.bannedAt) - new Date(a.bannedAt));
+  }
+
+  // 관리 기록 (최신순, before 이전 기록만)
+  async getModerationLog(roomId, userId, { before, limit } = {}) {
+    const room = await roomService.getParticipantRoom(roomId, userId, '_id creator moderators');
+    roomService.assertPermission(room, userId, 'moderateMembers', 'MODERATION_NOT_ALLOWED', '방장 또는 모더레이터만 사용할 수 있는 기능입니다.');
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LOG_LIMIT, 1), MAX_LOG_LIMIT);
+    const query = { room: roomId };
+
+    if (before) {
+      const beforeDate = new Date(before);
+      if (Number.isNaN(beforeDate.getTime())) {
+        throw createError(400, 'INVALID_CURSOR', '올바르지 않은 기준 시각입니다.');
+      }
+      query.createdAt = { $lt: beforeDate };
+    }
+
+    const logs = await ModerationLog.find(query)
+      .sort({ createdAt: -1 })
+      .limit(pageSize + 1)
+      .populate('target', 'name email')
+      .populate('moderator', 'name')
+      .lean();
+
+    const hasMore = logs.length > pageSize;
+    const page = hasMore ? logs.slice(0, pageSize) : logs;
+
+    return {
+      logs: page,
+      hasMore,
+      nextBefore: hasMore ? page[page.length - 1].createdAt : null
+    };
+  }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,369 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const { createError } = require('../utils/serviceError');
+
+const PREVIEW_LENGTH = 120; // 알림 미리보기 최대 길이
+const DEFAULT_INBOX_LIMIT = 30;
+const MAX_INBOX_LIMIT = 100;
+// 멘션 뒤에 올 수 있는 구분 문자 (이름의 일부가 아닌 경우만 멘션으로 인정)
+const MENTION_BOUNDARY = '(?=$|[\\s.,!?:;)\\]}\'"])';
+
+// 알림 종류별 설정 가능한 채널과 기본값 (User.notificationSettings.events와 동일한 구조)
+const NOTIFICATION_CHANNELS = {
+  mention: { inApp: true, desktop: true, email: false },
+  directMessage: { desktop: true, email: false },
+  roomMessage: { desktop: false },
+  roomInvite: { email: true }
+};
+const DEFAULT_DO_NOT_DISTURB = { enabled: false, start: '22:00', end: '08:00', timezone: 'Asia/Seoul' };
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const MAX_MUTED_ROOMS = 200;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toPreview = (content = '') => (
+  content.length > PREVIEW_LENGTH ? `${content.slice(0, PREVIEW_LENGTH)}…` : content
+);
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const invalidSettings = (message) => createError(400, 'INVALID_NOTIFICATION_SETTINGS', message);
+
+class NotificationService {
+  // 본문의 @이름을 채팅방 참여자와 대조 (긴 이름부터 확인해 "@김철수"가 "@김철"로도 잡히지 않게 함)
+  async extractMentionedUsers(content, participantIds, senderId) {
+    if (!content?.includes('@') || !participantIds?.length) return [];
+
+    const candidates = await User.find({
+      _id: { $in: participantIds.filter(id => id.toString() !== senderId.toString()) }
+    }).select('name').lean();
+
+    let remaining = content;
+    const mentioned = [];
+
+    candidates
+      .filter(user => user.name)
+      .sort((a, b) => b.name.length - a.name.length)
+      .forEach(user => {
+        const pattern = new RegExp(`@${escapeRegExp(user.name)}${MENTION_BOUNDARY}`, 'gi');
+        const replaced = remaining.replace(pattern, ' ');
+        if (replaced !== remaining) {
+          mentioned.push(user);
+          remaining = replaced;
+        }
+      });
+
+    return mentioned;
+  }
+
+  // 멘션 알림 저장 후 실시간 전송용 데이터 반환 (채팅방 알림을 끄거나 멘션 알림을 끈 사용자는 제외)
+  async createMentionNotifications(message, room, sender, recipientIds) {
+    if (!recipientIds?.length) return [];
+
+    const recipients = await User.find({ _id: { $in: recipientIds } })
+      .select('notificationSettings')
+      .lean();
+    const targets = recipients.filter(user => this.shouldNotify(user.notificationSettings, 'mention', 'inApp', {
+      roomId: room._id
+    }));
+    if (targets.length === 0) return [];
+
+    const settingsByUser = new Map(targets.map(user => [user._id.toString(), user.notificationSettings]));
+
+    const notifications = await Notification.insertMany(targets.map(({ _id: recipientId }) => ({
+      recipient: recipientId,
+      type: 'mention',
+      room: room._id,
+      message: message._id,
+      parentMessage: message.parentMessage || null,
+      sender: sender.id
+    })));
+
+    return notifications.map(notification => {
+      const settings = settingsByUser.get(notification.recipient.toString());
+
+      return {
+        ...this.toPayload({
+          ...notification.toObject(),
+          room: { _id: room._id, name: room.name },
+          sender: { _id: sender.id, name: sender.name, profileImage: sender.profileImage },
+          message: { _id: message._id, content: message.content, isDeleted: false }
+        }),
+        // 실시간 전송에만 쓰이는 표시 옵션 (방해 금지 시간에는 토스트/소리 없이 목록만 갱신)
+        silent: this.isDoNotDisturb(settings),
+        desktop: this.shouldNotify(settings, 'mention', 'desktop', { roomId: room._id })
+      };
+    });
+  }
+
+  toPayload(notification) {
+    const message = notification.message || {};
+
+    return {
+      _id: notification._id,
+      recipient: notification.recipient,
+      type: notification.type,
+      room: notification.room,
+      messageId: message._id || notification.message,
+      parentMessage: notification.parentMessage,
+      sender: notification.sender,
+      content: message.isDeleted ? '' : toPreview(message.content),
+      isDeleted: !!message.isDeleted,
+      readAt: notification.readAt,
+      createdAt: notification.createdAt
+    };
+  }
+
+  // 받은 알림 목록 (최신순, before 이전 알림만)
+  async getInbox(userId, { before, limit, unreadOnly = false } = {}) {
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_INBOX_LIMIT, 1), MAX_INBOX_LIMIT);
+    const query = { recipient: userId };
+
+    if (unreadOnly) {
+      query.readAt = null;
+    }
+
+    if (before) {
+      const beforeDate = new Date(before);
+      if (Number.isNaN(beforeDate.getTime())) {
+        throw createError(400, 'INVALID_CURSOR', '올바르지 않은 기준 시각입니다.');
+      }
+      query.createdAt = { $lt: beforeDate };
+    }
+
+    const notifications = await Notification.find(query)
+      .sort({ createdAt: -1 })
+      .limit(pageSize + 1)
+      .populate('room', 'name')
+      .populate('sender', 'name profileImage')
+      .populate('message', 'content isDeleted')
+      .lean();
+
+    const hasMore = notifications.length > pageSize;
+    const page = hasMore ? notifications.slice(0, pageSize) : notifications;
+
+    return {
+      notifications: page.map(notification => this.toPayload(notification)),
+      hasMore,
+      nextBefore: hasMore ? page[page.length - 1].createdAt : null
+    };
+  }
+
+  async getUnreadCount(userId) {
+    return Notification.countDocuments({ recipient: userId, readAt: null });
+  }
+
+  async markRead(notificationId, userId) {
+    if (!notificationId || !mongoose.Types.ObjectId.isValid(notificationId)) {
+      throw createError(400, 'INVALID_NOTIFICATION_ID', '올바른 알림 ID가 필요합니다.');
+    }
+
+    const notification = await Notification.findOneAndUpdate(
+      { _id: notificationId, recipient: userId },
+      { $set: { readAt: new Date() } },
+      { new: true }
+    ).lean();
+
+    if (!notification) {
+      throw createError(404, 'NOTIFICATION_NOT_FOUND', '알림을 찾을 수 없습니다.');
+    }
+
+    return notification;
+  }
+
+  async markAllRead(userId) {
+    const result = await Notification.updateMany(
+      { recipient: userId, readAt: null },
+      { $set: { readAt: new Date() } }
+    );
+
+    return result.modifiedCount;
+  }
+
+  // 저장된 설정에 기본값을 채우고 만료된 채팅방 알림 끄기는 제외
+  normalizeSettings(settings = {}) {
+    const events = Object.fromEntries(Object.entries(NOTIFICATION_CHANNELS).map(([event, defaults]) => [
+      event,
+      Object.fromEntries(Object.entries(defaults).map(([channel, enabled]) => {
+        const value = settings?.events?.[event]?.[channel];
+        return [channel, typeof value === 'boolean' ? value : enabled];
+      }))
+    ]));
+
+    const now = Date.now();
+    const mutedRooms = (settings?.mutedRooms || [])
+      .filter(entry => entry?.room && (!entry.until || new Date(entry.until).getTime() > now))
+      .map(entry => ({ room: entry.room.toString(), until: entry.until || null }));
+
+    const doNotDisturb = Object.fromEntries(Object.entries(DEFAULT_DO_NOT_DISTURB).map(([key, value]) => [
+      key,
+      settings?.doNotDisturb?.[key] ?? value
+    ]));
+
+    return { events, mutedRooms, doNotDisturb };
+  }
+
+  async getSettings(userId) {
+    const user = await User.findById(userId).select('notificationSettings').lean();
+    if (!user) {
+      throw createError(404, 'USER_NOT_FOUND', '사용자를 찾을 수 없습니다.');
+    }
+
+    const settings = this.normalizeSettings(user.notificationSettings);
+
+    // 화면 표시용 채팅방 이름 (삭제된 방은 이름 없이 반환)
+    const rooms = await Room.find({ _id: { $in: settings.mutedRooms.map(entry => entry.room) } })
+      .select('name')
+      .lean();
+    const roomNames = new Map(rooms.map(room => [room._id.toString(), room.name]));
+
+    return {
+      ...settings,
+      mutedRooms: settings.mutedRooms.map(entry => ({ ...entry, roomName: roomNames.get(entry.room) || null }))
+    };
+  }
+
+  // 전달된 항목만 변경 (mutedRooms는 목록 전체를 교체)
+  async updateSettings(userId, updates = {}) {
+    const settings = await this.getSettings(userId);
+
+    if (updates.events !== undefined) {
+      if (!updates.events || typeof updates.events !== 'object') {
+        throw invalidSettings('알림 종류 설정 형식이 올바르지 않습니다.');
+      }
+
+      Object.entries(updates.events).forEach(([event, channels]) => {
+        if (!NOTIFICATION_CHANNELS[event] || !channels || typeof channels !== 'object') {
+          throw invalidSettings('지원하지 않는 알림 종류입니다.');
+        }
+
+        Object.entries(channels).forEach(([channel, enabled]) => {
+          if (!(channel in NOTIFICATION_CHANNELS[event]) || typeof enabled !== 'boolean') {
+            throw invalidSettings('지원하지 않는 알림 채널입니다.');
+          }
+          settings.events[event][channel] = enabled;
+        });
+      });
+    }
+
+    if (updates.mutedRooms !== undefined) {
+      if (!Array.isArray(updates.mutedRooms) || updates.mutedRooms.length > MAX_MUTED_ROOMS) {
+        throw invalidSettings(`알림을 끌 채팅방은 최대 ${MAX_MUTED_ROOMS}개까지 지정할 수 있습니다.`);
+      }
+
+      const mutedRooms = new Map();
+      updates.mutedRooms.forEach(entry => {
+        const roomId = entry?.room?.toString();
+        if (!roomId || !mongoose.Types.ObjectId.isValid(roomId)) {
+          throw invalidSettings('올바른 채팅방 ID가 필요합니다.');
+        }
+
+        const until = entry.until ? new Date(entry.until) : null;
+        if (until && Number.isNaN(until.getTime())) {
+          throw invalidSettings('올바르지 않은 알림 끄기 종료 시각입니다.');
+        }
+
+        // 이미 지난 시각은 해제로 간주
+        if (!until || until.getTime() > Date.now()) {
+          mutedRooms.set(roomId, { room: roomId, until });
+        }
+      });
+      settings.mutedRooms = Array.from(mutedRooms.values());
+    }
+
+    if (updates.doNotDisturb !== undefined) {
+      const { enabled, start, end, timezone } = updates.doNotDisturb || {};
+
+      if (enabled !== undefined && typeof enabled !== 'boolean') {
+        throw invalidSettings('방해 금지 사용 여부가 올바르지 않습니다.');
+      }
+      if ([start, end].some(time => time !== undefined && !TIME_PATTERN.test(time))) {
+        throw invalidSettings('방해 금지 시간은 HH:mm 형식이어야 합니다.');
+      }
+      if (timezone !== undefined && (typeof timezone !== 'string' || !isValidTimezone(timezone))) {
+        throw invalidSettings('지원하지 않는 시간대입니다.');
+      }
+
+      settings.doNotDisturb = {
+        enabled: enabled ?? settings.doNotDisturb.enabled,
+        start: start ?? settings.doNotDisturb.start,
+        end: end ?? settings.doNotDisturb.end,
+        timezone: timezone ?? settings.doNotDisturb.timezone
+      };
+    }
+
+    // 사용자 문서 저장 훅(이메일 암호화 등)을 거치지 않도록 설정만 갱신
+    await User.updateOne({ _id: userId }, {
+      $set: {
+        notificationSettings: {
+          events: settings.events,
+          mutedRooms: settings.mutedRooms.map(({ room, until }) => ({ room, until })),
+          doNotDisturb: settings.doNotDisturb
+        }
+      }
+    });
+    return this.getSettings(userId);
+  }
+
+  isRoomMuted(settings, roomId) {
+    if (!roomId) return false;
+    return this.normalizeSettings(settings).mutedRooms.some(entry => entry.room === roomId.toString());
+  }
+
+  // 방해 금지 시간 여부 (시작과 종료가 같으면 하루 종일)
+  isDoNotDisturb(settings, now = new Date()) {
+    const { doNotDisturb } = this.normalizeSettings(settings);
+    if (!doNotDisturb.enabled) return false;
+
+    let current;
+    try {
+      const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: doNotDisturb.timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(now);
+      const hour = Number(parts.find(part => part.type === 'hour').value);
+      const minute = Number(parts.find(part => part.type === 'minute').value);
+      current = hour * 60 + minute;
+    } catch (error) {
+      return false;
+    }
+
+    const start = toMinutes(doNotDisturb.start);
+    const end = toMinutes(doNotDisturb.end);
+
+    if (start === end) return true;
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  // 알림 전송 여부 (채팅방 알림 끄기 > 채널 설정 > 방해 금지 순으로 확인, 앱 내 알림은 방해 금지 중에도 기록)
+  shouldNotify(settings, eventType, channel, { roomId, now = new Date() } = {}) {
+    if (this.isRoomMuted(settings, roomId)) return false;
+
+    const channels = this.normalizeSettings(settings).events[eventType];
+    // 사용자가 설정할 수 없는 채널(알림 종류에 항목이 없는 채널)은 앱 내 알림만 허용
+    const enabled = channels && channel in channels ? channels[channel] === true : channel === 'inApp';
+    if (!enabled) return false;
+
+    return channel === 'inApp' || !this.isDoNotDisturb(settings, now);
+  }
+}
+
+module.exports = new NotificationService();
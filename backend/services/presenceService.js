@@ -0,0 +1,156 @@
+const mongoose = require('mongoose');
+const redisClient = require('../utils/redisClient');
+const User = require('../models/User');
+const Room = require('../models/Room');
+const { createError } = require('../utils/serviceError');
+
+const PRESENCE_TTL = 90; // 하트비트가 끊기면 오프라인으로 간주할 시간 (초)
+const MAX_PRESENCE_LOOKUP = 100; // 한 번에 조회할 수 있는 최대 사용자 수
+const PRESENCE_STATUSES = ['online', 'away'];
+
+// Mock 클라이언트는 문자열을 그대로 반환하므로 직접 파싱
+const parsePresence = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+class PresenceService {
+  getPresenceKey(userId) {
+    return `presence:${userId}`;
+  }
+
+  // 접속 상태 기록 (워커 간 공유를 위해 Redis에 저장, 하트비트로 TTL 연장)
+  async setStatus(userId, socketId, status = 'online') {
+    if (!PRESENCE_STATUSES.includes(status)) {
+      throw createError(400, 'INVALID_PRESENCE_STATUS', '올바르지 않은 접속 상태입니다.');
+    }
+
+    const presence = {
+      userId: userId.toString(),
+      status,
+      socketId,
+      lastSeen: new Date().toISOString()
+    };
+
+    await redisClient.setEx(this.getPresenceKey(userId), PRESENCE_TTL, presence);
+    return this.toPayload(presence);
+  }
+
+  // 하트비트: 같은 소켓의 기록인 경우에만 TTL 연장
+  async refresh(userId, socketId) {
+    const presence = parsePresence(await redisClient.get(this.getPresenceKey(userId)));
+    if (!presence || presence.socketId !== socketId) {
+      return null;
+    }
+
+    presence.lastSeen = new Date().toISOString();
+    await redisClient.setEx(this.getPresenceKey(userId), PRESENCE_TTL, presence);
+    return presence;
+  }
+
+  // 오프라인 처리 (다른 소켓이 이미 새로 접속한 경우는 유지)
+  async setOffline(userId, socketId) {
+    const key = this.getPresenceKey(userId);
+    const presence = parsePresence(await redisClient.get(key));
+
+    if (presence && presence.socketId && presence.socketId !== socketId) {
+      return null;
+    }
+
+    const lastSeen = new Date();
+    await redisClient.del(key);
+    await User.updateOne({ _id: userId }, { $set: { lastActive: lastSeen } });
+
+    return {
+      userId: userId.toString(),
+      status: 'offline',
+      lastSeen: lastSeen.toISOString()
+    };
+  }
+
+  // 요청한 사용자 중 viewerId와 같은 채팅방에 있는 사용자(본인 포함)만 추림
+  async getVisibleUserIds(viewerId, ids) {
+    const viewer = viewerId.toString();
+    const others = ids.filter(id => id !== viewer);
+    const visible = new Set(ids.includes(viewer) ? [viewer] : []);
+
+    if (others.length > 0) {
+      const shared = await Room.aggregate([
+        { $match: { participants: new mongoose.Types.ObjectId(viewer) } },
+        { $unwind: '$participants' },
+        { $match: { participants: { $in: others.map(id => new mongoose.Types.ObjectId(id)) } } },
+        { $group: { _id: '$participants' } }
+      ]);
+      shared.forEach(({ _id }) => visible.add(_id.toString()));
+    }
+
+    return ids.filter(id => visible.has(id));
+  }
+
+  // 여러 사용자의 접속 상태 일괄 조회 (같은 채팅방에 있지 않은 사용자는 결과에서 제외)
+  async getPresence(viewerId, userIds = []) {
+    const requestedIds = [...new Set(userIds.map(id => id?.toString()).filter(Boolean))];
+
+    if (requestedIds.length > MAX_PRESENCE_LOOKUP) {
+      throw createError(400, 'TOO_MANY_USERS', `한 번에 최대 ${MAX_PRESENCE_LOOKUP}명까지 조회할 수 있습니다.`);
+    }
+    if (requestedIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw createError(400, 'INVALID_USER_ID', '올바른 사용자 ID가 필요합니다.');
+    }
+
+    const ids = await this.getVisibleUserIds(viewerId, requestedIds);
+
+    const entries = await Promise.all(ids.map(id => redisClient.get(this.getPresenceKey(id))));
+    const result = {};
+    const offlineIds = [];
+
+    ids.forEach((id, index) => {
+      const presence = parsePresence(entries[index]);
+      if (presence) {
+        result[id] = this.toPayload(presence);
+      } else {
+        offlineIds.push(id);
+      }
+    });
+
+    // 오프라인 사용자는 DB의 마지막 활동 시각을 last seen으로 사용
+    if (offlineIds.length > 0) {
+      const users = await User.find({ _id: { $in: offlineIds } })
+        .select('lastActive')
+        .lean();
+      const lastActiveMap = new Map(users.map(user => [user._id.toString(), user.lastActive]));
+
+      offlineIds.forEach(id => {
+        result[id] = {
+          userId: id,
+          status: 'offline',
+          lastSeen: lastActiveMap.get(id) || null
+        };
+      });
+    }
+
+    return result;
+  }
+
+  // 사용자가 참여 중인 채팅방 목록 (접속 상태 변경 알림 대상)
+  async getPresenceRooms(userId) {
+    const roomIds = await Room.find({ participants: userId }).distinct('_id');
+    return roomIds.map(id => id.toString());
+  }
+
+  toPayload(presence) {
+    return {
+      userId: presence.userId,
+      status: presence.status,
+      lastSeen: presence.lastSeen
+    };
+  }
+}
+
+module.exports = new PresenceService();
@@ -231,22 +231,27 @@ class QueueService {
         throw new Error('User not found');
       }
 
-      // Socket.IO로 실시간 알림
+      const notificationService = require('./notificationService');
+      const eventType = this.getNotificationEventType(type);
+      const roomId = metadata?.roomId;
+
+      // Socket.IO로 실시간 알림 (채팅방 알림 끄기/알림 종류별 설정 반영)
       const io = require('../server').io;
-      if (io) {
+      if (io && notificationService.shouldNotify(user.notificationSettings, eventType, 'inApp', { roomId })) {
         const userSocket = await this.findUserSocket(io, userId);
         if (userSocket) {
           userSocket.emit('notification', {
             type,
             message,
             metadata,
+            silent: notificationService.isDoNotDisturb(user.notificationSettings),
             timestamp: new Date()
           });
         }
       }
 
       // 이메일 알림이 필요한 경우
-      if (this.shouldSendEmail(type, user.notificationSettings)) {
+      if (this.shouldSendEmail(type, user.notificationSettings, roomId)) {
         await this.queues.emailQueue.add('notification-email', {
           to: user.email,
           subject: this.getEmailSubject(type),
@@ -503,10 +508,28 @@ class QueueService {
     return sockets.find(socket => socket.user?.id === userId);
   }
 
-  shouldSendEmail(notificationType, userSettings) {
-    // 사용자 알림 설정에 따라 결정
+  shouldSendEmail(notificationType, userSettings, roomId) {
+    // 사용자 알림 설정에 따라 결정 (방해 금지 시간에는 보내지 않음)
     const emailTypes = ['mention', 'direct_message', 'room_invite'];
-    return emailTypes.includes(notificationType);
+    if (!emailTypes.includes(notificationType)) return false;
+
+    const notificationService = require('./notificationService');
+    return notificationService.shouldNotify(
+      userSettings,
+      this.getNotificationEventType(notificationType),
+      'email',
+      { roomId }
+    );
+  }
+
+  // 큐 알림 타입을 사용자 알림 설정의 종류 이름으로 변환
+  getNotificationEventType(type) {
+    const eventTypes = {
+      mention: 'mention',
+      direct_message: 'directMessage',
+      room_invite: 'roomInvite'
+    };
+    return eventTypes[type] || type;
   }
 
   getEmailSubject(type) {
@@ -0,0 +1,61 @@
+// 줄바꿈과 공백 정리 (PDF 추출 텍스트의 하이픈 줄바꿈 포함)
+const normalizeText = (text = '') => text
+  .replace(/\r\n?/g, '\n')
+  .replace(/(\w)-\n(\w)/g, '$1$2')
+  .replace(/[ \t\f\v]+/g, ' ')
+  .replace(/ *\n */g, '\n')
+  .replace(/\n{3,}/g, '\n\n')
+  .trim();
+
+// 문장 단위로 나누기 (한 문장이 chunkSize보다 길면 글자 수로 자름)
+const splitSentences = (paragraph, chunkSize) => {
+  const sentences = paragraph.match(/[^.!?。\n]+(?:[.!?。]+|\n|$)/g) || [paragraph];
+
+  return sentences.flatMap(sentence => {
+    const trimmed = sentence.trim();
+    if (trimmed.length <= chunkSize) return trimmed ? [trimmed] : [];
+
+    const pieces = [];
+    for (let start = 0; start < trimmed.length; start += chunkSize) {
+      pieces.push(trimmed.slice(start, start + chunkSize));
+    }
+    return pieces;
+  });
+};
+
+/**
+ * 검색용 문단 나누기
+ * - 문단/문장 경계를 살려 chunkSize 글자 안으로 묶음
+ * - 앞 문단의 끝 chunkOverlap 글자를 다음 문단 앞에 붙여 경계에서 문맥이 끊기지 않게 함
+ */
+const chunkText = (text, { chunkSize = 800, chunkOverlap = 100 } = {}) => {
+  const normalized = normalizeText(text);
+  if (!normalized) return [];
+
+  const units = normalized
+    .split(/\n{2,}/)
+    .flatMap(paragraph => splitSentences(paragraph.replace(/\n/g, ' '), chunkSize));
+
+  const chunks = [];
+  let current = '';
+
+  units.forEach(unit => {
+    if (current && current.length + unit.length + 1 > chunkSize) {
+      chunks.push(current);
+      const overlap = chunkOverlap > 0 ? current.slice(-chunkOverlap).replace(/^\S*\s/, '') : '';
+      current = overlap && overlap.length + unit.length + 1 <= chunkSize
+        ? `${overlap} ${unit}`
+        : unit;
+    } else {
+      current = current ? `${current} ${unit}` : unit;
+    }
+  });
+
+  if (current) {
+    chunks.push(current);
+  }
+
+  return chunks;
+};
+
+module.exports = { chunkText, normalizeText };
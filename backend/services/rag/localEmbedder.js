@@ -0,0 +1,55 @@
+// 32비트 FNV-1a 해시
+const hashToken = (token) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < token.length; i++) {
+    hash ^= token.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// 단어와, 조사가 붙는 한글 등 비ASCII 단어는 글자 2-gram까지 특징으로 사용
+const extractFeatures = (text = '') => {
+  const words = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const features = [];
+
+  words.forEach(word => {
+    features.push(word);
+
+    if (/[^\x00-\x7F]/.test(word)) {
+      const chars = Array.from(word);
+      for (let i = 0; i < chars.length - 1; i++) {
+        features.push(`${chars[i]}${chars[i + 1]}`);
+      }
+    }
+  });
+
+  return features;
+};
+
+// 네트워크 없이 같은 입력에 항상 같은 벡터를 만드는 해시 임베딩 (개발/테스트용)
+class LocalEmbedder {
+  constructor({ dimensions = 512 } = {}) {
+    this.dimensions = dimensions;
+    this.id = `local-hash-${dimensions}`;
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+
+    extractFeatures(text).forEach(feature => {
+      const hash = hashToken(feature);
+      const sign = hash & 1 ? 1 : -1;
+      vector[(hash >>> 1) % this.dimensions] += sign;
+    });
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+}
+
+module.exports = LocalEmbedder;
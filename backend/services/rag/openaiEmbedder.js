@@ -0,0 +1,37 @@
+const axios = require('axios');
+
+const BATCH_SIZE = 64;
+
+// OpenAI Embeddings 및 호환 API
+class OpenAIEmbedder {
+  constructor({ baseURL, apiKey, model }) {
+    this.model = model;
+    this.id = `openai-${model}`;
+    this.client = axios.create({
+      baseURL,
+      headers: {
+        'Authorization': `Bearer ${apiKey}`,
+        'Content-Type': 'application/json'
+      }
+    });
+  }
+
+  async embed(texts) {
+    const vectors = [];
+
+    for (let start = 0; start < texts.length; start += BATCH_SIZE) {
+      const response = await this.client.post('/embeddings', {
+        model: this.model,
+        input: texts.slice(start, start + BATCH_SIZE)
+      });
+
+      response.data.data
+        .sort((a, b) => a.index - b.index)
+        .forEach(item => vectors.push(item.embedding));
+    }
+
+    return vectors;
+  }
+}
+
+module.exports = OpenAIEmbedder;
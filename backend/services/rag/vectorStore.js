@@ -0,0 +1,111 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * 채팅방별 벡터를 JSON 파일 하나에 저장하는 로컬 저장소
+ * - 같은 채팅방 쓰기는 순서대로 처리
+ * - 다른 프로세스가 파일을 바꾸면 수정 시각을 보고 다시 읽음
+ */
+class LocalVectorStore {
+  constructor(dir) {
+    this.dir = dir;
+    this.rooms = new Map();
+    this.writes = new Map();
+  }
+
+  getPath(roomId) {
+    return path.join(this.dir, `${String(roomId).replace(/[^A-Za-z0-9_-]/g, '')}.json`);
+  }
+
+  async load(roomId) {
+    const filePath = this.getPath(roomId);
+    const cached = this.rooms.get(roomId);
+
+    try {
+      const { mtimeMs } = await fs.stat(filePath);
+      if (cached && cached.mtimeMs === mtimeMs) {
+        return cached.entries;
+      }
+
+      const entries = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+      this.rooms.set(roomId, { entries, mtimeMs });
+      return entries;
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error('Vector store load error:', { roomId, error: error.message });
+      }
+      this.rooms.delete(roomId);
+      return [];
+    }
+  }
+
+  async persist(roomId, entries) {
+    const filePath = this.getPath(roomId);
+
+    if (entries.length === 0) {
+      await fs.rm(filePath, { force: true });
+      this.rooms.delete(roomId);
+      return;
+    }
+
+    await fs.mkdir(this.dir, { recursive: true });
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempPath, JSON.stringify(entries));
+    await fs.rename(tempPath, filePath);
+
+    const { mtimeMs } = await fs.stat(filePath);
+    this.rooms.set(roomId, { entries, mtimeMs });
+  }
+
+  update(roomId, updater) {
+    const previous = this.writes.get(roomId) || Promise.resolve();
+    const next = previous.then(async () => {
+      const entries = await this.load(roomId);
+      await this.persist(roomId, updater(entries));
+    });
+
+    this.writes.set(roomId, next.catch(() => {}));
+    return next;
+  }
+
+  // 같은 id의 항목은 교체
+  add(roomId, entries) {
+    const ids = new Set(entries.map(entry => entry.id));
+    return this.update(roomId, existing => [
+      ...existing.filter(entry => !ids.has(entry.id)),
+      ...entries
+    ]);
+  }
+
+  remove(roomId, predicate) {
+    return this.update(roomId, existing => existing.filter(entry => !predicate(entry)));
+  }
+
+  // 같은 임베더로 만든 벡터끼리만 비교
+  async search(roomId, vector, { embedderId, limit = 4, minScore = 0 } = {}) {
+    const entries = await this.load(roomId);
+
+    return entries
+      .filter(entry => entry.embedder === embedderId)
+      .map(entry => ({ entry, score: cosineSimilarity(vector, entry.embedding) }))
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = LocalVectorStore;
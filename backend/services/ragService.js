@@ -0,0 +1,165 @@
+const aiProviders = require('../config/aiProviders');
+const fileService = require('./fileService');
+const { chunkText } = require('./rag/chunker');
+const LocalEmbedder = require('./rag/localEmbedder');
+const OpenAIEmbedder = require('./rag/openaiEmbedder');
+const LocalVectorStore = require('./rag/vectorStore');
+const { createError } = require('../utils/serviceError');
+
+const { rag: ragConfig } = aiProviders;
+
+const MAX_TEXT_LENGTH = 500000; // 파일당 색인할 최대 글자 수
+const MAX_CHUNKS_PER_FILE = 1000;
+const PENDING_TTL_MS = 10 * 60 * 1000; // 업로드 후 메시지로 보내지 않은 파일의 준비 결과 보관 시간
+const SOURCE_SNIPPET_LENGTH = 200;
+// 해시 임베딩은 단어가 겹치는 정도만 반영하므로 유사도가 낮게 나옴
+const DEFAULT_MIN_SCORES = {
+  local: 0.1,
+  openai: 0.3
+};
+
+const truncate = (text = '', length) => (
+  text.length > length ? `${text.slice(0, length)}…` : text
+);
+
+// 채팅방에 공유된 파일을 나누고 임베딩해 AI 답변에 인용
+class RAGService {
+  constructor() {
+    this.embedder = null;
+    this.store = new LocalVectorStore(ragConfig.storeDir);
+    this.pending = new Map();
+  }
+
+  getEmbedder() {
+    if (this.embedder) return this.embedder;
+
+    if (ragConfig.embedder === 'local') {
+      this.embedder = new LocalEmbedder({ dimensions: ragConfig.localDimensions });
+    } else if (ragConfig.embedder === 'openai') {
+      const { baseURL, apiKey } = aiProviders.providers.openai;
+      if (!apiKey) {
+        throw createError(503, 'RAG_EMBEDDER_NOT_CONFIGURED', 'OpenAI 임베딩 API 키가 설정되지 않았습니다.');
+      }
+      this.embedder = new OpenAIEmbedder({ baseURL, apiKey, model: ragConfig.embeddingModel });
+    } else {
+      throw createError(500, 'RAG_EMBEDDER_NOT_FOUND', `알 수 없는 임베더입니다: ${ragConfig.embedder}`);
+    }
+
+    return this.embedder;
+  }
+
+  isSupported(file) {
+    return !!file && fileService.isTextExtractable(file.mimetype);
+  }
+
+  // 업로드 직후 본문 추출, 문단 나누기, 임베딩 (채팅방은 메시지를 보낼 때 정해짐)
+  prepareFile(file) {
+    if (!this.isSupported(file)) return Promise.resolve(null);
+
+    const key = file._id.toString();
+    if (this.pending.has(key)) {
+      return this.pending.get(key);
+    }
+
+    const preparation = (async () => {
+      const text = (await fileService.extractText(file.path, file.mimetype)).slice(0, MAX_TEXT_LENGTH);
+      const chunks = chunkText(text, {
+        chunkSize: ragConfig.chunkSize,
+        chunkOverlap: ragConfig.chunkOverlap
+      }).slice(0, MAX_CHUNKS_PER_FILE);
+
+      const embedder = this.getEmbedder();
+      const vectors = chunks.length > 0 ? await embedder.embed(chunks) : [];
+
+      return {
+        embedderId: embedder.id,
+        chunks: chunks.map((chunk, index) => ({ index, text: chunk, embedding: vectors[index] }))
+      };
+    })();
+
+    this.pending.set(key, preparation);
+    preparation.catch(() => this.pending.delete(key));
+    setTimeout(() => {
+      if (this.pending.get(key) === preparation) {
+        this.pending.delete(key);
+      }
+    }, PENDING_TTL_MS).unref();
+
+    return preparation;
+  }
+
+  // 파일 메시지를 채팅방 벡터 저장소에 추가
+  async indexFileMessage(message, file) {
+    if (!this.isSupported(file)) return 0;
+
+    const prepared = await this.prepareFile(file);
+    this.pending.delete(file._id.toString());
+    if (!prepared?.chunks.length) return 0;
+
+    const messageId = message._id.toString();
+    const entries = prepared.chunks.map(chunk => ({
+      id: `${messageId}:${chunk.index}`,
+      messageId,
+      fileId: file._id.toString(),
+      fileName: file.originalname,
+      chunkIndex: chunk.index,
+      text: chunk.text,
+      embedding: chunk.embedding,
+      embedder: prepared.embedderId
+    }));
+
+    await this.store.add(message.room.toString(), entries);
+    return entries.length;
+  }
+
+  removeMessage(roomId, messageId) {
+    const id = messageId.toString();
+    return this.store.remove(roomId.toString(), entry => entry.messageId === id);
+  }
+
+  removeRoom(roomId) {
+    return this.store.remove(roomId.toString(), () => true);
+  }
+
+  // 질문과 가까운 공유 파일 문단 (다른 임베더로 만든 벡터는 제외)
+  async search(roomId, query, {
+    limit = ragConfig.topK,
+    minScore = ragConfig.minScore ?? DEFAULT_MIN_SCORES[ragConfig.embedder]
+  } = {}) {
+    if (!query?.trim()) return [];
+
+    const embedder = this.getEmbedder();
+    const [vector] = await embedder.embed([query]);
+    const results = await this.store.search(roomId.toString(), vector, {
+      embedderId: embedder.id,
+      limit,
+      minScore
+    });
+
+    return results.map(({ entry, score }) => ({
+      messageId: entry.messageId,
+      fileId: entry.fileId,
+      fileName: entry.fileName,
+      chunkIndex: entry.chunkIndex,
+      text: entry.text,
+      score
+    }));
+  }
+
+  // 답변에서 [번호]로 인용한 자료만 출처로 저장
+  getCitedSources(content, sources = []) {
+    return sources
+      .map((source, index) => ({ ...source, index: index + 1 }))
+      .filter(source => content.includes(`[${source.index}]`))
+      .map(source => ({
+        index: source.index,
+        messageId: source.messageId,
+        fileId: source.fileId,
+        fileName: source.fileName,
+        snippet: truncate(source.text, SOURCE_SNIPPET_LENGTH),
+        score: Math.round(source.score * 1000) / 1000
+      }));
+  }
+}
+
+module.exports = new RAGService();
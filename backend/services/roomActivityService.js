@@ -0,0 +1,146 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const RoomReadState = require('../models/RoomReadState');
+const cache = require('./simpleCache');
+const memoryCache = require('./memoryCache');
+
+const PREVIEW_LENGTH = 80; // 마지막 메시지 미리보기 최대 길이
+const MAX_UNREAD_COUNT = 100; // 이 이상은 화면에서 99+로 표시
+
+class RoomActivityService {
+  // 읽음 위치 갱신 (이전 위치보다 앞으로 되돌리지 않음)
+  async markRoomRead(roomId, userId, readAt = new Date()) {
+    if (!roomId || !mongoose.Types.ObjectId.isValid(roomId)) return;
+
+    const update = () => RoomReadState.updateOne(
+      { user: userId, room: roomId },
+      { $max: { lastReadAt: readAt } },
+      { upsert: true }
+    );
+
+    try {
+      await update();
+    } catch (error) {
+      // 동시 upsert로 인한 중복 키 에러는 한 번 재시도하면 기존 문서를 갱신
+      if (error.code !== 11000) throw error;
+      await update();
+    }
+  }
+
+  // 채팅방별 안 읽은 메시지 수 (읽음 위치가 없는 방, 즉 들어가 본 적 없는 방은 null)
+  async getUnreadCounts(roomIds, userId) {
+    const validIds = (roomIds || []).filter(id => mongoose.Types.ObjectId.isValid(id));
+    if (validIds.length === 0) return {};
+
+    const states = await RoomReadState.find({
+      user: userId,
+      room: { $in: validIds }
+    }).lean();
+
+    if (states.length === 0) return {};
+
+    // 방마다 읽은 위치가 달라 방별 조건을 $or로 묶어 한 번에 집계 (aggregate는 타입 변환이 없어 ObjectId로 비교)
+    const results = await Message.aggregate([
+      {
+        $match: {
+          $or: states.map(state => ({
+            room: state.room.toString(),
+            timestamp: { $gt: state.lastReadAt }
+          })),
+          sender: { $ne: new mongoose.Types.ObjectId(userId) },
+          type: { $ne: 'system' },
+          parentMessage: null,
+          isDeleted: { $ne: true }
+        }
+      },
+      { $group: { _id: '$room', count: { $sum: 1 } } }
+    ]);
+    const counts = new Map(results.map(result => [result._id, result.count]));
+
+    return Object.fromEntries(states.map(state => {
+      const roomId = state.room.toString();
+      return [roomId, Math.min(counts.get(roomId) || 0, MAX_UNREAD_COUNT)];
+    }));
+  }
+
+  // 목록 응답에 사용자별 안 읽은 메시지 수 추가 (캐시된 객체는 수정하지 않음)
+  async withUnreadCounts(rooms, userId) {
+    const counts = await this.getUnreadCounts(rooms.map(room => room._id), userId);
+
+    return rooms.map(room => ({
+      ...room,
+      unreadCount: counts[room._id.toString()] ?? null
+    }));
+  }
+
+  toLastMessage(message, senderName) {
+    const content = message.type === 'file'
+      ? (message.file?.originalname || message.metadata?.originalName || '파일')
+      : (message.content || '');
+
+    return {
+      messageId: message._id,
+      messageType: message.type,
+      content: content.length > PREVIEW_LENGTH ? `${content.slice(0, PREVIEW_LENGTH)}…` : content,
+      senderId: message.sender?._id || message.sender || null,
+      senderName: message.type === 'ai' ? message.aiType : senderName,
+      timestamp: message.timestamp
+    };
+  }
+
+  // 캐시된 채팅방 목록에 이전 미리보기와 활동순 정렬이 남지 않도록 무효화
+  async invalidateRoomListCache(roomId) {
+    memoryCache.deleteByPrefix('rooms:');
+    await Promise.all([
+      cache.invalidateRoomList(),
+      cache.invalidateRoomInfo(roomId)
+    ]);
+  }
+
+  // 새 메시지를 채팅방의 마지막 활동으로 기록하고 목록 갱신용 요약을 반환
+  async recordActivity(roomId, message, senderName) {
+    const lastMessage = this.toLastMessage(message, senderName);
+
+    await Room.updateOne(
+      { _id: roomId },
+      { $set: { lastMessage, lastActivityAt: lastMessage.timestamp } }
+    );
+    await this.invalidateRoomListCache(roomId);
+
+    return lastMessage;
+  }
+
+  // 마지막 메시지가 수정/삭제되면 남아 있는 최신 메시지로 미리보기를 다시 계산
+  async refreshLastMessage(roomId, messageId) {
+    const room = await Room.findOne({ _id: roomId, 'lastMessage.messageId': messageId })
+      .select('_id')
+      .lean();
+    if (!room) return null;
+
+    const latest = await Message.findOne({
+      room: roomId.toString(),
+      type: { $ne: 'system' },
+      parentMessage: null,
+      isDeleted: { $ne: true }
+    })
+      .sort({ timestamp: -1 })
+      .populate('sender', 'name')
+      .populate('file', 'originalname')
+      .lean();
+
+    const lastMessage = latest ? this.toLastMessage(latest, latest.sender?.name) : null;
+    await Room.updateOne(
+      { _id: roomId },
+      latest
+        ? { $set: { lastMessage, lastActivityAt: lastMessage.timestamp } }
+        : { $unset: { lastMessage: 1 } }
+    );
+
+    await this.invalidateRoomListCache(roomId);
+
+    return lastMessage;
+  }
+}
+
+module.exports = new RoomActivityService();
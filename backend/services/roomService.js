@@ -0,0 +1,523 @@
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Message = require('../models/Message');
+const User = require('../models/User');
+const messageService = require('./messageService');
+const { createError } = require('../utils/serviceError');
+const { ROOM_ROLES, getRoomRole, hasRoomPermission } = require('../utils/roomPermissions');
+
+const MAX_PINNED_MESSAGES = 20; // 채팅방당 최대 고정 메시지 수
+const MAX_ROOM_NAME_LENGTH = 50;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_ROOM_CAPACITY = 500;
+const ROOM_VISIBILITIES = ['public', 'private'];
+const MAX_SLOW_MODE_SECONDS = 3600;
+
+// 고정 메시지 미리보기에 필요한 필드만 populate
+const PINNED_MESSAGES_POPULATE = [
+  {
+    path: 'pinnedMessages.message',
+    select: 'content sender type aiType file timestamp isDeleted',
+    populate: [
+      { path: 'sender', select: 'name' },
+      { path: 'file', select: 'originalname mimetype' }
+    ]
+  },
+  { path: 'pinnedMessages.pinnedBy', select: 'name' }
+];
+
+class RoomService {
+  // 채팅방 ID 형식 확인
+  assertValidId(id, code = 'INVALID_ROOM_ID', message = '올바른 채팅방 ID가 필요합니다.') {
+    if (!id || !mongoose.Types.ObjectId.isValid(id)) {
+      throw createError(400, code, message);
+    }
+  }
+
+  // 참여자 권한 확인 후 채팅방 조회
+  async getParticipantRoom(roomId, userId, select = '_id creator') {
+    this.assertValidId(roomId);
+
+    const room = await Room.findById(roomId).select(`${select} participants`).lean();
+    if (!room) {
+      throw createError(404, 'ROOM_NOT_FOUND', '채팅방을 찾을 수 없습니다.');
+    }
+
+    const isParticipant = room.participants?.some(id => id.toString() === userId.toString());
+    if (!isParticipant) {
+      throw createError(403, 'ROOM_ACCESS_DENIED', '채팅방 접근 권한이 없습니다.');
+    }
+
+    return room;
+  }
+
+  // 1:1 대화 키 (사용자 순서와 무관하게 동일)
+  getDirectKey(userId, otherUserId) {
+    return [userId.toString(), otherUserId.toString()].sort().join(':');
+  }
+
+  // 1:1 대화 열기 (이미 있으면 기존 대화를 반환)
+  async openDirectRoom(userId, targetUserId) {
+    if (!targetUserId || !mongoose.Types.ObjectId.isValid(targetUserId)) {
+      throw createError(400, 'INVALID_USER_ID', '올바른 사용자 ID가 필요합니다.');
+    }
+
+    if (targetUserId.toString() === userId.toString()) {
+      throw createError(400, 'INVALID_DIRECT_TARGET', '자기 자신과는 대화할 수 없습니다.');
+    }
+
+    const targetUser = await User.exists({ _id: targetUserId });
+    if (!targetUser) {
+      throw createError(404, 'USER_NOT_FOUND', '사용자를 찾을 수 없습니다.');
+    }
+
+    const directKey = this.getDirectKey(userId, targetUserId);
+
+    // 동시 요청에도 하나만 생성되도록 directKey 기준 upsert
+    // (비밀번호 해싱 훅을 거치지 않도록 save 대신 원자적 업데이트 사용)
+    const upsertDirectRoom = () => Room.findOneAndUpdate(
+      { directKey },
+      {
+        $setOnInsert: {
+          type: 'direct',
+          name: '',
+          directKey,
+          creator: userId,
+          hasPassword: false,
+          createdAt: new Date()
+        },
+        $addToSet: { participants: { $each: [userId, targetUserId] } }
+      },
+      { upsert: true, new: true, rawResult: true }
+    );
+
+    let result;
+    try {
+      result = await upsertDirectRoom();
+    } catch (error) {
+      // 동시 upsert로 인한 중복 키 에러는 한 번 재시도하면 기존 문서를 찾음
+      if (error.code !== 11000) throw error;
+      result = await upsertDirectRoom();
+    }
+
+    const room = await Room.findById(result.value._id)
+      .populate('creator', 'name email')
+      .populate('participants', 'name email profileImage')
+      .lean();
+
+    return {
+      room,
+      created: !result.lastErrorObject?.updatedExisting
+    };
+  }
+
+  // 내가 참여 중인 1:1 대화 목록
+  async getDirectRooms(userId) {
+    return Room.find({ type: 'direct', participants: userId })
+      .populate('participants', 'name email profileImage')
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  // 정원 조건 (이미 참여 중인 사용자는 정원과 무관하게 통과)
+  getCapacityFilter(userId) {
+    return {
+      $or: [
+        { maxParticipants: null },
+        { participants: userId },
+        { $expr: { $lt: [{ $size: '$participants' }, '$maxParticipants'] } }
+      ]
+    };
+  }
+
+  isRoomFull(room, userId) {
+    if (!room?.maxParticipants) return false;
+
+    const participants = room.participants || [];
+    const isParticipant = participants.some(id => (id?._id || id).toString() === userId.toString());
+    return !isParticipant && participants.length >= room.maxParticipants;
+  }
+
+  // 비공개 방은 이미 참여 중인 사용자만 직접 입장 가능 (그 외에는 초대 링크 필요)
+  isPrivateForUser(room, userId) {
+    if (room?.visibility !== 'private') return false;
+    return !(room.participants || []).some(id => (id?._id || id).toString() === userId.toString());
+  }
+
+  // 보관된 방이나 공지 모드에서 쓰기 가능 여부 확인
+  // (allowInAnnouncementMode: 리액션처럼 공지 모드에서도 허용되는 동작)
+  assertWritable(room, userId, { allowInAnnouncementMode = false } = {}) {
+    if (room.archivedAt) {
+      throw createError(403, 'ROOM_ARCHIVED', '보관된 채팅방은 읽기만 가능합니다.');
+    }
+
+    if (room.announcementOnly && !allowInAnnouncementMode &&
+        !hasRoomPermission(room, userId, 'postInAnnouncementMode')) {
+      throw createError(403, 'ANNOUNCEMENT_ONLY', '공지 모드에서는 방장과 모더레이터만 메시지를 보낼 수 있습니다.');
+    }
+  }
+
+  async assertRoomWritable(roomId, userId, options) {
+    const room = await Room.findById(roomId)
+      .select('name participants creator moderators archivedAt announcementOnly slowModeSeconds')
+      .lean();
+
+    if (!room) {
+      throw createError(404, 'ROOM_NOT_FOUND', '채팅방을 찾을 수 없습니다.');
+    }
+
+    this.assertWritable(room, userId, options);
+    return room;
+  }
+
+  // 채팅방 보관 (삭제 대신 읽기 전용으로 전환)
+  async archiveRoom(roomId, userId) {
+    const room = await this.getArchivableRoom(roomId, userId);
+
+    if (room.archivedAt) {
+      throw createError(409, 'ROOM_ALREADY_ARCHIVED', '이미 보관된 채팅방입니다.');
+    }
+
+    return this.setArchived(roomId, { archivedAt: new Date(), archivedBy: userId });
+  }
+
+  // 보관된 채팅방 복원
+  async restoreRoom(roomId, userId) {
+    const room = await this.getArchivableRoom(roomId, userId);
+
+    if (!room.archivedAt) {
+      throw createError(409, 'ROOM_NOT_ARCHIVED', '보관된 채팅방이 아닙니다.');
+    }
+
+    return this.setArchived(roomId, { archivedAt: null, archivedBy: null });
+  }
+
+  async getArchivableRoom(roomId, userId) {
+    const room = await this.getParticipantRoom(roomId, userId, '_id type creator moderators archivedAt');
+
+    if (room.type === 'direct') {
+      throw createError(400, 'DIRECT_ROOM_ARCHIVE', '1:1 대화는 보관할 수 없습니다.');
+    }
+
+    this.assertPermission(room, userId, 'archiveRoom', 'ARCHIVE_NOT_ALLOWED', '방장만 채팅방을 보관하거나 복원할 수 있습니다.');
+    return room;
+  }
+
+  async setArchived(roomId, state) {
+    return Room.findByIdAndUpdate(roomId, { $set: state }, { new: true })
+      .populate('creator', 'name email')
+      .populate('participants', 'name email profileImage')
+      .lean();
+  }
+
+  // 내가 참여한 보관된 채팅방 목록
+  async getArchivedRooms(userId) {
+    return Room.find({
+      participants: userId,
+      type: { $ne: 'direct' },
+      archivedAt: { $ne: null }
+    })
+      .select('name description creator archivedAt participants createdAt')
+      .populate('creator', 'name')
+      .sort({ archivedAt: -1 })
+      .lean();
+  }
+
+  // 채팅방 설정 변경 (방장만 가능)
+  async updateSettings(roomId, userId, updates = {}) {
+    const current = await this.getParticipantRoom(roomId, userId, '_id type creator moderators');
+
+    if (current.type === 'direct') {
+      throw createError(400, 'DIRECT_ROOM_SETTINGS', '1:1 대화는 설정을 변경할 수 없습니다.');
+    }
+
+    this.assertPermission(current, userId, 'updateSettings', 'SETTINGS_NOT_ALLOWED', '방장만 채팅방 설정을 변경할 수 있습니다.');
+
+    const room = await Room.findById(roomId).select('+password');
+    const changes = [];
+
+    if (updates.name !== undefined) {
+      const name = typeof updates.name === 'string' ? updates.name.trim() : '';
+      if (!name) {
+        throw createError(400, 'INVALID_ROOM_NAME', '방 이름은 필수입니다.');
+      }
+      if (name.length > MAX_ROOM_NAME_LENGTH) {
+        throw createError(400, 'INVALID_ROOM_NAME', `방 이름은 ${MAX_ROOM_NAME_LENGTH}자 이하여야 합니다.`);
+      }
+      if (name !== room.name) {
+        room.name = name;
+        changes.push('name');
+      }
+    }
+
+    if (updates.description !== undefined) {
+      const description = typeof updates.description === 'string' ? updates.description.trim() : '';
+      if (description.length > MAX_DESCRIPTION_LENGTH) {
+        throw createError(400, 'INVALID_DESCRIPTION', `방 소개는 ${MAX_DESCRIPTION_LENGTH}자 이하여야 합니다.`);
+      }
+      if (description !== (room.description || '')) {
+        room.description = description;
+        changes.push('description');
+      }
+    }
+
+    if (updates.visibility !== undefined) {
+      if (!ROOM_VISIBILITIES.includes(updates.visibility)) {
+        throw createError(400, 'INVALID_VISIBILITY', '올바르지 않은 공개 범위입니다.');
+      }
+      if (updates.visibility !== room.visibility) {
+        room.visibility = updates.visibility;
+        changes.push('visibility');
+      }
+    }
+
+    if (updates.maxParticipants !== undefined) {
+      const maxParticipants = updates.maxParticipants === null || updates.maxParticipants === ''
+        ? null
+        : Number(updates.maxParticipants);
+
+      if (maxParticipants !== null &&
+          (!Number.isInteger(maxParticipants) || maxParticipants < 2 || maxParticipants > MAX_ROOM_CAPACITY)) {
+        throw createError(400, 'INVALID_CAPACITY', `최대 인원은 2명에서 ${MAX_ROOM_CAPACITY}명 사이여야 합니다.`);
+      }
+      if (maxParticipants !== null && maxParticipants < room.participants.length) {
+        throw createError(400, 'CAPACITY_TOO_SMALL', `현재 참여 인원(${room.participants.length}명)보다 적게 설정할 수 없습니다.`);
+      }
+      if (maxParticipants !== (room.maxParticipants ?? null)) {
+        room.maxParticipants = maxParticipants;
+        changes.push('maxParticipants');
+      }
+    }
+
+    if (updates.slowModeSeconds !== undefined) {
+      const slowModeSeconds = updates.slowModeSeconds === null || updates.slowModeSeconds === ''
+        ? 0
+        : Number(updates.slowModeSeconds);
+
+      if (!Number.isInteger(slowModeSeconds) || slowModeSeconds < 0 || slowModeSeconds > MAX_SLOW_MODE_SECONDS) {
+        throw createError(400, 'INVALID_SLOW_MODE', `슬로우 모드 간격은 0초에서 ${MAX_SLOW_MODE_SECONDS}초 사이여야 합니다.`);
+      }
+      if (slowModeSeconds !== (room.slowModeSeconds || 0)) {
+        room.slowModeSeconds = slowModeSeconds;
+        changes.push('slowModeSeconds');
+      }
+    }
+
+    if (updates.announcementOnly !== undefined) {
+      const announcementOnly = updates.announcementOnly === true;
+      if (announcementOnly !== !!room.announcementOnly) {
+        room.announcementOnly = announcementOnly;
+        changes.push('announcementOnly');
+      }
+    }
+
+    // 비밀번호 변경/제거는 모델의 setPassword/removePassword로 처리 (해싱은 저장 훅에서 수행)
+    let passwordAction = null;
+    if (updates.removePassword === true) {
+      if (room.hasPassword) {
+        passwordAction = 'remove';
+        changes.push('password');
+      }
+    } else if (updates.password !== undefined) {
+      const password = typeof updates.password === 'string' ? updates.password.trim() : '';
+      if (!password) {
+        throw createError(400, 'INVALID_PASSWORD', '비밀번호를 입력해주세요.');
+      }
+      passwordAction = 'set';
+      changes.push('password');
+    }
+
+    if (passwordAction === 'remove') {
+      await room.removePassword();
+    } else if (passwordAction === 'set') {
+      await room.setPassword(updates.password);
+    } else if (changes.length > 0) {
+      await room.save();
+    }
+
+    const updatedRoom = await Room.findById(roomId)
+      .populate('creator', 'name email')
+      .populate('participants', 'name email profileImage')
+      .lean();
+
+    return { room: updatedRoom, changes };
+  }
+
+  // 권한 매트릭스 확인
+  assertPermission(room, userId, permission, code, message) {
+    if (!hasRoomPermission(room, userId, permission)) {
+      throw createError(403, code, message);
+    }
+  }
+
+  // 채팅방 역할 정보 (방장, 모더레이터 목록)
+  async getRoomRoles(roomId) {
+    const room = await Room.findById(roomId).select('creator moderators').lean();
+    if (!room) {
+      throw createError(404, 'ROOM_NOT_FOUND', '채팅방을 찾을 수 없습니다.');
+    }
+
+    return {
+      roomId: roomId.toString(),
+      creator: room.creator?.toString() || null,
+      moderators: (room.moderators || []).map(id => id.toString())
+    };
+  }
+
+  // 역할 변경 대상 확인 (그룹 채팅방의 다른 참여자여야 함)
+  async getRoleTarget(roomId, targetUserId, userId, permission) {
+    const room = await this.getParticipantRoom(roomId, userId, '_id type creator moderators');
+
+    if (room.type === 'direct') {
+      throw createError(400, 'DIRECT_ROOM_ROLES', '1:1 대화에서는 역할을 변경할 수 없습니다.');
+    }
+
+    this.assertPermission(room, userId, permission, 'ROLE_CHANGE_NOT_ALLOWED', '방장만 역할을 변경할 수 있습니다.');
+    this.assertValidId(targetUserId, 'INVALID_USER_ID', '올바른 사용자 ID가 필요합니다.');
+
+    if (targetUserId.toString() === userId.toString()) {
+      throw createError(400, 'INVALID_ROLE_TARGET', '자신의 역할은 변경할 수 없습니다.');
+    }
+
+    const isParticipant = room.participants?.some(id => id.toString() === targetUserId.toString());
+    if (!isParticipant) {
+      throw createError(404, 'TARGET_NOT_PARTICIPANT', '채팅방에 참여 중인 사용자가 아닙니다.');
+    }
+
+    return { room, targetRole: getRoomRole(room, targetUserId) };
+  }
+
+  // 모더레이터 지정/해제 (방장만 가능)
+  async setModerator(roomId, targetUserId, userId, isModerator) {
+    const { targetRole } = await this.getRoleTarget(roomId, targetUserId, userId, 'manageRoles');
+
+    if (targetRole === ROOM_ROLES.OWNER) {
+      throw createError(400, 'INVALID_ROLE_TARGET', '방장의 역할은 변경할 수 없습니다.');
+    }
+
+    await Room.updateOne(
+      { _id: roomId },
+      isModerator
+        ? { $addToSet: { moderators: targetUserId } }
+        : { $pull: { moderators: targetUserId } }
+    );
+
+    return {
+      changed: (targetRole === ROOM_ROLES.MODERATOR) !== isModerator,
+      roles: await this.getRoomRoles(roomId)
+    };
+  }
+
+  // 방장 위임 (기존 방장은 모더레이터가 됨)
+  async transferOwnership(roomId, targetUserId, userId) {
+    await this.getRoleTarget(roomId, targetUserId, userId, 'transferOwnership');
+
+    // 동시에 다른 위임이 처리된 경우를 막기 위해 현재 방장 조건을 함께 확인
+    const result = await Room.updateOne(
+      { _id: roomId, creator: userId },
+      {
+        $set: { creator: targetUserId },
+        $pull: { moderators: targetUserId }
+      }
+    );
+
+    if (result.matchedCount === 0) {
+      throw createError(409, 'OWNERSHIP_CHANGED', '방장 정보가 변경되었습니다. 다시 시도해주세요.');
+    }
+
+    await Room.updateOne({ _id: roomId }, { $addToSet: { moderators: userId } });
+
+    return this.getRoomRoles(roomId);
+  }
+
+  // 메시지 고정 (방장, 모더레이터만 가능)
+  async pinMessage(roomId, messageId, userId) {
+    const room = await this.getParticipantRoom(
+      roomId,
+      userId,
+      '_id creator moderators pinnedMessages archivedAt announcementOnly'
+    );
+
+    this.assertPermission(room, userId, 'pinMessages', 'PIN_NOT_ALLOWED', '방장 또는 모더레이터만 메시지를 고정할 수 있습니다.');
+    this.assertWritable(room, userId);
+
+    this.assertValidId(messageId, 'INVALID_MESSAGE_ID', '올바른 메시지 ID가 필요합니다.');
+
+    const message = await Message.findOne({
+      _id: messageId,
+      room: roomId,
+      isDeleted: false
+    }).select('_id type').lean();
+
+    if (!message) {
+      throw createError(404, 'MESSAGE_NOT_FOUND', '메시지를 찾을 수 없습니다.');
+    }
+
+    if (message.type === 'system') {
+      throw createError(400, 'INVALID_MESSAGE_TYPE', '시스템 메시지는 고정할 수 없습니다.');
+    }
+
+    const pinned = room.pinnedMessages || [];
+    if (pinned.some(pin => pin.message.toString() === messageId.toString())) {
+      return this.getPinnedMessages(roomId, userId);
+    }
+
+    if (pinned.length >= MAX_PINNED_MESSAGES) {
+      throw createError(400, 'PIN_LIMIT_EXCEEDED', `메시지는 최대 ${MAX_PINNED_MESSAGES}개까지 고정할 수 있습니다.`);
+    }
+
+    // 비밀번호 해싱 훅을 거치지 않도록 원자적 업데이트 사용
+    await Room.updateOne(
+      { _id: roomId, 'pinnedMessages.message': { $ne: message._id } },
+      {
+        $push: {
+          pinnedMessages: {
+            message: message._id,
+            pinnedBy: userId,
+            pinnedAt: new Date()
+          }
+        }
+      }
+    );
+
+    return this.getPinnedMessages(roomId, userId);
+  }
+
+  // 메시지 고정 해제 (방장, 모더레이터만 가능)
+  async unpinMessage(roomId, messageId, userId) {
+    const room = await this.getParticipantRoom(roomId, userId, '_id creator moderators archivedAt announcementOnly');
+
+    this.assertPermission(room, userId, 'pinMessages', 'PIN_NOT_ALLOWED', '방장 또는 모더레이터만 고정을 해제할 수 있습니다.');
+    this.assertWritable(room, userId);
+
+    this.assertValidId(messageId, 'INVALID_MESSAGE_ID', '올바른 메시지 ID가 필요합니다.');
+
+    await Room.updateOne(
+      { _id: roomId },
+      { $pull: { pinnedMessages: { message: messageId } } }
+    );
+
+    return this.getPinnedMessages(roomId, userId);
+  }
+
+  // 고정 메시지 목록 (최근 고정 순, 삭제된 메시지 제외)
+  async getPinnedMessages(roomId, userId) {
+    await this.getParticipantRoom(roomId, userId);
+
+    const room = await Room.findById(roomId)
+      .select('pinnedMessages')
+      .populate(PINNED_MESSAGES_POPULATE)
+      .lean();
+
+    return (room?.pinnedMessages || [])
+      .filter(pin => pin.message && !pin.message.isDeleted)
+      .sort((a, b) => new Date(b.pinnedAt) - new Date(a.pinnedAt))
+      .map(pin => ({
+        message: messageService.toReplyPreview(pin.message),
+        pinnedBy: pin.pinnedBy ? { _id: pin.pinnedBy._id, name: pin.pinnedBy.name } : null,
+        pinnedAt: pin.pinnedAt
+      }));
+  }
+}
+
+module.exports = new RoomService();
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const Message = require('../models/Message');
+const Room = require('../models/Room');
+const { createError } = require('../utils/serviceError');
+const { encodeCursor, decodeCursor } = require('../utils/messageCursor');
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_RADIUS = 60; // 일치 위치 앞뒤로 보여줄 글자 수
+const SEARCHABLE_TYPES = ['text', 'ai', 'file'];
+
+// 정규식 특수문자 이스케이프
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// 검색어에서 강조할 단어 추출 (제외 검색어 "-단어"는 무시)
+const extractTerms = (query) => {
+  const phrases = [...query.matchAll(/"([^"]+)"/g)].map(match => match[1].trim());
+  const words = query
+    .replace(/"[^"]*"/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !word.startsWith('-'));
+
+  return [...new Set([...phrases, ...words])]
+    .filter(Boolean)
+    .sort((a, b) => b.length - a.length);
+};
+
+// 일치 위치 주변을 잘라 스니펫과 강조 구간([start, end]) 생성
+const buildSnippet = (content = '', terms = []) => {
+  if (!content) return { text: '', highlights: [] };
+
+  const pattern = terms.length
+    ? new RegExp(terms.map(escapeRegExp).join('|'), 'gi')
+    : null;
+
+  const firstMatch = pattern ? content.search(pattern) : -1;
+  const start = firstMatch > SNIPPET_RADIUS ? firstMatch - SNIPPET_RADIUS : 0;
+  const end = Math.min(content.length, Math.max(firstMatch, 0) + SNIPPET_RADIUS * 2);
+
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < content.length ? '…' : '';
+  const text = `${prefix}${content.slice(start, end)}${suffix}`;
+
+  const highlights = [];
+  if (pattern) {
+    for (const match of text.matchAll(pattern)) {
+      highlights.push([match.index, match.index + match[0].length]);
+    }
+  }
+
+  return { text, highlights };
+};
+
+const parseDate = (value, field) => {
+  if (!value) return null;
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw createError(400, 'INVALID_DATE', `${field} 날짜 형식이 올바르지 않습니다.`);
+  }
+  return date;
+};
+
+class SearchService {
+  // 검색 가능한 채팅방 ID 목록 (참여 중인 방으로 제한)
+  async getSearchableRoomIds(userId, roomId) {
+    if (roomId) {
+      if (!mongoose.Types.ObjectId.isValid(roomId)) {
+        throw createError(400, 'INVALID_ROOM_ID', '올바른 채팅방 ID가 필요합니다.');
+      }
+
+      const room = await Room.exists({ _id: roomId, participants: userId });
+      if (!room) {
+        throw createError(403, 'ROOM_ACCESS_DENIED', '채팅방 접근 권한이 없습니다.');
+      }
+      return [roomId.toString()];
+    }
+
+    const roomIds = await Room.find({ participants: userId }).distinct('_id');
+    return roomIds.map(id => id.toString());
+  }
+
+  // 메시지 전문 검색 (최신순, 커서 기반 페이지네이션)
+  async searchMessages(userId, options = {}) {
+    const {
+      q,
+      roomId,
+      senderId,
+      type,
+      from,
+      to,
+      hasFile,
+      cursor,
+      limit
+    } = options;
+
+    const query = typeof q === 'string' ? q.trim() : '';
+    if (!query) {
+      throw createError(400, 'EMPTY_QUERY', '검색어를 입력해주세요.');
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+      throw createError(400, 'QUERY_TOO_LONG', `검색어는 ${MAX_QUERY_LENGTH}자 이하로 입력해주세요.`);
+    }
+
+    const roomIds = await this.getSearchableRoomIds(userId, roomId);
+    const pageSize = Math.min(
+      Math.max(parseInt(limit, 10) || DEFAULT_SEARCH_LIMIT, 1),
+      MAX_SEARCH_LIMIT
+    );
+
+    if (roomIds.length === 0) {
+      return { results: [], nextCursor: null, hasMore: false };
+    }
+
+    const filter = {
+      $text: { $search: query },
+      room: { $in: roomIds },
+      isDeleted: false,
+      type: { $in: SEARCHABLE_TYPES }
+    };
+
+    if (senderId) {
+      if (!mongoose.Types.ObjectId.isValid(senderId)) {
+        throw createError(400, 'INVALID_SENDER_ID', '올바른 사용자 ID가 필요합니다.');
+      }
+      filter.sender = senderId;
+    }
+
+    if (type) {
+      if (!SEARCHABLE_TYPES.includes(type)) {
+        throw createError(400, 'INVALID_MESSAGE_TYPE', '검색할 수 없는 메시지 유형입니다.');
+      }
+      filter.type = type;
+    }
+
+    if (hasFile === true || hasFile === 'true') {
+      filter.file = { $ne: null };
+    } else if (hasFile === false || hasFile === 'false') {
+      filter.file = null;
+    }
+
+    const fromDate = parseDate(from, '시작');
+    const toDate = parseDate(to, '종료');
+    if (fromDate || toDate) {
+      filter.timestamp = {};
+      if (fromDate) filter.timestamp.$gte = fromDate;
+      if (toDate) filter.timestamp.$lte = toDate;
+    }
+
+    if (cursor) {
+      const decoded = decodeCursor(cursor);
+      if (!decoded) {
+        throw createError(400, 'INVALID_CURSOR', '올바르지 않은 페이지 정보입니다.');
+      }
+      filter.$or = [
+        { timestamp: { $lt: decoded.timestamp } },
+        { timestamp: decoded.timestamp, _id: { $lt: decoded.id } }
+      ];
+    }
+
+    const messages = await Message.find(filter)
+      .select('content sender type aiType file room parentMessage timestamp')
+      .populate('sender', 'name')
+      .populate('file', 'originalname mimetype')
+      .sort({ timestamp: -1, _id: -1 })
+      .limit(pageSize + 1)
+      .lean();
+
+    const hasMore = messages.length > pageSize;
+    const page = messages.slice(0, pageSize);
+
+    const rooms = await Room.find({ _id: { $in: [...new Set(page.map(msg => msg.room))] } })
+      .select('name')
+      .lean();
+    const roomNames = new Map(rooms.map(room => [room._id.toString(), room.name]));
+
+    const terms = extractTerms(query);
+
+    return {
+      results: page.map(msg => ({
+        _id: msg._id,
+        room: { _id: msg.room, name: roomNames.get(msg.room) || null },
+        sender: msg.type === 'ai'
+          ? { name: msg.aiType }
+          : msg.sender ? { _id: msg.sender._id, name: msg.sender.name } : null,
+        type: msg.type,
+        file: msg.file
+          ? { originalname: msg.file.originalname, mimetype: msg.file.mimetype }
+          : null,
+        parentMessage: msg.parentMessage || null,
+        timestamp: msg.timestamp,
+        snippet: buildSnippet(msg.content, terms)
+      })),
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null,
+      hasMore
+    };
+  }
+}
+
+module.exports = new SearchService();
@@ -111,7 +111,7 @@ class SimpleCacheService {
     try {
       const keys = await redisClient.keys('rooms:list:*');
       if (keys.length > 0) {
-        await redisClient.del(...keys);
+        await Promise.all(keys.map(key => redisClient.del(key)));
         console.log(`🗑️  채팅방 목록 캐시 전체 삭제: ${keys.length}개`);
       }
       return true;
@@ -0,0 +1,56 @@
+const redisClient = require('../utils/redisClient');
+const { createError } = require('../utils/serviceError');
+const { hasRoomPermission } = require('../utils/roomPermissions');
+
+// 사용자별 기본 메시지 제한 (모든 채팅방 합산)
+const MESSAGE_RATE_WINDOW = parseInt(process.env.SOCKET_MESSAGE_RATE_WINDOW, 10) || 10; // 초
+const MESSAGE_RATE_MAX = parseInt(process.env.SOCKET_MESSAGE_RATE_MAX, 10) || 10;
+
+class SocketRateLimiter {
+  // 고정 윈도우 카운터 (Redis 키를 공유하므로 클러스터 워커 간에도 동일하게 적용)
+  async hit(key, windowSeconds) {
+    const count = await redisClient.incr(key);
+    let ttl = await redisClient.ttl(key);
+
+    // 첫 요청이거나 만료가 설정되지 않은 키(incr 직후 중단 등)는 만료를 다시 설정
+    if (count === 1 || ttl < 0) {
+      await redisClient.expire(key, windowSeconds);
+      ttl = windowSeconds;
+    }
+
+    return { count, retryAfter: Math.max(1, ttl) };
+  }
+
+  createLimitError(code, message, retryAfter) {
+    const error = createError(429, code, message);
+    error.retryAfter = retryAfter;
+    return error;
+  }
+
+  // 메시지 전송 가능 여부 확인 (초과 시 retryAfter(초)를 담은 429 에러)
+  async consumeMessage(userId, room) {
+    const global = await this.hit(`ratelimit:message:${userId}`, MESSAGE_RATE_WINDOW);
+    if (global.count > MESSAGE_RATE_MAX) {
+      throw this.createLimitError(
+        'MESSAGE_RATE_LIMITED',
+        `메시지를 너무 빠르게 보내고 있습니다. ${global.retryAfter}초 후에 다시 시도해주세요.`,
+        global.retryAfter
+      );
+    }
+
+    // 채팅방 슬로우 모드 (방장과 모더레이터는 제외)
+    const interval = room?.slowModeSeconds || 0;
+    if (interval > 0 && !hasRoomPermission(room, userId, 'bypassSlowMode')) {
+      const slowMode = await this.hit(`ratelimit:slowmode:${room._id}:${userId}`, interval);
+      if (slowMode.count > 1) {
+        throw this.createLimitError(
+          'SLOW_MODE',
+          `슬로우 모드가 켜져 있습니다. ${slowMode.retryAfter}초 후에 다시 보낼 수 있습니다.`,
+          slowMode.retryAfter
+        );
+      }
+    }
+  }
+}
+
+module.exports = new SocketRateLimiter();
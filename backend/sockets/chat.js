@@ -7,6 +7,19 @@ const { jwtSecret } = require('../config/keys');
 const redisClient = require('../utils/redisClient');
 const SessionService = require('../services/sessionService');
 const aiService = require('../services/aiService');
+const aiPersonaService = require('../services/aiPersonaService');
+const aiContextService = require('../services/aiContextService');
+const ragService = require('../services/ragService');
+const messageService = require('../services/messageService');
+const roomService = require('../services/roomService');
+const presenceService = require('../services/presenceService');
+const moderationService = require('../services/moderationService');
+const socketRateLimiter = require('../services/socketRateLimiter');
+const roomActivityService = require('../services/roomActivityService');
+const notificationService = require('../services/notificationService');
+const { getUserRoom } = require('../utils/socketRooms');
+const { hasRoomPermission } = require('../utils/roomPermissions');
+const { createError } = require('../utils/serviceError');
 
 module.exports = function(io) {
   const connectedUsers = new Map();
@@ -14,12 +27,14 @@ module.exports = function(io) {
   const userRooms = new Map();
   const messageQueues = new Map();
   const messageLoadRetries = new Map();
+  const typingTimers = new Map();
   const BATCH_SIZE = 30;  // 한 번에 로드할 메시지 수
   const LOAD_DELAY = 300; // 메시지 로드 딜레이 (ms)
   const MAX_RETRIES = 3;  // 최대 재시도 횟수
   const MESSAGE_LOAD_TIMEOUT = 10000; // 메시지 로드 타임아웃 (10초)
   const RETRY_DELAY = 2000; // 재시도 간격 (2초)
   const DUPLICATE_LOGIN_TIMEOUT = 10000; // 중복 로그인 타임아웃 (10초)
+  const TYPING_TIMEOUT = 6000; // 입력 중 표시 자동 만료 (6초)
 
   // 로깅 유틸리티 함수
   const logDebug = (action, data) => {
@@ -29,6 +44,50 @@ module.exports = function(io) {
     });
   };
 
+  // 보관/공지 모드 및 채팅 금지 확인 (수정/삭제할 메시지의 채팅방 기준)
+  const assertMessageWritable = async (messageId, userId, options) => {
+    const { message } = await messageService.getAccessibleMessage(messageId, userId);
+    await roomService.assertRoomWritable(message.room, userId, options);
+    await moderationService.assertNotMuted(message.room, userId);
+  };
+
+  // 입력 중 상태 해제 (Redis 어댑터를 통해 모든 워커의 참여자에게 전달)
+  const stopTyping = (user, roomId) => {
+    const typingKey = `${roomId}:${user.id}`;
+    const timer = typingTimers.get(typingKey);
+    if (!timer) return;
+
+    clearTimeout(timer);
+    typingTimers.delete(typingKey);
+
+    io.to(roomId).emit('typingUpdate', {
+      roomId,
+      userId: user.id,
+      name: user.name,
+      isTyping: false
+    });
+  };
+
+  // 접속 상태 변경을 사용자가 참여 중인 모든 채팅방에 알림
+  const broadcastPresence = async (userId, presence, extraRoomIds = []) => {
+    if (!presence) return;
+
+    const roomIds = await presenceService.getPresenceRooms(userId);
+    const targets = [...new Set([...roomIds, ...extraRoomIds])];
+    if (targets.length > 0) {
+      io.to(targets).emit('presenceUpdate', presence);
+    }
+  };
+
+  const updatePresence = async (socket, status = 'online') => {
+    try {
+      const presence = await presenceService.setStatus(socket.user.id, socket.id, status);
+      await broadcastPresence(socket.user.id, presence);
+    } catch (error) {
+      console.error('Presence update error:', error);
+    }
+  };
+
   // 메시지 일괄 로드 함수 개선
   const loadMessages = async (socket, roomId, before, limit = BATCH_SIZE) => {
     const timeoutPromise = new Promise((_, reject) => {
@@ -38,33 +97,12 @@ module.exports = function(io) {
     });
 
     try {
-      // 쿼리 구성
-      const query = { room: roomId };
-      if (before) {
-        query.timestamp = { $lt: new Date(before) };
-      }
-
-      // 메시지 로드 with profileImage
-      const messages = await Promise.race([
-        Message.find(query)
-          .populate('sender', 'name email profileImage')
-          .populate({
-            path: 'file',
-            select: 'filename originalname mimetype size'
-          })
-          .sort({ timestamp: -1 })
-          .limit(limit + 1)
-          .lean(),
+      // 메시지 로드 (스레드 답글은 메인 타임라인에서 제외)
+      const { messages: sortedMessages, hasMore, oldestTimestamp } = await Promise.race([
+        messageService.fetchRoomMessages(roomId, { before, limit }),
         timeoutPromise
       ]);
 
-      // 결과 처리
-      const hasMore = messages.length > limit;
-      const resultMessages = messages.slice(0, limit);
-      const sortedMessages = resultMessages.sort((a, b) => 
-        new Date(a.timestamp) - new Date(b.timestamp)
-      );
-
       // 읽음 상태 비동기 업데이트
       if (sortedMessages.length > 0 && socket.user) {
         const messageIds = sortedMessages.map(msg => msg._id);
@@ -89,7 +127,7 @@ module.exports = function(io) {
       return {
         messages: sortedMessages,
         hasMore,
-        oldestTimestamp: sortedMessages[0]?.timestamp || null
+        oldestTimestamp
       };
     } catch (error) {
       if (error.message === 'Message loading timed out') {
@@ -243,6 +281,34 @@ module.exports = function(io) {
       next(new Error('Authentication failed'));
     }
   });
+
+  // 다른 워커에서 진행 중인 AI 응답 중지 요청
+  io.on('aiCancelRequest', ({ messageId, userId } = {}) => {
+    cancelAIResponse(messageId, userId).catch(error => {
+      console.error('AI cancel request error:', error.message);
+    });
+  });
+
+  // 강퇴/차단된 사용자의 입장 상태 정리 (이 워커에 연결된 경우)
+  const removeRoomMember = ({ roomId, userId } = {}) => {
+    if (!roomId || !userId || userRooms.get(userId) !== roomId) return;
+
+    const user = io.sockets.sockets.get(connectedUsers.get(userId))?.user || { id: userId };
+    stopTyping(user, roomId);
+    userRooms.delete(userId);
+
+    for (const session of streamingSessions.values()) {
+      if (session.room === roomId && session.userId === userId) {
+        session.abortController.abort();
+      }
+    }
+
+    logDebug('room member removed', { roomId, userId });
+  };
+
+  // 요청을 처리한 워커는 직접 호출하고, 다른 워커는 serverSideEmit으로 전달받음
+  module.exports.removeRoomMember = removeRoomMember;
+  io.on('roomMemberRemoved', removeRoomMember);
   
   io.on('connection', (socket) => {
     logDebug('socket connected', {
@@ -278,8 +344,24 @@ module.exports = function(io) {
       
       // 새로운 연결 정보 저장
       connectedUsers.set(socket.user.id, socket.id);
+
+      // 사용자별 룸 (강퇴 등 특정 사용자의 모든 소켓에 보낼 이벤트용)
+      socket.join(getUserRoom(socket.user.id));
+    }
+
+    if (socket.user) {
+      updatePresence(socket);
     }
 
+    // 채팅방 목록 실시간 업데이트 구독
+    socket.on('joinRoomList', () => {
+      socket.join('room-list');
+    });
+
+    socket.on('leaveRoomList', () => {
+      socket.leave('room-list');
+    });
+
     // 이전 메시지 로딩 처리 개선
     socket.on('fetchPreviousMessages', async ({ roomId, before }) => {
       const queueKey = `${roomId}:${socket.user.id}`;
@@ -341,9 +423,28 @@ module.exports = function(io) {
           throw new Error('Unauthorized');
         }
 
-        // 이미 해당 방에 참여 중인지 확인
+        // 차단된 사용자는 입장 불가
+        if (await moderationService.isBanned(roomId, socket.user.id)) {
+          throw new Error('채팅방에서 차단되어 입장할 수 없습니다.');
+        }
+
+        // 보관/비공개 방/정원 확인 (이미 참여 중인 사용자는 통과)
+        const targetRoom = await Room.findById(roomId)
+          .select('visibility maxParticipants participants archivedAt')
+          .lean();
+        if (targetRoom?.archivedAt && !targetRoom.participants.some(id => id.toString() === socket.user.id)) {
+          throw new Error('보관된 채팅방에는 새로 입장할 수 없습니다.');
+        }
+        if (roomService.isPrivateForUser(targetRoom, socket.user.id)) {
+          throw new Error('비공개 채팅방은 초대 링크로만 입장할 수 있습니다.');
+        }
+        if (roomService.isRoomFull(targetRoom, socket.user.id)) {
+          throw new Error('채팅방 정원이 가득 찼습니다.');
+        }
+
+        // 이미 해당 방에 참여 중인지 확인 (강퇴로 소켓 룸에서 빠진 경우는 다시 입장)
         const currentRoom = userRooms.get(socket.user.id);
-        if (currentRoom === roomId) {
+        if (currentRoom === roomId && socket.rooms.has(roomId)) {
           logDebug('already in room', {
             userId: socket.user.id,
             roomId
@@ -358,6 +459,7 @@ module.exports = function(io) {
             userId: socket.user.id, 
             roomId: currentRoom 
           });
+          stopTyping(socket.user, currentRoom);
           socket.leave(currentRoom);
           userRooms.delete(socket.user.id);
           
@@ -367,9 +469,15 @@ module.exports = function(io) {
           });
         }
 
-        // 채팅방 참가 with profileImage
-        const room = await Room.findByIdAndUpdate(
-          roomId,
+        // 채팅방 참가 with profileImage (1:1 대화는 기존 참여자만, 정원 초과 시 입장 불가)
+        const room = await Room.findOneAndUpdate(
+          {
+            _id: roomId,
+            $and: [
+              { $or: [{ type: { $ne: 'direct' } }, { participants: socket.user.id }] },
+              roomService.getCapacityFilter(socket.user.id)
+            ]
+          },
           { $addToSet: { participants: socket.user.id } },
           { 
             new: true,
@@ -384,15 +492,18 @@ module.exports = function(io) {
         socket.join(roomId);
         userRooms.set(socket.user.id, roomId);
 
-        // 입장 메시지 생성
-        const joinMessage = new Message({
+        // 입장 메시지 생성 (1:1 대화와 보관된 방은 생략)
+        const isDirect = room.type === 'direct';
+        const joinMessage = isDirect || room.archivedAt ? null : new Message({
           room: roomId,
           content: `${socket.user.name}님이 입장하였습니다.`,
           type: 'system',
           timestamp: new Date()
         });
         
-        await joinMessage.save();
+        if (joinMessage) {
+          await joinMessage.save();
+        }
 
         // 초기 메시지 로드
         const messageLoadResult = await loadMessages(socket, roomId);
@@ -420,9 +531,13 @@ module.exports = function(io) {
           activeStreams
         });
 
-        io.to(roomId).emit('message', joinMessage);
+        if (joinMessage) {
+          io.to(roomId).emit('message', joinMessage);
+        }
         io.to(roomId).emit('participantsUpdate', room.participants);
 
+        await roomActivityService.markRoomRead(roomId, socket.user.id);
+
         logDebug('user joined room', {
           userId: socket.user.id,
           roomId,
@@ -449,7 +564,7 @@ module.exports = function(io) {
           throw new Error('메시지 데이터가 없습니다.');
         }
 
-        const { room, type, content, fileData } = messageData;
+        const { room, type, content, fileData, replyTo } = messageData;
 
         if (!room) {
           throw new Error('채팅방 정보가 없습니다.');
@@ -465,6 +580,10 @@ module.exports = function(io) {
           throw new Error('채팅방 접근 권한이 없습니다.');
         }
 
+        // 보관/공지 모드 및 채팅 금지 확인
+        roomService.assertWritable(chatRoom, socket.user.id);
+        await moderationService.assertNotMuted(room, socket.user.id);
+
         // 세션 유효성 재확인
         const sessionValidation = await SessionService.validateSession(
           socket.user.id, 
@@ -475,9 +594,13 @@ module.exports = function(io) {
           throw new Error('세션이 만료되었습니다. 다시 로그인해주세요.');
         }
 
+        // 인용 대상 확인
+        const replyTarget = await messageService.resolveReplyTarget(replyTo, room);
+
         // AI 멘션 확인
-        const aiMentions = extractAIMentions(content);
+        const aiMentions = await aiPersonaService.extractMentions(content, room);
         let message;
+        let attachedFile = null;
 
         logDebug('message received', {
           type,
@@ -502,6 +625,7 @@ module.exports = function(io) {
             if (!file) {
               throw new Error('파일을 찾을 수 없거나 접근 권한이 없습니다.');
             }
+            attachedFile = file;
 
             message = new Message({
               room,
@@ -539,22 +663,66 @@ module.exports = function(io) {
             throw new Error('지원하지 않는 메시지 타입입니다.');
         }
 
+        message.replyTo = replyTarget;
+
+        // 채팅방 참여자 멘션 확인
+        const mentionedUsers = await notificationService.extractMentionedUsers(
+          message.content,
+          chatRoom.participants,
+          socket.user.id
+        );
+        message.mentions = mentionedUsers.map(user => user._id.toString());
+
+        // 전송 속도 제한 (사용자 기본 제한 + 채팅방 슬로우 모드, 검증을 통과한 메시지만 차감)
+        await socketRateLimiter.consumeMessage(socket.user.id, chatRoom);
+
         await message.save();
         await message.populate([
           { path: 'sender', select: 'name email profileImage' },
           { path: 'file', select: 'filename originalname mimetype size' }
         ]);
+        await messageService.populateReplyPreview(message);
 
-        io.to(room).emit('message', message);
+        io.to(room).emit('message', {
+          ...message.toJSON(),
+          replyTo: messageService.toReplyPreview(message.replyTo)
+        });
+        stopTyping(socket.user, room);
+
+        const lastMessage = await roomActivityService.recordActivity(room, message, socket.user.name);
+        emitRoomActivity(chatRoom, lastMessage);
+        await notifyMentions(chatRoom, message, socket.user);
+
+        // 공유된 PDF/텍스트 파일을 채팅방 검색 색인에 추가 (AI 답변 인용용)
+        if (attachedFile) {
+          ragService.indexFileMessage(message, attachedFile).catch(error => {
+            console.error('File RAG indexing error:', {
+              messageId: message._id,
+              error: error.message
+            });
+          });
+        }
 
-        // AI 멘션이 있는 경우 AI 응답 생성
-        if (aiMentions.length > 0) {
-          for (const ai of aiMentions) {
-            const query = content.replace(new RegExp(`@${ai}\\b`, 'g'), '').trim();
-            await handleAIResponse(io, room, ai, query);
+        // AI 메시지에 답장하면 멘션이 없어도 해당 AI가 그 대화를 이어서 답변
+        const repliedHandle = message.replyTo?.type === 'ai' ? message.replyTo.aiType : null;
+        const aiTargets = [...aiMentions];
+        if (repliedHandle && !aiTargets.some(persona => persona.handle === repliedHandle)) {
+          const repliedPersona = await aiPersonaService.getAvailable(repliedHandle, room);
+          if (repliedPersona) {
+            aiTargets.push(repliedPersona);
           }
         }
 
+        // AI 멘션이 있는 경우 AI 응답 생성
+        for (const persona of aiTargets) {
+          const query = (message.content || '').replace(new RegExp(`@${persona.handle}\\b`, 'g'), '').trim();
+          await handleAIResponse(io, room, persona, query, {
+            triggerMessage: message,
+            replyTarget: persona.handle === repliedHandle ? message.replyTo._id : null,
+            requesterId: socket.user.id
+          });
+        }
+
         await SessionService.updateLastActivity(socket.user.id);
 
         logDebug('message processed', {
@@ -567,7 +735,8 @@ module.exports = function(io) {
         console.error('Message handling error:', error);
         socket.emit('error', {
           code: error.code || 'MESSAGE_ERROR',
-          message: error.message || '메시지 전송 중 오류가 발생했습니다.'
+          message: error.message || '메시지 전송 중 오류가 발생했습니다.',
+          retryAfter: error.retryAfter
         });
       }
     });
@@ -590,15 +759,33 @@ module.exports = function(io) {
         const room = await Room.findOne({
           _id: roomId,
           participants: socket.user.id
-        }).select('participants').lean();
+        }).select('participants type').lean();
 
         if (!room) {
           console.log(`Room ${roomId} not found or user has no access`);
           return;
         }
 
+        stopTyping(socket.user, roomId);
         socket.leave(roomId);
         userRooms.delete(socket.user.id);
+        await roomActivityService.markRoomRead(roomId, socket.user.id);
+
+        // 질문한 사용자가 나가면 진행 중인 AI 응답 중지
+        for (const session of streamingSessions.values()) {
+          if (session.room === roomId && session.userId === socket.user.id) {
+            session.abortController.abort();
+          }
+        }
+
+        // 1:1 대화는 화면만 나가고 참여자 목록은 유지
+        if (room.type === 'direct') {
+          logDebug('direct room left', {
+            roomId,
+            userId: socket.user.id
+          });
+          return;
+        }
 
         // 퇴장 메시지 생성 및 저장
         const leaveMessage = await Message.create({
@@ -608,10 +795,10 @@ module.exports = function(io) {
           timestamp: new Date()
         });
 
-        // 참가자 목록 업데이트 - profileImage 포함
+        // 참가자 목록 업데이트 - profileImage 포함 (직접 퇴장하면 모더레이터 권한도 해제)
         const updatedRoom = await Room.findByIdAndUpdate(
           roomId,
-          { $pull: { participants: socket.user.id } },
+          { $pull: { participants: socket.user.id, moderators: socket.user.id } },
           { 
             new: true,
             runValidators: true
@@ -623,13 +810,6 @@ module.exports = function(io) {
           return;
         }
 
-        // 스트리밍 세션 정리
-        for (const [messageId, session] of streamingSessions.entries()) {
-          if (session.room === roomId && session.userId === socket.user.id) {
-            streamingSessions.delete(messageId);
-          }
-        }
-
         // 메시지 큐 정리
         const queueKey = `${roomId}:${socket.user.id}`;
         messageQueues.delete(queueKey);
@@ -638,6 +818,11 @@ module.exports = function(io) {
         // 이벤트 발송
         io.to(roomId).emit('message', leaveMessage);
         io.to(roomId).emit('participantsUpdate', updatedRoom.participants);
+        io.to(roomId).emit('roomRolesUpdate', {
+          roomId,
+          creator: updatedRoom.creator?.toString() || null,
+          moderators: (updatedRoom.moderators || []).map(id => id.toString())
+        });
 
         console.log(`User ${socket.user.id} left room ${roomId} successfully`);
 
@@ -662,6 +847,16 @@ module.exports = function(io) {
         const roomId = userRooms.get(socket.user.id);
         userRooms.delete(socket.user.id);
 
+        // 참여자 목록에서 빠지기 전에 오프라인 상태 알림
+        const presence = await presenceService.setOffline(socket.user.id, socket.id);
+        await broadcastPresence(socket.user.id, presence, roomId ? [roomId] : []);
+
+        // 연결이 끊긴 사용자의 입력 중 표시 즉시 해제 및 읽음 위치 저장
+        if (roomId) {
+          stopTyping(socket.user, roomId);
+          await roomActivityService.markRoomRead(roomId, socket.user.id);
+        }
+
         // 메시지 큐 정리
         const userQueues = Array.from(messageQueues.keys())
           .filter(key => key.endsWith(`:${socket.user.id}`));
@@ -670,17 +865,19 @@ module.exports = function(io) {
           messageLoadRetries.delete(key);
         });
         
-        // 스트리밍 세션 정리
-        for (const [messageId, session] of streamingSessions.entries()) {
+        // 질문한 사용자의 연결이 끊기면 진행 중인 AI 응답 중지
+        for (const session of streamingSessions.values()) {
           if (session.userId === socket.user.id) {
-            streamingSessions.delete(messageId);
+            session.abortController.abort();
           }
         }
 
         // 현재 방에서 자동 퇴장 처리
         if (roomId) {
           // 다른 디바이스로 인한 연결 종료가 아닌 경우에만 처리
-          if (reason !== 'client namespace disconnect' && reason !== 'duplicate_login') {
+          // 1:1 대화는 참여자 목록을 유지하므로 퇴장 처리하지 않음
+          const isDirect = await Room.exists({ _id: roomId, type: 'direct' });
+          if (!isDirect && reason !== 'client namespace disconnect' && reason !== 'duplicate_login') {
             const leaveMessage = await Message.create({
               room: roomId,
               content: `${socket.user.name}님이 연결이 끊어졌습니다.`,
@@ -777,6 +974,8 @@ module.exports = function(io) {
           messageIds
         });
 
+        await roomActivityService.markRoomRead(roomId, socket.user.id);
+
       } catch (error) {
         console.error('Mark messages as read error:', error);
         socket.emit('error', {
@@ -793,10 +992,13 @@ module.exports = function(io) {
         }
 
         const message = await Message.findById(messageId);
-        if (!message) {
+        if (!message || message.isDeleted) {
           throw new Error('메시지를 찾을 수 없습니다.');
         }
 
+        // 보관된 방에서는 리액션 불가 (공지 모드에서는 허용)
+        await roomService.assertRoomWritable(message.room, socket.user.id, { allowInAnnouncementMode: true });
+
         // 리액션 추가/제거
         if (type === 'add') {
           await message.addReaction(reaction, socket.user.id);
@@ -813,33 +1015,449 @@ module.exports = function(io) {
       } catch (error) {
         console.error('Message reaction error:', error);
         socket.emit('error', {
+          code: error.code || 'MESSAGE_REACTION_ERROR',
           message: error.message || '리액션 처리 중 오류가 발생했습니다.'
         });
       }
     });
+
+    // 메시지 수정 처리
+    socket.on('editMessage', async ({ messageId, content } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        await assertMessageWritable(messageId, socket.user.id);
+        const message = await messageService.editMessage(messageId, socket.user.id, content);
+
+        io.to(message.room).emit('messageUpdated', messageService.toUpdatePayload(message));
+
+        logDebug('message edited', {
+          messageId,
+          userId: socket.user.id,
+          revisions: message.editHistory.length
+        });
+
+      } catch (error) {
+        console.error('Message edit error:', error);
+        socket.emit('error', {
+          code: error.code || 'MESSAGE_EDIT_ERROR',
+          message: error.message || '메시지 수정 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 스레드 답글 작성
+    socket.on('threadMessage', async ({ parentMessageId, content } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        // 보관/공지 모드 및 채팅 금지 확인 (부모 메시지의 채팅방 기준)
+        const { message: parentMessage } = await messageService.getAccessibleMessage(
+          parentMessageId,
+          socket.user.id
+        );
+        const parentRoom = await roomService.assertRoomWritable(parentMessage.room, socket.user.id);
+        await moderationService.assertNotMuted(parentMessage.room, socket.user.id);
+        await socketRateLimiter.consumeMessage(socket.user.id, parentRoom);
+
+        const mentionedUsers = await notificationService.extractMentionedUsers(
+          content,
+          parentRoom.participants,
+          socket.user.id
+        );
+
+        const { reply, parent } = await messageService.createThreadReply(
+          parentMessageId,
+          socket.user.id,
+          content,
+          mentionedUsers.map(user => user._id.toString())
+        );
+
+        io.to(parent.room).emit('threadReply', {
+          parentMessageId: parent._id,
+          message: reply
+        });
+        io.to(parent.room).emit('threadSummaryUpdate', messageService.toThreadSummaryPayload(parent));
+        await notifyMentions(parentRoom, reply, socket.user);
+
+        await SessionService.updateLastActivity(socket.user.id);
+
+        logDebug('thread reply created', {
+          parentMessageId,
+          messageId: reply._id,
+          replyCount: parent.thread?.replyCount
+        });
+
+      } catch (error) {
+        console.error('Thread message error:', error);
+        socket.emit('error', {
+          code: error.code || 'THREAD_MESSAGE_ERROR',
+          message: error.message || '답글 전송 중 오류가 발생했습니다.',
+          retryAfter: error.retryAfter
+        });
+      }
+    });
+
+    // 스레드 답글 목록 조회
+    socket.on('fetchThreadMessages', async ({ parentMessageId, before } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const result = await messageService.loadThreadMessages(
+          parentMessageId,
+          socket.user.id,
+          before
+        );
+
+        socket.emit('threadMessagesLoaded', {
+          parentMessageId,
+          before: before || null,
+          ...result
+        });
+
+      } catch (error) {
+        console.error('Fetch thread messages error:', error);
+        socket.emit('error', {
+          code: error.code || 'THREAD_LOAD_ERROR',
+          message: error.message || '스레드를 불러오는 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 메시지 삭제 처리
+    socket.on('deleteMessage', async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        // 공지 모드에서도 삭제는 허용
+        await assertMessageWritable(messageId, socket.user.id, { allowInAnnouncementMode: true });
+        const { message, parent } = await messageService.deleteMessage(messageId, socket.user.id);
+
+        io.to(message.room).emit('messageDeleted', messageService.toDeletePayload(message));
+        if (parent) {
+          io.to(message.room).emit('threadSummaryUpdate', messageService.toThreadSummaryPayload(parent));
+        }
+
+        logDebug('message deleted', {
+          messageId,
+          userId: socket.user.id,
+          type: message.type
+        });
+
+      } catch (error) {
+        console.error('Message delete error:', error);
+        socket.emit('error', {
+          code: error.code || 'MESSAGE_DELETE_ERROR',
+          message: error.message || '메시지 삭제 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 접속 상태 하트비트 (만료된 경우 다시 온라인으로 등록)
+    socket.on('presenceHeartbeat', async () => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const presence = await presenceService.refresh(socket.user.id, socket.id);
+        if (!presence) {
+          await updatePresence(socket);
+        }
+
+      } catch (error) {
+        console.error('Presence heartbeat error:', error);
+      }
+    });
+
+    // 자리 비움/온라인 상태 전환
+    socket.on('presenceStatus', async ({ status } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const presence = await presenceService.setStatus(socket.user.id, socket.id, status);
+        await broadcastPresence(socket.user.id, presence);
+
+      } catch (error) {
+        console.error('Presence status error:', error);
+        socket.emit('error', {
+          code: error.code || 'PRESENCE_ERROR',
+          message: error.message || '접속 상태 변경 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 입력 시작 (클라이언트는 입력 중 주기적으로 재전송하여 만료를 연장)
+    socket.on('typingStart', ({ roomId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        // 현재 참여 중인 방에서만 허용
+        if (!roomId || userRooms.get(socket.user.id) !== roomId) return;
+
+        const typingKey = `${roomId}:${socket.user.id}`;
+        const isNewTypist = !typingTimers.has(typingKey);
+        clearTimeout(typingTimers.get(typingKey));
+
+        // stopTyping이 타이머 존재 여부로 중복 해제를 막으므로 먼저 등록
+        typingTimers.set(typingKey, setTimeout(() => {
+          stopTyping(socket.user, roomId);
+        }, TYPING_TIMEOUT));
+
+        if (isNewTypist) {
+          io.to(roomId).emit('typingUpdate', {
+            roomId,
+            userId: socket.user.id,
+            name: socket.user.name,
+            isTyping: true
+          });
+        }
+
+      } catch (error) {
+        console.error('Typing start error:', error);
+      }
+    });
+
+    // 입력 종료
+    socket.on('typingStop', ({ roomId } = {}) => {
+      if (!socket.user || !roomId) return;
+      stopTyping(socket.user, roomId);
+    });
+
+    // 메시지 고정 처리 (채팅방 생성자 전용)
+    socket.on('pinMessage', async ({ roomId, messageId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        await moderationService.assertNotMuted(roomId, socket.user.id);
+        const pins = await roomService.pinMessage(roomId, messageId, socket.user.id);
+
+        io.to(roomId).emit('pinnedMessagesUpdate', { roomId, pins });
+
+        logDebug('message pinned', {
+          roomId,
+          messageId,
+          userId: socket.user.id,
+          pinCount: pins.length
+        });
+
+      } catch (error) {
+        console.error('Pin message error:', error);
+        socket.emit('error', {
+          code: error.code || 'PIN_MESSAGE_ERROR',
+          message: error.message || '메시지 고정 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 메시지 고정 해제 처리 (채팅방 생성자 전용)
+    socket.on('unpinMessage', async ({ roomId, messageId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        await moderationService.assertNotMuted(roomId, socket.user.id);
+        const pins = await roomService.unpinMessage(roomId, messageId, socket.user.id);
+
+        io.to(roomId).emit('pinnedMessagesUpdate', { roomId, pins });
+
+        logDebug('message unpinned', {
+          roomId,
+          messageId,
+          userId: socket.user.id,
+          pinCount: pins.length
+        });
+
+      } catch (error) {
+        console.error('Unpin message error:', error);
+        socket.emit('error', {
+          code: error.code || 'UNPIN_MESSAGE_ERROR',
+          message: error.message || '메시지 고정 해제 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // 진행 중인 AI 응답 중지 (받은 내용까지 저장)
+    socket.on('aiCancel', async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        if (!messageId) {
+          throw createError(400, 'INVALID_MESSAGE_ID', '중지할 AI 응답 정보가 없습니다.');
+        }
+
+        // 이 워커에서 진행 중이 아니면 다른 워커에 전달
+        const cancelled = await cancelAIResponse(messageId, socket.user.id);
+        if (!cancelled) {
+          io.serverSideEmit('aiCancelRequest', { messageId, userId: socket.user.id });
+        }
+
+        logDebug('AI response cancel requested', {
+          messageId,
+          userId: socket.user.id,
+          local: cancelled
+        });
+
+      } catch (error) {
+        console.error('AI cancel error:', error);
+        socket.emit('error', {
+          code: error.code || 'AI_CANCEL_ERROR',
+          message: error.message || 'AI 응답 중지 중 오류가 발생했습니다.'
+        });
+      }
+    });
+
+    // AI 답변 다시 생성 (같은 질문으로 만든 답변을 새 버전으로 추가)
+    socket.on('aiRegenerate', async ({ messageId } = {}) => {
+      try {
+        if (!socket.user) {
+          throw new Error('Unauthorized');
+        }
+
+        const { message, triggerMessage } = await messageService.getAIRegenerationTarget(messageId, socket.user.id);
+        const roomId = message.room.toString();
+        const targetMessageId = message._id.toString();
+
+        for (const session of streamingSessions.values()) {
+          if (session.targetMessageId === targetMessageId) {
+            throw createError(409, 'AI_REGENERATION_IN_PROGRESS', '이미 답변을 다시 생성하고 있습니다.');
+          }
+        }
+
+        // 보관/공지 모드, 채팅 금지, 전송 속도 제한은 메시지 전송과 동일하게 적용
+        const chatRoom = await roomService.assertRoomWritable(roomId, socket.user.id);
+        await moderationService.assertNotMuted(roomId, socket.user.id);
+        await socketRateLimiter.consumeMessage(socket.user.id, chatRoom);
+
+        const persona = await aiPersonaService.getAvailable(message.aiType, roomId);
+        if (!persona) {
+          throw createError(404, 'AI_PERSONA_NOT_FOUND', '이 채팅방에서 더 이상 사용할 수 없는 AI입니다.');
+        }
+
+        const repliedTo = triggerMessage?.replyTo;
+        await handleAIResponse(io, roomId, persona, message.metadata?.get('query') || '', {
+          triggerMessage,
+          replyTarget: repliedTo?.type === 'ai' && repliedTo.aiType === persona.handle ? repliedTo._id : null,
+          requesterId: socket.user.id,
+          regenerateTarget: targetMessageId,
+          // 질문 메시지를 찾지 못해도 기존 답변 이후의 대화는 맥락에 넣지 않음
+          historyBefore: triggerMessage || message
+        });
+
+        logDebug('AI response regenerated', {
+          messageId: targetMessageId,
+          aiType: persona.handle,
+          userId: socket.user.id
+        });
+
+      } catch (error) {
+        console.error('AI regenerate error:', error);
+        socket.emit('error', {
+          code: error.code || 'AI_REGENERATE_ERROR',
+          message: error.message || 'AI 답변 다시 생성 중 오류가 발생했습니다.',
+          retryAfter: error.retryAfter
+        });
+      }
+    });
   });
 
-  // AI 멘션 추출 함수
-  function extractAIMentions(content) {
-    if (!content) return [];
-    
-    const aiTypes = ['wayneAI', 'consultingAI'];
-    const mentions = new Set();
-    const mentionRegex = /@(wayneAI|consultingAI)\b/g;
-    let match;
-    
-    while ((match = mentionRegex.exec(content)) !== null) {
-      if (aiTypes.includes(match[1])) {
-        mentions.add(match[1]);
+  // 채팅방 목록 실시간 갱신 (공개 방은 목록 구독자 전체, 그 외에는 참여자에게만)
+  function emitRoomActivity(room, lastMessage) {
+    const payload = {
+      roomId: room._id.toString(),
+      roomType: room.type,
+      lastMessage,
+      lastActivityAt: lastMessage.timestamp
+    };
+
+    if (room.type !== 'direct' && room.visibility !== 'private') {
+      io.to('room-list').emit('roomActivity', payload);
+      return;
+    }
+
+    (room.participants || []).forEach(participantId => {
+      io.to(getUserRoom(participantId)).emit('roomActivity', payload);
+    });
+  }
+
+  // 멘션된 사용자에게 알림 저장 및 전송 (다른 채팅방에 있어도 개인 소켓 룸으로 전달)
+  async function notifyMentions(room, message, sender) {
+    if (!message.mentions?.length) return;
+
+    try {
+      const notifications = await notificationService.createMentionNotifications(
+        message,
+        room,
+        sender,
+        message.mentions
+      );
+
+      notifications.forEach(notification => {
+        io.to(getUserRoom(notification.recipient)).emit('notification', notification);
+      });
+    } catch (error) {
+      // 알림 실패가 메시지 전송 실패로 이어지지 않도록 기록만 남김
+      console.error('Mention notification error:', error);
+    }
+  }
+
+  // AI 답변에 참고할 채팅방 공유 파일 문단 (검색 실패 시 자료 없이 답변)
+  async function searchRoomFiles(roomId, query) {
+    try {
+      return await ragService.search(roomId, query);
+    } catch (error) {
+      console.error('Room file search error:', error);
+      return [];
+    }
+  }
+
+  // 진행 중인 AI 응답 중지 (질문한 사용자 또는 방장/모더레이터, 이 워커에 없으면 false)
+  async function cancelAIResponse(messageId, userId) {
+    const session = streamingSessions.get(messageId);
+    if (!session) return false;
+
+    if (session.userId !== userId) {
+      const room = await Room.findById(session.room).select('creator moderators').lean();
+      if (!hasRoomPermission(room, userId, 'cancelAnyAIResponse')) {
+        throw createError(403, 'AI_CANCEL_NOT_ALLOWED', 'AI 응답을 중지할 권한이 없습니다.');
       }
     }
-    
-    return Array.from(mentions);
+
+    session.abortController.abort();
+    return true;
   }
 
   // AI 응답 처리 함수 개선
-  async function handleAIResponse(io, room, aiName, query) {
+  // regenerateTarget: 다시 생성할 AI 메시지 ID (새 메시지 대신 해당 메시지에 버전 추가)
+  // historyBefore: 맥락으로 쓸 최근 대화의 기준 메시지 (기본값은 질문 메시지)
+  async function handleAIResponse(io, room, persona, query, {
+    triggerMessage = null,
+    replyTarget = null,
+    requesterId = null,
+    regenerateTarget = null,
+    historyBefore = triggerMessage
+  } = {}) {
+    const aiName = persona.handle;
     const messageId = `${aiName}-${Date.now()}`;
+    const targetMessageId = regenerateTarget;
+    const abortController = new AbortController();
     let accumulatedContent = '';
     const timestamp = new Date();
 
@@ -849,6 +1467,9 @@ module.exports = function(io) {
       aiType: aiName,
       content: '',
       messageId,
+      targetMessageId,
+      userId: requesterId,
+      abortController,
       timestamp,
       lastUpdate: Date.now(),
       reactions: {}
@@ -858,19 +1479,34 @@ module.exports = function(io) {
       messageId,
       aiType: aiName,
       room,
-      query
+      query,
+      targetMessageId
     });
 
     // 초기 상태 전송
     io.to(room).emit('aiMessageStart', {
       messageId,
       aiType: aiName,
+      requestedBy: requesterId,
+      targetMessageId,
       timestamp
     });
 
     try {
+      // 채팅방 최근 대화(또는 답장한 AI 대화)를 맥락으로 구성
+      const context = await aiContextService.buildContext({
+        roomId: room,
+        persona,
+        triggerMessage,
+        query,
+        replyTarget,
+        historyBefore,
+        signal: abortController.signal
+      });
+      const sources = await searchRoomFiles(room, query);
+
       // AI 응답 생성 및 스트리밍
-      await aiService.generateResponse(query, aiName, {
+      await aiService.generateResponse(query, persona, {
         onStart: () => {
           logDebug('AI generation started', {
             messageId,
@@ -888,6 +1524,7 @@ module.exports = function(io) {
 
           io.to(room).emit('aiMessageChunk', {
             messageId,
+            targetMessageId,
             currentChunk: chunk.currentChunk,
             fullContent: accumulatedContent,
             isCodeBlock: chunk.isCodeBlock,
@@ -900,37 +1537,83 @@ module.exports = function(io) {
           // 스트리밍 세션 정리
           streamingSessions.delete(messageId);
 
-          // AI 메시지 저장
-          const aiMessage = await Message.create({
-            room,
-            content: finalContent.content,
-            type: 'ai',
-            aiType: aiName,
-            timestamp: new Date(),
-            reactions: {},
-            metadata: {
-              query,
-              generationTime: Date.now() - timestamp,
-              completionTokens: finalContent.completionTokens,
-              totalTokens: finalContent.totalTokens
+          // 다시 생성하는 동안 원래 답변이 삭제된 경우 포함
+          const target = targetMessageId ? await Message.findById(targetMessageId) : null;
+          const targetMissing = targetMessageId && (!target || target.isDeleted);
+
+          // 받은 내용 없이 중지되면 저장하지 않음
+          if ((finalContent.cancelled && !finalContent.content) || targetMissing) {
+            io.to(room).emit('aiMessageCancelled', {
+              messageId,
+              targetMessageId,
+              aiType: aiName
+            });
+
+            logDebug('AI response cancelled', {
+              messageId,
+              aiType: aiName,
+              targetMessageId
+            });
+            return;
+          }
+
+          // 답변에서 인용한 공유 파일 문단
+          const citedSources = ragService.getCitedSources(finalContent.content, sources);
+
+          // AI 메시지 저장 (다시 생성한 경우 기존 메시지에 새 버전 추가)
+          const aiMessage = target
+            ? await target.addAIVersion({
+              content: finalContent.content,
+              sources: citedSources,
+              cancelled: finalContent.cancelled
+            })
+            : await Message.create({
+              room,
+              content: finalContent.content,
+              type: 'ai',
+              aiType: aiName,
+              timestamp: new Date(),
+              reactions: {},
+              metadata: {
+                query,
+                triggerMessage: triggerMessage?._id?.toString(),
+                contextSummarized: !!context.summary,
+                sources: citedSources,
+                cancelled: finalContent.cancelled,
+                generationTime: Date.now() - timestamp,
+                completionTokens: finalContent.completionTokens,
+                totalTokens: finalContent.totalTokens
+              }
+            });
+
+          if (!target) {
+            const aiRoom = await Room.findById(room).select('type visibility participants').lean();
+            if (aiRoom) {
+              emitRoomActivity(aiRoom, await roomActivityService.recordActivity(room, aiMessage));
             }
-          });
+          }
 
           // 완료 메시지 전송
           io.to(room).emit('aiMessageComplete', {
             messageId,
+            targetMessageId,
             _id: aiMessage._id,
             content: finalContent.content,
             aiType: aiName,
             timestamp: new Date(),
             isComplete: true,
+            cancelled: finalContent.cancelled,
             query,
+            sources: citedSources,
+            aiVersions: aiMessage.toObject().aiVersions || [],
             reactions: {}
           });
 
           logDebug('AI response completed', {
             messageId,
             aiType: aiName,
+            targetMessageId,
+            cancelled: finalContent.cancelled,
             contentLength: finalContent.content.length,
             generationTime: Date.now() - timestamp
           });
@@ -941,6 +1624,7 @@ module.exports = function(io) {
           
           io.to(room).emit('aiMessageError', {
             messageId,
+            targetMessageId,
             error: error.message || 'AI 응답 생성 중 오류가 발생했습니다.',
             aiType: aiName
           });
@@ -951,13 +1635,14 @@ module.exports = function(io) {
             error: error.message
           });
         }
-      });
+      }, { ...context, sources, signal: abortController.signal });
     } catch (error) {
       streamingSessions.delete(messageId);
       console.error('AI service error:', error);
       
       io.to(room).emit('aiMessageError', {
         messageId,
+        targetMessageId,
         error: error.message || 'AI 서비스 오류가 발생했습니다.',
         aiType: aiName
       });
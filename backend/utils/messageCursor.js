@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// 메시지 페이지 커서: 기준 메시지의 timestamp와 _id를 base64로 인코딩 (같은 시각의 메시지도 구분)
+const encodeCursor = (message) => Buffer
+  .from(`${new Date(message.timestamp).toISOString()}|${message._id}`)
+  .toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [timestamp, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+    const date = new Date(timestamp);
+
+    if (Number.isNaN(date.getTime()) || !mongoose.Types.ObjectId.isValid(id)) {
+      return null;
+    }
+
+    return { timestamp: date, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { encodeCursor, decodeCursor };
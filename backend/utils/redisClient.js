@@ -47,6 +47,25 @@ class MockRedisClient {
     return this.store.delete(key) ? 1 : 0;
   }
 
+  async keys(pattern) {
+    // glob 패턴의 *만 지원
+    const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    const regex = new RegExp(`^${escaped}$`);
+    const now = Date.now();
+
+    return [...this.store.entries()]
+      .filter(([key, item]) => regex.test(key) && (!item.expires || now <= item.expires))
+      .map(([key]) => key);
+  }
+
+  // 남은 만료 시간(초). 키가 없으면 -2, 만료가 없으면 -1
+  async ttl(key) {
+    const item = this.store.get(key);
+    if (!item || (item.expires && Date.now() > item.expires)) return -2;
+    if (!item.expires) return -1;
+    return Math.ceil((item.expires - Date.now()) / 1000);
+  }
+
   async expire(key, seconds) {
     const item = this.store.get(key);
     if (item) {
@@ -56,21 +75,15 @@ class MockRedisClient {
     return 0;
   }
 
+  // 없거나 만료된 키는 Redis처럼 만료 없이 1부터 시작
   async incr(key) {
     const item = this.store.get(key);
-    let currentValue = 1;
-    
-    if (item && !item.expires || (item.expires && Date.now() <= item.expires)) {
-      try {
-        currentValue = parseInt(item.value) + 1;
-      } catch {
-        currentValue = 1;
-      }
-    }
+    const isAlive = item && (!item.expires || Date.now() <= item.expires);
+    const currentValue = isAlive ? (parseInt(item.value, 10) || 0) + 1 : 1;
     
     this.store.set(key, { 
       value: currentValue.toString(), 
-      expires: item?.expires || null 
+      expires: isAlive ? item.expires : null 
     });
     
     return currentValue;
@@ -297,6 +310,32 @@ class RedisClient {
     }
   }
 
+  async keys(pattern) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      return await this.client.keys(pattern);
+    } catch (error) {
+      console.error('Redis keys error:', error);
+      return [];
+    }
+  }
+
+  async ttl(key) {
+    try {
+      if (!this.isConnected) {
+        await this.connect();
+      }
+
+      return await this.client.ttl(key);
+    } catch (error) {
+      console.error('Redis ttl error:', error);
+      return -2;
+    }
+  }
+
   async expire(key, seconds) {
     try {
       if (!this.isConnected) {
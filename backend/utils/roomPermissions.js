@@ -0,0 +1,61 @@
+// 채팅방 역할 및 권한 매트릭스 (방장 = creator, 모더레이터 = moderators)
+const ROOM_ROLES = {
+  OWNER: 'owner',
+  MODERATOR: 'moderator',
+  MEMBER: 'member'
+};
+
+const ROOM_PERMISSIONS = {
+  deleteRoom: [ROOM_ROLES.OWNER],
+  manageRoles: [ROOM_ROLES.OWNER],
+  transferOwnership: [ROOM_ROLES.OWNER],
+  pinMessages: [ROOM_ROLES.OWNER, ROOM_ROLES.MODERATOR],
+  deleteAnyMessage: [ROOM_ROLES.OWNER, ROOM_ROLES.MODERATOR],
+  moderateMembers: [ROOM_ROLES.OWNER, ROOM_ROLES.MODERATOR],
+  manageInvites: [ROOM_ROLES.OWNER],
+  updateSettings: [ROOM_ROLES.OWNER],
+  archiveRoom: [ROOM_ROLES.OWNER],
+  postInAnnouncementMode: [ROOM_ROLES.OWNER, ROOM_ROLES.MODERATOR],
+  bypassSlowMode: [ROOM_ROLES.OWNER, ROOM_ROLES.MODERATOR],
+  cancelAnyAIResponse: [ROOM_ROLES.OWNER, ROOM_ROLES.MODERATOR]
+};
+
+// 역할 서열 (숫자가 작을수록 상위, 관리 대상은 자신보다 하위 역할만 가능)
+const ROOM_ROLE_RANKS = {
+  [ROOM_ROLES.OWNER]: 0,
+  [ROOM_ROLES.MODERATOR]: 1,
+  [ROOM_ROLES.MEMBER]: 2
+};
+
+const getRoomRole = (room, userId) => {
+  if (!room || !userId) return null;
+
+  const id = userId.toString();
+  const creatorId = (room.creator?._id || room.creator)?.toString();
+
+  if (creatorId === id) {
+    return ROOM_ROLES.OWNER;
+  }
+  if (room.moderators?.some(moderator => (moderator?._id || moderator)?.toString() === id)) {
+    return ROOM_ROLES.MODERATOR;
+  }
+  return ROOM_ROLES.MEMBER;
+};
+
+const hasRoomPermission = (room, userId, permission) => {
+  const allowedRoles = ROOM_PERMISSIONS[permission];
+  if (!allowedRoles) return false;
+
+  return allowedRoles.includes(getRoomRole(room, userId));
+};
+
+const outranks = (room, userId, targetUserId) =>
+  ROOM_ROLE_RANKS[getRoomRole(room, userId)] < ROOM_ROLE_RANKS[getRoomRole(room, targetUserId)];
+
+module.exports = {
+  ROOM_ROLES,
+  ROOM_PERMISSIONS,
+  getRoomRole,
+  hasRoomPermission,
+  outranks
+};
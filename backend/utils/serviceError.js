@@ -0,0 +1,9 @@
+// 소켓/REST 공용 서비스 에러 생성 (status는 REST 응답 코드, code는 클라이언트 분기용)
+const createError = (status, code, message) => {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+};
+
+module.exports = { createError };
@@ -0,0 +1,4 @@
+// 사용자별 Socket.IO 룸 이름 (같은 사용자의 모든 소켓이 참여)
+const getUserRoom = (userId) => `user:${userId}`;
+
+module.exports = { getUserRoom };
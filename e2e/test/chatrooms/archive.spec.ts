@@ -0,0 +1,70 @@
+// test/chatrooms/archive.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('채팅방 보관 및 공지 모드 테스트', () => {
+  const helpers = new TestHelpers();
+  const ARCHIVED_NOTICE = '보관된 채팅방입니다. 기록은 볼 수 있지만 메시지를 보낼 수 없습니다.';
+  const ANNOUNCEMENT_NOTICE = '공지 모드입니다. 방장과 모더레이터만 메시지를 보낼 수 있습니다.';
+
+  test('보관된 채팅방은 읽기 전용이고 복원하면 다시 전송 가능', async ({ browser }) => {
+    const host = await helpers.createNamedUser(browser, 'Owner');
+    await helpers.createRoom(host.page, helpers.generateRoomName('Archive'));
+    const roomId = helpers.getCurrentRoomId(host.page);
+
+    const member = await helpers.createNamedUser(browser, 'Member');
+    await helpers.joinRoomByURLParam(member.page, roomId);
+    const beforeArchive = `보관 전 메시지 ${Date.now()}`;
+    await helpers.sendMessage(member.page, beforeArchive);
+
+    host.page.once('dialog', dialog => dialog.accept());
+    await host.page.click('button[aria-label="채팅방 보관"]');
+
+    // 기존 참여자는 기록을 볼 수 있지만 입력창은 비활성화
+    await expect(member.page.getByText(ARCHIVED_NOTICE)).toBeVisible();
+    await expect(member.page.locator('.chat-input-textarea')).toBeDisabled();
+    await expect(member.page.locator('.message-content', { hasText: beforeArchive })).toBeVisible();
+    await expect(host.page.getByText(ARCHIVED_NOTICE)).toBeVisible();
+
+    // 새 사용자는 보관된 채팅방에 입장할 수 없음
+    const outsider = await helpers.createNamedUser(browser, 'Outsider');
+    await outsider.page.goto(`/chat?room=${encodeURIComponent(roomId)}`);
+    await expect(outsider.page.getByText(/보관된 채팅방에는 새로 입장할 수 없습니다/)).toBeVisible();
+
+    // 복원하면 다시 메시지 전송 가능
+    await host.page.click('button[aria-label="채팅방 복원"]');
+    await expect(member.page.getByText(ARCHIVED_NOTICE)).toHaveCount(0);
+    const afterRestore = `복원 후 메시지 ${Date.now()}`;
+    await helpers.sendMessage(member.page, afterRestore);
+    await expect(host.page.locator('.message-content', { hasText: afterRestore })).toBeVisible();
+
+    await Promise.all([host.page, member.page, outsider.page].map(page => page.close().catch(console.error)));
+  });
+
+  test('공지 모드에서는 방장만 메시지 전송', async ({ browser }) => {
+    const host = await helpers.createNamedUser(browser, 'Owner');
+    await helpers.createRoom(host.page, helpers.generateRoomName('Announce'));
+    const roomId = helpers.getCurrentRoomId(host.page);
+
+    const member = await helpers.createNamedUser(browser, 'Member');
+    await helpers.joinRoomByURLParam(member.page, roomId);
+
+    // 설정 페이지에서 공지 모드 켜기
+    await host.page.goto(`/chat-rooms/${roomId}/settings`);
+    await host.page.getByText('공지 모드 (방장과 모더레이터만 메시지 작성)').click();
+    await Promise.all([
+      host.page.waitForURL('**/chat?room=*', { timeout: 30000 }),
+      host.page.click('button[type="submit"]:has-text("저장")')
+    ]);
+
+    await expect(member.page.getByText(ANNOUNCEMENT_NOTICE)).toBeVisible();
+    await expect(member.page.locator('.chat-input-textarea')).toBeDisabled();
+    await expect(host.page.getByText(ANNOUNCEMENT_NOTICE)).toHaveCount(0);
+
+    const announcement = `공지 ${Date.now()}`;
+    await helpers.sendMessage(host.page, announcement);
+    await expect(member.page.locator('.message-content', { hasText: announcement })).toBeVisible();
+
+    await Promise.all([host.page, member.page].map(page => page.close().catch(console.error)));
+  });
+});
@@ -0,0 +1,65 @@
+// test/chatrooms/invites.spec.ts
+import { test, expect, Page } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('초대 링크 테스트', () => {
+  const helpers = new TestHelpers();
+
+  // 방장 화면에서 초대 링크를 만들고 링크 경로(/invite/토큰)를 반환
+  const createInviteLink = async (page: Page, maxUses?: number) => {
+    await page.click('button[aria-label="초대 링크"]');
+    const form = page.locator('.invite-form');
+    await form.waitFor({ state: 'visible', timeout: 30000 });
+
+    if (maxUses) {
+      await form.getByLabel('최대 사용 횟수').selectOption(String(maxUses));
+    }
+    await form.getByRole('button', { name: '링크 만들기' }).click();
+
+    const inviteUrl = page.locator('.invite-list .invite-url').first();
+    await expect(inviteUrl).toContainText('/invite/');
+    return new URL((await inviteUrl.textContent()) as string).pathname;
+  };
+
+  test('초대 링크로 비밀번호 없이 입장하고 사용 횟수를 넘으면 거부', async ({ browser }) => {
+    const host = await helpers.createNamedUser(browser, 'Owner');
+    const roomName = helpers.generateRoomName('Invite');
+    await helpers.createRoom(host.page, roomName, 'invitePassword123');
+    const roomId = helpers.getCurrentRoomId(host.page);
+
+    const path = await createInviteLink(host.page, 1);
+
+    // 첫 번째 사용자는 미리보기를 확인하고 입장
+    const guest = await helpers.createNamedUser(browser, 'Guest');
+    await guest.page.goto(path);
+    await expect(guest.page.getByText(roomName)).toBeVisible();
+    await expect(guest.page.getByText('초대 링크로는 비밀번호 없이 입장합니다')).toBeVisible();
+    await guest.page.getByRole('button', { name: '입장하기' }).click();
+    await guest.page.waitForURL(`**/chat?room=${roomId}`, { timeout: 30000 });
+    await expect(guest.page.locator('.chat-input-textarea')).toBeVisible();
+
+    // 사용 횟수(1회)를 넘긴 링크는 거부
+    const lateGuest = await helpers.createNamedUser(browser, 'LateGuest');
+    await lateGuest.page.goto(path);
+    await expect(lateGuest.page.getByText('만료되었거나 사용 횟수를 초과한 초대 링크입니다.')).toBeVisible();
+    await expect(lateGuest.page.getByRole('button', { name: '입장하기' })).toHaveCount(0);
+
+    await Promise.all([host.page, guest.page, lateGuest.page].map(page => page.close().catch(console.error)));
+  });
+
+  test('폐기한 초대 링크는 사용할 수 없음', async ({ browser }) => {
+    const host = await helpers.createNamedUser(browser, 'Owner');
+    await helpers.createRoom(host.page, helpers.generateRoomName('Invite'));
+
+    const path = await createInviteLink(host.page);
+    await host.page.locator('.invite-list').getByRole('button', { name: '폐기' }).first().click();
+    await expect(host.page.getByText('만든 초대 링크가 없습니다.')).toBeVisible();
+
+    const guest = await helpers.createNamedUser(browser, 'Guest');
+    await guest.page.goto(path);
+    await expect(guest.page.getByText('유효하지 않은 초대 링크입니다.')).toBeVisible();
+    await expect(guest.page.getByRole('button', { name: '입장하기' })).toHaveCount(0);
+
+    await Promise.all([host.page, guest.page].map(page => page.close().catch(console.error)));
+  });
+});
@@ -0,0 +1,83 @@
+// test/chatrooms/moderation.spec.ts
+import { test, expect, Browser } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('채팅방 관리 조치 테스트', () => {
+  const helpers = new TestHelpers();
+
+  // 방장이 만든 채팅방에 멤버 한 명을 입장시키고 방장 화면의 참여자 목록을 연다
+  const setupRoomWithMember = async (browser: Browser) => {
+    const host = await helpers.createNamedUser(browser, 'Owner');
+    await helpers.createRoom(host.page, helpers.generateRoomName('Moderation'));
+    const roomId = helpers.getCurrentRoomId(host.page);
+
+    const member = await helpers.createNamedUser(browser, 'Member');
+    await helpers.joinRoomByURLParam(member.page, roomId);
+
+    const hostPanel = await helpers.openParticipantsPanel(host.page);
+    const memberItem = hostPanel.locator('.participant-item', { hasText: member.credentials.name });
+
+    return { host, member, roomId, hostPanel, memberItem };
+  };
+
+  test('강퇴된 사용자는 채팅방 목록으로 이동', async ({ browser }) => {
+    const { host, member, memberItem } = await setupRoomWithMember(browser);
+
+    host.page.once('dialog', dialog => dialog.accept());
+    await memberItem.getByRole('button', { name: '강퇴' }).click();
+
+    await member.page.waitForURL('**/chat-rooms', { timeout: 30000 });
+    await expect(member.page.getByText('채팅방에서 강퇴되었습니다.')).toBeVisible();
+    await expect(host.page.getByText(`${member.credentials.name}님이 강퇴되었습니다.`)).toBeVisible();
+    await expect(memberItem).toHaveCount(0);
+
+    await Promise.all([host.page, member.page].map(page => page.close().catch(console.error)));
+  });
+
+  test('차단된 사용자는 다시 입장할 수 없음', async ({ browser }) => {
+    const { host, member, roomId, hostPanel, memberItem } = await setupRoomWithMember(browser);
+
+    host.page.once('dialog', dialog => dialog.accept());
+    await memberItem.getByRole('button', { name: '차단', exact: true }).click();
+
+    await member.page.waitForURL('**/chat-rooms', { timeout: 30000 });
+    await expect(member.page.getByText('채팅방에서 차단되었습니다.')).toBeVisible();
+    await expect(hostPanel.getByText('차단된 사용자 1명')).toBeVisible();
+
+    await member.page.goto(`/chat?room=${encodeURIComponent(roomId)}`);
+    await expect(member.page.getByText(/차단되어 입장할 수 없습니다/)).toBeVisible();
+
+    // 차단 해제 후에는 다시 입장 가능
+    await hostPanel.getByRole('button', { name: '차단 해제' }).click();
+    await expect(host.page.getByText(`${member.credentials.name}님의 차단이 해제되었습니다.`)).toBeVisible();
+    await member.page.goto('/chat-rooms');
+    await helpers.joinRoomByURLParam(member.page, roomId);
+    await expect(member.page.locator('.chat-input-textarea')).toBeVisible();
+
+    await Promise.all([host.page, member.page].map(page => page.close().catch(console.error)));
+  });
+
+  test('채팅 금지된 사용자의 메시지는 거부', async ({ browser }) => {
+    const { host, member, memberItem } = await setupRoomWithMember(browser);
+
+    await memberItem.getByLabel(`${member.credentials.name}님 채팅 금지`).selectOption('5');
+    await expect(memberItem.getByText('채팅 금지', { exact: true })).toBeVisible();
+
+    const rejected = `채팅 금지 중 메시지 ${Date.now()}`;
+    await member.page.waitForSelector('.chat-input-textarea:not([disabled])', { timeout: 30000 });
+    await member.page.fill('.chat-input-textarea', rejected);
+    await member.page.keyboard.press('Enter');
+
+    await expect(member.page.getByText(/채팅이 금지된 상태입니다/)).toBeVisible();
+    await expect(host.page.locator('.message-content', { hasText: rejected })).toHaveCount(0);
+
+    // 금지 해제 후 전송 가능
+    await memberItem.getByRole('button', { name: '채팅 금지 해제' }).click();
+    await expect(host.page.getByText(`${member.credentials.name}님의 채팅 금지가 해제되었습니다.`)).toBeVisible();
+    const allowed = `채팅 금지 해제 후 메시지 ${Date.now()}`;
+    await helpers.sendMessage(member.page, allowed);
+    await expect(host.page.locator('.message-content', { hasText: allowed })).toBeVisible();
+
+    await Promise.all([host.page, member.page].map(page => page.close().catch(console.error)));
+  });
+});
@@ -0,0 +1,58 @@
+// test/chatrooms/roles.spec.ts
+import { test, expect } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('채팅방 역할 테스트', () => {
+  const helpers = new TestHelpers();
+
+  test('모더레이터 지정 후 방장 위임', async ({ browser }) => {
+    const host = await helpers.createNamedUser(browser, 'Owner');
+    await helpers.createRoom(host.page, helpers.generateRoomName('Roles'));
+    const roomId = helpers.getCurrentRoomId(host.page);
+
+    const member = await helpers.createNamedUser(browser, 'Member');
+    await helpers.joinRoomByURLParam(member.page, roomId);
+
+    const hostPanel = await helpers.openParticipantsPanel(host.page);
+    const memberItem = hostPanel.locator('.participant-item', { hasText: member.credentials.name });
+
+    // 모더레이터 지정
+    await memberItem.getByRole('button', { name: '모더레이터 지정' }).click();
+    await expect(memberItem.getByText('모더레이터', { exact: true })).toBeVisible();
+    await expect(member.page.getByText(`${member.credentials.name}님이 모더레이터로 지정되었습니다.`)).toBeVisible();
+
+    // 방장 위임 (확인 창 승인)
+    host.page.once('dialog', dialog => dialog.accept());
+    await memberItem.getByRole('button', { name: '방장 위임' }).click();
+    await expect(member.page.getByText(`${member.credentials.name}님이 새 방장이 되었습니다.`)).toBeVisible();
+
+    // 이전 방장은 모더레이터가 되고 역할 관리 버튼이 사라짐
+    await expect(memberItem.getByText('방장', { exact: true })).toBeVisible();
+    await expect(hostPanel.getByRole('button', { name: '방장 위임' })).toHaveCount(0);
+
+    const memberPanel = await helpers.openParticipantsPanel(member.page);
+    const formerOwnerItem = memberPanel.locator('.participant-item', { hasText: host.credentials.name });
+    await expect(formerOwnerItem.getByText('모더레이터', { exact: true })).toBeVisible();
+    await expect(formerOwnerItem.getByRole('button', { name: '방장 위임' })).toBeVisible();
+
+    await Promise.all([host.page, member.page].map(page => page.close().catch(console.error)));
+  });
+
+  test('일반 멤버에게는 역할 관리 버튼이 보이지 않음', async ({ browser }) => {
+    const host = await helpers.createNamedUser(browser, 'Owner');
+    await helpers.createRoom(host.page, helpers.generateRoomName('Roles'));
+    const roomId = helpers.getCurrentRoomId(host.page);
+
+    const member = await helpers.createNamedUser(browser, 'Member');
+    await helpers.joinRoomByURLParam(member.page, roomId);
+
+    const memberPanel = await helpers.openParticipantsPanel(member.page);
+    await expect(memberPanel.locator('.participant-item', { hasText: host.credentials.name })
+      .getByText('방장', { exact: true })).toBeVisible();
+    await expect(memberPanel.getByRole('button', { name: '모더레이터 지정' })).toHaveCount(0);
+    await expect(memberPanel.getByRole('button', { name: '방장 위임' })).toHaveCount(0);
+    await expect(memberPanel.getByRole('button', { name: '강퇴' })).toHaveCount(0);
+
+    await Promise.all([host.page, member.page].map(page => page.close().catch(console.error)));
+  });
+});
@@ -1,4 +1,4 @@
-import { Page } from '@playwright/test';
+import { Browser, Page } from '@playwright/test';
 import { AIService } from '../services/ai-service';
 import { MessageService } from '../services/message-service';
 import { TEST_PROMPTS } from '../data/ai-prompts';
@@ -61,6 +61,30 @@ export class TestHelpers {
     };
   }
 
+  // 이름으로 구분할 수 있는 사용자를 새 브라우저 컨텍스트에 가입시킴 (참여자 목록 검증용)
+  async createNamedUser(browser: Browser, namePrefix: string) {
+    const page = await browser.newPage();
+    const credentials = {
+      ...this.generateUserCredentials(Math.floor(Math.random() * 1001)),
+      name: `${namePrefix} ${Math.random().toString(36).substring(2, 8)}`
+    };
+    await this.registerUser(page, credentials);
+    return { page, credentials };
+  }
+
+  getCurrentRoomId(page: Page): string {
+    return new URLSearchParams(new URL(page.url()).search).get('room') || '';
+  }
+
+  async openParticipantsPanel(page: Page) {
+    const panel = page.locator('aside[aria-label="참여자 목록"]');
+    if (!(await panel.isVisible())) {
+      await page.click('button[aria-label="참여자 목록"]');
+    }
+    await panel.waitFor({ state: 'visible', timeout: 30000 });
+    return panel;
+  }
+
   async loginAndEnterRoom(page: Page) {
     const credentials = this.generateUserCredentials(1);
     await this.registerUser(page, credentials);
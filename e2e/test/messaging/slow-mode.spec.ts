@@ -0,0 +1,74 @@
+// test/messaging/slow-mode.spec.ts
+import { test, expect, Page } from '@playwright/test';
+import { TestHelpers } from '../helpers/test-helpers';
+
+test.describe('슬로우 모드 테스트', () => {
+  const helpers = new TestHelpers();
+
+  // 방장 화면에서 설정 페이지를 거쳐 슬로우 모드 간격 지정
+  const enableSlowMode = async (page: Page, roomId: string, seconds: number) => {
+    await page.goto(`/chat-rooms/${roomId}/settings`);
+    await page.waitForSelector('#roomSlowMode', { state: 'visible', timeout: 30000 });
+    await page.selectOption('#roomSlowMode', String(seconds));
+    await Promise.all([
+      page.waitForURL('**/chat?room=*', { timeout: 30000 }),
+      page.click('button[type="submit"]:has-text("저장")')
+    ]);
+    await expect(page.getByText(`슬로우 모드 ${seconds}초`)).toBeVisible();
+  };
+
+  const typeAndSend = async (page: Page, message: string) => {
+    await page.waitForSelector('.chat-input-textarea:not([disabled])', { timeout: 30000 });
+    await page.fill('.chat-input-textarea', message);
+    await page.keyboard.press('Enter');
+  };
+
+  test('슬로우 모드 간격 안의 두 번째 메시지는 거부', async ({ browser }) => {
+    const host = await browser.newPage();
+    const hostCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(host, hostCreds);
+    await helpers.createRoom(host, helpers.generateRoomName('SlowMode'));
+    const roomId = helpers.getCurrentRoomId(host);
+    await enableSlowMode(host, roomId, 30);
+
+    const member = await browser.newPage();
+    const memberCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(member, memberCreds);
+    await helpers.joinRoomByURLParam(member, roomId);
+
+    // 첫 메시지 전송 후 입력창 카운트다운 표시
+    await helpers.sendMessage(member, `슬로우 모드 첫 메시지 ${Date.now()}`);
+    await expect(member.locator('.chat-input-cooldown')).toContainText('초 후에 메시지를 보낼 수 있습니다.');
+
+    // 같은 계정의 다른 탭은 클라이언트 카운트다운이 없으므로 서버의 SLOW_MODE 거부를 받음
+    const secondTab = await member.context().newPage();
+    await helpers.joinRoomByURLParam(secondTab, roomId);
+    const rejected = `슬로우 모드 두 번째 메시지 ${Date.now()}`;
+    await typeAndSend(secondTab, rejected);
+
+    await expect(secondTab.getByText(/슬로우 모드가 켜져 있습니다/)).toBeVisible();
+    await expect(secondTab.locator('.chat-input-cooldown')).toBeVisible();
+    await expect(host.locator('.message-content', { hasText: rejected })).toHaveCount(0);
+
+    await Promise.all([host, member, secondTab].map(page => page.close().catch(console.error)));
+  });
+
+  test('방장은 슬로우 모드 제외', async ({ browser }) => {
+    const host = await browser.newPage();
+    const hostCreds = helpers.generateUserCredentials(Math.floor(Math.random() * 1001));
+    await helpers.registerUser(host, hostCreds);
+    await helpers.createRoom(host, helpers.generateRoomName('SlowMode'));
+    const roomId = helpers.getCurrentRoomId(host);
+    await enableSlowMode(host, roomId, 30);
+
+    await helpers.sendMessage(host, `방장 첫 메시지 ${Date.now()}`);
+    await expect(host.locator('.chat-input-cooldown')).toHaveCount(0);
+
+    const second = `방장 두 번째 메시지 ${Date.now()}`;
+    await typeAndSend(host, second);
+    await expect(host.locator('.message-content', { hasText: second })).toBeVisible();
+    await expect(host.getByText(/슬로우 모드가 켜져 있습니다/)).toHaveCount(0);
+
+    await host.close();
+  });
+});
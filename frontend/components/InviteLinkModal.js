@@ -0,0 +1,141 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Text } from '@vapor-ui/core';
+import { Modal } from './ui/Modal';
+import { HStack, Stack } from './ui/Layout';
+import { useRoomInvites, getInviteUrl } from '../hooks/useRoomInvites';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: '만료 없음' },
+  { value: 1, label: '1시간' },
+  { value: 24, label: '1일' },
+  { value: 168, label: '7일' }
+];
+
+const MAX_USES_OPTIONS = [
+  { value: '', label: '무제한' },
+  { value: 1, label: '1회' },
+  { value: 5, label: '5회' },
+  { value: 10, label: '10회' },
+  { value: 50, label: '50회' }
+];
+
+const formatDate = (date) => new Date(date).toLocaleString('ko-KR', {
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+const getInviteStatus = (invite) => {
+  const uses = invite.maxUses ? `${invite.uses}/${invite.maxUses}회 사용` : `${invite.uses}회 사용`;
+  if (!invite.isUsable) return `만료됨 · ${uses}`;
+  return invite.expiresAt ? `${formatDate(invite.expiresAt)}까지 · ${uses}` : `만료 없음 · ${uses}`;
+};
+
+const InviteLinkModal = ({ isOpen, onClose, roomId, roomName = '채팅방' }) => {
+  const [expiresInHours, setExpiresInHours] = useState('');
+  const [maxUses, setMaxUses] = useState('');
+
+  const {
+    invites,
+    loading,
+    creating,
+    createInvite,
+    revokeInvite,
+    copyInviteLink
+  } = useRoomInvites(roomId, isOpen);
+
+  useEffect(() => {
+    if (isOpen) {
+      setExpiresInHours('');
+      setMaxUses('');
+    }
+  }, [isOpen]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const invite = await createInvite({
+      expiresInHours: Number(expiresInHours) || undefined,
+      maxUses: Number(maxUses) || undefined
+    });
+    if (invite) {
+      copyInviteLink(invite.token);
+    }
+  };
+
+  return (
+    <Modal isOpen={isOpen} onClose={onClose} title="초대 링크" size="md">
+      <Stack gap="300">
+        <Text typography="body2" style={{ color: 'var(--vapor-color-text-muted)' }}>
+          초대 링크를 받은 사용자는 비밀번호 없이 {roomName}에 입장할 수 있습니다.
+        </Text>
+
+        <form className="invite-form" onSubmit={handleCreate}>
+          <select
+            className="invite-select"
+            value={expiresInHours}
+            onChange={(e) => setExpiresInHours(e.target.value)}
+            aria-label="유효 기간"
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.label} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <select
+            className="invite-select"
+            value={maxUses}
+            onChange={(e) => setMaxUses(e.target.value)}
+            aria-label="최대 사용 횟수"
+          >
+            {MAX_USES_OPTIONS.map(option => (
+              <option key={option.label} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <Button type="submit" size="sm" color="primary" disabled={creating}>
+            {creating ? '생성 중...' : '링크 만들기'}
+          </Button>
+        </form>
+
+        <div className="invite-list">
+          {loading && invites.length === 0 && (
+            <Text typography="body3" className="thread-panel-empty">불러오는 중...</Text>
+          )}
+          {!loading && invites.length === 0 && (
+            <Text typography="body3" className="thread-panel-empty">만든 초대 링크가 없습니다.</Text>
+          )}
+          {invites.map(invite => (
+            <div key={invite._id} className={`invite-item ${invite.isUsable ? '' : 'expired'}`}>
+              <div className="invite-info">
+                <span className="invite-url">{getInviteUrl(invite.token)}</span>
+                <span className="invite-status">{getInviteStatus(invite)}</span>
+              </div>
+              <HStack gap="100">
+                {invite.isUsable && (
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    color="secondary"
+                    onClick={() => copyInviteLink(invite.token)}
+                  >
+                    복사
+                  </Button>
+                )}
+                <Button
+                  size="sm"
+                  variant="outline"
+                  color="danger"
+                  onClick={() => revokeInvite(invite._id)}
+                >
+                  폐기
+                </Button>
+              </HStack>
+            </div>
+          ))}
+        </div>
+      </Stack>
+    </Modal>
+  );
+};
+
+export default InviteLinkModal;
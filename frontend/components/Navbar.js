@@ -1,12 +1,15 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { useRouter } from 'next/router';
 import Image from 'next/image';
-import { Button, Avatar, Text } from '@vapor-ui/core';
+import { Button, Avatar, Text, Badge } from '@vapor-ui/core';
 import { Flex, HStack, Box, Container } from './ui/Layout';
 import authService from '../services/authService';
+import axiosInstance from '../services/axios';
+import { Toast } from './Toast';
 
 const Navbar = () => {
   const [currentUser, setCurrentUser] = useState(null);
+  const [unreadNotifications, setUnreadNotifications] = useState(0);
   const router = useRouter();
 
   // 인증 상태 변경을 감지하는 효과
@@ -39,6 +42,45 @@ const Navbar = () => {
     };
   }, []);
 
+  const fetchUnreadNotifications = useCallback(async () => {
+    try {
+      const response = await axiosInstance.get('/api/notifications/unread-count');
+      setUnreadNotifications(response.data?.data?.count || 0);
+    } catch (error) {
+      console.error('Unread notification count error:', error);
+    }
+  }, []);
+
+  // 읽지 않은 알림 수 (소켓 알림은 전역 이벤트로 전달됨)
+  useEffect(() => {
+    if (!currentUser) {
+      setUnreadNotifications(0);
+      return;
+    }
+
+    fetchUnreadNotifications();
+
+    const handleNotification = (event) => {
+      const notification = event.detail;
+      if (notification?.type !== 'mention') return;
+
+      setUnreadNotifications(prev => prev + 1);
+
+      // 방해 금지 시간이거나 같은 채팅방을 보고 있으면 토스트는 생략
+      if (!notification.silent && router.query.room !== notification.room?._id) {
+        Toast.info(`${notification.sender?.name || '알 수 없음'}님이 ${notification.room?.name || '채팅방'}에서 회원님을 언급했습니다.`);
+      }
+    };
+
+    window.addEventListener('notification', handleNotification);
+    window.addEventListener('notificationsRead', fetchUnreadNotifications);
+
+    return () => {
+      window.removeEventListener('notification', handleNotification);
+      window.removeEventListener('notificationsRead', fetchUnreadNotifications);
+    };
+  }, [currentUser, router.query.room, fetchUnreadNotifications]);
+
   const handleNavigation = (path) => {
     router.push(path);
   };
@@ -120,6 +162,21 @@ const Navbar = () => {
                   {currentUser.name}
                 </Text>
                 
+                {/* Inbox Button */}
+                <Button
+                  size="md"
+                  variant="outline"
+                  onClick={() => handleNavigation('/inbox')}
+                  aria-label={`알림${unreadNotifications > 0 ? ` ${unreadNotifications}개` : ''}`}
+                >
+                  알림
+                  {unreadNotifications > 0 && (
+                    <Badge color="danger" size="sm">
+                      {unreadNotifications > 99 ? '99+' : unreadNotifications}
+                    </Badge>
+                  )}
+                </Button>
+
                 {/* Profile Button */}
                 <Button
                   size="md"
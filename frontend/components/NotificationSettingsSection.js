@@ -0,0 +1,196 @@
+import React, { useState, useEffect } from 'react';
+import { Button, Text, Switch } from '@vapor-ui/core';
+import { Stack, HStack } from './ui/Layout';
+import { useNotificationSettings } from '../hooks/useNotificationSettings';
+import notificationService from '../services/notificationService';
+
+const EVENT_LABELS = {
+  mention: '나를 멘션한 메시지',
+  directMessage: '1:1 대화 메시지',
+  roomMessage: '채팅방 새 메시지',
+  roomInvite: '채팅방 초대'
+};
+
+const CHANNEL_LABELS = {
+  inApp: '앱 알림',
+  desktop: '데스크톱',
+  email: '이메일'
+};
+
+const PERMISSION_LABELS = {
+  granted: '허용됨',
+  denied: '차단됨 (브라우저 사이트 설정에서 허용해주세요)',
+  default: '아직 허용하지 않음',
+  unsupported: '이 브라우저는 데스크톱 알림을 지원하지 않습니다'
+};
+
+const getBrowserTimezone = () => {
+  try {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || undefined;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+const formatMutedUntil = (until) => {
+  if (!until) return '직접 켤 때까지';
+  return `${new Date(until).toLocaleString('ko-KR', {
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: false
+  })}까지`;
+};
+
+const NotificationSettingsSection = () => {
+  const { settings, loading, saving, updateSettings, setRoomMuted } = useNotificationSettings();
+  const [permission, setPermission] = useState('default');
+  const [soundEnabled, setSoundEnabled] = useState(false);
+
+  useEffect(() => {
+    setPermission(notificationService.getPermission());
+    setSoundEnabled(notificationService.isSoundEnabled());
+  }, []);
+
+  const handleRequestPermission = async () => {
+    setPermission(await notificationService.requestPermission());
+  };
+
+  const handleSoundChange = (enabled) => {
+    notificationService.setSoundEnabled(enabled);
+    setSoundEnabled(enabled);
+  };
+
+  if (!settings) {
+    return loading ? <Text typography="body2">알림 설정을 불러오는 중...</Text> : null;
+  }
+
+  const handleChannelChange = (event, channel, enabled) => {
+    // 데스크톱 알림을 켤 때 브라우저 권한도 함께 요청 (클릭 동작 안에서만 요청 가능)
+    if (channel === 'desktop' && enabled && permission === 'default') {
+      handleRequestPermission();
+    }
+    updateSettings({ events: { [event]: { [channel]: enabled } } });
+  };
+
+  // 방해 금지 시간은 현재 브라우저 시간대 기준으로 저장
+  const handleDoNotDisturbChange = (changes) => {
+    updateSettings({ doNotDisturb: { ...changes, timezone: getBrowserTimezone() } });
+  };
+
+  const { doNotDisturb } = settings;
+
+  return (
+    <Stack gap="300" className="notification-settings">
+      <Text typography="heading5">알림 설정</Text>
+
+      <table className="notification-settings-table">
+        <thead>
+          <tr>
+            <th scope="col">알림 종류</th>
+            {Object.entries(CHANNEL_LABELS).map(([channel, label]) => (
+              <th key={channel} scope="col">{label}</th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(EVENT_LABELS).map(([event, label]) => (
+            <tr key={event}>
+              <th scope="row">{label}</th>
+              {Object.keys(CHANNEL_LABELS).map(channel => (
+                <td key={channel}>
+                  {channel in (settings.events[event] || {}) ? (
+                    <input
+                      type="checkbox"
+                      checked={settings.events[event][channel]}
+                      onChange={(e) => handleChannelChange(event, channel, e.target.checked)}
+                      disabled={saving}
+                      aria-label={`${label} ${CHANNEL_LABELS[channel]}`}
+                    />
+                  ) : (
+                    <span className="notification-settings-unavailable">-</span>
+                  )}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <Stack gap="200">
+        <HStack gap="200" align="center">
+          <Text typography="body2">브라우저 알림 권한: {PERMISSION_LABELS[permission] || permission}</Text>
+          {permission === 'default' && (
+            <Button size="sm" variant="outline" color="primary" onClick={handleRequestPermission}>
+              알림 허용
+            </Button>
+          )}
+        </HStack>
+        <Switch.Root checked={soundEnabled} onCheckedChange={handleSoundChange}>
+          <Switch.Label>알림음 (이 브라우저에만 적용)</Switch.Label>
+          <Switch.Control />
+        </Switch.Root>
+      </Stack>
+
+      <Stack gap="200">
+        <Switch.Root
+          checked={doNotDisturb.enabled}
+          onCheckedChange={(checked) => handleDoNotDisturbChange({ enabled: checked })}
+          disabled={saving}
+        >
+          <Switch.Label>방해 금지 시간 (앱 알림은 소리와 팝업 없이 알림함에만 쌓입니다)</Switch.Label>
+          <Switch.Control />
+        </Switch.Root>
+        {doNotDisturb.enabled && (
+          <HStack gap="200" align="center">
+            <input
+              type="time"
+              className="invite-select"
+              value={doNotDisturb.start}
+              onChange={(e) => e.target.value && handleDoNotDisturbChange({ start: e.target.value })}
+              disabled={saving}
+              aria-label="방해 금지 시작 시각"
+            />
+            <Text typography="body2">~</Text>
+            <input
+              type="time"
+              className="invite-select"
+              value={doNotDisturb.end}
+              onChange={(e) => e.target.value && handleDoNotDisturbChange({ end: e.target.value })}
+              disabled={saving}
+              aria-label="방해 금지 종료 시각"
+            />
+            <Text typography="body3" className="room-settings-hint">{doNotDisturb.timezone}</Text>
+          </HStack>
+        )}
+      </Stack>
+
+      <Stack gap="100">
+        <Text typography="subtitle2">알림을 끈 채팅방</Text>
+        {settings.mutedRooms.length === 0 && (
+          <Text typography="body3" className="thread-panel-empty">알림을 끈 채팅방이 없습니다.</Text>
+        )}
+        {settings.mutedRooms.map(entry => (
+          <div key={entry.room} className="invite-item">
+            <div className="invite-info">
+              <span className="invite-url">{entry.roomName || '삭제된 채팅방'}</span>
+              <span className="invite-status">{formatMutedUntil(entry.until)}</span>
+            </div>
+            <Button
+              size="sm"
+              variant="outline"
+              color="secondary"
+              onClick={() => setRoomMuted(entry.room, false)}
+              disabled={saving}
+            >
+              알림 켜기
+            </Button>
+          </div>
+        ))}
+      </Stack>
+    </Stack>
+  );
+};
+
+export default NotificationSettingsSection;
@@ -2,7 +2,8 @@ import React, { useCallback, useEffect, useRef, useState, forwardRef } from 'rea
 import { 
   LikeIcon,
   AttachFileOutlineIcon,
-  SendIcon
+  SendIcon,
+  CloseOutlineIcon
 } from '@vapor-ui/icons';
 import { Button, IconButton } from '@vapor-ui/core';
 import { Flex, HStack } from '../ui/Layout';
@@ -31,7 +32,10 @@ const ChatInput = forwardRef(({
   setShowMentionList = () => {},
   setMentionFilter = () => {},
   setMentionIndex = () => {},
-  room = null // room prop 추가
+  room = null, // room prop 추가
+  replyTarget = null,
+  onReplyCancel = () => {},
+  cooldownUntil = null // 슬로우 모드/전송 제한 해제 시각 (ms)
 }, ref) => {
   const emojiPickerRef = useRef(null);
   const emojiButtonRef = useRef(null);
@@ -44,6 +48,28 @@ const ChatInput = forwardRef(({
   const [uploadError, setUploadError] = useState(null);
   const [isDragging, setIsDragging] = useState(false);
   const [mentionPosition, setMentionPosition] = useState({ top: 0, left: 0 });
+  const [cooldownSeconds, setCooldownSeconds] = useState(0);
+
+  // 전송 제한 카운트다운
+  useEffect(() => {
+    const updateCooldown = () => {
+      const remaining = cooldownUntil
+        ? Math.max(0, Math.ceil((cooldownUntil - Date.now()) / 1000))
+        : 0;
+      setCooldownSeconds(remaining);
+      return remaining;
+    };
+
+    if (updateCooldown() === 0) return;
+
+    const timer = setInterval(() => {
+      if (updateCooldown() === 0) {
+        clearInterval(timer);
+      }
+    }, 1000);
+
+    return () => clearInterval(timer);
+  }, [cooldownUntil]);
 
   const handleFileValidationAndPreview = useCallback(async (file) => {
     if (!file) return;
@@ -98,6 +124,8 @@ const ChatInput = forwardRef(({
   const handleSubmit = useCallback(async (e) => {
     e?.preventDefault();
 
+    if (cooldownSeconds > 0) return;
+
     if (files.length > 0) {
       try {
         const file = files[0];
@@ -125,7 +153,7 @@ const ChatInput = forwardRef(({
       });
       setMessage('');
     }
-  }, [files, message, onSubmit, setMessage]);
+  }, [files, message, onSubmit, setMessage, cooldownSeconds]);
 
   useEffect(() => {
     const handleClickOutside = (event) => {
@@ -475,6 +503,31 @@ const ChatInput = forwardRef(({
         onDrop={handleFileDrop}
       >
       <div className="chat-input">
+        {replyTarget && (
+          <div className="chat-input-reply">
+            <div className="chat-input-reply-body">
+              <span className="message-quote-sender">
+                {replyTarget.type === 'ai'
+                  ? `${replyTarget.aiType}님에게 답장 (이전 대화를 이어서 답변합니다)`
+                  : `${replyTarget.sender?.name}님에게 답장`}
+              </span>
+              <span className="message-quote-snippet">
+                {replyTarget.type === 'file'
+                  ? (replyTarget.file?.originalname || '파일')
+                  : replyTarget.content}
+              </span>
+            </div>
+            <IconButton
+              size="sm"
+              variant="ghost"
+              onClick={onReplyCancel}
+              aria-label="답장 취소"
+            >
+              <CloseOutlineIcon size={16} />
+            </IconButton>
+          </div>
+        )}
+
         {files.length > 0 && (
           <FilePreview
             files={files}
@@ -489,6 +542,12 @@ const ChatInput = forwardRef(({
           />
         )}
 
+        {cooldownSeconds > 0 && (
+          <div className="chat-input-cooldown" role="status">
+            {cooldownSeconds}초 후에 메시지를 보낼 수 있습니다.
+          </div>
+        )}
+
         <div className="chat-input-toolbar">
           <MarkdownToolbar 
             onAction={handleMarkdownAction}
@@ -528,7 +587,7 @@ const ChatInput = forwardRef(({
             color="primary"
             size="md"
             onClick={handleSubmit}
-            disabled={isDisabled || (!message.trim() && files.length === 0)}
+            disabled={isDisabled || cooldownSeconds > 0 || (!message.trim() && files.length === 0)}
             aria-label="메시지 보내기"
             style={{ 
               position: 'absolute',
@@ -538,7 +597,9 @@ const ChatInput = forwardRef(({
             }}
           >
             <SendIcon size={20} />
-            <span style={{ marginLeft: 'var(--vapor-space-100)' }}>보내기</span>
+            <span style={{ marginLeft: 'var(--vapor-space-100)' }}>
+              {cooldownSeconds > 0 ? `${cooldownSeconds}초` : '보내기'}
+            </span>
           </Button>
         </div>
 
@@ -591,7 +652,7 @@ const ChatInput = forwardRef(({
               ref={fileInputRef}
               onChange={(e) => handleFileValidationAndPreview(e.target.files?.[0])}
               style={{ display: 'none' }}
-              accept="image/*,video/*,audio/*,application/pdf"
+              accept="image/*,video/*,audio/*,application/pdf,text/plain,text/markdown,.txt,.md"
             />
           </HStack>
         </div>
@@ -1,6 +1,6 @@
 import React, { useEffect, useLayoutEffect, useRef, useCallback, useMemo } from 'react';
 import { Text } from '@vapor-ui/core';
-import { SystemMessage, FileMessage, UserMessage, AIMessage } from './Message';
+import { SystemMessage, FileMessage, UserMessage, AIMessage, DeletedMessage } from './Message';
 
 // ScrollHandler 클래스 정의
 class ScrollHandler {
@@ -267,6 +267,15 @@ const ChatMessages = ({
   onLoadMore = () => {},
   onReactionAdd = () => {},
   onReactionRemove = () => {},
+  onMessageEdit = () => {},
+  onMessageDelete = () => {},
+  onThreadOpen = () => {},
+  onMessageReply = () => {},
+  onReplyQuoteClick = () => {},
+  isMessagePinned = () => false,
+  onMessagePinToggle = null,
+  onAICancel = null,
+  onAIRegenerate = null,
   messagesEndRef,
   socketRef,
   scrollToBottomOnNewMessage = true,
@@ -412,10 +421,19 @@ const ChatMessages = ({
       currentUser,
       room,
       onReactionAdd,
-      onReactionRemove
+      onReactionRemove,
+      onMessageEdit,
+      onMessageDelete,
+      onThreadOpen,
+      onMessageReply,
+      onReplyQuoteClick,
+      isMessagePinned,
+      onMessagePinToggle,
+      onAICancel,
+      onAIRegenerate
     };
 
-    const MessageComponent = {
+    const MessageComponent = msg.isDeleted ? DeletedMessage : {
       system: SystemMessage,
       file: FileMessage,
       ai: AIMessage
@@ -434,7 +452,7 @@ const ChatMessages = ({
         socketRef={socketRef}
       />
     );
-  }, [allMessages.length, currentUser, room, isMine, onReactionAdd, onReactionRemove, socketRef]);
+  }, [allMessages.length, currentUser, room, isMine, onReactionAdd, onReactionRemove, onMessageEdit, onMessageDelete, onThreadOpen, onMessageReply, onReplyQuoteClick, isMessagePinned, onMessagePinToggle, onAICancel, onAIRegenerate, socketRef]);
 
   return (
     <div 
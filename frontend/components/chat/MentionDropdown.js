@@ -62,8 +62,8 @@ const MentionDropdown = ({
   const renderUserBadge = useCallback((user) => {
     if (user.isAI) {
       return (
-        <span className="mention-badge ai">
-          AI 어시스턴트
+        <span className="mention-badge ai" title={user.description || undefined}>
+          {user.description || 'AI 어시스턴트'}
         </span>
       );
     }
@@ -76,10 +76,7 @@ const MentionDropdown = ({
   }, []);
 
   const getAvatarContent = useCallback((user) => {
-    if (user.isAI) {
-      return user.name === 'wayneAI' ? 'W' : 'C';
-    }
-    return user.name.charAt(0).toUpperCase();
+    return (user.displayName || user.name).charAt(0).toUpperCase();
   }, []);
 
   const handleKeyDown = useCallback((e, user) => {
@@ -100,7 +97,7 @@ const MentionDropdown = ({
     >
       {participants.map((user, index) => (
         <div
-          key={user._id || `ai-${user.name}`}
+          key={user._id}
           ref={el => itemRefs.current[index] = el}
           role="option"
           aria-selected={index === activeIndex}
@@ -113,12 +110,14 @@ const MentionDropdown = ({
           <div className="mention-item-content">
             <Avatar.Root
               size="sm"
+              src={user.avatar || undefined}
               style={{
                 ...getAvatarStyles(user),
                 flexShrink: 0
               }}
               aria-label={`${user.name}의 아바타`}
             >
+              {user.avatar && <Avatar.Image alt="" />}
               <Avatar.Fallback style={getAvatarStyles(user)}>
                 {getAvatarContent(user)}
               </Avatar.Fallback>
@@ -126,7 +125,7 @@ const MentionDropdown = ({
             
             <div className="mention-info">
               <span className="mention-name">
-                {user.isAI ? (user.name === 'wayneAI' ? 'Wayne AI' : 'Consulting AI') : user.name}
+                {user.displayName || user.name}
               </span>
               {renderUserBadge(user)}
             </div>
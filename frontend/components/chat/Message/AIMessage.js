@@ -1,8 +1,14 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import { Button, IconButton } from '@vapor-ui/core';
+import { ChevronLeft, ChevronRight, Square } from 'lucide-react';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
+import ThreadSummary from './ThreadSummary';
 import ReadStatus from '../ReadStatus';
+import { canModerateRoom } from '../../../utils/roomUtils';
+import { getAIPersonaEmail } from '../../../utils/colorUtils';
+import { useAIPersona } from '../../../hooks/useAIPersonas';
 
 const AIMessage = React.forwardRef(({ 
   msg = {}, 
@@ -11,6 +17,14 @@ const AIMessage = React.forwardRef(({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageDelete,
+  onThreadOpen,
+  onMessageReply,
+  onReplyQuoteClick,
+  isMessagePinned,
+  onMessagePinToggle,
+  onAICancel,
+  onAIRegenerate,
   room = null,
   messageRef,
   socketRef
@@ -25,31 +39,123 @@ const AIMessage = React.forwardRef(({
     hour12: false
   }).replace(/\./g, '년').replace(/\s/g, ' ').replace('일 ', '일 ');
 
-  // AI 사용자 정보 생성
+  // AI 사용자 정보 생성 (페르소나 이름과 아바타)
+  const persona = useAIPersona(msg.aiType);
   const aiUser = {
-    name: msg.aiType === 'wayneAI' ? 'Wayne AI' : 'Consulting AI',
-    email: msg.aiType === 'wayneAI' ? 'ai@wayne.ai' : 'ai@consulting.ai',
-    avatarInitial: msg.aiType === 'wayneAI' ? 'W' : 'C'
+    name: persona.name,
+    email: getAIPersonaEmail(msg.aiType),
+    profileImage: persona.avatar
+  };
+
+  // 다시 생성한 답변 버전 (선택은 화면에서만 바뀌고 기본은 마지막 버전)
+  const versions = msg.aiVersions || [];
+  const [versionIndex, setVersionIndex] = useState(null);
+
+  useEffect(() => {
+    setVersionIndex(null);
+  }, [versions.length]);
+
+  const currentVersionIndex = versionIndex ?? versions.length - 1;
+  const selectedVersion = versionIndex !== null ? versions[versionIndex] : null;
+
+  // 스트리밍 중이거나 기존 답변 자리에서 다시 생성 중인 경우
+  const regenerating = msg.regenerating || null;
+  const isGenerating = isStreaming || !!regenerating;
+  const content = regenerating ? regenerating.content : (selectedVersion?.content ?? msg.content);
+  const isCancelled = selectedVersion ? selectedVersion.cancelled : (msg.cancelled ?? msg.metadata?.cancelled);
+
+  // 질문한 사용자와 방장/모더레이터만 중지 가능
+  const requestedBy = regenerating ? regenerating.requestedBy : msg.requestedBy;
+  const canCancel = isGenerating && !!onAICancel &&
+    (requestedBy === currentUser?.id || canModerateRoom(room, currentUser?.id));
+
+  // 답변에서 인용한 채팅방 공유 파일 (클릭하면 파일 메시지로 이동)
+  const sources = selectedVersion?.sources || msg.sources || msg.metadata?.sources || [];
+
+  const renderSources = () => {
+    if (isGenerating || sources.length === 0) return null;
+
+    return (
+      <div className="ai-sources">
+        <span className="ai-sources-title">출처</span>
+        {sources.map(source => (
+          <button
+            key={`${source.messageId}-${source.index}`}
+            type="button"
+            className="ai-source-item"
+            onClick={() => onReplyQuoteClick?.(source.messageId)}
+            title={source.snippet}
+          >
+            <span className="ai-source-index">[{source.index}]</span>
+            <span className="ai-source-name">{source.fileName}</span>
+          </button>
+        ))}
+      </div>
+    );
   };
 
   const renderContent = () => {
-    if (isStreaming) {
+    if (isGenerating) {
       return (
         <>
-          <MessageContent content={msg.content} />
+          <MessageContent content={content} />
           <div className="typing-indicator">
             <span></span>
             <span></span>
             <span></span>
           </div>
+          {canCancel && (
+            <Button
+              size="sm"
+              variant="outline"
+              className="ai-cancel-button"
+              onClick={() => onAICancel(regenerating ? regenerating.messageId : msg._id)}
+            >
+              <Square size={12} />
+              중지
+            </Button>
+          )}
         </>
       );
     }
-    return <MessageContent content={msg.content} />;
+    return (
+      <>
+        <MessageContent content={content} />
+        {isCancelled && <div className="ai-cancelled-label">응답이 중지되었습니다.</div>}
+      </>
+    );
+  };
+
+  const renderVersionSwitcher = () => {
+    if (isGenerating || versions.length < 2) return null;
+
+    return (
+      <div className="ai-version-switcher" aria-label="답변 버전">
+        <IconButton
+          size="sm"
+          variant="ghost"
+          onClick={() => setVersionIndex(currentVersionIndex - 1)}
+          disabled={currentVersionIndex === 0}
+          aria-label="이전 답변"
+        >
+          <ChevronLeft size={14} />
+        </IconButton>
+        <span>{currentVersionIndex + 1} / {versions.length}</span>
+        <IconButton
+          size="sm"
+          variant="ghost"
+          onClick={() => setVersionIndex(currentVersionIndex + 1)}
+          disabled={currentVersionIndex === versions.length - 1}
+          aria-label="다음 답변"
+        >
+          <ChevronRight size={14} />
+        </IconButton>
+      </div>
+    );
   };
 
   return (
-    <div className="message-group yours" ref={ref}>
+    <div className="message-group yours" ref={ref} data-message-id={msg._id}>
       <div className="message-sender-info">
         <PersistentAvatar 
           user={aiUser}
@@ -64,9 +170,11 @@ const AIMessage = React.forwardRef(({
         <div className="message-content">
           {renderContent()}
         </div>
+        {renderSources()}
         
         {!isStreaming && (
           <div className="message-footer">
+            {renderVersionSwitcher()}
             <div className="message-time mr-3">
               {formattedTime}
             </div>
@@ -83,15 +191,26 @@ const AIMessage = React.forwardRef(({
         )}        
       </div>
       
+      <ThreadSummary
+        thread={msg.thread}
+        onOpen={() => onThreadOpen?.(msg)}
+      />
+
       <MessageActions 
         messageId={msg._id}
-        messageContent={msg.content}
+        messageContent={content}
         reactions={msg.reactions}
         currentUserId={currentUser?.id}
         onReactionAdd={onReactionAdd}
         onReactionRemove={onReactionRemove}
         isMine={isMine}
         room={room}
+        onDelete={onMessageDelete && !isStreaming && canModerateRoom(room, currentUser?.id) ? onMessageDelete : null}
+        onThreadOpen={onThreadOpen && !msg.parentMessage && !isStreaming ? () => onThreadOpen(msg) : null}
+        onReply={onMessageReply && !isStreaming ? () => onMessageReply(msg) : null}
+        isPinned={!!isMessagePinned?.(msg._id)}
+        onPinToggle={onMessagePinToggle && canModerateRoom(room, currentUser?.id) && !isStreaming ? () => onMessagePinToggle(msg._id) : null}
+        onRegenerate={onAIRegenerate && !isGenerating && !msg.parentMessage ? () => onAIRegenerate(msg._id) : null}
       />
     </div>
   );
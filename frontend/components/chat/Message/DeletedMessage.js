@@ -0,0 +1,43 @@
+import React from 'react';
+
+const DeletedMessage = React.forwardRef(({ msg = {}, isMine = false }, ref) => {
+  const formattedTime = new Date(msg.timestamp).toLocaleString('ko-KR', {
+    year: 'numeric',
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hour12: false
+  }).replace(/\./g, '년').replace(/\s/g, ' ').replace('일 ', '일 ');
+
+  const senderName = msg.type === 'ai'
+    ? msg.aiType
+    : (isMine ? '나' : msg.sender?.name);
+
+  return (
+    <div className="messages" ref={ref} data-message-id={msg._id}>
+      <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
+        {senderName && (
+          <div className="message-sender-info">
+            <span className="sender-name">{senderName}</span>
+          </div>
+        )}
+        <div className="message-bubble message-deleted">
+          <div className="message-content">
+            삭제된 메시지입니다.
+          </div>
+          <div className="message-footer">
+            <div className="message-time">
+              {formattedTime}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+});
+
+DeletedMessage.displayName = 'DeletedMessage';
+
+export default React.memo(DeletedMessage);
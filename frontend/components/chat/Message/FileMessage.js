@@ -14,8 +14,10 @@ import { Button, Text, Callout } from '@vapor-ui/core';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
+import ThreadSummary from './ThreadSummary';
 import ReadStatus from '../ReadStatus';
 import fileService from '../../../services/fileService';
+import { canModerateRoom } from '../../../utils/roomUtils';
 import authService from '../../../services/authService';
 
 const FileMessage = React.forwardRef(({ 
@@ -24,6 +26,12 @@ const FileMessage = React.forwardRef(({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageDelete,
+  onThreadOpen,
+  onMessageReply,
+  onReplyQuoteClick,
+  isMessagePinned,
+  onMessagePinToggle,
   room = null,
   messageRef,
   socketRef
@@ -331,7 +339,7 @@ const FileMessage = React.forwardRef(({
   };
 
   return (
-    <div className="messages" ref={ref}>
+    <div className="messages" ref={ref} data-message-id={msg._id}>
       <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
         <div className="message-sender-info">
           {renderAvatar()}
@@ -357,9 +365,13 @@ const FileMessage = React.forwardRef(({
               </Callout>
             )}
             {renderFilePreview()}
-            {msg.content && (
+            {(msg.content || msg.replyTo) && (
               <div className="mt-3">
-                <MessageContent content={msg.content} />
+                <MessageContent
+                  content={msg.content}
+                  replyTo={msg.replyTo}
+                  onReplyClick={onReplyQuoteClick}
+                />
               </div>
             )}
           </div>
@@ -381,6 +393,11 @@ const FileMessage = React.forwardRef(({
             />
           </div>
         </div>
+        <ThreadSummary
+          thread={msg.thread}
+          onOpen={() => onThreadOpen?.(msg)}
+        />
+
         <MessageActions 
           messageId={msg._id}
           messageContent={msg.content}
@@ -390,6 +407,11 @@ const FileMessage = React.forwardRef(({
           onReactionRemove={onReactionRemove}
           isMine={isMine}
           room={room}
+          onDelete={onMessageDelete && (isMine || canModerateRoom(room, currentUser?.id)) ? onMessageDelete : null}
+          onThreadOpen={onThreadOpen && !msg.parentMessage ? () => onThreadOpen(msg) : null}
+          onReply={onMessageReply ? () => onMessageReply(msg) : null}
+          isPinned={!!isMessagePinned?.(msg._id)}
+          onPinToggle={onMessagePinToggle && canModerateRoom(room, currentUser?.id) ? () => onMessagePinToggle(msg._id) : null}
         />        
       </div>
     </div>
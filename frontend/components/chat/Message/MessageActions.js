@@ -1,7 +1,8 @@
 import React, { useState, useCallback, useRef, useEffect } from 'react';
 import ReactDOM from 'react-dom';
-import { LikeIcon, CopyIcon } from '@vapor-ui/icons';
+import { LikeIcon, CopyIcon, TrashIcon } from '@vapor-ui/icons';
 import { Button, IconButton } from '@vapor-ui/core';
+import { Pencil, MessageSquare, Reply, Pin, PinOff, RefreshCw } from 'lucide-react';
 import EmojiPicker from '../EmojiPicker';
 import { Toast } from '../../Toast';
 
@@ -13,7 +14,14 @@ const MessageActions = ({
   onReactionAdd,
   onReactionRemove,
   isMine = false,
-  room = null
+  room = null,
+  onEdit = null,
+  onDelete = null,
+  onThreadOpen = null,
+  onReply = null,
+  isPinned = false,
+  onPinToggle = null,
+  onRegenerate = null
 }) => {
   const [showEmojiPicker, setShowEmojiPicker] = useState(false);
   const [tooltipStates, setTooltipStates] = useState({});
@@ -53,6 +61,11 @@ const MessageActions = ({
     }
   }, [messageContent]);
 
+  const handleDelete = useCallback(() => {
+    if (!window.confirm('메시지를 삭제하시겠습니까?')) return;
+    onDelete?.(messageId);
+  }, [messageId, onDelete]);
+
   const handleReactionSelect = useCallback((emoji) => {
     try {
       const emojiChar = emoji.native || emoji;
@@ -248,6 +261,67 @@ const MessageActions = ({
           >
             <CopyIcon size={16} />
           </IconButton>
+          {onReply && (
+            <IconButton
+              size="sm"
+              variant="outline"
+              onClick={onReply}
+              aria-label="인용 답장"
+            >
+              <Reply size={16} />
+            </IconButton>
+          )}
+          {onThreadOpen && (
+            <IconButton
+              size="sm"
+              variant="outline"
+              onClick={onThreadOpen}
+              aria-label="스레드에서 답글"
+            >
+              <MessageSquare size={16} />
+            </IconButton>
+          )}
+          {onRegenerate && (
+            <IconButton
+              size="sm"
+              variant="outline"
+              onClick={onRegenerate}
+              aria-label="답변 다시 생성"
+            >
+              <RefreshCw size={16} />
+            </IconButton>
+          )}
+          {onPinToggle && (
+            <IconButton
+              size="sm"
+              variant={isPinned ? 'solid' : 'outline'}
+              onClick={onPinToggle}
+              aria-label={isPinned ? '메시지 고정 해제' : '메시지 고정'}
+            >
+              {isPinned ? <PinOff size={16} /> : <Pin size={16} />}
+            </IconButton>
+          )}
+          {isMine && onEdit && (
+            <IconButton
+              size="sm"
+              variant="outline"
+              onClick={onEdit}
+              aria-label="메시지 수정"
+            >
+              <Pencil size={16} />
+            </IconButton>
+          )}
+          {onDelete && (
+            <IconButton
+              size="sm"
+              variant="outline"
+              color="danger"
+              onClick={handleDelete}
+              aria-label="메시지 삭제"
+            >
+              <TrashIcon size={16} />
+            </IconButton>
+          )}
         </div>
       </div>
     </div>
@@ -262,7 +336,14 @@ MessageActions.defaultProps = {
   onReactionAdd: () => {},
   onReactionRemove: () => {},
   isMine: false,
-  room: null
+  room: null,
+  onEdit: null,
+  onDelete: null,
+  onThreadOpen: null,
+  onReply: null,
+  isPinned: false,
+  onPinToggle: null,
+  onRegenerate: null
 };
 
 export default React.memo(MessageActions);
\ No newline at end of file
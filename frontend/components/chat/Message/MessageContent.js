@@ -8,9 +8,47 @@ import { tomorrow } from 'react-syntax-highlighter/dist/cjs/styles/prism';
 import { CopyIcon, CorrectOutlineIcon } from '@vapor-ui/icons';
 import { Text } from '@vapor-ui/core';
 import { Toast } from '../../Toast';
+import { getAIPersona, useAIPersonaVersion } from '../../../hooks/useAIPersonas';
 
-const MessageContent = ({ content, isAI = false }) => {
+// 인용 미리보기 파일 형식 라벨
+export const getQuoteFileLabel = (fileType) => {
+  if (!fileType) return '파일';
+  if (fileType.startsWith('image/')) return '이미지';
+  if (fileType.startsWith('video/')) return '동영상';
+  if (fileType.startsWith('audio/')) return '오디오';
+  if (fileType === 'application/pdf') return 'PDF';
+  return '파일';
+};
+
+const ReplyQuote = ({ replyTo, onClick }) => {
+  const renderSnippet = () => {
+    if (replyTo.isDeleted) return '삭제된 메시지입니다.';
+    if (replyTo.fileName) {
+      const label = `[${getQuoteFileLabel(replyTo.fileType)}] ${replyTo.fileName}`;
+      return replyTo.snippet ? `${label} ${replyTo.snippet}` : label;
+    }
+    return replyTo.snippet;
+  };
+
+  return (
+    <button
+      type="button"
+      className="message-quote"
+      onClick={() => onClick?.(replyTo._id)}
+      aria-label="원본 메시지로 이동"
+    >
+      {replyTo.sender?.name && (
+        <span className="message-quote-sender">{replyTo.sender.name}</span>
+      )}
+      <span className="message-quote-snippet">{renderSnippet()}</span>
+    </button>
+  );
+};
+
+const MessageContent = ({ content, isAI = false, replyTo = null, onReplyClick }) => {
   const [copyingMap, setCopyingMap] = useState(new Map());
+  // AI 페르소나 목록을 불러오면 멘션 표시를 다시 계산
+  const aiPersonaVersion = useAIPersonaVersion();
 
   // 복사 기능 구현
   const copyToClipboard = useCallback(async (text, blockId) => {
@@ -35,7 +73,7 @@ const MessageContent = ({ content, isAI = false }) => {
 
   // 멘션 패턴을 찾아서 React 엘리먼트로 변환하는 함수
   const renderContentWithMentions = useMemo(() => (text) => {
-    const mentionPattern = /@(wayneAI|consultingAI|[\w.-]+)/g;
+    const mentionPattern = /@([\w.-]+)/g;
     const parts = [];
     let lastIndex = 0;
     let match;
@@ -50,14 +88,9 @@ const MessageContent = ({ content, isAI = false }) => {
       }
 
       const mentionedName = match[1];
-      const isAIMention = mentionedName === 'wayneAI' || mentionedName === 'consultingAI';
-      const displayName = isAIMention 
-        ? (mentionedName === 'wayneAI' ? 'Wayne AI' : 'Consulting AI')
-        : mentionedName;
-
-      const mentionClass = isAIMention 
-        ? `mention mention-bot ${mentionedName === 'wayneAI' ? 'mention-wayne' : 'mention-consulting'}`
-        : 'mention mention-user';
+      const aiPersona = getAIPersona(mentionedName);
+      const displayName = aiPersona ? aiPersona.name : mentionedName;
+      const mentionClass = aiPersona ? 'mention mention-bot' : 'mention mention-user';
 
       parts.push(
         <span
@@ -80,7 +113,7 @@ const MessageContent = ({ content, isAI = false }) => {
     }
 
     return parts;
-  }, []);
+  }, [aiPersonaVersion]);
 
   // 마크다운 렌더링을 위한 커스텀 컴포넌트
   const components = useMemo(() => ({
@@ -232,23 +265,36 @@ const MessageContent = ({ content, isAI = false }) => {
            !content.includes('|');
   }, [content]);
 
-  if (typeof content !== 'string') {
-    return String(content);
-  }
+  const renderBody = () => {
+    if (typeof content !== 'string') {
+      return String(content);
+    }
 
-  // 순수 텍스트이면서 멘션이 포함된 경우 직접 렌더링
-  if (isPlainText && content.includes('@')) {
-    return <Text typography="body2" className="message-text">{renderContentWithMentions(content)}</Text>;
+    // 순수 텍스트이면서 멘션이 포함된 경우 직접 렌더링
+    if (isPlainText && content.includes('@')) {
+      return <Text typography="body2" className="message-text">{renderContentWithMentions(content)}</Text>;
+    }
+
+    // 마크다운 콘텐츠의 경우 ReactMarkdown 사용
+    return (
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, remarkBreaks, remarkEmoji]}
+        components={components}
+      >
+        {content}
+      </ReactMarkdown>
+    );
+  };
+
+  if (!replyTo?._id) {
+    return renderBody();
   }
 
-  // 마크다운 콘텐츠의 경우 ReactMarkdown 사용
   return (
-    <ReactMarkdown
-      remarkPlugins={[remarkGfm, remarkBreaks, remarkEmoji]}
-      components={components}
-    >
-      {content}
-    </ReactMarkdown>
+    <>
+      <ReplyQuote replyTo={replyTo} onClick={onReplyClick} />
+      {renderBody()}
+    </>
   );
 };
 
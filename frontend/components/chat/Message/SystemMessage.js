@@ -14,7 +14,7 @@ const SystemMessage = React.forwardRef(({ msg }, ref) => {
   console.log(formattedTime);
   
   return (
-    <div className="message-system" ref={ref}>
+    <div className="message-system" ref={ref} data-message-id={msg._id}>
       {msg.content}
       {formattedTime && (
         <div className="message-time">
@@ -0,0 +1,28 @@
+import React from 'react';
+
+const ThreadSummary = ({ thread, onOpen }) => {
+  if (!thread?.replyCount) return null;
+
+  const lastReplyTime = thread.lastReplyAt
+    ? new Date(thread.lastReplyAt).toLocaleString('ko-KR', {
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: false
+      })
+    : null;
+
+  return (
+    <button type="button" className="thread-summary" onClick={onOpen}>
+      <span className="thread-summary-count">답글 {thread.replyCount}개</span>
+      {lastReplyTime && (
+        <span className="thread-summary-last">
+          {thread.lastReplier?.name ? `${thread.lastReplier.name} · ` : ''}{lastReplyTime}
+        </span>
+      )}
+    </button>
+  );
+};
+
+export default React.memo(ThreadSummary);
@@ -1,8 +1,11 @@
-import React, { useMemo } from 'react';
+import React, { useMemo, useState, useCallback } from 'react';
+import { Button } from '@vapor-ui/core';
 import MessageContent from './MessageContent';
 import MessageActions from './MessageActions';
+import ThreadSummary from './ThreadSummary';
 import PersistentAvatar from '../../common/PersistentAvatar';
 import ReadStatus from '../ReadStatus';
+import { canModerateRoom } from '../../../utils/roomUtils';
 import { generateColorFromEmail, getContrastTextColor } from '../../../utils/colorUtils';
 
 const UserMessage = React.forwardRef(({
@@ -11,11 +14,22 @@ const UserMessage = React.forwardRef(({
   currentUser = null,
   onReactionAdd,
   onReactionRemove,
+  onMessageEdit,
+  onMessageDelete,
+  onThreadOpen,
+  onMessageReply,
+  onReplyQuoteClick,
+  isMessagePinned,
+  onMessagePinToggle,
   room = null,
   messageRef,
   socketRef
 }, ref) => {
-  const formattedTime = new Date(msg.timestamp).toLocaleString('ko-KR', {
+  const [isEditing, setIsEditing] = useState(false);
+  const [editContent, setEditContent] = useState('');
+  const [showEditHistory, setShowEditHistory] = useState(false);
+
+  const formatTime = (time) => new Date(time).toLocaleString('ko-KR', {
     year: 'numeric',
     month: 'long',
     day: 'numeric',
@@ -25,6 +39,44 @@ const UserMessage = React.forwardRef(({
     hour12: false
   }).replace(/\./g, '년').replace(/\s/g, ' ').replace('일 ', '일 ');
 
+  const formattedTime = formatTime(msg.timestamp);
+  const editHistory = msg.editHistory || [];
+  const isEdited = !!msg.editedAt || editHistory.length > 0;
+  const canEdit = isMine && msg.type === 'text' && !!onMessageEdit;
+  const canDelete = !!onMessageDelete && (isMine || canModerateRoom(room, currentUser?.id));
+
+  const handleEditStart = useCallback(() => {
+    setEditContent(msg.content || '');
+    setIsEditing(true);
+  }, [msg.content]);
+
+  const handleEditCancel = useCallback(() => {
+    setIsEditing(false);
+    setEditContent('');
+  }, []);
+
+  const handleEditSave = useCallback(() => {
+    const trimmedContent = editContent.trim();
+    if (!trimmedContent || trimmedContent === msg.content) {
+      handleEditCancel();
+      return;
+    }
+
+    if (onMessageEdit(msg._id, trimmedContent)) {
+      handleEditCancel();
+    }
+  }, [editContent, msg._id, msg.content, onMessageEdit, handleEditCancel]);
+
+  const handleEditKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleEditSave();
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      handleEditCancel();
+    }
+  }, [handleEditSave, handleEditCancel]);
+
   // 아바타 스타일을 메모이제이션
   const avatarStyles = useMemo(() => {
     const email = isMine ? currentUser?.email : msg.sender?.email;
@@ -37,7 +89,7 @@ const UserMessage = React.forwardRef(({
   const user = isMine ? currentUser : msg.sender;
 
   return (
-    <div className="messages" ref={ref}>
+    <div className="messages" ref={ref} data-message-id={msg._id}>
       <div className={`message-group ${isMine ? 'mine' : 'yours'}`}>
         <div className="message-sender-info">
           <PersistentAvatar
@@ -51,10 +103,57 @@ const UserMessage = React.forwardRef(({
           </span>
         </div>
         <div className={`message-bubble ${isMine ? 'message-mine' : 'message-other'} last relative group`}>
-          <div className="message-content">
-            <MessageContent content={msg.content} />
-          </div>
+          {isEditing ? (
+            <div className="message-edit-form">
+              <textarea
+                className="message-edit-input"
+                value={editContent}
+                onChange={(e) => setEditContent(e.target.value)}
+                onKeyDown={handleEditKeyDown}
+                rows={Math.min(editContent.split('\n').length, 8)}
+                aria-label="메시지 수정"
+                autoFocus
+              />
+              <div className="message-edit-buttons">
+                <Button size="sm" variant="outline" color="secondary" onClick={handleEditCancel}>
+                  취소
+                </Button>
+                <Button size="sm" color="primary" onClick={handleEditSave} disabled={!editContent.trim()}>
+                  저장
+                </Button>
+              </div>
+            </div>
+          ) : (
+            <div className="message-content">
+              <MessageContent
+                content={msg.content}
+                replyTo={msg.replyTo}
+                onReplyClick={onReplyQuoteClick}
+              />
+            </div>
+          )}
+          {showEditHistory && editHistory.length > 0 && (
+            <div className="message-edit-history">
+              {[...editHistory].reverse().map((revision, index) => (
+                <div key={revision._id || index} className="message-edit-history-item">
+                  <div className="message-time">{formatTime(revision.editedAt)}</div>
+                  <div className="message-edit-history-content">{revision.content}</div>
+                </div>
+              ))}
+            </div>
+          )}
           <div className="message-footer">
+            {isEdited && (
+              <button
+                type="button"
+                className="message-edited"
+                onClick={() => setShowEditHistory(prev => !prev)}
+                title={editHistory.length > 0 ? '수정 이력 보기' : undefined}
+                disabled={editHistory.length === 0}
+              >
+                (수정됨)
+              </button>
+            )}
             <div className="message-time mr-3">
               {formattedTime}
             </div>
@@ -70,6 +169,11 @@ const UserMessage = React.forwardRef(({
           </div>
         </div>
           
+        <ThreadSummary
+          thread={msg.thread}
+          onOpen={() => onThreadOpen?.(msg)}
+        />
+
         <MessageActions 
           messageId={msg._id}
           messageContent={msg.content}
@@ -79,6 +183,12 @@ const UserMessage = React.forwardRef(({
           onReactionRemove={onReactionRemove}
           isMine={isMine}
           room={room}
+          onEdit={canEdit && !isEditing ? handleEditStart : null}
+          onDelete={canDelete ? onMessageDelete : null}
+          onThreadOpen={onThreadOpen && !msg.parentMessage ? () => onThreadOpen(msg) : null}
+          onReply={onMessageReply ? () => onMessageReply(msg) : null}
+          isPinned={!!isMessagePinned?.(msg._id)}
+          onPinToggle={onMessagePinToggle && canModerateRoom(room, currentUser?.id) ? () => onMessagePinToggle(msg._id) : null}
         />
       </div>
     </div>
@@ -93,6 +203,11 @@ UserMessage.defaultProps = {
   currentUser: null,
   onReactionAdd: () => {},
   onReactionRemove: () => {},
+  onMessageEdit: null,
+  onMessageDelete: null,
+  onThreadOpen: null,
+  onMessageReply: null,
+  onReplyQuoteClick: null,
   room: null
 };
 
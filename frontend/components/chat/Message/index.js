@@ -2,3 +2,4 @@ export { default as SystemMessage } from './SystemMessage';
 export { default as FileMessage } from './FileMessage';
 export { default as UserMessage } from './UserMessage';
 export { default as AIMessage } from './AIMessage';
+export { default as DeletedMessage } from './DeletedMessage';
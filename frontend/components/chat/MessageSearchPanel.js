@@ -0,0 +1,206 @@
+import React, { useCallback } from 'react';
+import { CloseOutlineIcon } from '@vapor-ui/icons';
+import { Button, IconButton, Text } from '@vapor-ui/core';
+import { getQuoteFileLabel } from './Message/MessageContent';
+
+const formatTime = (time) => new Date(time).toLocaleString('ko-KR', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+// 서버에서 받은 강조 구간([start, end])을 <mark>로 감싸 렌더링
+const HighlightedSnippet = ({ snippet }) => {
+  const { text = '', highlights = [] } = snippet || {};
+  const parts = [];
+  let cursor = 0;
+
+  highlights.forEach(([start, end], index) => {
+    if (start < cursor) return;
+    if (start > cursor) {
+      parts.push(text.slice(cursor, start));
+    }
+    parts.push(<mark key={index}>{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+
+  if (cursor < text.length) {
+    parts.push(text.slice(cursor));
+  }
+
+  return <span className="search-result-snippet">{parts}</span>;
+};
+
+const SearchResultItem = React.memo(({ result, currentUser, onSelect }) => {
+  const senderName = result.sender?._id && result.sender._id === currentUser?.id
+    ? '나'
+    : result.sender?.name || '알 수 없는 사용자';
+
+  return (
+    <button
+      type="button"
+      className="search-result"
+      onClick={() => onSelect?.(result)}
+      aria-label="검색된 메시지로 이동"
+    >
+      <div className="search-result-meta">
+        <span className="sender-name">{senderName}</span>
+        <span className="message-time">{formatTime(result.timestamp)}</span>
+        {result.parentMessage && <span className="message-time">스레드</span>}
+      </div>
+      {result.file && (
+        <div className="search-result-file">
+          [{getQuoteFileLabel(result.file.mimetype)}] {result.file.originalname}
+        </div>
+      )}
+      <HighlightedSnippet snippet={result.snippet} />
+    </button>
+  );
+});
+SearchResultItem.displayName = 'SearchResultItem';
+
+const MessageSearchPanel = ({
+  query = '',
+  filters = {},
+  results = [],
+  hasMore = false,
+  searching = false,
+  searched = false,
+  error = null,
+  participants = [],
+  currentUser = null,
+  onQueryChange,
+  onFilterChange,
+  onSearch,
+  onLoadMore,
+  onSelect,
+  onClose
+}) => {
+  const handleSubmit = useCallback((e) => {
+    e?.preventDefault();
+    if (!query.trim() || searching) return;
+    onSearch?.();
+  }, [query, searching, onSearch]);
+
+  return (
+    <aside className="thread-panel search-panel" aria-label="메시지 검색">
+      <div className="thread-panel-header">
+        <Text typography="heading6" style={{ fontWeight: 'bold' }}>메시지 검색</Text>
+        <IconButton size="sm" variant="ghost" onClick={onClose} aria-label="검색 닫기">
+          <CloseOutlineIcon size={16} />
+        </IconButton>
+      </div>
+
+      <form className="search-panel-form" onSubmit={handleSubmit}>
+        <div className="search-panel-query">
+          <input
+            type="search"
+            className="search-panel-input"
+            value={query}
+            onChange={(e) => onQueryChange?.(e.target.value)}
+            placeholder="검색어를 입력하세요"
+            aria-label="검색어"
+            autoFocus
+          />
+          <Button type="submit" size="sm" color="primary" disabled={searching || !query.trim()}>
+            검색
+          </Button>
+        </div>
+
+        <div className="search-panel-filters">
+          <select
+            className="search-panel-input"
+            value={filters.senderId}
+            onChange={(e) => onFilterChange?.('senderId', e.target.value)}
+            aria-label="보낸 사람"
+          >
+            <option value="">보낸 사람 전체</option>
+            {participants.map(participant => (
+              <option key={participant._id} value={participant._id}>
+                {participant.name}
+              </option>
+            ))}
+          </select>
+          <select
+            className="search-panel-input"
+            value={filters.type}
+            onChange={(e) => onFilterChange?.('type', e.target.value)}
+            aria-label="메시지 유형"
+          >
+            <option value="">유형 전체</option>
+            <option value="text">일반 메시지</option>
+            <option value="file">파일</option>
+            <option value="ai">AI 응답</option>
+          </select>
+          <input
+            type="date"
+            className="search-panel-input"
+            value={filters.from}
+            max={filters.to || undefined}
+            onChange={(e) => onFilterChange?.('from', e.target.value)}
+            aria-label="시작 날짜"
+          />
+          <input
+            type="date"
+            className="search-panel-input"
+            value={filters.to}
+            min={filters.from || undefined}
+            onChange={(e) => onFilterChange?.('to', e.target.value)}
+            aria-label="종료 날짜"
+          />
+          <label className="search-panel-checkbox">
+            <input
+              type="checkbox"
+              checked={filters.hasFile}
+              onChange={(e) => onFilterChange?.('hasFile', e.target.checked)}
+            />
+            파일 첨부만
+          </label>
+        </div>
+      </form>
+
+      <div className="thread-panel-list">
+        {error && (
+          <Text typography="body3" className="thread-panel-empty">{error}</Text>
+        )}
+
+        {!error && searched && !searching && results.length === 0 && (
+          <Text typography="body3" className="thread-panel-empty">검색 결과가 없습니다.</Text>
+        )}
+
+        {results.map(result => (
+          <SearchResultItem
+            key={result._id}
+            result={result}
+            currentUser={currentUser}
+            onSelect={onSelect}
+          />
+        ))}
+
+        {hasMore && (
+          <Button
+            size="sm"
+            variant="outline"
+            color="secondary"
+            onClick={onLoadMore}
+            disabled={searching}
+            style={{ alignSelf: 'center' }}
+          >
+            {searching ? '검색 중...' : '결과 더 보기'}
+          </Button>
+        )}
+
+        {searching && results.length === 0 && (
+          <Text typography="body3" className="thread-panel-empty">검색 중...</Text>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+MessageSearchPanel.displayName = 'MessageSearchPanel';
+
+export default React.memo(MessageSearchPanel);
@@ -0,0 +1,207 @@
+import React from 'react';
+import { CloseOutlineIcon } from '@vapor-ui/icons';
+import { Badge, Button, IconButton, Text } from '@vapor-ui/core';
+import PersistentAvatar, { PRESENCE_LABELS } from '../common/PersistentAvatar';
+import { MUTE_DURATION_OPTIONS } from '../../hooks/useRoomModeration';
+import {
+  ROOM_ROLE_LABELS,
+  getRoomRole,
+  canModerateMember,
+  getActiveMute
+} from '../../utils/roomUtils';
+
+const ROLE_ORDER = { owner: 0, moderator: 1, member: 2 };
+const ROLE_BADGE_COLORS = { owner: 'warning', moderator: 'primary' };
+
+const formatMuteUntil = (until) => new Date(until).toLocaleString('ko-KR', {
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+const ParticipantItem = React.memo(({
+  participant,
+  role,
+  presence,
+  mute,
+  isMe,
+  canManageRoles,
+  canModerate,
+  disabled,
+  onRoleChange,
+  moderation
+}) => (
+  <div className="participant-item">
+    <PersistentAvatar user={participant} size="sm" presence={presence} />
+    <div className="participant-info">
+      <div className="participant-name">
+        <span>{participant.name}{isMe && ' (나)'}</span>
+        {ROLE_BADGE_COLORS[role] && (
+          <Badge size="sm" color={ROLE_BADGE_COLORS[role]}>{ROOM_ROLE_LABELS[role]}</Badge>
+        )}
+        {mute && (
+          <Badge size="sm" color="danger">채팅 금지</Badge>
+        )}
+      </div>
+      <span className="participant-presence">
+        {PRESENCE_LABELS[presence]}
+        {mute && ` · ${formatMuteUntil(mute.until)}까지 채팅 금지`}
+      </span>
+    </div>
+
+    {canManageRoles && !isMe && role !== 'owner' && (
+      <div className="participant-actions">
+        <Button
+          size="sm"
+          variant="outline"
+          color="secondary"
+          disabled={disabled}
+          onClick={() => onRoleChange?.(participant, role === 'moderator' ? 'demote' : 'promote')}
+        >
+          {role === 'moderator' ? '모더레이터 해제' : '모더레이터 지정'}
+        </Button>
+        <Button
+          size="sm"
+          variant="outline"
+          color="secondary"
+          disabled={disabled}
+          onClick={() => onRoleChange?.(participant, 'transfer')}
+        >
+          방장 위임
+        </Button>
+      </div>
+    )}
+
+    {canModerate && (
+      <div className="participant-actions">
+        {mute ? (
+          <Button
+            size="sm"
+            variant="outline"
+            color="secondary"
+            disabled={disabled}
+            onClick={() => moderation.unmuteMember(participant)}
+          >
+            채팅 금지 해제
+          </Button>
+        ) : (
+          <select
+            className="participant-mute-select"
+            value=""
+            disabled={disabled}
+            onChange={(e) => e.target.value && moderation.muteMember(participant, Number(e.target.value))}
+            aria-label={`${participant.name}님 채팅 금지`}
+          >
+            <option value="">채팅 금지</option>
+            {MUTE_DURATION_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        )}
+        <Button
+          size="sm"
+          variant="outline"
+          color="danger"
+          disabled={disabled}
+          onClick={() => moderation.kickMember(participant)}
+        >
+          강퇴
+        </Button>
+        <Button
+          size="sm"
+          variant="outline"
+          color="danger"
+          disabled={disabled}
+          onClick={() => moderation.banMember(participant)}
+        >
+          차단
+        </Button>
+      </div>
+    )}
+  </div>
+));
+ParticipantItem.displayName = 'ParticipantItem';
+
+const ParticipantsPanel = ({
+  room,
+  currentUser,
+  getPresence,
+  bans = [],
+  moderation,
+  disabled = false,
+  onRoleChange,
+  onClose
+}) => {
+  const participants = room?.participants || [];
+  const currentUserId = currentUser?.id;
+  const canManageRoles = room?.type !== 'direct' && getRoomRole(room, currentUserId) === 'owner';
+
+  // 방장, 모더레이터, 멤버 순으로 정렬
+  const sortedParticipants = [...participants].sort((a, b) =>
+    ROLE_ORDER[getRoomRole(room, a._id)] - ROLE_ORDER[getRoomRole(room, b._id)]
+  );
+
+  return (
+    <aside className="thread-panel participants-panel" aria-label="참여자 목록">
+      <div className="thread-panel-header">
+        <Text typography="heading6" style={{ fontWeight: 'bold' }}>참여자 {participants.length}명</Text>
+        <IconButton size="sm" variant="ghost" onClick={onClose} aria-label="참여자 목록 닫기">
+          <CloseOutlineIcon size={16} />
+        </IconButton>
+      </div>
+
+      <div className="thread-panel-list">
+        {sortedParticipants.map(participant => (
+          <ParticipantItem
+            key={participant._id}
+            participant={participant}
+            role={getRoomRole(room, participant._id)}
+            presence={getPresence(participant._id).status}
+            mute={getActiveMute(room, participant._id)}
+            isMe={participant._id === currentUserId}
+            canManageRoles={canManageRoles}
+            canModerate={!!moderation && canModerateMember(room, currentUserId, participant._id)}
+            disabled={disabled || moderation?.processing}
+            onRoleChange={onRoleChange}
+            moderation={moderation}
+          />
+        ))}
+
+        {bans.length > 0 && (
+          <>
+            <Text typography="subtitle2" className="participants-section-title">
+              차단된 사용자 {bans.length}명
+            </Text>
+            {bans.map(ban => ban.user && (
+              <div key={ban.user._id} className="participant-item">
+                <PersistentAvatar user={ban.user} size="sm" />
+                <div className="participant-info">
+                  <div className="participant-name">{ban.user.name}</div>
+                  <span className="participant-presence">
+                    {ban.bannedBy?.name ? `${ban.bannedBy.name}님이 차단` : '차단됨'}
+                    {ban.reason && ` · ${ban.reason}`}
+                  </span>
+                </div>
+                <Button
+                  size="sm"
+                  variant="outline"
+                  color="secondary"
+                  disabled={disabled || moderation?.processing}
+                  onClick={() => moderation?.unbanMember(ban.user)}
+                >
+                  차단 해제
+                </Button>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+    </aside>
+  );
+};
+
+ParticipantsPanel.displayName = 'ParticipantsPanel';
+
+export default React.memo(ParticipantsPanel);
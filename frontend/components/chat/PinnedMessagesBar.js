@@ -0,0 +1,96 @@
+import React, { useState, useEffect } from 'react';
+import { Pin, ChevronDown, ChevronUp } from 'lucide-react';
+import { CloseOutlineIcon } from '@vapor-ui/icons';
+import { IconButton, Text } from '@vapor-ui/core';
+import { getQuoteFileLabel } from './Message/MessageContent';
+
+const getPinSnippet = (message) => {
+  if (message.fileName) {
+    const label = `[${getQuoteFileLabel(message.fileType)}] ${message.fileName}`;
+    return message.snippet ? `${label} ${message.snippet}` : label;
+  }
+  return message.snippet;
+};
+
+const PinnedMessageItem = React.memo(({ pin, canUnpin, onSelect, onUnpin }) => (
+  <div className="pinned-message-item">
+    <button
+      type="button"
+      className="pinned-message-link"
+      onClick={() => onSelect?.(pin.message._id)}
+      aria-label="고정된 메시지로 이동"
+    >
+      {pin.message.sender?.name && (
+        <span className="pinned-message-sender">{pin.message.sender.name}</span>
+      )}
+      <span className="pinned-message-snippet">{getPinSnippet(pin.message)}</span>
+    </button>
+    {canUnpin && (
+      <IconButton
+        size="sm"
+        variant="ghost"
+        onClick={() => onUnpin?.(pin.message._id)}
+        aria-label="메시지 고정 해제"
+      >
+        <CloseOutlineIcon size={14} />
+      </IconButton>
+    )}
+  </div>
+));
+PinnedMessageItem.displayName = 'PinnedMessageItem';
+
+const PinnedMessagesBar = ({
+  pins = [],
+  canUnpin = false,
+  onSelect,
+  onUnpin
+}) => {
+  const [expanded, setExpanded] = useState(false);
+
+  useEffect(() => {
+    if (pins.length <= 1) {
+      setExpanded(false);
+    }
+  }, [pins.length]);
+
+  if (pins.length === 0) return null;
+
+  const visiblePins = expanded ? pins : pins.slice(0, 1);
+
+  return (
+    <div className="pinned-messages-bar" aria-label="고정된 메시지">
+      <div className="pinned-messages-header">
+        <Pin size={14} />
+        <Text typography="body3" style={{ fontWeight: 'bold' }}>
+          고정된 메시지 {pins.length}개
+        </Text>
+        {pins.length > 1 && (
+          <IconButton
+            size="sm"
+            variant="ghost"
+            onClick={() => setExpanded(prev => !prev)}
+            aria-label={expanded ? '고정 메시지 접기' : '고정 메시지 모두 보기'}
+          >
+            {expanded ? <ChevronUp size={14} /> : <ChevronDown size={14} />}
+          </IconButton>
+        )}
+      </div>
+
+      <div className="pinned-messages-list">
+        {visiblePins.map(pin => (
+          <PinnedMessageItem
+            key={pin.message._id}
+            pin={pin}
+            canUnpin={canUnpin}
+            onSelect={onSelect}
+            onUnpin={onUnpin}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+PinnedMessagesBar.displayName = 'PinnedMessagesBar';
+
+export default React.memo(PinnedMessagesBar);
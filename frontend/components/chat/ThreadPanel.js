@@ -0,0 +1,163 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import { CloseOutlineIcon } from '@vapor-ui/icons';
+import { Button, IconButton, Text } from '@vapor-ui/core';
+import PersistentAvatar from '../common/PersistentAvatar';
+import MessageContent from './Message/MessageContent';
+
+const formatTime = (time) => new Date(time).toLocaleString('ko-KR', {
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+const getSenderName = (msg, currentUser) => {
+  if (msg.type === 'ai') return msg.aiType;
+  const senderId = msg.sender?._id || msg.sender?.id || msg.sender;
+  if (senderId && senderId === currentUser?.id) return '나';
+  return msg.sender?.name || '알 수 없는 사용자';
+};
+
+const ThreadMessageItem = React.memo(({ msg, currentUser, isParent = false }) => {
+  const renderBody = () => {
+    if (msg.isDeleted) {
+      return <div className="thread-message-deleted">삭제된 메시지입니다.</div>;
+    }
+    if (msg.type === 'file') {
+      return <div className="thread-message-file">📎 {msg.file?.originalname || '첨부 파일'}</div>;
+    }
+    return <MessageContent content={msg.content} />;
+  };
+
+  return (
+    <div className={`thread-message ${isParent ? 'thread-parent' : ''}`}>
+      <PersistentAvatar user={msg.sender} size="sm" showInitials={true} />
+      <div className="thread-message-body">
+        <div className="thread-message-meta">
+          <span className="sender-name">{getSenderName(msg, currentUser)}</span>
+          <span className="message-time">{formatTime(msg.timestamp)}</span>
+          {msg.editedAt && !msg.isDeleted && <span className="message-time">(수정됨)</span>}
+        </div>
+        <div className="message-content">{renderBody()}</div>
+      </div>
+    </div>
+  );
+});
+ThreadMessageItem.displayName = 'ThreadMessageItem';
+
+const ThreadPanel = ({
+  parentMessage,
+  messages = [],
+  hasMore = false,
+  loading = false,
+  currentUser = null,
+  disabled = false,
+  onClose,
+  onLoadMore,
+  onSend
+}) => {
+  const [reply, setReply] = useState('');
+  const listRef = useRef(null);
+  const lastMessageIdRef = useRef(null);
+
+  // 새 답글이 추가되면 맨 아래로 스크롤 (이전 답글 로드 시에는 유지)
+  useEffect(() => {
+    const lastMessageId = messages[messages.length - 1]?._id;
+    if (lastMessageId && lastMessageId !== lastMessageIdRef.current && listRef.current) {
+      listRef.current.scrollTop = listRef.current.scrollHeight;
+    }
+    lastMessageIdRef.current = lastMessageId;
+  }, [messages]);
+
+  useEffect(() => {
+    setReply('');
+  }, [parentMessage?._id]);
+
+  const handleSubmit = useCallback((e) => {
+    e?.preventDefault();
+    if (!reply.trim() || disabled) return;
+
+    if (onSend(reply)) {
+      setReply('');
+    }
+  }, [reply, disabled, onSend]);
+
+  const handleKeyDown = useCallback((e) => {
+    if (e.key === 'Enter' && !e.shiftKey) {
+      handleSubmit(e);
+    }
+  }, [handleSubmit]);
+
+  if (!parentMessage) return null;
+
+  const replyCount = parentMessage.thread?.replyCount || 0;
+
+  return (
+    <aside className="thread-panel" aria-label="스레드">
+      <div className="thread-panel-header">
+        <Text typography="heading6" style={{ fontWeight: 'bold' }}>스레드</Text>
+        <IconButton size="sm" variant="ghost" onClick={onClose} aria-label="스레드 닫기">
+          <CloseOutlineIcon size={16} />
+        </IconButton>
+      </div>
+
+      <div className="thread-panel-list" ref={listRef}>
+        {/* ID만으로 열린 경우 부모 메시지를 불러올 때까지 표시하지 않음 */}
+        {parentMessage.timestamp && (
+          <ThreadMessageItem msg={parentMessage} currentUser={currentUser} isParent />
+        )}
+
+        <div className="thread-reply-divider">
+          <Text typography="body3">답글 {replyCount}개</Text>
+        </div>
+
+        {hasMore && (
+          <Button
+            size="sm"
+            variant="outline"
+            color="secondary"
+            onClick={onLoadMore}
+            disabled={loading}
+            style={{ alignSelf: 'center' }}
+          >
+            {loading ? '불러오는 중...' : '이전 답글 더 보기'}
+          </Button>
+        )}
+
+        {messages.map(msg => (
+          <ThreadMessageItem key={msg._id} msg={msg} currentUser={currentUser} />
+        ))}
+
+        {loading && messages.length === 0 && (
+          <Text typography="body3" className="thread-panel-empty">답글을 불러오는 중...</Text>
+        )}
+      </div>
+
+      <form className="thread-panel-input" onSubmit={handleSubmit}>
+        <textarea
+          className="message-edit-input"
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder="스레드에 답글 남기기..."
+          rows={2}
+          disabled={disabled || parentMessage.isDeleted}
+          aria-label="스레드 답글 입력"
+        />
+        <Button
+          type="submit"
+          size="sm"
+          color="primary"
+          disabled={disabled || parentMessage.isDeleted || !reply.trim()}
+        >
+          답글
+        </Button>
+      </form>
+    </aside>
+  );
+};
+
+ThreadPanel.displayName = 'ThreadPanel';
+
+export default React.memo(ThreadPanel);
@@ -0,0 +1,35 @@
+import React from 'react';
+
+const MAX_NAMED_TYPISTS = 2;
+
+const getTypingText = (typingUsers) => {
+  const names = typingUsers.map(user => `${user.name || '알 수 없는 사용자'}님`);
+
+  if (names.length <= MAX_NAMED_TYPISTS) {
+    return `${names.join(', ')}이 입력 중입니다…`;
+  }
+
+  const others = names.length - MAX_NAMED_TYPISTS;
+  return `${names.slice(0, MAX_NAMED_TYPISTS).join(', ')} 외 ${others}명이 입력 중입니다…`;
+};
+
+const TypingIndicator = ({ typingUsers = [] }) => {
+  if (typingUsers.length === 0) {
+    return <div className="chat-typing-line" aria-hidden="true" />;
+  }
+
+  return (
+    <div className="chat-typing-line" role="status" aria-live="polite">
+      <span className="chat-typing-dots" aria-hidden="true">
+        <span />
+        <span />
+        <span />
+      </span>
+      <span className="chat-typing-text">{getTypingText(typingUsers)}</span>
+    </div>
+  );
+};
+
+TypingIndicator.displayName = 'TypingIndicator';
+
+export default React.memo(TypingIndicator);
@@ -2,12 +2,19 @@ import React, { useState, useEffect, useCallback, forwardRef } from 'react';
 import { Avatar } from '@vapor-ui/core';
 import { getConsistentAvatarStyles } from '../../utils/colorUtils';
 
+export const PRESENCE_LABELS = {
+  online: '온라인',
+  away: '자리 비움',
+  offline: '오프라인'
+};
+
 const PersistentAvatar = forwardRef(({
   user,
   size = "md",
   className = "",
   onClick,
   showInitials = true,
+  presence = null,
   ...props
 }, ref) => {
   const [currentImage, setCurrentImage] = useState('');
@@ -79,7 +86,7 @@ const PersistentAvatar = forwardRef(({
     }
   };
 
-  return (
+  const avatar = (
     <Avatar.Root
       ref={ref}
       size={getVaporSize(size)}
@@ -111,6 +118,19 @@ const PersistentAvatar = forwardRef(({
       </Avatar.Fallback>
     </Avatar.Root>
   );
+
+  if (!presence) return avatar;
+
+  // 접속 상태 점 표시 (online / away / offline)
+  return (
+    <span className="avatar-presence">
+      {avatar}
+      <span
+        className={`presence-dot presence-${presence}`}
+        aria-label={PRESENCE_LABELS[presence] || PRESENCE_LABELS.offline}
+      />
+    </span>
+  );
 });
 
 PersistentAvatar.displayName = 'PersistentAvatar';
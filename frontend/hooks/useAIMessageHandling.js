@@ -9,8 +9,27 @@ export const useAIMessageHandling = (
 ) => {
   const [streamingMessages, setStreamingMessages] = useState({});
 
+  // 다시 생성 중인 기존 AI 메시지 갱신 (새 답변은 해당 메시지 자리에서 스트리밍)
+  const updateTargetMessage = useCallback((targetMessageId, updater) => {
+    setMessages(prev => prev.map(msg => (
+      msg._id === targetMessageId ? updater(msg) : msg
+    )));
+  }, [setMessages]);
+
   const handleAIMessageStart = useCallback((data) => {
     console.log('AI message stream started:', data.messageId);
+
+    if (data.targetMessageId) {
+      updateTargetMessage(data.targetMessageId, msg => ({
+        ...msg,
+        regenerating: {
+          messageId: data.messageId,
+          requestedBy: data.requestedBy,
+          content: ''
+        }
+      }));
+      return;
+    }
     
     setStreamingMessages(prev => ({
       ...prev,
@@ -19,12 +38,13 @@ export const useAIMessageHandling = (
         type: 'ai',
         aiType: data.aiType,
         content: '',
+        requestedBy: data.requestedBy,
         timestamp: new Date(data.timestamp),
         isStreaming: true
       }
     }));
     scrollToBottom();
-  }, [scrollToBottom]);
+  }, [scrollToBottom, updateTargetMessage]);
 
   const handleAIMessageChunk = useCallback((data) => {
     if (!data.messageId) {
@@ -38,6 +58,15 @@ export const useAIMessageHandling = (
       isCodeBlock: data.isCodeBlock
     });
 
+    if (data.targetMessageId) {
+      updateTargetMessage(data.targetMessageId, msg => (
+        msg.regenerating
+          ? { ...msg, regenerating: { ...msg.regenerating, content: data.fullContent } }
+          : msg
+      ));
+      return;
+    }
+
     setStreamingMessages(prev => {
       // 해당 메시지 ID가 없는 경우 무시
       if (!prev[data.messageId]) {
@@ -58,11 +87,23 @@ export const useAIMessageHandling = (
     if (isNearBottom) {
       scrollToBottom();
     }
-  }, [isNearBottom, scrollToBottom]);
+  }, [isNearBottom, scrollToBottom, updateTargetMessage]);
 
   const handleAIMessageComplete = useCallback((data) => {
     console.log('AI message stream completed:', data.messageId);
 
+    if (data.targetMessageId) {
+      updateTargetMessage(data.targetMessageId, msg => ({
+        ...msg,
+        content: data.content,
+        sources: data.sources || [],
+        cancelled: !!data.cancelled,
+        aiVersions: data.aiVersions || [],
+        regenerating: null
+      }));
+      return;
+    }
+
     setStreamingMessages(prev => {
       const { [data.messageId]: completed, ...rest } = prev;
       return rest;
@@ -73,23 +114,39 @@ export const useAIMessageHandling = (
       type: 'ai',
       aiType: data.aiType,
       content: data.content,
+      sources: data.sources || [],
+      cancelled: !!data.cancelled,
+      aiVersions: data.aiVersions || [],
       timestamp: new Date(data.timestamp),
       isComplete: true
     }]);
     
     scrollToBottom();
-  }, [setMessages, scrollToBottom]);
+  }, [setMessages, scrollToBottom, updateTargetMessage]);
 
-  const handleAIMessageError = useCallback((data) => {
-    console.error('AI message error:', data);
+  // 스트리밍 표시만 정리 (다시 생성 중이던 메시지는 기존 답변으로 되돌림)
+  const clearAIStream = useCallback((data) => {
+    if (data.targetMessageId) {
+      updateTargetMessage(data.targetMessageId, msg => ({ ...msg, regenerating: null }));
+      return;
+    }
 
     setStreamingMessages(prev => {
-      const { [data.messageId]: failed, ...rest } = prev;
+      const { [data.messageId]: removed, ...rest } = prev;
       return rest;
     });
+  }, [updateTargetMessage]);
 
+  const handleAIMessageError = useCallback((data) => {
+    console.error('AI message error:', data);
+    clearAIStream(data);
     Toast.error(`AI 응답 오류: ${data.error}`);
-  }, []);
+  }, [clearAIStream]);
+
+  // 받은 내용 없이 중지된 응답
+  const handleAIMessageCancelled = useCallback((data) => {
+    clearAIStream(data);
+  }, [clearAIStream]);
 
   // Socket.IO 이벤트 리스너 설정 함수
   const setupAIMessageListeners = useCallback(() => {
@@ -104,28 +161,60 @@ export const useAIMessageHandling = (
     socket.off('aiMessageStart')
           .off('aiMessageChunk')
           .off('aiMessageComplete')
-          .off('aiMessageError');
+          .off('aiMessageError')
+          .off('aiMessageCancelled');
 
     // 새 리스너 등록
     socket.on('aiMessageStart', handleAIMessageStart);
     socket.on('aiMessageChunk', handleAIMessageChunk);
     socket.on('aiMessageComplete', handleAIMessageComplete);
     socket.on('aiMessageError', handleAIMessageError);
+    socket.on('aiMessageCancelled', handleAIMessageCancelled);
 
     return () => {
       socket.off('aiMessageStart')
             .off('aiMessageChunk')
             .off('aiMessageComplete')
-            .off('aiMessageError');
+            .off('aiMessageError')
+            .off('aiMessageCancelled');
     };
   }, [
     socketRef,
     handleAIMessageStart,
     handleAIMessageChunk,
     handleAIMessageComplete,
-    handleAIMessageError
+    handleAIMessageError,
+    handleAIMessageCancelled
   ]);
 
+  // 진행 중인 AI 응답 중지 (messageId: 스트리밍 ID)
+  const cancelAIMessage = useCallback((messageId) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      socketRef.current.emit('aiCancel', { messageId });
+    } catch (error) {
+      console.error('Cancel AI message error:', error);
+      Toast.error('AI 응답 중지에 실패했습니다.');
+    }
+  }, [socketRef]);
+
+  // 같은 질문으로 AI 답변 다시 생성 (messageId: 저장된 AI 메시지 ID)
+  const regenerateAIMessage = useCallback((messageId) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      socketRef.current.emit('aiRegenerate', { messageId });
+    } catch (error) {
+      console.error('Regenerate AI message error:', error);
+      Toast.error('AI 답변 다시 생성에 실패했습니다.');
+    }
+  }, [socketRef]);
+
   // AI 메시지 전송 함수
   const sendAIMessage = useCallback(async (aiType, content) => {
     if (!socketRef.current?.connected) {
@@ -155,8 +244,11 @@ export const useAIMessageHandling = (
     handleAIMessageChunk,
     handleAIMessageComplete,
     handleAIMessageError,
+    handleAIMessageCancelled,
     setupAIMessageListeners,
-    sendAIMessage
+    sendAIMessage,
+    cancelAIMessage,
+    regenerateAIMessage
   };
 };
 
@@ -0,0 +1,51 @@
+// hooks/useAIPersonas.js
+
+import { useState, useEffect } from 'react';
+import aiPersonaService from '../services/aiPersonaService';
+
+// 알려진 페르소나 (목록을 불러오기 전이면 null)
+export const getAIPersona = (handle) => aiPersonaService.getPersona(handle);
+
+// 페르소나 정보가 새로 들어오면 다시 렌더링
+export const useAIPersonaVersion = () => {
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    return aiPersonaService.subscribe(() => setVersion(prev => prev + 1));
+  }, []);
+
+  return version;
+};
+
+// 채팅방에서 멘션할 수 있는 페르소나 목록
+export const useAIPersonas = (roomId) => {
+  const [personas, setPersonas] = useState([]);
+
+  useEffect(() => {
+    if (!roomId) {
+      setPersonas([]);
+      return;
+    }
+
+    let cancelled = false;
+    aiPersonaService.loadRoomPersonas(roomId).then(result => {
+      if (!cancelled) {
+        setPersonas(result);
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [roomId]);
+
+  return personas;
+};
+
+// 핸들로 표시 정보 조회 (삭제된 페르소나는 핸들을 그대로 이름으로 사용)
+export const useAIPersona = (handle) => {
+  useAIPersonaVersion();
+  return getAIPersona(handle) || { handle, name: handle, description: '', avatar: '' };
+};
+
+export default useAIPersonas;
@@ -5,12 +5,21 @@ import socketService from '../services/socket';
 import { useFileHandling } from './useFileHandling';
 import { useMessageHandling } from './useMessageHandling';
 import { useReactionHandling } from './useReactionHandling';
+import { useMessageEditHandling, toDeletedMessage } from './useMessageEditHandling';
+import { useThreadHandling } from './useThreadHandling';
+import { usePinnedMessages } from './usePinnedMessages';
+import { useTypingIndicator } from './useTypingIndicator';
+import { usePresence } from './usePresence';
 import { useAIMessageHandling } from './useAIMessageHandling';
 import { useScrollHandling } from './useScrollHandling';
 import { useSocketHandling } from './useSocketHandling';
 import { useRoomHandling } from './useRoomHandling';
 import { Toast } from '../components/Toast';
 
+const MAX_JUMP_PAGES = 20; // 인용 원본 탐색 시 최대 추가 로드 페이지 수
+const WRITE_REJECTED_CODES = ['USER_MUTED', 'ROOM_ARCHIVED', 'ANNOUNCEMENT_ONLY'];
+const RATE_LIMIT_CODES = ['SLOW_MODE', 'MESSAGE_RATE_LIMITED'];
+
 const CLEANUP_REASONS = {
   DISCONNECT: 'disconnect',
   MANUAL: 'manual',
@@ -29,6 +38,7 @@ export const useChatRoom = () => {
   const [connectionStatus, setConnectionStatus] = useState('checking');
   const [messageLoadError, setMessageLoadError] = useState(null);
   const [isInitialized, setIsInitialized] = useState(false);
+  const [sendCooldownUntil, setSendCooldownUntil] = useState(null);
   
   // Refs
   const messageInputRef = useRef(null);
@@ -49,6 +59,7 @@ export const useChatRoom = () => {
   const previousScrollHeightRef = useRef(0);
   const isLoadingRef = useRef(false);
   const loadMoreTriggeredRef = useRef(false);
+  const pendingJumpRef = useRef(null);
 
   // Socket handling setup
   const {
@@ -66,6 +77,7 @@ export const useChatRoom = () => {
     loadingMessages,
     messagesEndRef,
     scrollToBottom,
+    scrollToMessage,
     handleScroll,
     setHasMoreMessages,
     setLoadingMessages
@@ -79,7 +91,9 @@ export const useChatRoom = () => {
     handleAIMessageChunk,
     handleAIMessageComplete,
     handleAIMessageError,
-    setupAIMessageListeners
+    setupAIMessageListeners,
+    cancelAIMessage,
+    regenerateAIMessage
   } = useAIMessageHandling(
     socketRef,
     setMessages,
@@ -98,6 +112,7 @@ export const useChatRoom = () => {
     uploading,
     uploadProgress,
     uploadError,
+    replyTarget,
     setMessage,
     setShowEmojiPicker,
     setShowMentionList,
@@ -110,9 +125,57 @@ export const useChatRoom = () => {
     handleEmojiToggle,
     getFilteredParticipants,
     insertMention,
-    removeFilePreview
+    removeFilePreview,
+    startReply,
+    cancelReply,
+    notifyIncomingMessage
   } = useMessageHandling(socketRef, currentUser, router);
 
+  // 소켓 리스너에서 최신 채팅방 정보를 참조하기 위한 ref
+  const roomRef = useRef(room);
+
+  useEffect(() => {
+    roomRef.current = room;
+  }, [room]);
+
+  // Typing indicator hook
+  const {
+    typingUsers,
+    handleTypingUpdate,
+    handleTypingMessage
+  } = useTypingIndicator(socketRef, router.query.room, currentUser, message);
+
+  // Thread handling hook
+  const {
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    loadingThread,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    updateThreadMessage,
+    setupThreadListeners,
+    cleanupThreadListeners
+  } = useThreadHandling(socketRef, setMessages);
+
+  // Pinned messages hook
+  const {
+    pinnedMessages,
+    isPinned,
+    togglePin,
+    handlePinnedMessagesUpdate,
+    removePinnedMessage,
+    updatePinnedMessage
+  } = usePinnedMessages(socketRef, router.query.room);
+
+  // Presence hook
+  const {
+    getPresence,
+    handlePresenceUpdate
+  } = usePresence(socketRef, room?.participants, connected);
+
   // Cleanup 함수 수정
   const cleanup = useCallback((reason = 'MANUAL') => {
     if (!mountedRef.current || !router.query.room) return;
@@ -139,11 +202,21 @@ export const useChatRoom = () => {
         socketRef.current.off('previousMessages');
         socketRef.current.off('previousMessagesLoaded');
         socketRef.current.off('participantsUpdate');
+        socketRef.current.off('roomRolesUpdate');
+        socketRef.current.off('roomModerationUpdate');
+        socketRef.current.off('roomSettingsUpdate');
+        socketRef.current.off('removedFromRoom');
         socketRef.current.off('aiMessageStart');
         socketRef.current.off('aiMessageChunk');
         socketRef.current.off('aiMessageComplete');
         socketRef.current.off('aiMessageError');
         socketRef.current.off('messageReactionUpdate');
+        socketRef.current.off('messageUpdated');
+        socketRef.current.off('messageDeleted');
+        socketRef.current.off('pinnedMessagesUpdate');
+        socketRef.current.off('typingUpdate');
+        socketRef.current.off('presenceUpdate');
+        cleanupThreadListeners();
         socketRef.current.off('session_ended');
         socketRef.current.off('error');
       }
@@ -192,6 +265,7 @@ export const useChatRoom = () => {
     setLoadingMessages, 
     mountedRef,
     socketRef,
+    cleanupThreadListeners,
     router.query.room
   ]);
   
@@ -210,6 +284,14 @@ export const useChatRoom = () => {
     handleReactionUpdate
   } = useReactionHandling(socketRef, currentUser, messages, setMessages);
 
+  // Message edit handling hook
+  const {
+    handleMessageEdit,
+    handleMessageDelete,
+    handleMessageUpdated,
+    handleMessageDeleted
+  } = useMessageEditHandling(socketRef, setMessages);
+
   // 메시지 처리 유틸리티 함수
   const processMessages = useCallback((loadedMessages, hasMore, isInitialLoad = false) => {
     try {
@@ -303,6 +385,53 @@ export const useChatRoom = () => {
     }
   }, [socketRef, router?.query?.room, loadingMessages, messages, processMessages, setHasMoreMessages]);
 
+  // 인용된 원본 메시지로 이동 (화면에 없으면 이전 메시지를 불러오며 탐색)
+  const jumpToMessage = useCallback((messageId) => {
+    if (!messageId) return;
+
+    if (scrollToMessage(messageId)) {
+      pendingJumpRef.current = null;
+      return;
+    }
+
+    if (!hasMoreMessages) {
+      Toast.info('원본 메시지를 찾을 수 없습니다.');
+      return;
+    }
+
+    pendingJumpRef.current = { messageId, attempts: 0 };
+    loadPreviousMessages();
+  }, [scrollToMessage, hasMoreMessages, loadPreviousMessages]);
+
+  useEffect(() => {
+    const pendingJump = pendingJumpRef.current;
+    if (!pendingJump || loadingMessages) return;
+
+    const frameId = requestAnimationFrame(() => {
+      if (scrollToMessage(pendingJump.messageId)) {
+        pendingJumpRef.current = null;
+        return;
+      }
+
+      if (!hasMoreMessages || pendingJump.attempts >= MAX_JUMP_PAGES) {
+        pendingJumpRef.current = null;
+        Toast.info('원본 메시지를 찾을 수 없습니다.');
+        return;
+      }
+
+      pendingJump.attempts += 1;
+      loadPreviousMessages();
+    });
+
+    return () => cancelAnimationFrame(frameId);
+  }, [messages, loadingMessages, hasMoreMessages, scrollToMessage, loadPreviousMessages]);
+
+  // 전송 제한 시작 (초 단위)
+  const startSendCooldown = useCallback((seconds) => {
+    if (!seconds || seconds <= 0) return;
+    setSendCooldownUntil(Date.now() + seconds * 1000);
+  }, []);
+
   // Event listeners setup
   const setupEventListeners = useCallback(() => {
     if (!socketRef.current || !mountedRef.current) return;
@@ -319,6 +448,45 @@ export const useChatRoom = () => {
       }));
     });
 
+    // 역할 변경 이벤트 (방장 위임 시 creator가 ID로 전달됨)
+    socketRef.current.on('roomRolesUpdate', (roles) => {
+      if (!mountedRef.current || !roles) return;
+      setRoom(prev => {
+        if (!prev || (roles.roomId && roles.roomId !== prev._id)) return prev;
+        return {
+          ...prev,
+          creator: prev.creator?._id === roles.creator ? prev.creator : { _id: roles.creator },
+          moderators: roles.moderators || []
+        };
+      });
+    });
+
+    // 채팅 금지 목록 변경 이벤트
+    socketRef.current.on('roomModerationUpdate', (data) => {
+      if (!mountedRef.current || !data) return;
+      setRoom(prev => {
+        if (!prev || data.roomId !== prev._id) return prev;
+        return { ...prev, mutes: data.mutes || [] };
+      });
+    });
+
+    // 채팅방 설정 변경 이벤트
+    socketRef.current.on('roomSettingsUpdate', (settings) => {
+      if (!mountedRef.current || !settings) return;
+      setRoom(prev => {
+        if (!prev || settings.roomId !== prev._id) return prev;
+        const { roomId, ...changes } = settings;
+        return { ...prev, ...changes };
+      });
+    });
+
+    // 강퇴/차단으로 채팅방에서 제외된 경우
+    socketRef.current.on('removedFromRoom', (data) => {
+      if (!mountedRef.current || data?.roomId !== router.query.room) return;
+      Toast.warning(data.message || '채팅방에서 제외되었습니다.');
+      router.push('/chat-rooms');
+    });
+
     // 메시지 이벤트
     socketRef.current.on('message', message => {
       if (!message || !mountedRef.current || messageProcessingRef.current || !message._id) return;
@@ -329,6 +497,7 @@ export const useChatRoom = () => {
 
       console.log('Received message:', message);
       processedMessageIds.current.add(message._id);
+      handleTypingMessage(message);
 
       setMessages(prev => {
         if (prev.some(msg => msg._id === message._id)) {
@@ -336,6 +505,7 @@ export const useChatRoom = () => {
         }
         return [...prev, message];
       });
+      notifyIncomingMessage(message, roomRef.current);
 
       if (isNearBottom) {
         scrollToBottom();
@@ -371,6 +541,7 @@ export const useChatRoom = () => {
     });
 
     setupAIMessageListeners();
+    setupThreadListeners();
 
     // 리액션 이벤트
     socketRef.current.on('messageReactionUpdate', (data) => {
@@ -378,6 +549,45 @@ export const useChatRoom = () => {
       handleReactionUpdate(data);
     });
 
+    // 메시지 수정 이벤트
+    socketRef.current.on('messageUpdated', (data) => {
+      if (!mountedRef.current) return;
+      handleMessageUpdated(data);
+      updateThreadMessage(data.messageId, msg => ({
+        ...msg,
+        content: data.content,
+        editedAt: data.editedAt,
+        editHistory: data.editHistory
+      }));
+      updatePinnedMessage(data.messageId, data.content);
+    });
+
+    // 메시지 삭제 이벤트
+    socketRef.current.on('messageDeleted', (data) => {
+      if (!mountedRef.current) return;
+      handleMessageDeleted(data);
+      updateThreadMessage(data.messageId, msg => toDeletedMessage(msg, data.deletedAt));
+      removePinnedMessage(data.messageId);
+    });
+
+    // 접속 상태 이벤트
+    socketRef.current.on('presenceUpdate', (data) => {
+      if (!mountedRef.current) return;
+      handlePresenceUpdate(data);
+    });
+
+    // 입력 중 상태 이벤트
+    socketRef.current.on('typingUpdate', (data) => {
+      if (!mountedRef.current) return;
+      handleTypingUpdate(data);
+    });
+
+    // 고정 메시지 변경 이벤트
+    socketRef.current.on('pinnedMessagesUpdate', (data) => {
+      if (!mountedRef.current) return;
+      handlePinnedMessagesUpdate(data);
+    });
+
     // 세션 이벤트
     socketRef.current.on('session_ended', () => {
       if (!mountedRef.current) return;
@@ -404,11 +614,25 @@ export const useChatRoom = () => {
 
     socketRef.current.on('error', (error) => {
       if (!mountedRef.current) return;
+
+      // 슬로우 모드/전송 제한은 입력창에 남은 시간을 표시
+      if (RATE_LIMIT_CODES.includes(error?.code)) {
+        startSendCooldown(error.retryAfter);
+        Toast.warning(error.message);
+        return;
+      }
+
+      // 채팅 금지/보관/공지 모드로 거부된 요청은 화면 전체 오류 대신 알림으로 표시
+      if (WRITE_REJECTED_CODES.includes(error?.code)) {
+        Toast.warning(error.message);
+        return;
+      }
+
       console.error('Socket error:', error);
       setError(error.message || '채팅 연결에 문제가 발생했습니다.');
     });
 
-  }, [isNearBottom, scrollToBottom, messages.length, processMessages, setupAIMessageListeners, setHasMoreMessages, cleanup, router, handleReactionUpdate, setLoadingMessages, setError]);
+  }, [isNearBottom, scrollToBottom, messages.length, processMessages, setupAIMessageListeners, setHasMoreMessages, cleanup, router, handleReactionUpdate, handleMessageUpdated, handleMessageDeleted, updateThreadMessage, setupThreadListeners, updatePinnedMessage, removePinnedMessage, handlePinnedMessagesUpdate, handleTypingUpdate, handleTypingMessage, handlePresenceUpdate, setLoadingMessages, setError, startSendCooldown, notifyIncomingMessage]);
 
   // Room handling hook initialization
   const {
@@ -618,6 +842,14 @@ export const useChatRoom = () => {
     isNearBottom,
     hasMoreMessages,
     loadingMessages,
+    replyTarget,
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    loadingThread,
+    pinnedMessages,
+    typingUsers,
+    sendCooldownUntil,
     
     // Refs
     fileInputRef,
@@ -640,6 +872,21 @@ export const useChatRoom = () => {
     removeFilePreview,
     handleReactionAdd,
     handleReactionRemove,
+    handleMessageEdit,
+    handleMessageDelete,
+    startReply,
+    cancelReply,
+    jumpToMessage,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    isPinned,
+    togglePin,
+    cancelAIMessage,
+    regenerateAIMessage,
+    getPresence,
+    startSendCooldown,
     cleanup,
     
     // Setters
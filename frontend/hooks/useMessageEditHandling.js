@@ -0,0 +1,86 @@
+// hooks/useMessageEditHandling.js
+
+import { useCallback } from 'react';
+import { Toast } from '../components/Toast';
+
+// 삭제된 메시지는 내용 없이 삭제 표시만 남김
+export const toDeletedMessage = (msg, deletedAt) => ({
+  _id: msg._id,
+  room: msg.room,
+  sender: msg.sender,
+  type: msg.type,
+  content: '',
+  timestamp: msg.timestamp,
+  parentMessage: msg.parentMessage || null,
+  thread: msg.thread,
+  isDeleted: true,
+  deletedAt
+});
+
+export const useMessageEditHandling = (socketRef, setMessages) => {
+  const handleMessageEdit = useCallback((messageId, content) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      const trimmedContent = content?.trim();
+      if (!messageId || !trimmedContent) {
+        return false;
+      }
+
+      socketRef.current.emit('editMessage', {
+        messageId,
+        content: trimmedContent
+      });
+      return true;
+
+    } catch (error) {
+      console.error('Edit message error:', error);
+      Toast.error('메시지 수정에 실패했습니다.');
+      return false;
+    }
+  }, [socketRef]);
+
+  const handleMessageDelete = useCallback((messageId) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      if (!messageId) return;
+
+      socketRef.current.emit('deleteMessage', { messageId });
+
+    } catch (error) {
+      console.error('Delete message error:', error);
+      Toast.error('메시지 삭제에 실패했습니다.');
+    }
+  }, [socketRef]);
+
+  // 서버에서 수정 완료 브로드캐스트 수신 시 반영
+  const handleMessageUpdated = useCallback(({ messageId, content, editedAt, editHistory }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg._id === messageId ? { ...msg, content, editedAt, editHistory } : msg
+      )
+    );
+  }, [setMessages]);
+
+  const handleMessageDeleted = useCallback(({ messageId, deletedAt }) => {
+    setMessages(prevMessages =>
+      prevMessages.map(msg =>
+        msg._id === messageId ? toDeletedMessage(msg, deletedAt) : msg
+      )
+    );
+  }, [setMessages]);
+
+  return {
+    handleMessageEdit,
+    handleMessageDelete,
+    handleMessageUpdated,
+    handleMessageDeleted
+  };
+};
+
+export default useMessageEditHandling;
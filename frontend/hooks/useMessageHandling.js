@@ -1,6 +1,8 @@
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { Toast } from '../components/Toast';
 import fileService from '../services/fileService';
+import notificationService from '../services/notificationService';
+import { useAIPersonas } from './useAIPersonas';
 
 export const useMessageHandling = (socketRef, currentUser, router, handleSessionError, messages = []) => {
  const [message, setMessage] = useState('');
@@ -13,6 +15,29 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
  const [uploadProgress, setUploadProgress] = useState(0);
  const [uploadError, setUploadError] = useState(null);
  const [loadingMessages, setLoadingMessages] = useState(false);
+ const [replyTarget, setReplyTarget] = useState(null);
+ const aiPersonas = useAIPersonas(router?.query?.room);
+
+ const startReply = useCallback((targetMessage) => {
+   if (!targetMessage?._id) return;
+   setReplyTarget(targetMessage);
+ }, []);
+
+ const cancelReply = useCallback(() => {
+   setReplyTarget(null);
+ }, []);
+
+ // 보고 있는 채팅방은 1:1 대화 알림 대상에서 제외 (해당 방 메시지는 notifyIncomingMessage로 처리)
+ useEffect(() => {
+   const roomId = router?.query?.room;
+   notificationService.setActiveRoom(roomId);
+   return () => notificationService.setActiveRoom(null);
+ }, [router?.query?.room]);
+
+ // 받은 메시지 알림 (탭이 백그라운드일 때 데스크톱 알림/탭 제목/알림음)
+ const notifyIncomingMessage = useCallback((incomingMessage, room) => {
+   notificationService.handleRoomMessage(incomingMessage, room, currentUser?.id);
+ }, [currentUser?.id]);
 
  const handleMessageChange = useCallback((e) => {
    const newValue = e.target.value;
@@ -123,6 +148,7 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
          room: roomId,
          type: 'file',
          content: messageData.content || '',
+         replyTo: replyTarget?._id,
          fileData: {
            _id: uploadResponse.data.file._id,
            filename: uploadResponse.data.file.filename,
@@ -141,12 +167,15 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
        socketRef.current.emit('chatMessage', {
          room: roomId,
          type: 'text',
-         content: messageData.content.trim()
+         content: messageData.content.trim(),
+         replyTo: replyTarget?._id
        });
 
        setMessage('');
      }
 
+     setReplyTarget(null);
+
      setShowEmojiPicker(false);
      setShowMentionList(false);
 
@@ -166,7 +195,7 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
        setUploading(false);
      }
    }
- }, [currentUser, router, handleSessionError, socketRef]);
+ }, [currentUser, router, handleSessionError, socketRef, replyTarget]);
 
  const handleEmojiToggle = useCallback(() => {
    setShowEmojiPicker(prev => !prev);
@@ -175,27 +204,26 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
  const getFilteredParticipants = useCallback((room) => {
    if (!room?.participants) return [];
 
+   // AI 페르소나는 핸들(name)로 멘션
    const allParticipants = [
-     {
-       _id: 'wayneAI',
-       name: 'wayneAI',
-       email: 'ai@wayne.ai',
-       isAI: true
-     },
-     {
-       _id: 'consultingAI',
-       name: 'consultingAI',
-       email: 'ai@consulting.ai',
+     ...aiPersonas.map(persona => ({
+       _id: `ai-${persona.handle}`,
+       name: persona.handle,
+       displayName: persona.name,
+       description: persona.description,
+       avatar: persona.avatar,
+       email: '',
        isAI: true
-     },
+     })),
      ...room.participants
    ];
 
    return allParticipants.filter(user => 
      user.name.toLowerCase().includes(mentionFilter) ||
-     user.email.toLowerCase().includes(mentionFilter)
+     user.displayName?.toLowerCase().includes(mentionFilter) ||
+     user.email?.toLowerCase().includes(mentionFilter)
    );
- }, [mentionFilter]);
+ }, [mentionFilter, aiPersonas]);
 
  const insertMention = useCallback((messageInputRef, user) => {
    if (!messageInputRef?.current) return;
@@ -239,6 +267,7 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
    uploadProgress,
    uploadError,
    loadingMessages,
+   replyTarget,
    setMessage,
    setShowEmojiPicker,
    setShowMentionList,
@@ -252,7 +281,10 @@ export const useMessageHandling = (socketRef, currentUser, router, handleSession
    handleLoadMore,
    getFilteredParticipants,
    insertMention,
-   removeFilePreview
+   removeFilePreview,
+   startReply,
+   cancelReply,
+   notifyIncomingMessage
  };
 };
 
@@ -0,0 +1,113 @@
+// hooks/useMessageSearch.js
+
+import { useState, useCallback, useRef } from 'react';
+import axiosInstance from '../services/axios';
+
+export const INITIAL_SEARCH_FILTERS = {
+  senderId: '',
+  type: '',
+  from: '',
+  to: '',
+  hasFile: false
+};
+
+// 날짜 입력(YYYY-MM-DD)을 검색 범위의 시작/끝 시각으로 변환
+const toRangeBoundary = (date, endOfDay = false) => {
+  if (!date) return undefined;
+  const boundary = new Date(`${date}T00:00:00`);
+  if (endOfDay) boundary.setHours(23, 59, 59, 999);
+  return boundary.toISOString();
+};
+
+export const useMessageSearch = (roomId) => {
+  const [query, setQuery] = useState('');
+  const [filters, setFilters] = useState(INITIAL_SEARCH_FILTERS);
+  const [results, setResults] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [hasMore, setHasMore] = useState(false);
+  const [searching, setSearching] = useState(false);
+  const [searchError, setSearchError] = useState(null);
+  const [searched, setSearched] = useState(false);
+  const requestIdRef = useRef(0);
+
+  const requestSearch = useCallback(async (cursor = null) => {
+    const trimmedQuery = query.trim();
+    if (!trimmedQuery || !roomId) return;
+
+    const requestId = ++requestIdRef.current;
+    setSearching(true);
+    setSearchError(null);
+
+    try {
+      const response = await axiosInstance.get('/api/messages/search', {
+        params: {
+          q: trimmedQuery,
+          roomId,
+          senderId: filters.senderId || undefined,
+          type: filters.type || undefined,
+          from: toRangeBoundary(filters.from),
+          to: toRangeBoundary(filters.to, true),
+          hasFile: filters.hasFile ? true : undefined,
+          cursor: cursor || undefined
+        }
+      });
+
+      // 이전 요청의 늦은 응답은 무시
+      if (requestId !== requestIdRef.current) return;
+
+      const { data = [], pagination = {} } = response.data || {};
+      setResults(prev => cursor ? [...prev, ...data] : data);
+      setNextCursor(pagination.nextCursor || null);
+      setHasMore(!!pagination.hasMore);
+      setSearched(true);
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error('Message search error:', error);
+      setSearchError(error.response?.data?.message || '메시지 검색 중 오류가 발생했습니다.');
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setSearching(false);
+      }
+    }
+  }, [query, filters, roomId]);
+
+  const search = useCallback(() => requestSearch(null), [requestSearch]);
+
+  const loadMoreResults = useCallback(() => {
+    if (searching || !hasMore || !nextCursor) return;
+    requestSearch(nextCursor);
+  }, [searching, hasMore, nextCursor, requestSearch]);
+
+  const updateFilter = useCallback((key, value) => {
+    setFilters(prev => ({ ...prev, [key]: value }));
+  }, []);
+
+  const resetSearch = useCallback(() => {
+    requestIdRef.current += 1;
+    setQuery('');
+    setFilters(INITIAL_SEARCH_FILTERS);
+    setResults([]);
+    setNextCursor(null);
+    setHasMore(false);
+    setSearching(false);
+    setSearchError(null);
+    setSearched(false);
+  }, []);
+
+  return {
+    query,
+    setQuery,
+    filters,
+    updateFilter,
+    results,
+    hasMore,
+    searching,
+    searchError,
+    searched,
+    search,
+    loadMoreResults,
+    resetSearch
+  };
+};
+
+export default useMessageSearch;
@@ -0,0 +1,98 @@
+// hooks/useNotificationSettings.js
+
+import { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+// 다른 화면에서 변경한 설정을 함께 반영하기 위한 전역 이벤트
+const SETTINGS_UPDATE_EVENT = 'notificationSettingsUpdate';
+
+export const isRoomMutedIn = (settings, roomId) => {
+  if (!settings || !roomId) return false;
+  const now = Date.now();
+  return settings.mutedRooms.some(entry =>
+    entry.room === roomId && (!entry.until || new Date(entry.until).getTime() > now)
+  );
+};
+
+export const useNotificationSettings = (enabled = true) => {
+  const [settings, setSettings] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+
+  const fetchSettings = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await axiosInstance.get('/api/users/notification-settings');
+      if (response.data?.success) {
+        setSettings(response.data.data);
+      }
+    } catch (error) {
+      console.error('Fetch notification settings error:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    fetchSettings();
+
+    const handleSettingsUpdate = (event) => {
+      if (event.detail) {
+        setSettings(event.detail);
+      }
+    };
+
+    window.addEventListener(SETTINGS_UPDATE_EVENT, handleSettingsUpdate);
+    return () => window.removeEventListener(SETTINGS_UPDATE_EVENT, handleSettingsUpdate);
+  }, [enabled, fetchSettings]);
+
+  // 전달한 항목만 저장 (events, mutedRooms, doNotDisturb)
+  const updateSettings = useCallback(async (updates) => {
+    setSaving(true);
+    try {
+      const response = await axiosInstance.put('/api/users/notification-settings', updates);
+      const updated = response.data?.data;
+      if (updated) {
+        setSettings(updated);
+        window.dispatchEvent(new CustomEvent(SETTINGS_UPDATE_EVENT, { detail: updated }));
+      }
+      return updated;
+    } catch (error) {
+      console.error('Update notification settings error:', error);
+      Toast.error(error.response?.data?.message || '알림 설정을 저장하지 못했습니다.');
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  }, []);
+
+  const isRoomMuted = useCallback((roomId) => isRoomMutedIn(settings, roomId), [settings]);
+
+  // 채팅방 알림 끄기/켜기 (until이 없으면 직접 켤 때까지 유지)
+  const setRoomMuted = useCallback(async (roomId, muted, until = null) => {
+    if (!settings || !roomId) return null;
+
+    const others = settings.mutedRooms
+      .filter(entry => entry.room !== roomId)
+      .map(({ room, until: mutedUntil }) => ({ room, until: mutedUntil }));
+
+    return updateSettings({
+      mutedRooms: muted ? [...others, { room: roomId, until }] : others
+    });
+  }, [settings, updateSettings]);
+
+  return {
+    settings,
+    loading,
+    saving,
+    fetchSettings,
+    updateSettings,
+    isRoomMuted,
+    setRoomMuted
+  };
+};
+
+export default useNotificationSettings;
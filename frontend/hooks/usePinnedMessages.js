@@ -0,0 +1,86 @@
+// hooks/usePinnedMessages.js
+
+import { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+const PIN_SNIPPET_LENGTH = 100;
+
+export const usePinnedMessages = (socketRef, roomId) => {
+  const [pinnedMessages, setPinnedMessages] = useState([]);
+
+  // 새로고침 후에도 유지되도록 서버에서 고정 목록 조회
+  const fetchPinnedMessages = useCallback(async () => {
+    if (!roomId) return;
+
+    try {
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/pins`);
+      if (response.data?.success) {
+        setPinnedMessages(response.data.data || []);
+      }
+    } catch (error) {
+      console.error('Fetch pinned messages error:', error);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    setPinnedMessages([]);
+    fetchPinnedMessages();
+  }, [fetchPinnedMessages]);
+
+  const isPinned = useCallback((messageId) => (
+    pinnedMessages.some(pin => pin.message?._id === messageId)
+  ), [pinnedMessages]);
+
+  const togglePin = useCallback((messageId) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      if (!roomId || !messageId) return;
+
+      socketRef.current.emit(isPinned(messageId) ? 'unpinMessage' : 'pinMessage', {
+        roomId,
+        messageId
+      });
+    } catch (error) {
+      console.error('Pin toggle error:', error);
+      Toast.error('메시지 고정 처리에 실패했습니다.');
+    }
+  }, [socketRef, roomId, isPinned]);
+
+  const handlePinnedMessagesUpdate = useCallback((data) => {
+    if (!data || data.roomId !== roomId) return;
+    setPinnedMessages(data.pins || []);
+  }, [roomId]);
+
+  // 삭제된 메시지는 고정 목록에서 제거
+  const removePinnedMessage = useCallback((messageId) => {
+    setPinnedMessages(prev => prev.filter(pin => pin.message?._id !== messageId));
+  }, []);
+
+  // 수정된 메시지의 미리보기 갱신
+  const updatePinnedMessage = useCallback((messageId, content = '') => {
+    const snippet = content.length > PIN_SNIPPET_LENGTH
+      ? `${content.slice(0, PIN_SNIPPET_LENGTH)}…`
+      : content;
+
+    setPinnedMessages(prev => prev.map(pin =>
+      pin.message?._id === messageId
+        ? { ...pin, message: { ...pin.message, snippet } }
+        : pin
+    ));
+  }, []);
+
+  return {
+    pinnedMessages,
+    isPinned,
+    togglePin,
+    handlePinnedMessagesUpdate,
+    removePinnedMessage,
+    updatePinnedMessage
+  };
+};
+
+export default usePinnedMessages;
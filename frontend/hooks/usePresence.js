@@ -0,0 +1,84 @@
+// hooks/usePresence.js
+
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import axiosInstance from '../services/axios';
+
+const PRESENCE_HEARTBEAT_INTERVAL = 30000; // 서버 TTL(90초)보다 짧은 주기로 접속 상태 갱신
+
+export const usePresence = (socketRef, participants = [], connected = false) => {
+  const [presenceMap, setPresenceMap] = useState({});
+
+  const participantKey = useMemo(() => (
+    participants
+      .map(participant => participant?._id || participant?.id)
+      .filter(Boolean)
+      .sort()
+      .join(',')
+  ), [participants]);
+
+  // 참여자 목록이 바뀌면 접속 상태 일괄 조회
+  useEffect(() => {
+    if (!participantKey) return;
+
+    let cancelled = false;
+
+    axiosInstance.get('/api/users/presence', { params: { ids: participantKey } })
+      .then(response => {
+        if (cancelled || !response.data?.success) return;
+        setPresenceMap(prev => ({ ...prev, ...response.data.presence }));
+      })
+      .catch(error => {
+        console.error('Fetch presence error:', error);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [participantKey]);
+
+  // 하트비트 및 탭 전환에 따른 자리 비움 처리
+  useEffect(() => {
+    if (!connected) return;
+
+    const socket = socketRef.current;
+    if (!socket) return;
+
+    const sendHeartbeat = () => {
+      if (socket.connected) {
+        socket.emit('presenceHeartbeat');
+      }
+    };
+
+    const handleVisibilityChange = () => {
+      if (!socket.connected) return;
+      socket.emit('presenceStatus', {
+        status: document.visibilityState === 'hidden' ? 'away' : 'online'
+      });
+    };
+
+    const heartbeatInterval = setInterval(sendHeartbeat, PRESENCE_HEARTBEAT_INTERVAL);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    return () => {
+      clearInterval(heartbeatInterval);
+      document.removeEventListener('visibilitychange', handleVisibilityChange);
+    };
+  }, [socketRef, connected]);
+
+  const handlePresenceUpdate = useCallback((presence) => {
+    if (!presence?.userId) return;
+    setPresenceMap(prev => ({ ...prev, [presence.userId]: presence }));
+  }, []);
+
+  const getPresence = useCallback((userId) => (
+    presenceMap[userId] || { userId, status: 'offline', lastSeen: null }
+  ), [presenceMap]);
+
+  return {
+    presenceMap,
+    getPresence,
+    handlePresenceUpdate
+  };
+};
+
+export default usePresence;
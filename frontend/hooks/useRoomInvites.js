@@ -0,0 +1,95 @@
+// hooks/useRoomInvites.js
+
+import { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+export const getInviteUrl = (token) => `${window.location.origin}/invite/${token}`;
+
+export const useRoomInvites = (roomId, enabled = false) => {
+  const [invites, setInvites] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [creating, setCreating] = useState(false);
+
+  const fetchInvites = useCallback(async () => {
+    if (!roomId) return;
+
+    setLoading(true);
+    try {
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/invites`);
+      if (response.data?.success) {
+        setInvites(response.data.data || []);
+      }
+    } catch (error) {
+      console.error('Fetch invites error:', error);
+      Toast.error(error.response?.data?.message || '초대 링크 목록을 불러오지 못했습니다.');
+    } finally {
+      setLoading(false);
+    }
+  }, [roomId]);
+
+  useEffect(() => {
+    if (enabled) {
+      fetchInvites();
+    }
+  }, [enabled, fetchInvites]);
+
+  const createInvite = useCallback(async ({ expiresInHours, maxUses } = {}) => {
+    if (!roomId || creating) return null;
+
+    setCreating(true);
+    try {
+      const response = await axiosInstance.post(`/api/rooms/${roomId}/invites`, {
+        expiresInHours: expiresInHours || undefined,
+        maxUses: maxUses || undefined
+      });
+
+      const invite = response.data?.data;
+      if (invite) {
+        setInvites(prev => [invite, ...prev]);
+      }
+      return invite;
+    } catch (error) {
+      console.error('Create invite error:', error);
+      Toast.error(error.response?.data?.message || '초대 링크를 만들지 못했습니다.');
+      return null;
+    } finally {
+      setCreating(false);
+    }
+  }, [roomId, creating]);
+
+  const revokeInvite = useCallback(async (inviteId) => {
+    if (!roomId) return;
+
+    try {
+      await axiosInstance.delete(`/api/rooms/${roomId}/invites/${inviteId}`);
+      setInvites(prev => prev.filter(invite => invite._id !== inviteId));
+      Toast.success('초대 링크를 폐기했습니다.');
+    } catch (error) {
+      console.error('Revoke invite error:', error);
+      Toast.error(error.response?.data?.message || '초대 링크를 폐기하지 못했습니다.');
+    }
+  }, [roomId]);
+
+  const copyInviteLink = useCallback(async (token) => {
+    try {
+      await navigator.clipboard.writeText(getInviteUrl(token));
+      Toast.success('초대 링크를 복사했습니다.');
+    } catch (error) {
+      console.error('Copy invite link error:', error);
+      Toast.error('초대 링크를 복사하지 못했습니다.');
+    }
+  }, []);
+
+  return {
+    invites,
+    loading,
+    creating,
+    fetchInvites,
+    createInvite,
+    revokeInvite,
+    copyInviteLink
+  };
+};
+
+export default useRoomInvites;
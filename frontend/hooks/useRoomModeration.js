@@ -0,0 +1,114 @@
+// hooks/useRoomModeration.js
+
+import { useState, useEffect, useCallback } from 'react';
+import axiosInstance from '../services/axios';
+import { Toast } from '../components/Toast';
+
+export const MUTE_DURATION_OPTIONS = [
+  { value: 5, label: '5분' },
+  { value: 10, label: '10분' },
+  { value: 30, label: '30분' },
+  { value: 60, label: '1시간' },
+  { value: 1440, label: '1일' }
+];
+
+export const useRoomModeration = (roomId, canModerate = false) => {
+  const [bans, setBans] = useState([]);
+  const [processing, setProcessing] = useState(false);
+
+  const fetchBans = useCallback(async () => {
+    if (!roomId || !canModerate) return;
+
+    try {
+      const response = await axiosInstance.get(`/api/rooms/${roomId}/bans`);
+      if (response.data?.success) {
+        setBans(response.data.data || []);
+      }
+    } catch (error) {
+      console.error('Fetch bans error:', error);
+    }
+  }, [roomId, canModerate]);
+
+  useEffect(() => {
+    if (!canModerate) {
+      setBans([]);
+      return;
+    }
+    fetchBans();
+  }, [canModerate, fetchBans]);
+
+  // 공통 요청 처리 (결과는 소켓 이벤트로 채팅방에 반영됨)
+  const runAction = useCallback(async (request, successMessage, failMessage) => {
+    if (!roomId || processing) return false;
+
+    setProcessing(true);
+    try {
+      await request();
+      Toast.success(successMessage);
+      return true;
+    } catch (error) {
+      console.error('Room moderation error:', error);
+      Toast.error(error.response?.data?.message || failMessage);
+      return false;
+    } finally {
+      setProcessing(false);
+    }
+  }, [roomId, processing]);
+
+  const kickMember = useCallback((user) => {
+    if (!window.confirm(`${user.name}님을 강퇴하시겠습니까?`)) return Promise.resolve(false);
+
+    return runAction(
+      () => axiosInstance.post(`/api/rooms/${roomId}/members/${user._id}/kick`),
+      `${user.name}님을 강퇴했습니다.`,
+      '강퇴에 실패했습니다.'
+    );
+  }, [roomId, runAction]);
+
+  const banMember = useCallback(async (user) => {
+    if (!window.confirm(`${user.name}님을 차단하시겠습니까? 차단된 사용자는 다시 입장할 수 없습니다.`)) return false;
+
+    const success = await runAction(
+      () => axiosInstance.post(`/api/rooms/${roomId}/bans`, { userId: user._id }),
+      `${user.name}님을 차단했습니다.`,
+      '차단에 실패했습니다.'
+    );
+    if (success) fetchBans();
+    return success;
+  }, [roomId, runAction, fetchBans]);
+
+  const unbanMember = useCallback(async (user) => {
+    const success = await runAction(
+      () => axiosInstance.delete(`/api/rooms/${roomId}/bans/${user._id}`),
+      `${user.name}님의 차단을 해제했습니다.`,
+      '차단 해제에 실패했습니다.'
+    );
+    if (success) fetchBans();
+    return success;
+  }, [roomId, runAction, fetchBans]);
+
+  const muteMember = useCallback((user, duration) => runAction(
+    () => axiosInstance.post(`/api/rooms/${roomId}/mutes`, { userId: user._id, duration }),
+    `${user.name}님의 채팅을 금지했습니다.`,
+    '채팅 금지에 실패했습니다.'
+  ), [roomId, runAction]);
+
+  const unmuteMember = useCallback((user) => runAction(
+    () => axiosInstance.delete(`/api/rooms/${roomId}/mutes/${user._id}`),
+    `${user.name}님의 채팅 금지를 해제했습니다.`,
+    '채팅 금지 해제에 실패했습니다.'
+  ), [roomId, runAction]);
+
+  return {
+    bans,
+    processing,
+    fetchBans,
+    kickMember,
+    banMember,
+    unbanMember,
+    muteMember,
+    unmuteMember
+  };
+};
+
+export default useRoomModeration;
@@ -71,6 +71,23 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
     });
   }, [isLoadingPreviousMessages, logDebug]);
 
+  // 렌더링된 메시지로 스크롤 후 잠시 강조 (찾지 못하면 false 반환)
+  const scrollToMessage = useCallback((messageId, behavior = 'smooth') => {
+    if (typeof document === 'undefined' || !messageId) return false;
+
+    const element = document.querySelector(`[data-message-id="${messageId}"]`);
+    if (!element) return false;
+
+    element.scrollIntoView({ behavior, block: 'center' });
+    element.classList.add('message-highlight');
+    setTimeout(() => {
+      element.classList.remove('message-highlight');
+    }, 2000);
+
+    logDebug('scrollToMessage', { messageId });
+    return true;
+  }, [logDebug]);
+
   const tryLoadMoreMessages = useCallback(async () => {  
     if (!hasMoreMessages || loadingMessages || isLoadingRef.current || loadMoreTriggeredRef.current) {
       logDebug('loadMore prevented', {
@@ -306,6 +323,7 @@ export const useScrollHandling = (socketRef, router, messages = []) => {
     initialScrollDone,
     messagesEndRef,
     scrollToBottom,
+    scrollToMessage,
     handleScroll,
     tryLoadMoreMessages,
     checkScrollPosition,
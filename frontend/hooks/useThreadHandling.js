@@ -0,0 +1,139 @@
+// hooks/useThreadHandling.js
+
+import { useState, useCallback, useRef } from 'react';
+import { Toast } from '../components/Toast';
+
+export const useThreadHandling = (socketRef, setMessages) => {
+  const [activeThread, setActiveThread] = useState(null);
+  const [threadMessages, setThreadMessages] = useState([]);
+  const [threadHasMore, setThreadHasMore] = useState(false);
+  const [loadingThread, setLoadingThread] = useState(false);
+  const activeThreadIdRef = useRef(null);
+
+  const fetchThreadMessages = useCallback((parentMessageId, before = null) => {
+    if (!socketRef.current?.connected || !parentMessageId) return;
+
+    setLoadingThread(true);
+    socketRef.current.emit('fetchThreadMessages', { parentMessageId, before });
+  }, [socketRef]);
+
+  const openThread = useCallback((parentMessage) => {
+    if (!parentMessage?._id) return;
+
+    activeThreadIdRef.current = parentMessage._id;
+    setActiveThread(parentMessage);
+    setThreadMessages([]);
+    setThreadHasMore(false);
+    fetchThreadMessages(parentMessage._id);
+  }, [fetchThreadMessages]);
+
+  const closeThread = useCallback(() => {
+    activeThreadIdRef.current = null;
+    setActiveThread(null);
+    setThreadMessages([]);
+    setThreadHasMore(false);
+    setLoadingThread(false);
+  }, []);
+
+  const loadMoreThreadMessages = useCallback(() => {
+    if (loadingThread || !threadHasMore || !activeThreadIdRef.current) return;
+    fetchThreadMessages(activeThreadIdRef.current, threadMessages[0]?.timestamp);
+  }, [loadingThread, threadHasMore, threadMessages, fetchThreadMessages]);
+
+  const sendThreadReply = useCallback((content) => {
+    try {
+      if (!socketRef.current?.connected) {
+        throw new Error('Socket not connected');
+      }
+
+      const trimmedContent = content?.trim();
+      if (!activeThreadIdRef.current || !trimmedContent) {
+        return false;
+      }
+
+      socketRef.current.emit('threadMessage', {
+        parentMessageId: activeThreadIdRef.current,
+        content: trimmedContent
+      });
+      return true;
+
+    } catch (error) {
+      console.error('Thread reply error:', error);
+      Toast.error('답글 전송에 실패했습니다.');
+      return false;
+    }
+  }, [socketRef]);
+
+  // 스레드 패널에 표시 중인 메시지 갱신 (수정/삭제 이벤트 공용)
+  const updateThreadMessage = useCallback((messageId, updater) => {
+    if (!activeThreadIdRef.current) return;
+
+    setThreadMessages(prev =>
+      prev.map(msg => msg._id === messageId ? updater(msg) : msg)
+    );
+    setActiveThread(prev =>
+      prev && prev._id === messageId ? updater(prev) : prev
+    );
+  }, []);
+
+  const setupThreadListeners = useCallback(() => {
+    if (!socketRef.current) return;
+
+    socketRef.current.on('threadMessagesLoaded', ({ parentMessageId, parent, messages = [], hasMore, before }) => {
+      if (parentMessageId !== activeThreadIdRef.current) return;
+
+      setThreadMessages(prev => {
+        if (!before) return messages;
+        const existingIds = new Set(prev.map(msg => msg._id));
+        return [...messages.filter(msg => !existingIds.has(msg._id)), ...prev];
+      });
+      if (parent) {
+        setActiveThread(parent);
+      }
+      setThreadHasMore(!!hasMore);
+      setLoadingThread(false);
+    });
+
+    socketRef.current.on('threadReply', ({ parentMessageId, message }) => {
+      if (parentMessageId !== activeThreadIdRef.current || !message?._id) return;
+
+      setThreadMessages(prev =>
+        prev.some(msg => msg._id === message._id) ? prev : [...prev, message]
+      );
+    });
+
+    // 메인 타임라인의 답글 개수/마지막 답글 정보 갱신
+    socketRef.current.on('threadSummaryUpdate', ({ messageId, thread }) => {
+      setMessages(prev =>
+        prev.map(msg => msg._id === messageId ? { ...msg, thread } : msg)
+      );
+      setActiveThread(prev =>
+        prev && prev._id === messageId ? { ...prev, thread } : prev
+      );
+    });
+  }, [socketRef, setMessages]);
+
+  const cleanupThreadListeners = useCallback(() => {
+    if (!socketRef.current) return;
+
+    socketRef.current.off('threadMessagesLoaded');
+    socketRef.current.off('threadReply');
+    socketRef.current.off('threadSummaryUpdate');
+  }, [socketRef]);
+
+  return {
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    loadingThread,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    updateThreadMessage,
+    setupThreadListeners,
+    cleanupThreadListeners
+  };
+};
+
+export default useThreadHandling;
@@ -0,0 +1,98 @@
+// hooks/useTypingIndicator.js
+
+import { useState, useEffect, useCallback, useRef } from 'react';
+
+const TYPING_EMIT_INTERVAL = 3000; // 서버 만료(6초)보다 짧은 주기로 입력 중 상태 갱신
+const TYPING_IDLE_TIMEOUT = 3000; // 입력이 멈춘 뒤 입력 종료로 간주하는 시간
+const TYPING_DISPLAY_TIMEOUT = 8000; // 종료 이벤트를 놓친 경우를 대비한 표시 만료 시간
+
+export const useTypingIndicator = (socketRef, roomId, currentUser, message) => {
+  const [typingUsers, setTypingUsers] = useState([]);
+  const lastEmitRef = useRef(0);
+  const idleTimerRef = useRef(null);
+  const expiryTimersRef = useRef(new Map());
+
+  const emitTypingStop = useCallback(() => {
+    if (idleTimerRef.current) {
+      clearTimeout(idleTimerRef.current);
+      idleTimerRef.current = null;
+    }
+    if (!lastEmitRef.current) return;
+
+    lastEmitRef.current = 0;
+    if (socketRef.current?.connected && roomId) {
+      socketRef.current.emit('typingStop', { roomId });
+    }
+  }, [socketRef, roomId]);
+
+  // 입력값 변화로 입력 중 상태 전송 (전송 후 입력창이 비면 종료)
+  useEffect(() => {
+    if (!message?.trim()) {
+      emitTypingStop();
+      return;
+    }
+
+    if (!socketRef.current?.connected || !roomId) return;
+
+    const now = Date.now();
+    if (now - lastEmitRef.current >= TYPING_EMIT_INTERVAL) {
+      lastEmitRef.current = now;
+      socketRef.current.emit('typingStart', { roomId });
+    }
+
+    clearTimeout(idleTimerRef.current);
+    idleTimerRef.current = setTimeout(emitTypingStop, TYPING_IDLE_TIMEOUT);
+  }, [message, socketRef, roomId, emitTypingStop]);
+
+  const removeTypingUser = useCallback((userId) => {
+    clearTimeout(expiryTimersRef.current.get(userId));
+    expiryTimersRef.current.delete(userId);
+    setTypingUsers(prev => prev.filter(user => user.userId !== userId));
+  }, []);
+
+  const handleTypingUpdate = useCallback(({ roomId: updatedRoomId, userId, name, isTyping } = {}) => {
+    if (!userId || updatedRoomId !== roomId || userId === currentUser?.id) return;
+
+    if (!isTyping) {
+      removeTypingUser(userId);
+      return;
+    }
+
+    clearTimeout(expiryTimersRef.current.get(userId));
+    expiryTimersRef.current.set(userId, setTimeout(() => {
+      removeTypingUser(userId);
+    }, TYPING_DISPLAY_TIMEOUT));
+
+    setTypingUsers(prev =>
+      prev.some(user => user.userId === userId) ? prev : [...prev, { userId, name }]
+    );
+  }, [roomId, currentUser?.id, removeTypingUser]);
+
+  // 메시지를 보낸 사용자는 입력 중 목록에서 제거
+  const handleTypingMessage = useCallback((message) => {
+    const senderId = message?.sender?._id || message?.sender?.id;
+    if (senderId) {
+      removeTypingUser(senderId);
+    }
+  }, [removeTypingUser]);
+
+  // 채팅방 변경 및 언마운트 시 정리
+  useEffect(() => {
+    const expiryTimers = expiryTimersRef.current;
+
+    return () => {
+      emitTypingStop();
+      expiryTimers.forEach(timer => clearTimeout(timer));
+      expiryTimers.clear();
+      setTypingUsers([]);
+    };
+  }, [roomId, emitTypingStop]);
+
+  return {
+    typingUsers,
+    handleTypingUpdate,
+    handleTypingMessage
+  };
+};
+
+export default useTypingIndicator;
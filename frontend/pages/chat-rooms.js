@@ -11,6 +11,8 @@ import axiosInstance from '../services/axios';
 import { withAuth } from '../middleware/withAuth';
 import { Toast } from '../components/Toast';
 import RoomPasswordModal from '../components/RoomPasswordModal';
+import PersistentAvatar from '../components/common/PersistentAvatar';
+import { getDirectPartner } from '../utils/roomUtils';
 
 const API_URL = process.env.NEXT_PUBLIC_API_URL;
 
@@ -42,6 +44,27 @@ const SCROLL_THRESHOLD = 50;
 const SCROLL_DEBOUNCE_DELAY = 150;
 const INITIAL_PAGE_SIZE = 10;
 
+const SORT_OPTIONS = [
+  { value: 'createdAt', label: '최근 생성순' },
+  { value: 'lastActivityAt', label: '최근 활동순' }
+];
+
+// 마지막 활동 시각 (오늘이면 시:분, 그 외에는 날짜)
+const formatActivityTime = (date) => {
+  const activity = new Date(date);
+  const isToday = activity.toDateString() === new Date().toDateString();
+
+  return isToday
+    ? activity.toLocaleTimeString('ko-KR', { hour: '2-digit', minute: '2-digit', hour12: false })
+    : activity.toLocaleDateString('ko-KR', { month: 'long', day: 'numeric' });
+};
+
+const getLastMessagePreview = (lastMessage) => {
+  if (!lastMessage) return '';
+  const content = lastMessage.messageType === 'file' ? `📎 ${lastMessage.content}` : lastMessage.content;
+  return lastMessage.senderName ? `${lastMessage.senderName}: ${content}` : content;
+};
+
 const LoadingIndicator = ({ text }) => (
   <div className="loading-indicator">
     <div className="spinner-border spinner-border-sm me-3" role="status">
@@ -235,6 +258,8 @@ function ChatRoomsComponent() {
   const [isPasswordModalOpen, setIsPasswordModalOpen] = useState(false);
   const [passwordModalRoom, setPasswordModalRoom] = useState(null);
   const [passwordError, setPasswordError] = useState('');
+  const [directRooms, setDirectRooms] = useState([]);
+  const [archivedRooms, setArchivedRooms] = useState([]);
 
   // Refs
   const socketRef = useRef(null);
@@ -243,6 +268,11 @@ function ChatRoomsComponent() {
   const isLoadingRef = useRef(false);
   const previousRoomsRef = useRef([]);
   const lastLoadedPageRef = useRef(0);
+  const sortingRef = useRef(sorting);
+
+  useEffect(() => {
+    sortingRef.current = sorting;
+  }, [sorting]);
 
   const getRetryDelay = useCallback((retryCount) => {
     const delay = RETRY_CONFIG.baseDelay * 
@@ -410,6 +440,42 @@ function ChatRoomsComponent() {
     handleFetchError
   ]);
 
+  // 1:1 대화 목록은 공개 채팅방 목록과 별도로 조회
+  const fetchDirectRooms = useCallback(async () => {
+    if (!currentUser?.token) return;
+
+    try {
+      const response = await axiosInstance.get('/api/rooms/direct');
+      if (response.data?.success) {
+        setDirectRooms(response.data.data || []);
+      }
+    } catch (error) {
+      console.error('Direct rooms fetch error:', error);
+    }
+  }, [currentUser]);
+
+  useEffect(() => {
+    fetchDirectRooms();
+  }, [fetchDirectRooms]);
+
+  // 보관된 채팅방은 공개 목록에서 빠지므로 참여한 방만 따로 조회
+  const fetchArchivedRooms = useCallback(async () => {
+    if (!currentUser?.token) return;
+
+    try {
+      const response = await axiosInstance.get('/api/rooms/archived');
+      if (response.data?.success) {
+        setArchivedRooms(response.data.data || []);
+      }
+    } catch (error) {
+      console.error('Archived rooms fetch error:', error);
+    }
+  }, [currentUser]);
+
+  useEffect(() => {
+    fetchArchivedRooms();
+  }, [fetchArchivedRooms]);
+
   const handleLoadMore = useCallback(async () => {
     if (loadingMore || !hasMore || isLoadingRef.current) {
       console.log('Load more prevented:', {
@@ -576,11 +642,38 @@ function ChatRoomsComponent() {
             });
             Toast.info('채팅방이 삭제되었습니다.');
           },
+          // 새 메시지로 마지막 메시지/안 읽은 수 갱신 (최근 활동순이면 맨 위로 이동)
+          roomActivity: ({ roomId, lastMessage, lastActivityAt }) => {
+            setRooms(prev => {
+              const target = prev.find(room => room._id === roomId);
+              if (!target) return prev;
+
+              const isMine = lastMessage?.senderId === currentUser?.id;
+              const updatedRoom = {
+                ...target,
+                lastMessage,
+                lastActivityAt,
+                unreadCount: target.unreadCount == null || isMine
+                  ? target.unreadCount
+                  : target.unreadCount + 1
+              };
+
+              const others = prev.filter(room => room._id !== roomId);
+              const updatedRooms = sortingRef.current[0]?.id === 'lastActivityAt'
+                ? [updatedRoom, ...others]
+                : prev.map(room => room._id === roomId ? updatedRoom : room);
+              previousRoomsRef.current = updatedRooms;
+              return updatedRooms;
+            });
+          },
           roomUpdated: (updatedRoom) => {
             setRooms(prev => {
-              const updatedRooms = prev.map(room => 
-                room._id === updatedRoom._id ? updatedRoom : room
-              );
+              // 비공개로 전환되거나 보관된 방은 목록에서 제거, 그 외에는 변경된 설정만 반영
+              const updatedRooms = updatedRoom.visibility === 'private' || updatedRoom.archivedAt
+                ? prev.filter(room => room._id !== updatedRoom._id)
+                : prev.map(room =>
+                  room._id === updatedRoom._id ? { ...room, ...updatedRoom, participants: room.participants } : room
+                );
               previousRoomsRef.current = updatedRooms;
               return updatedRooms;
             });
@@ -738,6 +831,73 @@ function ChatRoomsComponent() {
     }
   };
 
+  const renderDirectRooms = () => {
+    if (directRooms.length === 0) return null;
+
+    return (
+      <Box mt="400">
+        <Text typography="heading6" style={{ fontWeight: 'bold', marginBottom: 'var(--vapor-space-200)' }}>
+          1:1 대화
+        </Text>
+        <div className="direct-room-list">
+          {directRooms.map(room => {
+            const partner = getDirectPartner(room, currentUser?.id);
+
+            return (
+              <button
+                key={room._id}
+                type="button"
+                className="direct-room-item"
+                onClick={() => router.push(`/chat?room=${room._id}`)}
+                disabled={connectionStatus !== CONNECTION_STATUS.CONNECTED}
+              >
+                <PersistentAvatar user={partner} size="sm" />
+                <Text typography="body1" style={{ fontWeight: 500 }}>
+                  {partner?.name || '알 수 없는 사용자'}
+                </Text>
+              </button>
+            );
+          })}
+        </div>
+      </Box>
+    );
+  };
+
+  // 정렬 기준 변경 시 첫 페이지부터 다시 조회 (fetchRooms가 sorting에 의존)
+  const handleSortChange = (sortField) => {
+    if (sortField === sorting[0]?.id) return;
+    lastLoadedPageRef.current = 0;
+    setPageIndex(0);
+    setSorting([{ id: sortField, desc: true }]);
+  };
+
+  const renderArchivedRooms = () => {
+    if (archivedRooms.length === 0) return null;
+
+    return (
+      <Box mt="400">
+        <Text typography="heading6" style={{ fontWeight: 'bold', marginBottom: 'var(--vapor-space-200)' }}>
+          보관된 채팅방
+        </Text>
+        <div className="direct-room-list">
+          {archivedRooms.map(room => (
+            <button
+              key={room._id}
+              type="button"
+              className="direct-room-item archived-room-item"
+              onClick={() => router.push(`/chat?room=${room._id}`)}
+              disabled={connectionStatus !== CONNECTION_STATUS.CONNECTED}
+              title={`${new Date(room.archivedAt).toLocaleDateString('ko-KR')} 보관됨`}
+            >
+              <Text typography="body1" style={{ fontWeight: 500 }}>{room.name}</Text>
+              <Badge color="warning" size="sm">읽기 전용</Badge>
+            </button>
+          ))}
+        </div>
+      </Box>
+    );
+  };
+
   const renderRoomsTable = () => {
     if (!rooms || rooms.length === 0) return null;
     
@@ -755,7 +915,23 @@ function ChatRoomsComponent() {
           {rooms.map((room) => (
             <StyledTableRow key={room._id}>
               <StyledTableCell>
-                <Text typography="body1" style={{ fontWeight: 500, marginBottom: 'var(--vapor-space-050)' }}>{room.name}</Text>
+                <HStack gap="100" align="center" style={{ marginBottom: 'var(--vapor-space-050)' }}>
+                  <Text typography="body1" style={{ fontWeight: 500 }}>{room.name}</Text>
+                  {room.unreadCount > 0 && (
+                    <Badge color="danger" size="sm" aria-label={`안 읽은 메시지 ${room.unreadCount}개`}>
+                      {room.unreadCount > 99 ? '99+' : room.unreadCount}
+                    </Badge>
+                  )}
+                </HStack>
+                {room.lastMessage && (
+                  <div className="room-last-message">
+                    <span className="room-last-message-content">{getLastMessagePreview(room.lastMessage)}</span>
+                    <span className="room-last-message-time">{formatActivityTime(room.lastMessage.timestamp)}</span>
+                  </div>
+                )}
+                {room.description && (
+                  <Text typography="body2" className="room-description">{room.description}</Text>
+                )}
                 {room.hasPassword && (
                   <HStack gap="050" align="center">
                     <LockIcon size={16} style={{ color: 'var(--vapor-color-warning)' }} />
@@ -771,7 +947,10 @@ function ChatRoomsComponent() {
               <StyledTableCell>
                 <Badge color="primary" style={{ display: 'inline-flex', alignItems: 'center', gap: 'var(--vapor-space-100)' }}>
                   <GroupIcon size={16} />
-                  <Text typography="body1" style={{ color: 'inherit' }}>{room.participants?.length || 0}</Text>
+                  <Text typography="body1" style={{ color: 'inherit' }}>
+                    {room.participants?.length || 0}
+                    {room.maxParticipants ? ` / ${room.maxParticipants}` : ''}
+                  </Text>
                 </Badge>
               </StyledTableCell>
               <StyledTableCell>
@@ -796,6 +975,16 @@ function ChatRoomsComponent() {
                   >
                     입장
                   </Button>
+                  {room.creator?._id === currentUser?.id && (
+                    <Button
+                      color="secondary"
+                      variant="outline"
+                      size="md"
+                      onClick={() => router.push(`/chat-rooms/${room._id}/settings`)}
+                    >
+                      설정
+                    </Button>
+                  )}
                   {room.creator?._id === currentUser?.id && (
                     <Button
                       color="danger"
@@ -825,6 +1014,16 @@ function ChatRoomsComponent() {
           <Stack gap="300" align="center">
             <Text typography="heading3">채팅방 목록</Text>
             <HStack gap="200">
+              <select
+                className="invite-select"
+                value={sorting[0]?.id}
+                onChange={(e) => handleSortChange(e.target.value)}
+                aria-label="정렬 기준"
+              >
+                {SORT_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
               <Badge color={STATUS_CONFIG[connectionStatus].color === 'success' ? 'success' : STATUS_CONFIG[connectionStatus].color === 'warning' ? 'warning' : 'danger'}>
                 {STATUS_CONFIG[connectionStatus].label}
               </Badge>
@@ -883,6 +1082,9 @@ function ChatRoomsComponent() {
             </Box>
           )}
           
+          {renderDirectRooms()}
+          {renderArchivedRooms()}
+
           {loading ? (
             <Box mt="400">
               <LoadingIndicator text="채팅방 목록을 불러오는 중..." />
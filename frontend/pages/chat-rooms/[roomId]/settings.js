@@ -0,0 +1,328 @@
+import React, { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { ErrorCircleIcon } from '@vapor-ui/icons';
+import { Button, TextInput, Callout, Card, Text, Switch } from '@vapor-ui/core';
+import { Stack, Box, Flex, HStack } from '../../../components/ui/Layout';
+import axiosInstance from '../../../services/axios';
+import authService from '../../../services/authService';
+import { withAuth } from '../../../middleware/withAuth';
+import { Toast } from '../../../components/Toast';
+
+const MAX_DESCRIPTION_LENGTH = 200;
+
+const SLOW_MODE_OPTIONS = [
+  { value: 0, label: '사용 안 함' },
+  { value: 5, label: '5초' },
+  { value: 10, label: '10초' },
+  { value: 30, label: '30초' },
+  { value: 60, label: '1분' },
+  { value: 300, label: '5분' },
+  { value: 900, label: '15분' },
+  { value: 3600, label: '1시간' }
+];
+
+const getCreatorId = (room) => room?.creator?._id || room?.creator;
+
+function RoomSettings() {
+  const router = useRouter();
+  const { roomId } = router.query;
+  const [room, setRoom] = useState(null);
+  const [formData, setFormData] = useState({
+    name: '',
+    description: '',
+    isPrivate: false,
+    announcementOnly: false,
+    slowModeSeconds: 0,
+    maxParticipants: '',
+    hasPassword: false,
+    password: ''
+  });
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!router.isReady || !roomId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    axiosInstance.get(`/api/rooms/${roomId}`)
+      .then(response => {
+        if (cancelled) return;
+
+        const data = response.data?.data;
+        const currentUser = authService.getCurrentUser();
+        if (!data || getCreatorId(data)?.toString() !== currentUser?.id) {
+          setError('방장만 채팅방 설정을 변경할 수 있습니다.');
+          return;
+        }
+
+        setRoom(data);
+        setFormData({
+          name: data.name || '',
+          description: data.description || '',
+          isPrivate: data.visibility === 'private',
+          announcementOnly: !!data.announcementOnly,
+          slowModeSeconds: data.slowModeSeconds || 0,
+          maxParticipants: data.maxParticipants ? String(data.maxParticipants) : '',
+          hasPassword: !!data.hasPassword,
+          password: ''
+        });
+      })
+      .catch(error => {
+        console.error('Room settings fetch error:', error);
+        if (!cancelled) {
+          setError(error.response?.data?.message || '채팅방 정보를 불러오지 못했습니다.');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [router.isReady, roomId]);
+
+  // 변경된 항목만 전송
+  const buildUpdates = () => {
+    const updates = {};
+    const name = formData.name.trim();
+    const description = formData.description.trim();
+    const visibility = formData.isPrivate ? 'private' : 'public';
+    const maxParticipants = formData.maxParticipants ? Number(formData.maxParticipants) : null;
+
+    if (name !== room.name) updates.name = name;
+    if (description !== (room.description || '')) updates.description = description;
+    if (visibility !== room.visibility) updates.visibility = visibility;
+    if (formData.announcementOnly !== !!room.announcementOnly) updates.announcementOnly = formData.announcementOnly;
+    if (formData.slowModeSeconds !== (room.slowModeSeconds || 0)) updates.slowModeSeconds = formData.slowModeSeconds;
+    if (maxParticipants !== (room.maxParticipants || null)) updates.maxParticipants = maxParticipants;
+
+    if (!formData.hasPassword && room.hasPassword) {
+      updates.removePassword = true;
+    } else if (formData.hasPassword && formData.password) {
+      updates.password = formData.password;
+    }
+
+    return updates;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!formData.name.trim()) {
+      setError('채팅방 이름을 입력해주세요.');
+      return;
+    }
+
+    if (formData.hasPassword && !room.hasPassword && !formData.password) {
+      setError('비밀번호를 입력해주세요.');
+      return;
+    }
+
+    const updates = buildUpdates();
+    if (Object.keys(updates).length === 0) {
+      router.push(`/chat?room=${roomId}`);
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+
+    try {
+      await axiosInstance.patch(`/api/rooms/${roomId}`, updates);
+      Toast.success('채팅방 설정을 저장했습니다.');
+      router.push(`/chat?room=${roomId}`);
+    } catch (error) {
+      console.error('Room settings update error:', error);
+      setError(error.response?.data?.message || '채팅방 설정을 저장하지 못했습니다.');
+      setSaving(false);
+    }
+  };
+
+  const disabled = loading || saving || !room;
+
+  return (
+    <div className="auth-container">
+      <Card.Root className="auth-card">
+        <Card.Header>
+          <Text typography="heading4">채팅방 설정</Text>
+        </Card.Header>
+        <Card.Body className="card-body">
+
+          {error && (
+            <Box style={{ marginBottom: 'var(--vapor-space-400)' }}>
+              <Callout color="danger">
+                <Flex align="center" gap="200">
+                  <ErrorCircleIcon size={16} />
+                  <Text>{error}</Text>
+                </Flex>
+              </Callout>
+            </Box>
+          )}
+
+          {loading && (
+            <Text typography="body1">채팅방 정보를 불러오는 중...</Text>
+          )}
+
+          {room && (
+            <form onSubmit={handleSubmit}>
+              <Stack gap="300">
+                <TextInput.Root
+                  type="text"
+                  value={formData.name}
+                  onValueChange={(value) => setFormData(prev => ({ ...prev, name: value }))}
+                  disabled={disabled}
+                  placeholder="채팅방 이름을 입력하세요"
+                >
+                  <TextInput.Label>채팅방 이름</TextInput.Label>
+                  <TextInput.Field
+                    id="roomName"
+                    name="name"
+                    placeholder="채팅방 이름을 입력하세요"
+                    style={{ width: '100%' }}
+                  />
+                </TextInput.Root>
+
+                <label className="room-settings-field" htmlFor="roomDescription">
+                  <Text typography="subtitle2">채팅방 소개</Text>
+                  <textarea
+                    id="roomDescription"
+                    className="room-settings-textarea"
+                    value={formData.description}
+                    onChange={(e) => setFormData(prev => ({ ...prev, description: e.target.value }))}
+                    maxLength={MAX_DESCRIPTION_LENGTH}
+                    rows={3}
+                    disabled={disabled}
+                    placeholder="채팅방 주제나 소개를 입력하세요"
+                  />
+                  <Text typography="body3" className="room-settings-hint">
+                    {formData.description.length}/{MAX_DESCRIPTION_LENGTH}
+                  </Text>
+                </label>
+
+                <TextInput.Root
+                  type="number"
+                  value={formData.maxParticipants}
+                  onValueChange={(value) => setFormData(prev => ({ ...prev, maxParticipants: value }))}
+                  disabled={disabled}
+                  placeholder="비워두면 제한 없음"
+                >
+                  <TextInput.Label>최대 인원</TextInput.Label>
+                  <TextInput.Field
+                    id="roomMaxParticipants"
+                    name="maxParticipants"
+                    min={Math.max(2, room.participants?.length || 0)}
+                    placeholder="비워두면 제한 없음"
+                    style={{ width: '100%' }}
+                  />
+                </TextInput.Root>
+
+                <Switch.Root
+                  checked={formData.isPrivate}
+                  onCheckedChange={(checked) => setFormData(prev => ({ ...prev, isPrivate: checked }))}
+                  disabled={disabled}
+                >
+                  <Switch.Label>비공개 채팅방 (목록에 표시되지 않고 초대 링크로만 입장)</Switch.Label>
+                  <Switch.Control />
+                </Switch.Root>
+
+                <label className="room-settings-field" htmlFor="roomSlowMode">
+                  <Text typography="subtitle2">슬로우 모드</Text>
+                  <select
+                    id="roomSlowMode"
+                    className="invite-select"
+                    value={formData.slowModeSeconds}
+                    onChange={(e) => setFormData(prev => ({ ...prev, slowModeSeconds: Number(e.target.value) }))}
+                    disabled={disabled}
+                  >
+                    {/* 목록에 없는 기존 값도 선택 상태로 표시 */}
+                    {!SLOW_MODE_OPTIONS.some(option => option.value === formData.slowModeSeconds) && (
+                      <option value={formData.slowModeSeconds}>{formData.slowModeSeconds}초</option>
+                    )}
+                    {SLOW_MODE_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <Text typography="body3" className="room-settings-hint">
+                    일반 멤버가 메시지를 보낸 뒤 다시 보내기까지 기다려야 하는 시간입니다.
+                  </Text>
+                </label>
+
+                <Switch.Root
+                  checked={formData.announcementOnly}
+                  onCheckedChange={(checked) => setFormData(prev => ({ ...prev, announcementOnly: checked }))}
+                  disabled={disabled}
+                >
+                  <Switch.Label>공지 모드 (방장과 모더레이터만 메시지 작성)</Switch.Label>
+                  <Switch.Control />
+                </Switch.Root>
+
+                <Switch.Root
+                  checked={formData.hasPassword}
+                  onCheckedChange={(checked) => setFormData(prev => ({
+                    ...prev,
+                    hasPassword: checked,
+                    password: checked ? prev.password : ''
+                  }))}
+                  disabled={disabled}
+                >
+                  <Switch.Label>비밀번호 사용</Switch.Label>
+                  <Switch.Control />
+                </Switch.Root>
+
+                {formData.hasPassword && (
+                  <TextInput.Root
+                    type="password"
+                    value={formData.password}
+                    onValueChange={(value) => setFormData(prev => ({ ...prev, password: value }))}
+                    disabled={disabled}
+                    placeholder={room.hasPassword ? '변경할 때만 입력하세요' : '비밀번호를 입력하세요'}
+                  >
+                    <TextInput.Label>{room.hasPassword ? '새 비밀번호' : '비밀번호'}</TextInput.Label>
+                    <TextInput.Field
+                      id="roomPassword"
+                      name="password"
+                      placeholder={room.hasPassword ? '변경할 때만 입력하세요' : '비밀번호를 입력하세요'}
+                      style={{ width: '100%' }}
+                    />
+                  </TextInput.Root>
+                )}
+
+                <HStack gap="200">
+                  <Button
+                    type="button"
+                    variant="outline"
+                    color="secondary"
+                    size="lg"
+                    stretch
+                    onClick={() => router.push(`/chat?room=${roomId}`)}
+                    disabled={saving}
+                  >
+                    취소
+                  </Button>
+                  <Button
+                    type="submit"
+                    color="primary"
+                    size="lg"
+                    stretch
+                    disabled={disabled || !formData.name.trim()}
+                  >
+                    {saving ? '저장 중...' : '저장'}
+                  </Button>
+                </HStack>
+              </Stack>
+            </form>
+          )}
+        </Card.Body>
+      </Card.Root>
+    </div>
+  );
+}
+
+export default withAuth(RoomSettings);
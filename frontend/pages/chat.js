@@ -1,19 +1,35 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { 
   AlertCircle, 
   WifiOff,
-  TrashIcon
+  TrashIcon,
+  Search,
+  Link,
+  Archive,
+  ArchiveRestore,
+  Bell,
+  BellOff
 } from 'lucide-react';
-import { Button, Text, Callout, Card, Badge, Avatar } from '@vapor-ui/core';
+import { Button, IconButton, Text, Callout, Card, Badge, Avatar } from '@vapor-ui/core';
 import { Flex, Box, HStack } from '../components/ui/Layout';
 import { withAuth } from '../middleware/withAuth';
 import { useChatRoom } from '../hooks/useChatRoom';
+import { useMessageSearch } from '../hooks/useMessageSearch';
+import { useRoomModeration } from '../hooks/useRoomModeration';
+import { useNotificationSettings } from '../hooks/useNotificationSettings';
 import ChatMessages from '../components/chat/ChatMessages';
 import ChatInput from '../components/chat/ChatInput';
-import { generateColorFromEmail, getContrastTextColor } from '../utils/colorUtils';
+import ThreadPanel from '../components/chat/ThreadPanel';
+import PinnedMessagesBar from '../components/chat/PinnedMessagesBar';
+import MessageSearchPanel from '../components/chat/MessageSearchPanel';
+import TypingIndicator from '../components/chat/TypingIndicator';
+import ParticipantsPanel from '../components/chat/ParticipantsPanel';
+import PersistentAvatar, { PRESENCE_LABELS } from '../components/common/PersistentAvatar';
 import { useRouter } from 'next/router';
 import axiosInstance from '../services/axios';
 import { Toast } from '../components/Toast';
+import InviteLinkModal from '../components/InviteLinkModal';
+import { getRoomDisplayName, isDirectRoom, canModerateRoom, getWriteRestriction } from '../utils/roomUtils';
 
 // 삭제 확인 모달 컴포넌트
 const DeleteConfirmModal = ({ isOpen, onClose, onConfirm, roomName }) => {
@@ -66,6 +82,9 @@ const DeleteConfirmModal = ({ isOpen, onClose, onConfirm, roomName }) => {
 const ChatPage = () => {
   const router = useRouter();
   const [isDeleteConfirmOpen, setIsDeleteConfirmOpen] = useState(false);
+  const [isSearchOpen, setIsSearchOpen] = useState(false);
+  const [isParticipantsOpen, setIsParticipantsOpen] = useState(false);
+  const [isInviteModalOpen, setIsInviteModalOpen] = useState(false);
   
   const {
     room,
@@ -102,11 +121,117 @@ const ChatPage = () => {
     error,
     handleReactionAdd,
     handleReactionRemove,
+    handleMessageEdit,
+    handleMessageDelete,
+    replyTarget,
+    startReply,
+    cancelReply,
+    sendCooldownUntil,
+    startSendCooldown,
+    jumpToMessage,
+    activeThread,
+    threadMessages,
+    threadHasMore,
+    loadingThread,
+    openThread,
+    closeThread,
+    loadMoreThreadMessages,
+    sendThreadReply,
+    pinnedMessages,
+    typingUsers,
+    isPinned,
+    togglePin,
+    cancelAIMessage,
+    regenerateAIMessage,
+    getPresence,
     loadingMessages,
     hasMoreMessages,
     handleLoadMore
   } = useChatRoom();
 
+  const {
+    query: searchQuery,
+    setQuery: setSearchQuery,
+    filters: searchFilters,
+    updateFilter: updateSearchFilter,
+    results: searchResults,
+    hasMore: searchHasMore,
+    searching,
+    searchError,
+    searched,
+    search,
+    loadMoreResults,
+    resetSearch
+  } = useMessageSearch(room?._id);
+
+  const canModerate = canModerateRoom(room, currentUser?.id);
+  const moderation = useRoomModeration(room?._id, canModerate && !isDirectRoom(room));
+  const { settings: notificationSettings, isRoomMuted, setRoomMuted } = useNotificationSettings();
+  const roomMuted = isRoomMuted(room?._id);
+
+  const handleMuteToggle = async () => {
+    const updated = await setRoomMuted(room._id, !roomMuted);
+    if (updated) {
+      Toast.success(roomMuted ? '채팅방 알림을 켰습니다.' : '채팅방 알림을 껐습니다.');
+    }
+  };
+
+  const handleSearchToggle = () => {
+    if (isSearchOpen) {
+      resetSearch();
+    } else {
+      closeThread();
+      setIsParticipantsOpen(false);
+    }
+    setIsSearchOpen(prev => !prev);
+  };
+
+  const handleParticipantsToggle = () => {
+    if (!isParticipantsOpen) {
+      closeThread();
+      resetSearch();
+      setIsSearchOpen(false);
+    }
+    setIsParticipantsOpen(prev => !prev);
+  };
+
+  const handleSearchClose = () => {
+    resetSearch();
+    setIsSearchOpen(false);
+  };
+
+  // 검색 결과 선택 시 원본 위치로 이동 (스레드 답글이면 부모 메시지와 스레드를 함께 연다)
+  const handleSearchResultSelect = (result) => {
+    if (result.parentMessage) {
+      jumpToMessage(result.parentMessage);
+      openThread({ _id: result.parentMessage });
+      return;
+    }
+    jumpToMessage(result._id);
+  };
+
+  // 알림에서 이동한 경우 멘션된 메시지로 이동 (스레드 답글이면 스레드를 함께 연다)
+  const handledJumpRef = useRef(null);
+
+  useEffect(() => {
+    const { room: roomId, message: messageId, thread: threadId } = router.query;
+    if (!messageId || room?._id !== roomId || loadingMessages || messages.length === 0) return;
+
+    const jumpKey = `${roomId}:${messageId}`;
+    if (handledJumpRef.current === jumpKey) return;
+    handledJumpRef.current = jumpKey;
+
+    if (threadId) {
+      jumpToMessage(threadId);
+      openThread({ _id: threadId });
+      return;
+    }
+    jumpToMessage(messageId);
+  }, [router.query, room?._id, loadingMessages, messages.length, jumpToMessage, openThread]);
+
+  const showSearchPanel = isSearchOpen && !activeThread;
+  const showParticipantsPanel = isParticipantsOpen && !activeThread && !isSearchOpen;
+
   const handleDeleteRoom = async () => {
     if (!room?._id) return;
 
@@ -135,39 +260,146 @@ const ChatPage = () => {
   };
 
   const isRoomCreator = room?.creator?._id === currentUser?.id;
+  const roomDisplayName = getRoomDisplayName(room, currentUser?.id);
+  const writeRestriction = getWriteRestriction(room, currentUser?.id);
+  const slowModeSeconds = room?.slowModeSeconds || 0;
+
+  // 슬로우 모드에서는 전송 직후부터 입력창 카운트다운 시작 (방장/모더레이터는 제외)
+  const handleSubmitWithSlowMode = (messageData) => {
+    handleMessageSubmit(messageData);
+    if (slowModeSeconds > 0 && !canModerate) {
+      startSendCooldown(slowModeSeconds);
+    }
+  };
+
+  // 채팅방 보관/복원 (변경 결과는 roomSettingsUpdate 이벤트로 반영)
+  const handleArchiveToggle = async () => {
+    if (!room?._id) return;
+
+    const isArchived = !!room.archivedAt;
+    if (!isArchived &&
+        !window.confirm('채팅방을 보관하시겠습니까? 목록에서 숨겨지고 읽기 전용으로 전환됩니다.')) {
+      return;
+    }
+
+    try {
+      await axiosInstance.post(`/api/rooms/${room._id}/${isArchived ? 'restore' : 'archive'}`);
+      Toast.success(isArchived ? '채팅방을 복원했습니다.' : '채팅방을 보관했습니다.');
+    } catch (error) {
+      console.error('Room archive error:', error);
+      Toast.error(error.response?.data?.message || '채팅방 보관 상태를 변경하지 못했습니다.');
+    }
+  };
+
+  // 참여자와 1:1 대화 열기 (채팅방 상태는 마운트 시 한 번 초기화되므로 페이지를 새로 불러온다)
+  const handleOpenDirectRoom = async (participant) => {
+    if (!participant?._id || participant._id === currentUser?.id) return;
+
+    try {
+      const response = await axiosInstance.post('/api/rooms/direct', {
+        userId: participant._id
+      });
+
+      const directRoomId = response.data?.data?._id;
+      if (directRoomId && directRoomId !== room?._id) {
+        window.location.assign(`/chat?room=${directRoomId}`);
+      }
+    } catch (error) {
+      console.error('Open direct room error:', error);
+      Toast.error(error.response?.data?.message || '1:1 대화를 열지 못했습니다.');
+    }
+  };
+
+  // 모더레이터 지정/해제 및 방장 위임 (변경 결과는 roomRolesUpdate 이벤트로 반영)
+  const handleRoleChange = async (participant, action) => {
+    if (!room?._id || !participant?._id) return;
+
+    if (action === 'transfer' &&
+        !window.confirm(`${participant.name}님에게 방장을 위임하시겠습니까? 위임 후에는 모더레이터가 됩니다.`)) {
+      return;
+    }
+
+    const requests = {
+      promote: () => axiosInstance.put(`/api/rooms/${room._id}/moderators/${participant._id}`),
+      demote: () => axiosInstance.delete(`/api/rooms/${room._id}/moderators/${participant._id}`),
+      transfer: () => axiosInstance.post(`/api/rooms/${room._id}/transfer-ownership`, {
+        userId: participant._id
+      })
+    };
+
+    try {
+      await requests[action]();
+    } catch (error) {
+      console.error('Room role change error:', error);
+      Toast.error(error.response?.data?.message || '역할 변경에 실패했습니다.');
+    }
+  };
+
+  const formatLastSeen = (lastSeen) => {
+    if (!lastSeen) return '';
+    return new Date(lastSeen).toLocaleString('ko-KR', {
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false
+    });
+  };
+
+  const getPresenceTitle = (participant) => {
+    const presence = getPresence(participant._id);
+    if (presence.status !== 'offline') {
+      return `${participant.name} · ${PRESENCE_LABELS[presence.status]}`;
+    }
+    const lastSeen = formatLastSeen(presence.lastSeen);
+    return `${participant.name} · ${PRESENCE_LABELS.offline}${lastSeen ? ` (마지막 접속 ${lastSeen})` : ''}`;
+  };
 
   const renderParticipants = () => {
     if (!room?.participants) return null;
 
     const maxVisibleAvatars = 3;
-    const participants = room.participants;
+    // 접속 중인 참여자를 먼저 표시
+    const participants = [...room.participants].sort((a, b) =>
+      Number(getPresence(b._id).status !== 'offline') - Number(getPresence(a._id).status !== 'offline')
+    );
     const remainingCount = Math.max(0, participants.length - maxVisibleAvatars);
+    const onlineCount = participants.filter(p => getPresence(p._id).status !== 'offline').length;
 
     return (
       <HStack gap="100" align="center">
-          {participants.slice(0, maxVisibleAvatars).map(participant => {
-            const backgroundColor = generateColorFromEmail(participant.email);
-            const color = getContrastTextColor(backgroundColor);
-            
-            return (
-              <Avatar.Root
+          {participants.slice(0, maxVisibleAvatars).map(participant => (
+            participant._id === currentUser?.id || isDirectRoom(room) ? (
+              <span key={participant._id} title={getPresenceTitle(participant)}>
+                <PersistentAvatar
+                  user={participant}
+                  size="md"
+                  presence={getPresence(participant._id).status}
+                  style={{ flexShrink: 0 }}
+                />
+              </span>
+            ) : (
+              <button
                 key={participant._id}
-                size="md"
-                style={{ 
-                  backgroundColor, 
-                  color,
-                  flexShrink: 0
-                }}
+                type="button"
+                className="participant-avatar-button"
+                title={`${getPresenceTitle(participant)}\n클릭하여 1:1 대화 열기`}
+                aria-label={`${participant.name}님과 1:1 대화`}
+                onClick={() => handleOpenDirectRoom(participant)}
               >
-                <Avatar.Fallback style={{ backgroundColor, color }}>
-                  {participant.name.charAt(0).toUpperCase()}
-                </Avatar.Fallback>
-              </Avatar.Root>
-            );
-          })}
+                <PersistentAvatar
+                  user={participant}
+                  size="md"
+                  presence={getPresence(participant._id).status}
+                  style={{ flexShrink: 0 }}
+                />
+              </button>
+            )
+          ))}
           {remainingCount > 0 && (
             <Avatar.Root
               size="md"
+              title={participants.slice(maxVisibleAvatars).map(getPresenceTitle).join('\n')}
               style={{ 
                 backgroundColor: 'var(--vapor-color-secondary)',
                 color: 'white',
@@ -179,7 +411,15 @@ const ChatPage = () => {
               </Avatar.Fallback>
             </Avatar.Root>
           )}
-          <Text typography="body2" className="ms-3">총 {participants.length}명</Text>
+          <button
+            type="button"
+            className="participant-count-button ms-3"
+            onClick={handleParticipantsToggle}
+            aria-expanded={showParticipantsPanel}
+            aria-label="참여자 목록"
+          >
+            <Text typography="body2">총 {participants.length}명 · 온라인 {onlineCount}명</Text>
+          </button>
       </HStack>
     );
   };
@@ -284,6 +524,15 @@ const ChatPage = () => {
         messagesEndRef={messagesEndRef}
         onReactionAdd={handleReactionAdd}
         onReactionRemove={handleReactionRemove}
+        onMessageEdit={handleMessageEdit}
+        onMessageDelete={handleMessageDelete}
+        onThreadOpen={openThread}
+        onMessageReply={startReply}
+        onReplyQuoteClick={jumpToMessage}
+        isMessagePinned={isPinned}
+        onMessagePinToggle={togglePin}
+        onAICancel={cancelAIMessage}
+        onAIRegenerate={regenerateAIMessage}
         loadingMessages={loadingMessages}
         hasMoreMessages={hasMoreMessages}
         onLoadMore={handleLoadMore}
@@ -327,12 +576,68 @@ const ChatPage = () => {
         <Card.Header className="chat-room-header">
           <Flex justify="space-between" align="center">
             <Flex align="center" gap="300">
-              <Text typography="heading4" style={{ fontWeight: 'bold' }} className="chat-room-title">
-                {room.name}
-              </Text>
+              <div className="chat-room-heading">
+                <Text typography="heading4" style={{ fontWeight: 'bold' }} className="chat-room-title">
+                  {roomDisplayName}
+                </Text>
+                {room?.description && (
+                  <Text typography="body3" className="room-description">{room.description}</Text>
+                )}
+              </div>
               {renderParticipants()}
+              {slowModeSeconds > 0 && (
+                <Badge color="warning" size="sm">슬로우 모드 {slowModeSeconds}초</Badge>
+              )}
             </Flex>
             <HStack gap="200" align="center">
+              <IconButton
+                size="sm"
+                variant={isSearchOpen ? 'solid' : 'outline'}
+                onClick={handleSearchToggle}
+                aria-label="메시지 검색"
+              >
+                <Search size={16} />
+              </IconButton>
+              {room && notificationSettings && (
+                <IconButton
+                  size="sm"
+                  variant={roomMuted ? 'solid' : 'outline'}
+                  onClick={handleMuteToggle}
+                  aria-label={roomMuted ? '채팅방 알림 켜기' : '채팅방 알림 끄기'}
+                >
+                  {roomMuted ? <BellOff size={16} /> : <Bell size={16} />}
+                </IconButton>
+              )}
+              {isRoomCreator && !isDirectRoom(room) && (
+                <IconButton
+                  size="sm"
+                  variant="outline"
+                  onClick={() => setIsInviteModalOpen(true)}
+                  aria-label="초대 링크"
+                >
+                  <Link size={16} />
+                </IconButton>
+              )}
+              {isRoomCreator && !isDirectRoom(room) && (
+                <IconButton
+                  size="sm"
+                  variant="outline"
+                  onClick={handleArchiveToggle}
+                  aria-label={room.archivedAt ? '채팅방 복원' : '채팅방 보관'}
+                >
+                  {room.archivedAt ? <ArchiveRestore size={16} /> : <Archive size={16} />}
+                </IconButton>
+              )}
+              {isRoomCreator && !isDirectRoom(room) && (
+                <Button
+                  color="secondary"
+                  variant="outline"
+                  size="sm"
+                  onClick={() => router.push(`/chat-rooms/${room._id}/settings`)}
+                >
+                  설정
+                </Button>
+              )}
               <Badge color={status.color === 'success' ? 'success' : status.color === 'warning' ? 'warning' : 'danger'}>
                 {status.label}
               </Badge>
@@ -351,22 +656,79 @@ const ChatPage = () => {
           </Flex>
         </Card.Header>
 
+        <PinnedMessagesBar
+          pins={pinnedMessages}
+          canUnpin={canModerate}
+          onSelect={jumpToMessage}
+          onUnpin={togglePin}
+        />
+
         <Card.Body className="chat-room-body">
-          <div className="chat-messages">
+          <div className={`chat-messages ${activeThread || showSearchPanel || showParticipantsPanel ? 'with-thread' : ''}`}>
             {renderContent()}
           </div>
+          {activeThread && (
+            <ThreadPanel
+              parentMessage={activeThread}
+              messages={threadMessages}
+              hasMore={threadHasMore}
+              loading={loadingThread}
+              currentUser={currentUser}
+              disabled={connectionStatus !== 'connected'}
+              onClose={closeThread}
+              onLoadMore={loadMoreThreadMessages}
+              onSend={sendThreadReply}
+            />
+          )}
+          {showSearchPanel && (
+            <MessageSearchPanel
+              query={searchQuery}
+              filters={searchFilters}
+              results={searchResults}
+              hasMore={searchHasMore}
+              searching={searching}
+              searched={searched}
+              error={searchError}
+              participants={room.participants}
+              currentUser={currentUser}
+              onQueryChange={setSearchQuery}
+              onFilterChange={updateSearchFilter}
+              onSearch={search}
+              onLoadMore={loadMoreResults}
+              onSelect={handleSearchResultSelect}
+              onClose={handleSearchClose}
+            />
+          )}
+          {showParticipantsPanel && (
+            <ParticipantsPanel
+              room={room}
+              currentUser={currentUser}
+              getPresence={getPresence}
+              bans={moderation.bans}
+              moderation={moderation}
+              disabled={connectionStatus !== 'connected'}
+              onRoleChange={handleRoleChange}
+              onClose={() => setIsParticipantsOpen(false)}
+            />
+          )}
         </Card.Body>
 
         <Card.Footer className="chat-room-footer">
+          <TypingIndicator typingUsers={typingUsers} />
+          {writeRestriction && (
+            <Callout color={room?.archivedAt ? 'warning' : 'primary'} className="chat-write-restriction">
+              <Text typography="body2">{writeRestriction}</Text>
+            </Callout>
+          )}
           <ChatInput 
             message={message}
             onMessageChange={handleMessageChange}
-            onSubmit={handleMessageSubmit}
+            onSubmit={handleSubmitWithSlowMode}
             onEmojiToggle={handleEmojiToggle}
             fileInputRef={fileInputRef}
             messageInputRef={messageInputRef}
             filePreview={filePreview}
-            disabled={connectionStatus !== 'connected'}
+            disabled={connectionStatus !== 'connected' || !!writeRestriction}
             uploading={false}
             showEmojiPicker={showEmojiPicker}
             showMentionList={showMentionList}
@@ -384,6 +746,9 @@ const ChatPage = () => {
               setShowMentionList(false);
             }}
             onFileRemove={removeFilePreview}
+            replyTarget={replyTarget}
+            onReplyCancel={cancelReply}
+            cooldownUntil={sendCooldownUntil}
           />
         </Card.Footer>
       </Card.Root>
@@ -391,8 +756,16 @@ const ChatPage = () => {
         isOpen={isDeleteConfirmOpen}
         onClose={() => setIsDeleteConfirmOpen(false)}
         onConfirm={handleDeleteRoom}
-        roomName={room?.name}
+        roomName={roomDisplayName}
       />
+      {isRoomCreator && (
+        <InviteLinkModal
+          isOpen={isInviteModalOpen}
+          onClose={() => setIsInviteModalOpen(false)}
+          roomId={room._id}
+          roomName={roomDisplayName}
+        />
+      )}
     </div>
   );
 };
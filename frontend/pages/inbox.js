@@ -0,0 +1,223 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import { ErrorCircleIcon } from '@vapor-ui/icons';
+import { Button, Card, Text, Callout, Switch } from '@vapor-ui/core';
+import { Stack, Box, HStack, Flex } from '../components/ui/Layout';
+import axiosInstance from '../services/axios';
+import { withAuth } from '../middleware/withAuth';
+import { Toast } from '../components/Toast';
+
+const formatDate = (date) => new Date(date).toLocaleString('ko-KR', {
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  hour12: false
+});
+
+// 멘션된 메시지 위치 (스레드 답글이면 부모 메시지와 스레드를 함께 연다)
+const getMessageLink = (notification) => {
+  const params = new URLSearchParams({
+    room: notification.room._id,
+    message: notification.messageId
+  });
+  if (notification.parentMessage) {
+    params.set('thread', notification.parentMessage);
+  }
+  return `/chat?${params.toString()}`;
+};
+
+function InboxPage() {
+  const router = useRouter();
+  const [notifications, setNotifications] = useState([]);
+  const [unreadOnly, setUnreadOnly] = useState(true);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+
+  const fetchNotifications = useCallback(async (before = null) => {
+    const response = await axiosInstance.get('/api/notifications', {
+      params: { unreadOnly, before: before || undefined }
+    });
+
+    return {
+      notifications: response.data?.data || [],
+      nextBefore: response.data?.pagination?.nextBefore || null
+    };
+  }, [unreadOnly]);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    fetchNotifications()
+      .then(result => {
+        if (cancelled) return;
+        setNotifications(result.notifications);
+        setNextBefore(result.nextBefore);
+      })
+      .catch(error => {
+        console.error('Notifications fetch error:', error);
+        if (!cancelled) {
+          setError(error.response?.data?.message || '알림을 불러오지 못했습니다.');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fetchNotifications]);
+
+  // 새 멘션은 목록 맨 위에 추가
+  useEffect(() => {
+    const handleNotification = (event) => {
+      if (event.detail?.type !== 'mention') return;
+      setNotifications(prev => [event.detail, ...prev.filter(item => item._id !== event.detail._id)]);
+    };
+
+    window.addEventListener('notification', handleNotification);
+    return () => window.removeEventListener('notification', handleNotification);
+  }, []);
+
+  const handleLoadMore = async () => {
+    if (!nextBefore || loadingMore) return;
+
+    setLoadingMore(true);
+    try {
+      const result = await fetchNotifications(nextBefore);
+      setNotifications(prev => [...prev, ...result.notifications]);
+      setNextBefore(result.nextBefore);
+    } catch (error) {
+      console.error('Notifications load more error:', error);
+      Toast.error(error.response?.data?.message || '알림을 더 불러오지 못했습니다.');
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  const handleOpen = async (notification) => {
+    if (!notification.room) {
+      Toast.info('삭제된 채팅방입니다.');
+      return;
+    }
+
+    if (!notification.readAt) {
+      try {
+        await axiosInstance.put(`/api/notifications/${notification._id}/read`);
+        window.dispatchEvent(new Event('notificationsRead'));
+      } catch (error) {
+        console.error('Mark notification read error:', error);
+      }
+    }
+
+    router.push(getMessageLink(notification));
+  };
+
+  const handleMarkAllRead = async () => {
+    try {
+      await axiosInstance.put('/api/notifications/read-all');
+      const readAt = new Date().toISOString();
+      setNotifications(prev => unreadOnly ? [] : prev.map(item => ({ ...item, readAt: item.readAt || readAt })));
+      setNextBefore(prev => unreadOnly ? null : prev);
+      window.dispatchEvent(new Event('notificationsRead'));
+    } catch (error) {
+      console.error('Mark all notifications read error:', error);
+      Toast.error(error.response?.data?.message || '알림 읽음 처리에 실패했습니다.');
+    }
+  };
+
+  const hasUnread = notifications.some(item => !item.readAt);
+
+  return (
+    <div className="auth-container">
+      <Card.Root className="chat-rooms-card">
+        <Card.Header>
+          <Flex justify="space-between" align="center">
+            <Text typography="heading4">알림</Text>
+            <HStack gap="200" align="center">
+              <Switch.Root checked={unreadOnly} onCheckedChange={setUnreadOnly}>
+                <Switch.Label>읽지 않은 알림만</Switch.Label>
+                <Switch.Control />
+              </Switch.Root>
+              <Button
+                size="sm"
+                variant="outline"
+                color="secondary"
+                onClick={handleMarkAllRead}
+                disabled={!hasUnread}
+              >
+                모두 읽음
+              </Button>
+            </HStack>
+          </Flex>
+        </Card.Header>
+        <Card.Body className="card-body">
+          {error && (
+            <Box mb="400">
+              <Callout color="danger">
+                <HStack gap="200" align="center">
+                  <ErrorCircleIcon size={16} />
+                  <Text typography="body2">{error}</Text>
+                </HStack>
+              </Callout>
+            </Box>
+          )}
+
+          {loading && (
+            <Text typography="body1">알림을 불러오는 중...</Text>
+          )}
+
+          {!loading && !error && notifications.length === 0 && (
+            <Text typography="body2" className="thread-panel-empty">
+              {unreadOnly ? '읽지 않은 멘션이 없습니다.' : '받은 멘션이 없습니다.'}
+            </Text>
+          )}
+
+          <Stack gap="100" className="inbox-list">
+            {notifications.map(notification => (
+              <button
+                key={notification._id}
+                type="button"
+                className={`inbox-item ${notification.readAt ? '' : 'unread'}`}
+                onClick={() => handleOpen(notification)}
+              >
+                <span className="inbox-item-header">
+                  <span className="inbox-item-title">
+                    {notification.sender?.name || '알 수 없음'}님이 {notification.room?.name || '채팅방'}에서 언급했습니다
+                  </span>
+                  <span className="inbox-item-time">{formatDate(notification.createdAt)}</span>
+                </span>
+                <span className="inbox-item-content">
+                  {notification.isDeleted ? '삭제된 메시지입니다.' : notification.content}
+                </span>
+              </button>
+            ))}
+          </Stack>
+
+          {nextBefore && (
+            <Box mt="300">
+              <Button
+                variant="outline"
+                color="secondary"
+                stretch
+                onClick={handleLoadMore}
+                disabled={loadingMore}
+              >
+                {loadingMore ? '불러오는 중...' : '더 보기'}
+              </Button>
+            </Box>
+          )}
+        </Card.Body>
+      </Card.Root>
+    </div>
+  );
+}
+
+export default withAuth(InboxPage);
@@ -0,0 +1,129 @@
+import React, { useState, useEffect } from 'react';
+import { useRouter } from 'next/router';
+import { ErrorCircleIcon, GroupIcon, LockIcon } from '@vapor-ui/icons';
+import { Button, Card, Text, Callout } from '@vapor-ui/core';
+import { Stack, Box, HStack } from '../../components/ui/Layout';
+import axiosInstance from '../../services/axios';
+import { withAuth } from '../../middleware/withAuth';
+
+function InvitePage() {
+  const router = useRouter();
+  const { token } = router.query;
+  const [preview, setPreview] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!router.isReady || !token) return;
+
+    let cancelled = false;
+    setLoading(true);
+    setError('');
+
+    axiosInstance.get(`/api/rooms/invites/${encodeURIComponent(token)}`)
+      .then(response => {
+        if (!cancelled) {
+          setPreview(response.data?.data || null);
+        }
+      })
+      .catch(error => {
+        console.error('Invite preview error:', error);
+        if (!cancelled) {
+          setError(error.response?.data?.message || '초대 링크 정보를 불러오지 못했습니다.');
+        }
+      })
+      .finally(() => {
+        if (!cancelled) {
+          setLoading(false);
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [router.isReady, token]);
+
+  const handleJoin = async () => {
+    if (!token || joining) return;
+
+    setJoining(true);
+    setError('');
+
+    try {
+      const response = await axiosInstance.post(`/api/rooms/join-by-invite/${encodeURIComponent(token)}`);
+      const roomId = response.data?.data?._id;
+      if (!roomId) {
+        throw new Error('INVALID_RESPONSE');
+      }
+      router.replace(`/chat?room=${roomId}`);
+    } catch (error) {
+      console.error('Join by invite error:', error);
+      setError(error.response?.data?.message || '채팅방 입장에 실패했습니다.');
+      setJoining(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <Card.Root className="chat-rooms-card" style={{ maxWidth: '480px' }}>
+        <Card.Body className="card-body">
+          <Stack gap="300" align="center">
+            <Text typography="heading3">채팅방 초대</Text>
+
+            {loading && (
+              <Text typography="body1">초대 정보를 불러오는 중...</Text>
+            )}
+
+            {!loading && preview && (
+              <Stack gap="200" align="center">
+                <Text typography="heading5" style={{ fontWeight: 'bold' }}>{preview.roomName}</Text>
+                <HStack gap="200" align="center">
+                  <GroupIcon size={16} />
+                  <Text typography="body2">참여자 {preview.participantsCount}명</Text>
+                  {preview.hasPassword && (
+                    <>
+                      <LockIcon size={16} style={{ color: 'var(--vapor-color-warning)' }} />
+                      <Text typography="body2">초대 링크로는 비밀번호 없이 입장합니다</Text>
+                    </>
+                  )}
+                </HStack>
+              </Stack>
+            )}
+          </Stack>
+
+          {error && (
+            <Box mt="400">
+              <Callout color="danger">
+                <HStack gap="200" align="center">
+                  <ErrorCircleIcon size={16} />
+                  <Text typography="body2">{error}</Text>
+                </HStack>
+              </Callout>
+            </Box>
+          )}
+
+          <Box mt="400">
+            <HStack gap="200" justify="center">
+              <Button
+                variant="outline"
+                color="secondary"
+                onClick={() => router.push('/chat-rooms')}
+                disabled={joining}
+              >
+                채팅방 목록
+              </Button>
+              {preview && (
+                <Button color="primary" onClick={handleJoin} disabled={joining}>
+                  {joining ? '입장 중...' : '입장하기'}
+                </Button>
+              )}
+            </HStack>
+          </Box>
+        </Card.Body>
+      </Card.Root>
+    </div>
+  );
+}
+
+export default withAuth(InvitePage);
@@ -6,6 +6,7 @@ import { Flex, Stack, Center, Box } from '../components/ui/Layout';
 import authService from '../services/authService';
 import { withAuth } from '../middleware/withAuth';
 import ProfileImageUpload from '../components/ProfileImageUpload';
+import NotificationSettingsSection from '../components/NotificationSettingsSection';
 import { generateColorFromEmail, getContrastTextColor } from '../utils/colorUtils';
 
 const Profile = () => {
@@ -304,6 +305,10 @@ const Profile = () => {
               </Stack>
             </form>
           </Box>
+
+          <Box mt="400">
+            <NotificationSettingsSection />
+          </Box>
           </Stack>
         </Card.Body>
       </Card.Root>
@@ -0,0 +1,50 @@
+import axiosInstance from './axios';
+
+// 채팅방별 페르소나 목록과 핸들별 표시 정보 (메시지마다 다시 요청하지 않도록 앱 전체에서 공유)
+class AIPersonaService {
+  constructor() {
+    this.roomRequests = new Map();
+    this.personasByHandle = new Map();
+    this.listeners = new Set();
+  }
+
+  // 채팅방에서 사용할 수 있는 페르소나 목록 (같은 채팅방은 한 번만 요청)
+  loadRoomPersonas(roomId) {
+    if (!this.roomRequests.has(roomId)) {
+      const request = axiosInstance.get('/api/ai-personas', { params: { roomId } })
+        .then(response => {
+          const personas = response.data?.data || [];
+          personas.forEach(persona => this.personasByHandle.set(persona.handle, persona));
+          this.notifyListeners();
+          return personas;
+        })
+        .catch(error => {
+          console.error('Fetch AI personas error:', error);
+          this.roomRequests.delete(roomId);
+          return [];
+        });
+
+      this.roomRequests.set(roomId, request);
+    }
+
+    return this.roomRequests.get(roomId);
+  }
+
+  // 알려진 페르소나 (목록을 불러오기 전이면 null)
+  getPersona(handle) {
+    return this.personasByHandle.get(handle) || null;
+  }
+
+  // 페르소나 정보가 새로 들어오면 호출 (구독 해제 함수 반환)
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(listener => listener());
+  }
+}
+
+const aiPersonaService = new AIPersonaService();
+export default aiPersonaService;
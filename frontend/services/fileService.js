@@ -30,12 +30,13 @@ class FileService {
         name: '오디오'
       },
       document: {
-        extensions: ['.pdf', '.doc', '.docx', '.txt'],
+        extensions: ['.pdf', '.doc', '.docx', '.txt', '.md'],
         mimeTypes: [
           'application/pdf',
           'application/msword',
           'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
-          'text/plain'
+          'text/plain',
+          'text/markdown'
         ],
         maxSize: 20 * 1024 * 1024,
         name: '문서'
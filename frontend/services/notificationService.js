@@ -0,0 +1,302 @@
+import axiosInstance from './axios';
+import aiPersonaService from './aiPersonaService';
+
+const SOUND_STORAGE_KEY = 'notificationSound';
+const TITLE_BADGE_PATTERN = /^\(\d+\+?\) /;
+const MAX_BODY_LENGTH = 100;
+
+const toMinutes = (time = '00:00') => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const truncate = (text = '') => (
+  text.length > MAX_BODY_LENGTH ? `${text.slice(0, MAX_BODY_LENGTH)}…` : text
+);
+
+// 브라우저 데스크톱 알림, 탭 제목 안 읽은 수, 알림음 관리
+class NotificationService {
+  constructor() {
+    this.settings = null;
+    this.settingsPromise = null;
+    this.activeRoomId = null;
+    this.unreadCount = 0;
+    this.audioContext = null;
+    this.initialized = false;
+  }
+
+  // 브라우저에서 한 번만 초기화 (탭이 다시 보이면 안 읽은 수 초기화)
+  init() {
+    if (this.initialized || typeof window === 'undefined') return;
+    this.initialized = true;
+
+    document.addEventListener('visibilitychange', () => {
+      if (!document.hidden) {
+        this.resetUnread();
+      }
+    });
+
+    window.addEventListener('notificationSettingsUpdate', (event) => {
+      if (event.detail) {
+        this.settings = event.detail;
+      }
+    });
+
+    window.addEventListener('authStateChange', () => {
+      this.settings = null;
+      this.resetUnread();
+    });
+  }
+
+  isSupported() {
+    return typeof window !== 'undefined' && 'Notification' in window;
+  }
+
+  getPermission() {
+    return this.isSupported() ? Notification.permission : 'unsupported';
+  }
+
+  // 권한 요청은 브라우저 정책상 사용자 동작(클릭 등) 안에서 호출해야 함
+  async requestPermission() {
+    if (!this.isSupported()) return 'unsupported';
+    if (Notification.permission !== 'default') return Notification.permission;
+
+    try {
+      return await Notification.requestPermission();
+    } catch (error) {
+      console.error('[Notification] Permission request failed:', error);
+      return Notification.permission;
+    }
+  }
+
+  isSoundEnabled() {
+    if (typeof window === 'undefined') return false;
+    return localStorage.getItem(SOUND_STORAGE_KEY) === 'on';
+  }
+
+  setSoundEnabled(enabled) {
+    localStorage.setItem(SOUND_STORAGE_KEY, enabled ? 'on' : 'off');
+  }
+
+  setActiveRoom(roomId) {
+    this.activeRoomId = roomId || null;
+  }
+
+  async loadSettings() {
+    if (this.settings) return this.settings;
+
+    if (!this.settingsPromise) {
+      this.settingsPromise = axiosInstance.get('/api/users/notification-settings')
+        .then(response => {
+          this.settings = response.data?.data || null;
+          return this.settings;
+        })
+        .catch(error => {
+          console.error('[Notification] Settings load failed:', error);
+          return null;
+        })
+        .finally(() => {
+          this.settingsPromise = null;
+        });
+    }
+
+    return this.settingsPromise;
+  }
+
+  isRoomMuted(roomId) {
+    if (!this.settings || !roomId) return false;
+    const now = Date.now();
+    return this.settings.mutedRooms.some(entry =>
+      entry.room === roomId && (!entry.until || new Date(entry.until).getTime() > now)
+    );
+  }
+
+  // 서버의 방해 금지 시간 판정과 동일 (시작과 종료가 같으면 하루 종일)
+  isDoNotDisturb(now = new Date()) {
+    const doNotDisturb = this.settings?.doNotDisturb;
+    if (!doNotDisturb?.enabled) return false;
+
+    let current;
+    try {
+      const parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: doNotDisturb.timezone,
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(now);
+      current = Number(parts.find(part => part.type === 'hour').value) * 60 +
+        Number(parts.find(part => part.type === 'minute').value);
+    } catch (error) {
+      return false;
+    }
+
+    const start = toMinutes(doNotDisturb.start);
+    const end = toMinutes(doNotDisturb.end);
+
+    if (start === end) return true;
+    return start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+  }
+
+  isDesktopEnabled(eventType) {
+    return this.settings?.events?.[eventType]?.desktop === true;
+  }
+
+  // 탭 제목 앞에 안 읽은 수 표시
+  updateTitle() {
+    if (typeof document === 'undefined') return;
+
+    const baseTitle = document.title.replace(TITLE_BADGE_PATTERN, '');
+    if (this.unreadCount === 0) {
+      document.title = baseTitle;
+      return;
+    }
+
+    const badge = this.unreadCount > 99 ? '99+' : this.unreadCount;
+    document.title = `(${badge}) ${baseTitle}`;
+  }
+
+  resetUnread() {
+    if (this.unreadCount === 0) return;
+    this.unreadCount = 0;
+    this.updateTitle();
+  }
+
+  playSound() {
+    if (!this.isSoundEnabled()) return;
+
+    try {
+      const AudioContext = window.AudioContext || window.webkitAudioContext;
+      if (!AudioContext) return;
+
+      this.audioContext = this.audioContext || new AudioContext();
+      const oscillator = this.audioContext.createOscillator();
+      const gain = this.audioContext.createGain();
+      const startTime = this.audioContext.currentTime;
+
+      oscillator.type = 'sine';
+      oscillator.frequency.setValueAtTime(880, startTime);
+      gain.gain.setValueAtTime(0.15, startTime);
+      gain.gain.exponentialRampToValueAtTime(0.001, startTime + 0.3);
+
+      oscillator.connect(gain);
+      gain.connect(this.audioContext.destination);
+      oscillator.start(startTime);
+      oscillator.stop(startTime + 0.3);
+    } catch (error) {
+      console.error('[Notification] Sound playback failed:', error);
+    }
+  }
+
+  showDesktopNotification({ title, body, tag, url }) {
+    if (this.getPermission() !== 'granted') return;
+
+    try {
+      const notification = new Notification(title, {
+        body: truncate(body),
+        tag,
+        icon: '/images/logo.png'
+      });
+
+      notification.onclick = () => {
+        window.focus();
+        if (url && `${window.location.pathname}${window.location.search}` !== url) {
+          window.location.assign(url);
+        }
+        notification.close();
+      };
+    } catch (error) {
+      console.error('[Notification] Desktop notification failed:', error);
+    }
+  }
+
+  // 탭이 보이지 않을 때만 알림 (채팅방 알림 끄기와 방해 금지 시간 반영)
+  async notify({ eventType, roomId, title, body, tag, url, desktop }) {
+    if (typeof document === 'undefined' || !document.hidden) return;
+
+    await this.loadSettings();
+    if (this.isRoomMuted(roomId)) return;
+
+    this.unreadCount += 1;
+    this.updateTitle();
+
+    if (this.isDoNotDisturb()) return;
+
+    // 서버가 판단한 값이 있으면 우선 사용 (멘션 알림)
+    const desktopEnabled = desktop ?? this.isDesktopEnabled(eventType);
+    if (desktopEnabled) {
+      this.showDesktopNotification({ title, body, tag, url });
+    }
+    this.playSound();
+  }
+
+  // 서버에서 보낸 멘션 알림
+  handleMentionNotification(notification) {
+    if (notification?.type !== 'mention' || notification.silent) return;
+
+    const params = new URLSearchParams({
+      room: notification.room?._id,
+      message: notification.messageId
+    });
+    if (notification.parentMessage) {
+      params.set('thread', notification.parentMessage);
+    }
+
+    this.notify({
+      eventType: 'mention',
+      roomId: notification.room?._id,
+      title: `${notification.sender?.name || '알 수 없음'}님이 회원님을 언급했습니다`,
+      body: `${notification.room?.name || '채팅방'}: ${notification.content || ''}`,
+      tag: `mention-${notification._id}`,
+      url: `/chat?${params.toString()}`,
+      desktop: notification.desktop
+    });
+  }
+
+  // 보고 있지 않은 1:1 대화의 새 메시지 (채팅방 목록 갱신 이벤트 기준)
+  handleRoomActivity({ roomId, roomType, lastMessage } = {}, currentUserId) {
+    if (roomType !== 'direct' || !lastMessage || roomId === this.activeRoomId) return;
+    if (!lastMessage.senderId || lastMessage.senderId === currentUserId) return;
+
+    this.notify({
+      eventType: 'directMessage',
+      roomId,
+      title: lastMessage.senderName || '새 메시지',
+      body: lastMessage.content,
+      tag: `room-${roomId}`,
+      url: `/chat?room=${roomId}`
+    });
+  }
+
+  // 보고 있는 채팅방의 새 메시지 (멘션은 서버 알림으로 따로 처리)
+  handleRoomMessage(message, room, currentUserId) {
+    if (!message || !room || message.type === 'system') return;
+
+    const senderId = message.sender?._id || message.sender?.id || message.sender;
+    if (message.type !== 'ai' && (!senderId || senderId === currentUserId)) return;
+    if (message.mentions?.includes(currentUserId)) return;
+
+    const isDirect = room.type === 'direct';
+    const senderName = message.type === 'ai'
+      ? (aiPersonaService.getPersona(message.aiType)?.name || message.aiType)
+      : (message.sender?.name || '알 수 없음');
+
+    this.notify({
+      eventType: isDirect ? 'directMessage' : 'roomMessage',
+      roomId: room._id,
+      title: isDirect ? senderName : `${room.name} · ${senderName}`,
+      body: message.type === 'file' ? '파일을 보냈습니다.' : message.content,
+      tag: `room-${room._id}`,
+      url: `/chat?room=${room._id}`
+    });
+  }
+}
+
+const notificationService = new NotificationService();
+
+if (typeof window !== 'undefined') {
+  notificationService.init();
+}
+
+export default notificationService;
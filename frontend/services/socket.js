@@ -2,6 +2,7 @@ import { io } from 'socket.io-client';
 // Icons imported but not used in this file
 import { Toast } from '../components/Toast';
 import authService from './authService';
+import notificationService from './notificationService';
 
 const CLEANUP_REASONS = {
   DISCONNECT: 'disconnect',
@@ -190,6 +191,17 @@ class SocketService {
       reject(new Error('Reconnection failed'));
     });
 
+    // 멘션 등 개인 알림은 어느 페이지에서든 받을 수 있도록 전역 이벤트로 전달
+    this.socket.on('notification', (data) => {
+      window.dispatchEvent(new CustomEvent('notification', { detail: data }));
+      notificationService.handleMentionNotification(data);
+    });
+
+    // 다른 1:1 대화의 새 메시지는 탭이 백그라운드일 때 데스크톱 알림
+    this.socket.on('roomActivity', (data) => {
+      notificationService.handleRoomActivity(data, authService.getCurrentUser()?.id);
+    });
+
     this.socket.on('messageReaction', (data) => {
       console.log('[Socket] Message reaction:', data);
       this.reactionHandlers.forEach(handler => handler(data));
@@ -22,6 +22,17 @@ const USER_COLORS = [
   '#00BBF9', '#00F5D4', '#738276', '#A6D8D4'
 ];
 
+// 기본 AI 페르소나의 아바타 식별용 이메일 도메인 (고정 색상 사용)
+const AI_EMAIL_DOMAINS = {
+  wayneAI: 'wayne.ai',
+  consultingAI: 'consulting.ai'
+};
+
+// AI 페르소나 아바타 색상용 이메일 (그 외 페르소나는 핸들로 색상 생성)
+export const getAIPersonaEmail = (handle = '') => (
+  `ai@${AI_EMAIL_DOMAINS[handle] || `${handle.toLowerCase()}.ai`}`
+);
+
 // AI 아바타 스타일 가져오기
 export const getAIAvatarStyles = (aiName) => {
   if (!aiName) return AI_COLORS.wayneAI; // 기본값
@@ -35,8 +46,12 @@ export const getAIAvatarStyles = (aiName) => {
     return AI_COLORS.consultingAI;
   }
   
-  // 알 수 없는 AI의 경우 기본값 반환
-  return AI_COLORS.wayneAI;
+  // 관리자가 추가한 페르소나는 핸들 기준으로 일관된 색상
+  const backgroundColor = generateColorFromEmail(getAIPersonaEmail(aiName));
+  return {
+    backgroundColor,
+    color: getContrastTextColor(backgroundColor)
+  };
 };
 
 // 이메일로부터 고유한 색상 생성
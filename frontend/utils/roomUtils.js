@@ -0,0 +1,66 @@
+// utils/roomUtils.js
+
+export const isDirectRoom = (room) => room?.type === 'direct';
+
+// 1:1 대화 상대 (상대가 없으면 null)
+export const getDirectPartner = (room, currentUserId) => {
+  if (!isDirectRoom(room)) return null;
+
+  return room.participants?.find(participant =>
+    (participant?._id || participant?.id) !== currentUserId
+  ) || null;
+};
+
+// 채팅방 표시 이름 (1:1 대화는 상대방 이름)
+export const getRoomDisplayName = (room, currentUserId) => {
+  if (!room) return '';
+  if (!isDirectRoom(room)) return room.name;
+
+  return getDirectPartner(room, currentUserId)?.name || '알 수 없는 사용자';
+};
+
+export const ROOM_ROLE_LABELS = {
+  owner: '방장',
+  moderator: '모더레이터',
+  member: '멤버'
+};
+
+// 채팅방 내 역할 (서버의 권한 매트릭스와 동일한 기준)
+export const getRoomRole = (room, userId) => {
+  if (!room || !userId) return null;
+  if ((room.creator?._id || room.creator) === userId) return 'owner';
+  if (room.moderators?.some(moderator => (moderator?._id || moderator) === userId)) return 'moderator';
+  return 'member';
+};
+
+// 메시지 고정, 다른 사람 메시지 삭제 등 관리 권한
+export const canModerateRoom = (room, userId) => {
+  const role = getRoomRole(room, userId);
+  return role === 'owner' || role === 'moderator';
+};
+
+const ROOM_ROLE_RANKS = { owner: 0, moderator: 1, member: 2 };
+
+// 강퇴, 차단, 채팅 금지 가능 여부 (자신보다 하위 역할만 관리 가능)
+export const canModerateMember = (room, userId, targetUserId) => {
+  if (!canModerateRoom(room, userId) || userId === targetUserId || isDirectRoom(room)) return false;
+  return ROOM_ROLE_RANKS[getRoomRole(room, userId)] < ROOM_ROLE_RANKS[getRoomRole(room, targetUserId)];
+};
+
+// 진행 중인 채팅 금지 정보 (없으면 null)
+export const getActiveMute = (room, userId) => (
+  room?.mutes?.find(mute =>
+    (mute.user?._id || mute.user) === userId && new Date(mute.until).getTime() > Date.now()
+  ) || null
+);
+
+// 메시지 작성 제한 사유 (보관된 방, 공지 모드의 일반 멤버). 제한이 없으면 null
+export const getWriteRestriction = (room, userId) => {
+  if (room?.archivedAt) {
+    return '보관된 채팅방입니다. 기록은 볼 수 있지만 메시지를 보낼 수 없습니다.';
+  }
+  if (room?.announcementOnly && !canModerateRoom(room, userId)) {
+    return '공지 모드입니다. 방장과 모더레이터만 메시지를 보낼 수 있습니다.';
+  }
+  return null;
+};